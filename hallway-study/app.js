@@ -3,23 +3,44 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import GUI from 'https://cdn.jsdelivr.net/npm/lil-gui@0.19/+esm';
-import { PeopleManager } from './people.js';
-import { CameraManager, setGlobalCameraModel, getGlobalCameraModel } from './camera.js';
+import { PeopleManager, resetPersonIds } from './people.js';
+import { mergeCrowdSettings } from './crowd-behaviors.js';
+import { TrafficSchedule, ScheduleTimeline, formatScheduleTime } from './traffic-schedule.js';
+import { setRandomSeed, getRandomSeed, makeRandomSeed } from './random.js';
+import { SimulationRecorder, SimulationPlayer } from './simulation-recorder.js';
+import { SimulationThread } from './simulation-thread.js';
+import { CameraManager, setDefaultCameraModel, getDefaultCameraModel, getCameraSpecs, getCameraModelNames, isBuiltInCameraModel, defineCameraModel, removeCameraModel, getCustomCameraModels, setCustomCameraModels } from './camera.js';
 import { setShowRays, updateRaycastVisualization } from './visibility.js';
-import { createFBOFloor, updateFBOFloor } from './floor-fbo.js';
+import { setDepthModel, getDepthModel, getFocalBaseline, getDisparityError, getMaxConfidentDepth, DEFAULT_DEPTH_MODEL } from './depth-model.js';
+import { CoverageAnalyzer, createVirtualCamera } from './coverage.js';
+import { CameraPlacementOptimizer, MOUNT_TYPES } from './camera-optimizer.js';
+import { createFBOFloor, updateFBOFloor, setFBOFloorOutlines } from './floor-fbo.js';
 import { MIDIManager } from './midi-manager.js';
+import { SynthEngine, INSTRUMENT_NAMES } from './synth-engine.js';
+import { MIDIFileRecorder } from './midi-file.js';
+import { MIDILearn, describeBinding, validateBindings } from './midi-learn.js';
+import { MIDIRouter, createRoute, normalizeRoutes, validateRoutes, zoneSource, FIXED_SOURCES, VELOCITY_CURVES } from './midi-router.js';
 import { ClockManager } from './clock-manager.js';
+import { NetworkTempoSync } from './network-sync.js';
 import { TriggerZone } from './trigger-zones.js';
+import { TriggerEditor } from './trigger-editor.js';
+import { createDefaultLayout, createStripTriggers, cloneLayout, normalizeLayout, getShapeBounds, getOverfullVisuals, VISUAL_STYLES, CHORD_PATTERNS, NOTE_LENGTHS, MAX_TRIGGERS_PER_VISUAL } from './trigger-layout.js';
 import { KeyManager } from './key-manager.js';
 import { ChordManager } from './chord-manager.js';
-import { WebSocketManager } from './websocket-manager.js';
-
-// ===== Hallway dimensions (in meters) =====
-const hallway = {
-  length_m: 13.1064,
-  width_m: 2.0574,
-  height_m: 3.4538
-};
+import { PROTOCOL_VERSION } from './broadcast-protocol.js';
+import { OSCOutput } from './osc-output.js';
+import { OSC_EVENTS, OSC_EVENT_NAMES, createDefaultAddressMap, normalizeAddressMap, validateOSCSettings, DEFAULT_OSC_NAMESPACE } from './osc.js';
+import { serializePerson } from './tracking-protocol.js';
+import { TrackingSource } from './tracking-source.js';
+import { TrackingMetrics, renderReportHTML } from './tracking-metrics.js';
+import { DOCUMENT_VERSION, migrateDocument, validateDocument } from './document-schema.js';
+import { createRectangularGeometry, validateGeometry, normalizeGeometry, applyGeometry, serializeGeometry, isRectangularGeometry, isInsideFootprint, getObstacleAt } from './hallway-geometry.js';
+import { FloorPlanUnderlay, parseDXF, createImagePlan, createDXFPlan, normalizeFloorPlan, calibratePlan, fitPlanToCorners, getPlanBounds, MAX_IMAGE_SIZE } from './floor-plan.js';
+
+// ===== Hallway geometry (in meters) =====
+// Documents can replace it (see hallway-geometry.js) - the object itself stays the same,
+// since every module holds on to it
+const hallway = createRectangularGeometry(13.1064, 2.0574, 3.4538);
 
 // ===== Cookie Utilities =====
 function setCookie(name, value, days = 365) {
@@ -217,6 +238,20 @@ transformControls.addEventListener('objectChange', () => {
   }
 });
 
+// ===== Trigger Editor =====
+// Floor trigger editing (layout and GUI are hooked up in the Floor Visualization panel)
+const triggerEditor = new TriggerEditor(scene, hallway, renderer.domElement, () => camera);
+
+// Pause orbiting while dragging triggers, same as TransformControls
+triggerEditor.addEventListener('dragging-changed', (event) => {
+  activeControls.enabled = !event.value;
+});
+
+// ===== Floor Plan =====
+// Scaled drawing under the hallway (document state - GUI is in the Hallway Geometry panel)
+let floorPlan = null;
+const floorPlanUnderlay = new FloorPlanUnderlay(scene, hallway, renderer.domElement, () => camera);
+
 // ===== Lighting =====
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
 scene.add(ambientLight);
@@ -262,46 +297,45 @@ function createDimensionLabel(text) {
 }
 
 // ===== Build Hallway =====
+let hallGroup = null;
+
 function buildHallway() {
   const L = hallway.length_m;
   const W = hallway.width_m;
   const H = hallway.height_m;
 
-  const hallGroup = new THREE.Group();
+  // Rebuilding after a geometry change
+  if (hallGroup) {
+    scene.remove(hallGroup);
+    hallGroup.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+  hallGroup = new THREE.Group();
 
   // Half dimensions for convenience
   const hw = W / 2;
   const hl = L / 2;
 
+  // Footprint in world space (closed loop)
+  const outline = hallway.footprint.map(([x, z]) => [x, z - hl]);
+  const outlineAt = (y) => [...outline, outline[0]].map(([x, z]) => new THREE.Vector3(x, y, z));
+
   // Ceiling outline
   const ceilingLineMat = new THREE.LineBasicMaterial({ color: 0x314150, linewidth: 1 });
-  const ceilingShape = new THREE.BufferGeometry().setFromPoints([
-    new THREE.Vector3(-hw, H, -hl),
-    new THREE.Vector3(hw, H, -hl),
-    new THREE.Vector3(hw, H, hl),
-    new THREE.Vector3(-hw, H, hl),
-    new THREE.Vector3(-hw, H, -hl)
-  ]);
+  const ceilingShape = new THREE.BufferGeometry().setFromPoints(outlineAt(H));
   const ceilingOutline = new THREE.Line(ceilingShape, ceilingLineMat);
   hallGroup.add(ceilingOutline);
 
   // Wall outlines
   const wallMat = new THREE.LineBasicMaterial({ color: 0x314150, linewidth: 1 });
-  const wallShape = new THREE.BufferGeometry().setFromPoints([
-    new THREE.Vector3(-hw, 0.001, -hl),
-    new THREE.Vector3(hw, 0.001, -hl),
-    new THREE.Vector3(hw, 0.001, hl),
-    new THREE.Vector3(-hw, 0.001, hl),
-    new THREE.Vector3(-hw, 0.001, -hl)
-  ]);
+  const wallShape = new THREE.BufferGeometry().setFromPoints(outlineAt(0.001));
   const wallOutline = new THREE.Line(wallShape, wallMat);
   hallGroup.add(wallOutline);
 
   // Vertical corner lines
-  const corners = [
-    [-hw, -hl], [hw, -hl], [hw, hl], [-hw, hl]
-  ];
-  corners.forEach(([x, z]) => {
+  outline.forEach(([x, z]) => {
     const lineGeo = new THREE.BufferGeometry().setFromPoints([
       new THREE.Vector3(x, 0, z),
       new THREE.Vector3(x, H, z)
@@ -312,7 +346,9 @@ function buildHallway() {
 
   // Solid floor plane (layer 0 - visible to cameras)
   // This is visible only when Floor FBO is disabled
-  const floorGeometry = new THREE.PlaneGeometry(W, L);
+  // Shape is drawn in the XY plane - rotating -90° about X maps shape y to world -z
+  const floorOutline = new THREE.Shape(outline.map(([x, z]) => new THREE.Vector2(x, -z)));
+  const floorGeometry = new THREE.ShapeGeometry(floorOutline);
   const floorMaterial = new THREE.MeshBasicMaterial({
     color: 0x0a0e14,  // Match background color
     side: THREE.DoubleSide
@@ -323,8 +359,22 @@ function buildHallway() {
   solidFloor.name = 'solidFloor'; // Name it so we can find it later
   hallGroup.add(solidFloor);
 
+  // Obstacles (layer 0 - they block the camera previews just like they block the analysis)
+  const obstacleMaterial = new THREE.MeshBasicMaterial({ color: 0x1d2835 });
+  const obstacleEdgeMaterial = new THREE.LineBasicMaterial({ color: 0x4a5d70 });
+  hallway.obstacles.forEach(obstacle => {
+    const geometry = obstacle.type === 'pillar'
+      ? new THREE.CylinderGeometry(obstacle.radius, obstacle.radius, obstacle.height, 24)
+      : new THREE.BoxGeometry(obstacle.width, obstacle.height, obstacle.depth);
+    const mesh = new THREE.Mesh(geometry, obstacleMaterial);
+    mesh.position.set(obstacle.x, obstacle.height / 2, obstacle.z - hl);
+    mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry, 30), obstacleEdgeMaterial));
+    hallGroup.add(mesh);
+  });
+
   // Grid on floor (layer 1 - hide from camera previews)
-  const grid = new THREE.GridHelper(L, Math.max(6, Math.round(L)), 0x233140, 0x1a2633);
+  const gridSize = Math.max(L, W);
+  const grid = new THREE.GridHelper(gridSize, Math.max(6, Math.round(gridSize)), 0x233140, 0x1a2633);
   grid.rotation.y = Math.PI / 2;
   grid.position.y = 0.001;
   grid.layers.set(1);
@@ -405,6 +455,9 @@ peopleManager.setEnabled(true); // Will be set from cookie below
 // ===== Camera System =====
 const cameraManager = new CameraManager(scene, hallway, renderer);
 
+// ===== Coverage Analysis =====
+const coverageAnalyzer = new CoverageAnalyzer(scene, hallway);
+
 // ===== MIDI System =====
 // Check if MIDI is enabled from cookie before initializing
 const savedMidiEnabledEarly = getCookie('midiEnabled');
@@ -421,6 +474,15 @@ let keyManager = null;
 let keyManagerOnBar = null;
 let chordManagerOnBar = null;
 
+// Routing matrix (see midi-router.js) - kept here so it survives MIDI being switched off and on
+let midiRoutes = [];
+
+// Performance capture for .mid export (attached to each new MIDIManager)
+const midiFileRecorder = new MIDIFileRecorder();
+
+// Shared tempo session (see network-sync.js) - connected while Clock Sync is 'network'
+let networkSync = null;
+
 // Function to create MIDI-related managers
 async function createMIDIManagers() {
   console.log('[MIDI] Creating MIDI managers...');
@@ -428,7 +490,21 @@ async function createMIDIManagers() {
   midiManager = new MIDIManager();
   await midiManager.init();
 
+  midiManager.router = new MIDIRouter(midiManager);
+  midiManager.router.setRoutes(midiRoutes);
+  midiManager.fileRecorder = midiFileRecorder;
+  midiManager.oscOutput = oscOutput;
+  midiManager.onControlMessage = (status, data1, data2) => midiLearn.handleMessage(status, data1, data2);
+
   clockManager = new ClockManager(120, midiManager);
+  clockManager.lookahead_ms = clockSettings.lookahead;
+  applyClockSyncMode();
+
+  // Built-in synth shares the clock's audio context (plays when there's no MIDI output - see synth-engine.js)
+  midiManager.synth = new SynthEngine(clockManager.audioContext, (time) => clockManager.toAudioTime(time));
+  midiManager.synth.mode = synthSettings.mode;
+  midiManager.synth.setVolume(synthSettings.volume);
+  updateSynthInstruments();
 
   // Set up clock callbacks
   clockManager.onSixteenthNote = (count, pos) => {
@@ -437,6 +513,7 @@ async function createMIDIManagers() {
 
   clockManager.onBeat = (count, pos) => {
     // This fires every quarter note beat
+    oscOutput.beat(pos, clockManager.bpm);
   };
 
   chordManager = new ChordManager(clockManager);
@@ -449,6 +526,7 @@ async function createMIDIManagers() {
 
   // Set up clock callbacks after all managers are created
   setupClockCallbacks();
+  onHarmonyChange();
 
   // Wait for MIDI to connect, then start clock
   setTimeout(() => {
@@ -457,10 +535,10 @@ async function createMIDIManagers() {
       console.log('[MIDI] Auto-panic on startup...');
       midiManager.panic();
       console.log('[Clock] Starting with MIDI Clock output enabled');
-      clockManager.start();
+      startClock();
     } else if (midiManager) {
       console.warn('[MIDI] Not connected - starting clock without MIDI sync');
-      clockManager.start();
+      startClock();
     }
   }, 500);
 }
@@ -476,6 +554,7 @@ function destroyMIDIManagers() {
   if (midiManager) {
     midiManager.panic();
     midiManager.disconnect();
+    if (midiManager.synth) midiManager.synth.dispose();
   }
 
   midiManager = null;
@@ -516,12 +595,20 @@ const floorEnabledEarly = savedFloorEnabledEarly !== null ? savedFloorEnabledEar
 let triggerZones = null;
 let shaderFloor = null;
 
+// Trigger layout is document state - kept even while the floor is disabled
+let triggerLayout = createDefaultLayout(hallway);
+
+// Trigger outlines on the floor (user preference)
+const savedShowTriggerOutlines = getCookie('showTriggerOutlines');
+let showTriggerOutlines = savedShowTriggerOutlines === 'true';
+
 // Function to create Floor-related systems
 function createFloorSystem() {
   console.log('[Floor] Creating floor system...');
 
-  triggerZones = new TriggerZone(hallway, keyManager, chordManager);
+  triggerZones = new TriggerZone(hallway, keyManager, chordManager, triggerLayout);
   shaderFloor = createFBOFloor(hallway, triggerZones, renderer);
+  setFBOFloorOutlines(shaderFloor, showTriggerOutlines);
   scene.add(shaderFloor);
 
   // Hide the solid floor when FBO floor is enabled
@@ -563,12 +650,89 @@ function destroyFloorSystem() {
   console.log('[Floor] Floor system destroyed');
 }
 
+// Switch to a new trigger layout (rebuilds triggers if the floor is running)
+function applyTriggerLayout(layout) {
+  triggerLayout = layout;
+  triggerEditor.setLayout(triggerLayout);
+
+  if (triggerZones) {
+    // Old trigger IDs mean nothing in the new layout
+    peopleManager.releaseTriggers(midiManager);
+    triggerZones.setLayout(triggerLayout);
+  }
+
+  updateSynthInstruments();
+  warnUndrawnTriggers();
+}
+
+// Last over-limit message shown, so edits that don't change it don't repeat the toast
+let undrawnTriggersWarning = null;
+
+function getUndrawnTriggersWarning() {
+  const overfull = getOverfullVisuals(triggerLayout);
+  if (overfull.length === 0) return null;
+  return overfull.map(({ visual, count }) => `${count} '${visual}' triggers`).join(', ') +
+    ` - the floor draws ${MAX_TRIGGERS_PER_VISUAL} per effect, the rest play without lighting up`;
+}
+
+function warnUndrawnTriggers() {
+  const warning = getUndrawnTriggersWarning();
+  if (warning && warning !== undrawnTriggersWarning) {
+    showToast('Trigger Layout', warning, 'document-error');
+  }
+  undrawnTriggersWarning = warning;
+}
+
+// Tell the built-in synth which instrument each zone plays
+function updateSynthInstruments() {
+  if (!midiManager || !midiManager.synth) return;
+
+  const instruments = {};
+  triggerLayout.zones.forEach(zone => { instruments[zoneSource(zone.id)] = zone.instrument; });
+  midiManager.synth.setInstruments(instruments);
+}
+
+// Switch to new hallway geometry (rebuilds the room, floor and crowd)
+function applyHallwayGeometry(geometry) {
+  // Same room (e.g. switching between documents of one hallway) - keep the floor and the crowd
+  if (JSON.stringify(serializeGeometry(normalizeGeometry(geometry))) === JSON.stringify(serializeGeometry(hallway))) {
+    return;
+  }
+
+  applyGeometry(hallway, geometry);
+  buildHallway();
+
+  // The floor shader and its trigger FBOs are sized to the hallway
+  if (shaderFloor) {
+    peopleManager.releaseTriggers(midiManager);
+    destroyFloorSystem();
+    createFloorSystem();
+  }
+
+  cameraManager.cameras.forEach(cam => cam.updateBoundsStatus());
+  floorPlanUnderlay.update();
+
+  // Simulated people may now be standing inside a wall
+  if (!isTrackingSource() && !simulationPlayer) {
+    peopleManager.restart(midiManager);
+  }
+
+  updateHallwayGeometryInfo();
+
+  console.log(`[Hallway] ${hallway.length_m.toFixed(2)} × ${hallway.width_m.toFixed(2)} × ${hallway.height_m.toFixed(2)}m, ` +
+    `${hallway.footprint.length}-sided footprint, ${hallway.obstacles.length} obstacles`);
+}
+
 // Floor enabled state (will be set from cookie below)
 let floorEnabled = floorEnabledEarly;
 
 // ===== WebSocket Client System =====
 // Using Web Worker to avoid browser throttling of background tabs
-const wsBroadcastWorker = new Worker('websocket-broadcast-worker.js');
+// Messages follow the versioned protocol in broadcast-protocol.js
+const wsBroadcastWorker = new Worker('websocket-broadcast-worker.js', { type: 'module' });
+
+// Connection and subscription as reported by the worker (for the GUI)
+const wsState = { connected: false, subscription: null };
 
 // Initialize the worker
 wsBroadcastWorker.postMessage({
@@ -584,9 +748,15 @@ wsBroadcastWorker.onmessage = (e) => {
   const { type, data } = e.data;
 
   if (type === 'connected') {
+    wsState.connected = true;
     console.log('[Worker WS] WebSocket connected');
   } else if (type === 'disconnected') {
+    wsState.connected = false;
     console.log('[Worker WS] WebSocket disconnected');
+  } else if (type === 'subscription') {
+    wsState.subscription = data;
+  } else if (type === 'command') {
+    handleRemoteCommand(data);
   } else if (type === 'message') {
     console.log('[Worker WS] Received:', data);
   }
@@ -596,47 +766,58 @@ wsBroadcastWorker.onerror = (error) => {
   console.error('[Worker WS] Error:', error);
 };
 
-console.log('[WebSocket] Worker initialized - broadcasting at 30Hz');
-
-// Keep wsManager for backward compatibility (if used elsewhere)
-const wsManager = new WebSocketManager('ws://localhost:8080');
+console.log(`[WebSocket] Worker initialized - broadcast protocol v${PROTOCOL_VERSION}`);
 
-// Helper function to serialize person (moved from WebSocketManager)
-function serializePerson(person) {
-  const width = person.radius * 2;
-  const height = person.height;
-  const xvel = person.xVelocity || 0;
-  const yvel = person.isDwelling ? 0 : (person.speed * person.direction);
-
-  // Normalize positions to 0-1 range within floor plane
-  // x = blue axis (Z in Three.js) = hallway length
-  // y = red axis (X in Three.js) = hallway width
-  // Note: person.z ranges [0, length_m], person.xOffset ranges [-width_m/2, +width_m/2]
-  const xNormalized = Math.max(0, Math.min(1, person.z / hallway.length_m));
-  const yNormalized = Math.max(0, Math.min(1, (person.xOffset + hallway.width_m * 0.5) / hallway.width_m));
-
-  return {
-    id: person.id,
-    x: parseFloat(xNormalized.toFixed(4)),
-    y: parseFloat(yNormalized.toFixed(4)),
-    w: parseFloat(width.toFixed(4)),
-    h: parseFloat(height.toFixed(4)),
-    xvel: parseFloat(xvel.toFixed(4)),
-    yvel: parseFloat(yvel.toFixed(4))
-  };
-}
+// ===== OSC Output =====
+// Trigger, note, people, harmony and beat events as OSC for lighting/projection (see osc-output.js)
+const savedOSCEnabled = getCookie('oscEnabled');
+const savedOSCBridgeUrl = getCookie('oscBridgeUrl');
+const oscOutput = new OSCOutput(savedOSCBridgeUrl !== null ? savedOSCBridgeUrl : 'ws://localhost:8091');
+oscOutput.init(savedOSCEnabled === 'true');
 
 // Send people data to worker (called from simulation update)
 function sendPeopleToWorker(people) {
-  if (people.length === 0) return;
+  // Empty lists too - the worker sends people_empty frames and person_leave events from them
+  const serializedPeople = people.map(person => serializePerson(person, hallway));
+  oscOutput.updatePeople(serializedPeople);
 
-  const serializedPeople = people.map(person => serializePerson(person));
   wsBroadcastWorker.postMessage({
     type: 'updatePeople',
     data: serializedPeople
   });
 }
 
+// Person events -> broadcast protocol events (trigger_*, note_*)
+const BROADCAST_EVENT_TYPES = {
+  triggerEnter: 'trigger_enter',
+  triggerExit: 'trigger_exit',
+  triggerActivate: 'trigger_activate',
+  noteOn: 'note_on',
+  noteOff: 'note_off'
+};
+
+function broadcastPersonEvent(type, data) {
+  const messageType = BROADCAST_EVENT_TYPES[type];
+  if (!messageType) return;
+
+  const fields = { ...data };
+  if (data.triggerId !== undefined && triggerZones) {
+    const trigger = triggerZones.triggers[data.triggerId];
+    if (trigger) Object.assign(fields, { zoneId: trigger.zoneId, zoneName: trigger.zoneName, index: trigger.indexInZone });
+  }
+  wsBroadcastWorker.postMessage({ type: 'event', data: { type: messageType, fields } });
+}
+
+// Clock, key and chord for music_state (every bar and on tempo changes)
+function broadcastMusicState() {
+  if (!clockManager || !keyManager || !chordManager) return;
+
+  wsBroadcastWorker.postMessage({
+    type: 'music',
+    data: { clock: clockManager.getInfo(), key: keyManager.getInfo(), chord: chordManager.getInfo() }
+  });
+}
+
 function startWebSocketBroadcast() {
   // Worker is always running, just enable it
   wsBroadcastWorker.postMessage({ type: 'setEnabled', data: true });
@@ -690,6 +871,8 @@ previewsPanelCollapsed = true;
 let depthVisualizationMode = false;
 
 // Depth visualization shader (Oak-D style: near = warm, far = cool)
+// With the depth model on, it shows what the stereo pair would measure (see depth-model.js):
+// noisy, subpixel-quantized disparity, black where there's no depth, dimmed where confidence is low
 const depthVisualizationShader = {
   vertexShader: `
     varying vec2 vUv;
@@ -704,17 +887,41 @@ const depthVisualizationShader = {
     uniform sampler2D tDepth;
     uniform float cameraNear;
     uniform float cameraFar;
+    uniform float minRange;
+    uniform float maxRange;
+
+    // Stereo depth model
+    uniform bool modelEnabled;
+    uniform float focalBaseline;     // Focal length (px) × baseline (m)
+    uniform float subpixelSteps;     // Disparity steps per pixel
+    uniform float disparityNoise;    // Matching noise σ (px)
+    uniform float disparityError;    // Total disparity σ (px) - noise and quantization
+    uniform float maxRelativeError;  // Low-confidence threshold
+    uniform float noiseSeed;         // Changes every frame
+
     varying vec2 vUv;
 
-    // Convert non-linear depth buffer value to linear depth
-    float readDepth(sampler2D depthSampler, vec2 coord) {
+    // Distance along the view axis in meters (negative where nothing was rendered)
+    float readViewDepth(sampler2D depthSampler, vec2 coord) {
       float fragCoordZ = texture2D(depthSampler, coord).x;
+      if (fragCoordZ >= 1.0) return -1.0;
       // Convert from [0,1] non-linear depth to view space Z (negative values)
-      float viewZ = perspectiveDepthToViewZ(fragCoordZ, cameraNear, cameraFar);
-      // viewZ is negative, so we take abs and normalize to [0,1]
-      // 0 = near plane (0.7m), 1 = far plane (12m)
-      float linearDepth = (-viewZ - cameraNear) / (cameraFar - cameraNear);
-      return clamp(linearDepth, 0.0, 1.0);
+      return -perspectiveDepthToViewZ(fragCoordZ, cameraNear, cameraFar);
+    }
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233)) + noiseSeed) * 43758.5453);
+    }
+
+    // Stereo measurement of a true depth: noisy disparity rounded to subpixel steps
+    float measureDepth(float depth) {
+      float u1 = max(hash(vUv), 1e-6);
+      float u2 = hash(vUv + 0.37);
+      float gaussian = sqrt(-2.0 * log(u1)) * cos(6.2831853 * u2); // Box-Muller
+
+      float disparity = focalBaseline / depth + gaussian * disparityNoise;
+      disparity = floor(disparity * subpixelSteps + 0.5) / subpixelSteps;
+      return disparity > 0.0 ? focalBaseline / disparity : -1.0;
     }
 
     // Oak-D style colormap: warm (near) to cool (far)
@@ -755,8 +962,32 @@ const depthVisualizationShader = {
     }
 
     void main() {
-      float depth = readDepth(tDepth, vUv);
-      vec3 color = depthToColor(depth);
+      float depth = readViewDepth(tDepth, vUv);
+
+      if (!modelEnabled) {
+        // 0 = minimum range (0.7m), 1 = maximum range (12m) - nothing rendered counts as far
+        float linearDepth = depth < 0.0 ? 1.0 : (depth - minRange) / (maxRange - minRange);
+        gl_FragColor = vec4(depthToColor(linearDepth), 1.0);
+        return;
+      }
+
+      // Too close (beyond the disparity search range), too far or nothing there: no depth
+      if (depth < minRange || depth > maxRange) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+      }
+
+      float relativeError = depth / focalBaseline * disparityError;
+      float measured = measureDepth(depth);
+      if (measured < 0.0) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+      }
+
+      vec3 color = depthToColor((measured - minRange) / (maxRange - minRange));
+      if (relativeError > maxRelativeError) {
+        color *= 0.45; // Low confidence
+      }
       gl_FragColor = vec4(color, 1.0);
     }
   `
@@ -810,7 +1041,16 @@ function createCameraPreviewItem(cam) {
     uniforms: {
       tDepth: { value: depthRenderTarget.depthTexture },
       cameraNear: { value: cam.minRange_m },
-      cameraFar: { value: cam.maxRange_m }
+      cameraFar: { value: cam.maxRange_m },
+      minRange: { value: cam.minRange_m },
+      maxRange: { value: cam.maxRange_m },
+      modelEnabled: { value: false },
+      focalBaseline: { value: 1 },
+      subpixelSteps: { value: 8 },
+      disparityNoise: { value: 0 },
+      disparityError: { value: 0 },
+      maxRelativeError: { value: 1 },
+      noiseSeed: { value: 0 }
     }
   });
 
@@ -830,6 +1070,7 @@ function createCameraPreviewItem(cam) {
   item.previewCanvas = canvas;
   item.camera = cam;
   item.depthRenderTarget = depthRenderTarget;
+  item.depthVisualizationMaterial = depthVisualizationMaterial;
   item.depthScene = depthScene;
   item.depthQuadCamera = depthQuadCamera;
 
@@ -950,19 +1191,59 @@ let documentName = 'Untitled';
 
 function serializeDocument() {
   return {
-    version: 1,
+    version: DOCUMENT_VERSION,
     name: documentName,
     timestamp: Date.now(),
+    hallway: serializeGeometry(hallway),
     cameras: cameraManager.cameras.map(cam => ({
       id: cam.id,
       name: cam.name,
       pos: { x: cam.pos.x, y: cam.pos.y, z: cam.pos.z },
       yaw: cam.yaw,
       pitch: cam.pitch,
-      roll: cam.roll
+      roll: cam.roll,
+      model: cam.model
     })),
+    cameraModels: getCustomCameraModels(),
+    triggerLayout: cloneLayout(triggerLayout),
+    floorPlan: floorPlan ? normalizeFloorPlan(floorPlan) : undefined,
     settings: {
-      cameraModel: getGlobalCameraModel()
+      cameraModel: getDefaultCameraModel()
+    },
+    music: {
+      clock: {
+        bpm: clockSettings.bpm,
+        autoBPMChange: clockSettings.autoBPMChange,
+        quantization: clockSettings.quantization
+      },
+      key: {
+        key: keyManager ? keyManager.currentKey : undefined,
+        autoChange: keySettings.autoChange,
+        changeInterval: keySettings.changeInterval
+      },
+      chord: {
+        progression: chordManager ? chordManager.currentProgressionName : undefined,
+        autoChange: chordSettings.autoChange,
+        changeInterval: chordSettings.changeInterval
+      }
+    },
+    midi: {
+      output: getMIDIOutputName(),
+      routes: normalizeRoutes(midiRoutes)
+    },
+    osc: oscOutput.getAddressMap(),
+    people: {
+      count: peopleSettings.count,
+      lateralMovement: peopleSettings.lateralMovement,
+      crowd: JSON.parse(JSON.stringify(crowdSettings)),
+      schedule: {
+        enabled: trafficSchedule.enabled,
+        running: trafficSchedule.running,
+        dayMinutes: trafficSchedule.dayMinutes,
+        trafficScale: trafficSchedule.trafficScale,
+        maxPeople: trafficSchedule.maxPeople,
+        startHour: trafficSchedule.startHour
+      }
     }
   };
 }
@@ -1009,12 +1290,31 @@ function loadOrbitControlsFromCookie() {
   return false;
 }
 
-function deserializeDocument(data) {
-  if (!data || data.version !== 1) {
-    console.error('Invalid or unsupported document version');
+function deserializeDocument(input) {
+  // Upgrade older documents, then check every field before touching the scene
+  let data;
+  try {
+    data = migrateDocument(input);
+  } catch (e) {
+    console.error(`[Document] ${e.message}`);
+    showToast('Document Error', e.message, 'document-error');
+    return false;
+  }
+
+  const errors = validateDocument(data, {
+    keyNames: keyManager ? keyManager.getAllKeys().map(k => k.value) : [],
+    progressionNames: chordManager ? chordManager.getProgressionNames() : []
+  });
+  if (errors.length > 0) {
+    errors.forEach(({ field, message }) => console.error(`[Document] ${field}: ${message}`));
+    errors.slice(0, 3).forEach(({ field, message }) => showToast('Document Error', `${field}: ${message}`, 'document-error'));
     return false;
   }
 
+  // Hallway first - cameras, triggers and people are placed in it
+  applyHallwayGeometry(data.hallway);
+  setFloorPlan(data.floorPlan ? normalizeFloorPlan(data.floorPlan) : null);
+
   // Clear existing cameras (with GUI and preview cleanup)
   while (cameraManager.cameras.length > 0) {
     const cam = cameraManager.cameras[0];
@@ -1028,20 +1328,22 @@ function deserializeDocument(data) {
   // Deselect any active camera
   deselectAllCameras();
 
-  // Restore global camera model first
-  if (data.settings.cameraModel) {
-    setGlobalCameraModel(data.settings.cameraModel);
-    cameraModelSettings.model = data.settings.cameraModel;
+  // Restore the document's camera model library and default model first
+  setCustomCameraModels(data.cameraModels);
+  if (data.settings && data.settings.cameraModel) {
+    setDefaultCameraModel(data.settings.cameraModel);
   }
+  rebuildCameraModelGUI();
 
-  // Restore cameras
+  // Restore cameras (older documents have one model for all cameras - the default)
   data.cameras.forEach(camData => {
     const cam = cameraManager.addCamera({
       name: camData.name,
       pos_m: [camData.pos.x, camData.pos.y, camData.pos.z],
       yawDeg: camData.yaw,
       pitchDeg: camData.pitch,
-      rollDeg: camData.roll
+      rollDeg: camData.roll,
+      model: camData.model || getDefaultCameraModel()
     });
 
     // Set frustum visibility from user preference (not from document)
@@ -1056,8 +1358,25 @@ function deserializeDocument(data) {
     createCameraPreviewItem(cam);
   });
 
-  // Note: Orbit controls, peopleCount, and isPerspective are now saved in cookies (user preferences), not in documents
-  // Old documents that have these settings will ignore them
+  // Restore trigger layout (documents without one use the default strips)
+  let layout = createDefaultLayout(hallway);
+  if (data.triggerLayout) {
+    try {
+      layout = normalizeLayout(data.triggerLayout);
+    } catch (e) {
+      console.error(`[Document] Invalid trigger layout (${e.message}) - using the default layout`);
+    }
+  }
+  applyTriggerLayout(layout);
+  rebuildTriggerLayoutGUI();
+
+  // Music, MIDI and people settings (documents without them keep the current settings)
+  if (data.music) applyMusicSettings(data.music);
+  if (data.midi) applyMIDISettings(data.midi);
+  if (data.osc) applyOSCSettings(data.osc);
+  if (data.people) applyPeopleSettings(data.people);
+
+  // Note: Orbit controls and isPerspective are saved in cookies (user preferences), not in documents
 
   documentName = data.name || 'Untitled';
   documentDirty = false;
@@ -1071,6 +1390,93 @@ function deserializeDocument(data) {
   return true;
 }
 
+function applyMusicSettings({ clock, key, chord }) {
+  if (clock) {
+    Object.assign(clockSettings, pickDefined(clock, ['bpm', 'autoBPMChange', 'quantization']));
+    if (clockManager) {
+      clockManager.setAutoBPMEnabled(clockSettings.autoBPMChange);
+      clockManager.setQuantization(clockSettings.quantization);
+      if (!clockSettings.autoBPMChange) clockManager.setBPM(clockSettings.bpm);
+      midiFileRecorder.setTempo(clockManager.bpm);
+    }
+    bpmController.name(clockSettings.autoBPMChange ? 'BPM (auto-changing)' : 'BPM');
+  }
+
+  if (key) {
+    Object.assign(keySettings, pickDefined(key, ['autoChange', 'changeInterval']));
+    if (keyManager) {
+      keyManager.setAutoChangeEnabled(keySettings.autoChange);
+      keyManager.setAutoChangeInterval(keySettings.changeInterval);
+      if (key.key) keyManager.setKey(key.key);
+      if (triggerZones) triggerZones.updateMIDINotes();
+      updateKeyDisplay();
+    }
+  }
+
+  if (chord) {
+    Object.assign(chordSettings, pickDefined(chord, ['autoChange', 'changeInterval']));
+    if (chordManager) {
+      chordManager.setAutoChangeEnabled(chordSettings.autoChange);
+      chordManager.setAutoChangeInterval(chordSettings.changeInterval);
+      if (chord.progression) chordManager.setProgression(chord.progression);
+      if (triggerZones) triggerZones.updateChordPatterns();
+      updateChordDisplay();
+    }
+  }
+
+  onHarmonyChange();
+}
+
+function applyMIDISettings({ output, routes }) {
+  pendingMIDIOutputName = output || null;
+  if (output) selectMIDIOutputByName(output);
+
+  if (routes) {
+    setMIDIRoutes(routes);
+    rebuildRoutingGUI();
+  }
+}
+
+function applyOSCSettings({ namespace, addresses }) {
+  setOSCAddressMap(namespace !== undefined ? namespace : oscSettings.namespace, { ...oscAddressSettings, ...addresses });
+}
+
+function applyPeopleSettings({ count, lateralMovement, crowd, schedule }) {
+  if (count !== undefined) {
+    peopleSettings.count = count;
+    peopleManager.setCount(count);
+  }
+  if (lateralMovement !== undefined) {
+    peopleSettings.lateralMovement = lateralMovement;
+    peopleManager.setLateralMovement(lateralMovement);
+  }
+
+  if (crowd) {
+    // GUI controllers are bound to the behavior objects - update them in place
+    const merged = mergeCrowdSettings(crowd);
+    for (const behavior of Object.keys(crowdSettings)) {
+      Object.assign(crowdSettings[behavior], merged[behavior]);
+    }
+    peopleManager.setCrowdSettings(crowdSettings);
+  }
+
+  if (schedule) {
+    Object.assign(trafficSchedule, pickDefined(schedule, ['enabled', 'running', 'dayMinutes', 'trafficScale', 'maxPeople']));
+    if (schedule.startHour !== undefined) trafficSchedule.setTime(schedule.startHour);
+    scheduleControls.jumpTo = trafficSchedule.hour;
+    scheduleTimelineElement.style.display = trafficSchedule.enabled ? 'block' : 'none';
+  }
+}
+
+// Copy only the keys a document actually sets
+function pickDefined(source, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (source[key] !== undefined) picked[key] = source[key];
+  });
+  return picked;
+}
+
 // Preset documents loaded from JSON file
 let presetDocuments = [];
 
@@ -1099,7 +1505,7 @@ async function loadPresetDocuments() {
 
     // Process each preset to evaluate expressions
     presetDocuments = presetsRaw.map(preset => ({
-      name: preset.name,
+      ...preset,
       cameras: preset.cameras.map(cam => ({
         id: cam.id,
         name: cam.name,
@@ -1110,9 +1516,9 @@ async function loadPresetDocuments() {
         },
         yaw: cam.yaw,
         pitch: cam.pitch,
-        roll: cam.roll
-      })),
-      settings: preset.settings
+        roll: cam.roll,
+        model: cam.model
+      }))
     }));
 
     console.log('Loaded preset documents:', presetDocuments.length);
@@ -1130,12 +1536,11 @@ function getPresetDocument(name) {
   const presets = getPresetDocuments();
   const preset = presets.find(p => p.name === name);
   if (preset) {
+    // Presets without a version predate versioning (version 1) - deserializeDocument() migrates them
     return {
-      version: 1,
-      name: preset.name,
-      timestamp: Date.now(),
-      cameras: preset.cameras,
-      settings: preset.settings
+      ...preset,
+      version: preset.version || 1,
+      timestamp: Date.now()
     };
   }
   return null;
@@ -1180,7 +1585,10 @@ function exportCurrentAsPresetJSON() {
   }
 
   const preset = {
+    version: DOCUMENT_VERSION,
     name: documentName,
+    // The plain box only needs its dimensions
+    hallway: isRectangularGeometry(hallway) ? { length_m, width_m, height_m } : serializeGeometry(hallway),
     cameras: cameraManager.cameras.map(cam => ({
       id: cam.id,
       name: cam.name,
@@ -1191,13 +1599,25 @@ function exportCurrentAsPresetJSON() {
       },
       yaw: cam.yaw,
       pitch: cam.pitch,
-      roll: cam.roll
+      roll: cam.roll,
+      model: cam.model
     })),
     settings: {
-      cameraModel: getGlobalCameraModel()
+      cameraModel: getDefaultCameraModel()
     }
   };
 
+  // Only presets with their own models carry a library
+  const cameraModels = getCustomCameraModels();
+  if (Object.keys(cameraModels).length > 0) {
+    preset.cameraModels = cameraModels;
+  }
+
+  // Presets without a layout use the default strips
+  if (JSON.stringify(triggerLayout) !== JSON.stringify(createDefaultLayout(hallway))) {
+    preset.triggerLayout = cloneLayout(triggerLayout);
+  }
+
   const json = JSON.stringify(preset, null, 2);
 
   // Copy to clipboard
@@ -1460,8 +1880,8 @@ function refreshDocumentDropdown() {
     toggleCameraMode();
   }
 
-  // Apply initial people count from cookie
-  peopleManager.setCount(initialPeopleCount);
+  // Apply people count (from the cookie, or the document if it has one)
+  peopleManager.setCount(peopleSettings.count);
 
   // Setup auto-save for orbit controls
   setupOrbitControlsSaving();
@@ -1651,6 +2071,232 @@ if (featureSettings.webSocketEnabled) {
   startWebSocketBroadcast();
 }
 
+// Hallway Geometry - room shape and obstacles (saved with the document, edited as JSON)
+const hallwayGeometryFolder = gui.addFolder('Hallway Geometry');
+
+const hallwayGeometryInfo = {
+  size: '',
+  footprint: '',
+  obstacles: ''
+};
+
+const hallwayGeometryControllers = [
+  hallwayGeometryFolder.add(hallwayGeometryInfo, 'size').name('L × W × H (m)').disable(),
+  hallwayGeometryFolder.add(hallwayGeometryInfo, 'footprint').name('Footprint').disable(),
+  hallwayGeometryFolder.add(hallwayGeometryInfo, 'obstacles').name('Obstacles').disable()
+];
+
+function updateHallwayGeometryInfo() {
+  hallwayGeometryInfo.size = `${hallway.length_m.toFixed(2)} × ${hallway.width_m.toFixed(2)} × ${hallway.height_m.toFixed(2)}`;
+  hallwayGeometryInfo.footprint = isRectangularGeometry(hallway)
+    ? 'Rectangle'
+    : `${hallway.footprint.length} sides, ${hallway.openings.length} open`;
+  hallwayGeometryInfo.obstacles = `${hallway.obstacles.length}`;
+  hallwayGeometryControllers.forEach(c => c.updateDisplay());
+}
+
+hallwayGeometryFolder.add({
+  copy: () => {
+    const json = JSON.stringify(serializeGeometry(hallway), null, 2);
+    navigator.clipboard.writeText(json).then(() => {
+      console.log('[Hallway] Geometry JSON copied to clipboard');
+    }).catch(err => {
+      console.error('Failed to copy to clipboard:', err);
+      console.log(json);
+      alert('Could not copy to clipboard. Check the console for the JSON.');
+    });
+  }
+}, 'copy').name('📋 Copy Geometry JSON');
+
+hallwayGeometryFolder.add({
+  paste: () => {
+    const json = prompt('Paste hallway geometry JSON:');
+    if (!json) return;
+    let geometry;
+    try {
+      geometry = JSON.parse(json);
+    } catch (e) {
+      alert(`Invalid hallway geometry: ${e.message}`);
+      return;
+    }
+    const errors = validateGeometry(geometry);
+    if (errors.length > 0) {
+      alert(`Invalid hallway geometry:\n${errors.map(({ field, message }) => `${field || 'hallway'}: ${message}`).join('\n')}`);
+      return;
+    }
+    applyHallwayGeometry(geometry);
+    markDocumentDirty();
+  }
+}, 'paste').name('📥 Paste Geometry JSON');
+
+hallwayGeometryFolder.add({
+  reset: () => {
+    if (!confirm('Replace the hallway with a plain rectangle of the same size?')) return;
+    applyHallwayGeometry(createRectangularGeometry(hallway.length_m, hallway.width_m, hallway.height_m));
+    markDocumentDirty();
+  }
+}, 'reset').name('↺ Reset to Rectangle');
+
+// Floor Plan - load a PNG/SVG or DXF, calibrate its scale, fit the hallway to it
+const floorPlanFolder = hallwayGeometryFolder.addFolder('Floor Plan');
+let floorPlanPickAction = null; // 'calibrate' or 'fit' while picking points on the plan
+
+function setFloorPlan(plan) {
+  floorPlan = plan;
+  floorPlanPickAction = null;
+  floorPlanUnderlay.setPlan(plan);
+  rebuildFloorPlanGUI();
+}
+
+// Downscale big raster plans so documents stay small enough for localStorage (SVGs are kept as they are)
+function loadFloorPlanImage(file, dataURL) {
+  const image = new Image();
+  image.onload = () => {
+    let width = image.naturalWidth;
+    let height = image.naturalHeight;
+    if (!width || !height) {
+      alert(`"${file.name}" has no size - SVG plans need width and height attributes.`);
+      return;
+    }
+
+    let url = dataURL;
+    const largest = Math.max(width, height);
+    if (file.type !== 'image/svg+xml' && largest > MAX_IMAGE_SIZE) {
+      width = Math.round(width * MAX_IMAGE_SIZE / largest);
+      height = Math.round(height * MAX_IMAGE_SIZE / largest);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+      url = canvas.toDataURL('image/png');
+      console.log(`[Floor Plan] Scaled "${file.name}" down to ${width} × ${height} pixels`);
+    }
+
+    setFloorPlan(createImagePlan(file.name, url, width, height));
+    markDocumentDirty();
+    showToast('Floor Plan', 'Loaded - calibrate the scale by picking two points', 'floor-plan');
+  };
+  image.onerror = () => alert(`Could not read "${file.name}" as an image.`);
+  image.src = dataURL;
+}
+
+function loadFloorPlanFile() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/png,image/jpeg,image/svg+xml,.dxf';
+  input.onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    if (file.name.toLowerCase().endsWith('.dxf')) {
+      reader.onload = (ev) => {
+        let dxf;
+        try {
+          dxf = parseDXF(ev.target.result);
+        } catch (err) {
+          alert(`Could not read "${file.name}": ${err.message}`);
+          return;
+        }
+        setFloorPlan(createDXFPlan(file.name, dxf));
+        markDocumentDirty();
+        console.log(`[Floor Plan] "${file.name}": ${dxf.segments.length} lines, ${dxf.unitScale ? `${dxf.unitScale} m per unit` : 'no units'}`);
+        showToast('Floor Plan', dxf.unitScale ? `${dxf.segments.length} wall lines loaded` : 'No units in the DXF - calibrate the scale', 'floor-plan');
+      };
+      reader.readAsText(file);
+    } else {
+      reader.onload = (ev) => loadFloorPlanImage(file, ev.target.result);
+      reader.readAsDataURL(file);
+    }
+  };
+  input.click();
+}
+
+function startFloorPlanPicking(action) {
+  floorPlanPickAction = action;
+  deselectAllCameras();
+  floorPlanUnderlay.startPicking(2);
+  showToast('Floor Plan', action === 'calibrate'
+    ? 'Click two points on the plan a known distance apart'
+    : 'Click two opposite corners of the hallway on the plan', 'floor-plan');
+}
+
+// Resize the hallway to a rectangle on the plan (the plan moves to line up with it)
+function fitHallwayToFloorPlan(a, b) {
+  if (!isRectangularGeometry(hallway) && !confirm('Replace the hallway footprint and obstacles with a rectangle?')) return;
+  const size = fitPlanToCorners(floorPlan, a, b);
+  if (!size) {
+    alert('The hallway must be at least 0.5 m long and wide.');
+    return;
+  }
+  applyHallwayGeometry(createRectangularGeometry(size.length_m, size.width_m, hallway.height_m));
+  markDocumentDirty();
+  rebuildFloorPlanGUI();
+}
+
+floorPlanUnderlay.addEventListener('picked', ({ points: [a, b] }) => {
+  const action = floorPlanPickAction;
+  floorPlanPickAction = null;
+
+  if (action === 'calibrate') {
+    const answer = prompt('Distance between the two points (m):');
+    if (answer === null) return;
+    const problem = calibratePlan(floorPlan, a, b, parseFloat(answer));
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    console.log(`[Floor Plan] Calibrated: ${floorPlan.scale.toPrecision(4)} m per ${floorPlan.type === 'image' ? 'pixel' : 'unit'}`);
+    floorPlanUnderlay.update();
+    markDocumentDirty();
+    rebuildFloorPlanGUI();
+  } else if (action === 'fit') {
+    fitHallwayToFloorPlan(a, b);
+  }
+});
+
+function rebuildFloorPlanGUI() {
+  [...floorPlanFolder.children].forEach(child => child.destroy());
+
+  floorPlanFolder.add({ load: loadFloorPlanFile }, 'load').name('📂 Load Plan (PNG, SVG, DXF)');
+  if (!floorPlan) return;
+
+  const changed = () => {
+    floorPlanUnderlay.update();
+    markDocumentDirty();
+  };
+  const scaleInfo = {
+    scale: `${(floorPlan.scale * 100).toPrecision(4)} cm per ${floorPlan.type === 'image' ? 'pixel' : 'unit'}`
+  };
+
+  floorPlanFolder.add(floorPlan, 'visible').name('Show Plan').onChange(changed);
+  floorPlanFolder.add(floorPlan, 'opacity', 0.05, 1, 0.05).name('Opacity').onChange(changed);
+  floorPlanFolder.add(floorPlan, 'x', -100, 100, 0.01).name('X Offset (m)').onChange(changed);
+  floorPlanFolder.add(floorPlan, 'z', -100, 100, 0.01).name('Z Offset (m)').onChange(changed);
+  floorPlanFolder.add(floorPlan, 'rotation', -180, 180, 0.5).name('Rotation (°)').onChange(changed);
+  floorPlanFolder.add(scaleInfo, 'scale').name('Scale').disable();
+
+  floorPlanFolder.add({ calibrate: () => startFloorPlanPicking('calibrate') }, 'calibrate').name('📏 Calibrate (Pick 2 Points)');
+  floorPlanFolder.add({ fit: () => startFloorPlanPicking('fit') }, 'fit').name('⬚ Fit Hallway (Pick 2 Corners)');
+  floorPlanFolder.add({
+    fitAll: () => {
+      const { minX, maxX, minZ, maxZ } = getPlanBounds(floorPlan);
+      fitHallwayToFloorPlan({ x: minX, z: minZ }, { x: maxX, z: maxZ });
+    }
+  }, 'fitAll').name('⬚ Fit Hallway to Whole Plan');
+  floorPlanFolder.add({
+    remove: () => {
+      if (!confirm(`Remove the floor plan "${floorPlan.name}"?`)) return;
+      setFloorPlan(null);
+      markDocumentDirty();
+    }
+  }, 'remove').name('🗑️ Remove Plan');
+}
+
+rebuildFloorPlanGUI();
+updateHallwayGeometryInfo();
+hallwayGeometryFolder.close();
+
 // People Simulation Panel
 const peopleFolder = gui.addFolder('People Simulation');
 
@@ -1671,56 +2317,601 @@ const peopleSettings = {
   lateralMovement: initialLateralMovement
 };
 
-peopleFolder.add(peopleSettings, 'count', 0, 12, 1).name('Count').onChange((value) => {
+const peopleCountController = peopleFolder.add(peopleSettings, 'count', 0, 12, 1).name('Count').onChange((value) => {
   peopleManager.setCount(value);
-  // Save to cookie (user preference, not document state)
+  // Saved with the document - the cookie is the starting value for new sessions
   setCookie('peopleCount', value);
   console.log(`[Settings] Saved to cookie: peopleCount = ${value}`);
+  markDocumentDirty();
 });
 
 peopleFolder.add(peopleSettings, 'lateralMovement').name('Sideways Motion').onChange((value) => {
   peopleManager.setLateralMovement(value);
   setCookie('lateralMovement', value);
   console.log(`[Settings] Saved to cookie: lateralMovement = ${value}`);
+  markDocumentDirty();
 });
 
-peopleFolder.open();
-
-// MIDI System Panel
-const midiFolder = gui.addFolder('MIDI Output');
+// Crowd Behavior - how people react to each other (saved with the document, last used in a cookie)
+let crowdSettings = mergeCrowdSettings(null);
+const savedCrowdBehavior = getCookie('crowdBehavior');
+if (savedCrowdBehavior) {
+  try {
+    crowdSettings = mergeCrowdSettings(JSON.parse(savedCrowdBehavior));
+    console.log('[Settings] Loaded crowd behavior from cookie');
+  } catch (e) {
+    console.error('[Settings] Failed to load crowd behavior from cookie:', e);
+  }
+}
+peopleManager.setCrowdSettings(crowdSettings);
 
-// Initialize MIDI manager with the state from Features panel (if it exists)
-if (midiManager) {
-  midiManager.setEnabled(initialMidiEnabled);
-  console.log(`[Settings] midiEnabled initialized to: ${initialMidiEnabled}`);
+function saveCrowdSettings() {
+  peopleManager.setCrowdSettings(crowdSettings);
+  setCookie('crowdBehavior', JSON.stringify(crowdSettings));
+  markDocumentDirty();
 }
 
-const midiSettings = {
-  status: 'Disconnected',
-  output: 'None',
-  testNote: () => {
-    if (midiManager) {
-      midiManager.sendTestNote();
+const crowdFolder = peopleFolder.addFolder('Crowd Behavior');
+
+const socialForceFolder = crowdFolder.addFolder('Collision Avoidance');
+socialForceFolder.add(crowdSettings.socialForce, 'enabled').name('Enabled').onChange(saveCrowdSettings);
+socialForceFolder.add(crowdSettings.socialForce, 'personalSpace', 0, 1.5, 0.05).name('Personal Space (m)').onChange(saveCrowdSettings);
+socialForceFolder.add(crowdSettings.socialForce, 'strength', 0.1, 3, 0.1).name('Strength').onChange(saveCrowdSettings);
+socialForceFolder.add(crowdSettings.socialForce, 'range', 0.1, 1, 0.05).name('Range (m)').onChange(saveCrowdSettings);
+socialForceFolder.close();
+
+const groupsFolder = crowdFolder.addFolder('Groups');
+groupsFolder.add(crowdSettings.groups, 'enabled').name('Enabled').onChange(saveCrowdSettings);
+groupsFolder.add(crowdSettings.groups, 'chance', 0, 1, 0.05).name('Group Chance').onChange(saveCrowdSettings);
+groupsFolder.add(crowdSettings.groups, 'maxSize', 2, 6, 1).name('Max Size').onChange(saveCrowdSettings);
+groupsFolder.add(crowdSettings.groups, 'spacing', 0.3, 1.5, 0.05).name('Spacing (m)').onChange(saveCrowdSettings);
+groupsFolder.close();
+
+const poiFolder = crowdFolder.addFolder('Points of Interest');
+poiFolder.add(crowdSettings.pointsOfInterest, 'enabled').name('Enabled').onChange(saveCrowdSettings);
+poiFolder.add(crowdSettings.pointsOfInterest, 'count', 1, 8, 1).name('Points').onChange(saveCrowdSettings);
+poiFolder.add(crowdSettings.pointsOfInterest, 'stopChance', 0, 1, 0.05).name('Stop Chance').onChange(saveCrowdSettings);
+poiFolder.add(crowdSettings.pointsOfInterest, 'minDwell', 0, 30, 0.5).name('Min Stop (s)').onChange(saveCrowdSettings);
+poiFolder.add(crowdSettings.pointsOfInterest, 'maxDwell', 0, 60, 0.5).name('Max Stop (s)').onChange(saveCrowdSettings);
+poiFolder.close();
+
+const lanesFolder = crowdFolder.addFolder('Counter-Flow Lanes');
+lanesFolder.add(crowdSettings.lanes, 'enabled').name('Enabled').onChange(saveCrowdSettings);
+lanesFolder.add(crowdSettings.lanes, 'offset', 0, 0.4, 0.01).name('Lane Offset (× width)').onChange(saveCrowdSettings);
+lanesFolder.add(crowdSettings.lanes, 'strength', 0.1, 3, 0.1).name('Strength').onChange(saveCrowdSettings);
+lanesFolder.close();
+
+const rushHourFolder = crowdFolder.addFolder('Rush Hour');
+rushHourFolder.add(crowdSettings.rushHour, 'enabled').name('Enabled').onChange(saveCrowdSettings);
+rushHourFolder.add(crowdSettings.rushHour, 'period', 10, 600, 5).name('Every (s)').onChange(saveCrowdSettings);
+rushHourFolder.add(crowdSettings.rushHour, 'duration', 1, 300, 1).name('Lasts (s)').onChange(saveCrowdSettings);
+rushHourFolder.add(crowdSettings.rushHour, 'multiplier', 1, 6, 0.5).name('Crowd ×').onChange(saveCrowdSettings);
+
+const rushHourStatus = { status: 'Off' };
+const rushHourStatusController = rushHourFolder.add(rushHourStatus, 'status').name('Now').disable();
+rushHourFolder.close();
+
+setInterval(() => {
+  let status = 'Off';
+  if (crowdSettings.rushHour.enabled) {
+    status = peopleManager.crowd.isRushHour() ? '🚶🚶🚶 Rush hour' : 'Normal';
+  }
+  if (rushHourStatus.status !== status) {
+    rushHourStatus.status = status;
+    rushHourStatusController.updateDisplay();
+  }
+}, 500);
+
+crowdFolder.close();
+
+// Traffic Schedule - arrivals, direction and pace follow a simulated day (saved with the document, last used in a cookie)
+const trafficSchedule = new TrafficSchedule();
+const savedTrafficSchedule = getCookie('trafficSchedule');
+if (savedTrafficSchedule) {
+  try {
+    const saved = JSON.parse(savedTrafficSchedule);
+    for (const key of ['enabled', 'running', 'dayMinutes', 'trafficScale', 'maxPeople']) {
+      if (typeof saved[key] === typeof trafficSchedule[key]) trafficSchedule[key] = saved[key];
     }
+    if (typeof saved.startHour === 'number') trafficSchedule.setTime(saved.startHour);
+    console.log('[Settings] Loaded traffic schedule from cookie');
+  } catch (e) {
+    console.error('[Settings] Failed to load traffic schedule from cookie:', e);
   }
-};
+}
+peopleManager.setSchedule(trafficSchedule);
 
-// Status display (read-only)
-const midiStatusController = midiFolder.add(midiSettings, 'status').name('Status').disable();
+const scheduleTimelineElement = document.getElementById('schedule-timeline');
+const scheduleTimeLabel = document.getElementById('schedule-time');
+const scheduleTimeline = new ScheduleTimeline(document.getElementById('schedule-canvas'), trafficSchedule);
 
-// Output selector dropdown
-let midiOutputController = midiFolder.add(midiSettings, 'output', ['None']).name('MIDI Output');
+function saveTrafficSchedule() {
+  const { enabled, running, dayMinutes, trafficScale, maxPeople, startHour } = trafficSchedule;
+  setCookie('trafficSchedule', JSON.stringify({ enabled, running, dayMinutes, trafficScale, maxPeople, startHour }));
+  markDocumentDirty();
+}
 
-// Update output dropdown when MIDI is initialized
-function updateMIDIOutputDropdown() {
-  // Skip if MIDI manager doesn't exist
-  if (!midiManager) {
-    console.log('[MIDI] Cannot update dropdown - MIDI manager not initialized');
-    return;
-  }
+function jumpToScheduleTime(hour) {
+  trafficSchedule.setTime(hour);
+  scheduleControls.jumpTo = trafficSchedule.hour;
+  jumpToController.updateDisplay();
+  saveTrafficSchedule();
+}
 
-  const outputs = midiManager.getOutputNames();
-  const choices = { 'None': 'None' };
+const scheduleControls = { jumpTo: trafficSchedule.hour };
+const scheduleStatus = { time: '', arrivals: '', nearEnd: '', pace: '' };
+
+const scheduleFolder = peopleFolder.addFolder('Traffic Schedule');
+scheduleFolder.add(trafficSchedule, 'enabled').name('Enabled').onChange((value) => {
+  scheduleTimelineElement.style.display = value ? 'block' : 'none';
+  saveTrafficSchedule();
+  // People already walking finish their trip - arrivals switch over from here on
+  console.log(`[Schedule] ${value ? 'Enabled' : 'Disabled'} traffic schedule`);
+});
+scheduleFolder.add(trafficSchedule, 'running').name('Clock Running').onChange(saveTrafficSchedule);
+scheduleFolder.add(trafficSchedule, 'dayMinutes', 1, 60, 1).name('Day Length (min)').onChange(saveTrafficSchedule);
+scheduleFolder.add(trafficSchedule, 'trafficScale', 0.1, 3, 0.1).name('Traffic ×').onChange(saveTrafficSchedule);
+scheduleFolder.add(trafficSchedule, 'maxPeople', 1, 60, 1).name('Max People').onChange(saveTrafficSchedule);
+const jumpToController = scheduleFolder.add(scheduleControls, 'jumpTo', 0, 23.99, 0.25).name('Jump To (h)').onChange(jumpToScheduleTime);
+
+const scheduleStatusControllers = [
+  scheduleFolder.add(scheduleStatus, 'time').name('Time').disable(),
+  scheduleFolder.add(scheduleStatus, 'arrivals').name('Arrivals/min').disable(),
+  scheduleFolder.add(scheduleStatus, 'nearEnd').name('From Near End').disable(),
+  scheduleFolder.add(scheduleStatus, 'pace').name('Pace').disable()
+];
+scheduleFolder.close();
+
+scheduleTimeline.onSeek = jumpToScheduleTime;
+scheduleTimelineElement.style.display = trafficSchedule.enabled ? 'block' : 'none';
+
+setInterval(() => {
+  if (!trafficSchedule.enabled) return;
+
+  const params = trafficSchedule.getParams();
+  scheduleStatus.time = formatScheduleTime(trafficSchedule.hour);
+  scheduleStatus.arrivals = params.arrivalsPerMinute.toFixed(1);
+  scheduleStatus.nearEnd = `${Math.round(params.nearEndBias * 100)}%`;
+  scheduleStatus.pace = `${params.speedScale.toFixed(2)}×`;
+  scheduleStatusControllers.forEach(controller => controller.updateDisplay());
+
+  scheduleTimeLabel.textContent = scheduleStatus.time;
+  scheduleTimeline.draw();
+}, 250);
+
+peopleFolder.open();
+
+// People Source Panel
+const sourceFolder = gui.addFolder('People Source');
+
+const trackingSource = new TrackingSource(hallway);
+
+const savedTrackingUrl = getCookie('trackingUrl');
+
+const sourceSettings = {
+  source: 'Simulation',
+  url: savedTrackingUrl !== null ? savedTrackingUrl : 'ws://localhost:8081',
+  loop: trackingSource.loop,
+  status: 'Simulation',
+  connect: () => useLiveTracking(),
+  loadLog: () => pickTrackingLog()
+};
+
+function isTrackingSource() {
+  return sourceSettings.source === 'Tracking';
+}
+
+// Switching sources starts from an empty hallway (releases triggers and notes)
+function clearPeopleForSourceChange() {
+  peopleManager.removeAllPeople(midiManager);
+  if (triggerZones) {
+    triggerZones.clearActivations();
+  }
+}
+
+function useSimulationSource() {
+  trackingSource.close();
+  clearPeopleForSourceChange();
+  sourceSettings.source = 'Simulation';
+  peopleManager.restart(midiManager);
+  sourceFolder.controllersRecursive().forEach(c => c.updateDisplay());
+  console.log('[Tracking] People source: simulation');
+}
+
+function useLiveTracking() {
+  clearPeopleForSourceChange();
+  sourceSettings.source = 'Tracking';
+  trackingSource.connect(sourceSettings.url);
+  sourceFolder.controllersRecursive().forEach(c => c.updateDisplay());
+  console.log(`[Tracking] People source: live tracking from ${sourceSettings.url}`);
+}
+
+function useTrackingLog(text, filename) {
+  try {
+    trackingSource.loadLog(text, filename);
+  } catch (err) {
+    alert(`Failed to load tracking log: ${err.message}`);
+    console.error(err);
+    return;
+  }
+
+  clearPeopleForSourceChange();
+  sourceSettings.source = 'Tracking';
+  sourceFolder.controllersRecursive().forEach(c => c.updateDisplay());
+}
+
+function pickTrackingLog() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,.ndjson,.csv,application/json,text/csv';
+  input.onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (ev) => useTrackingLog(ev.target.result, file.name);
+    reader.readAsText(file);
+  };
+  input.click();
+}
+
+// Dropping a JSON/CSV log anywhere on the page plays it as the people source
+window.addEventListener('dragover', (e) => {
+  e.preventDefault();
+});
+
+window.addEventListener('drop', (e) => {
+  e.preventDefault();
+  const file = e.dataTransfer.files[0];
+  if (!file || !/\.(json|ndjson|csv)$/i.test(file.name)) return;
+
+  const reader = new FileReader();
+  reader.onload = (ev) => useTrackingLog(ev.target.result, file.name);
+  reader.readAsText(file);
+});
+
+sourceFolder.add(sourceSettings, 'source', ['Simulation', 'Tracking']).name('Source').onChange((value) => {
+  if (value === 'Tracking') {
+    useLiveTracking();
+  } else {
+    useSimulationSource();
+  }
+});
+
+sourceFolder.add(sourceSettings, 'url').name('Tracker URL').onFinishChange((value) => {
+  setCookie('trackingUrl', value);
+  console.log(`[Settings] Saved to cookie: trackingUrl = ${value}`);
+});
+
+sourceFolder.add(sourceSettings, 'connect').name('🔌 Connect Live');
+sourceFolder.add(sourceSettings, 'loadLog').name('📂 Load Log (JSON/CSV)...');
+sourceFolder.add(sourceSettings, 'loop').name('Loop Log').onChange((value) => {
+  trackingSource.loop = value;
+});
+
+const sourceStatusController = sourceFolder.add(sourceSettings, 'status').name('Status').disable();
+
+setInterval(() => {
+  sourceSettings.status = isTrackingSource() ? trackingSource.getStatus() : 'Simulation';
+  sourceStatusController.updateDisplay();
+}, 250);
+
+sourceFolder.close();
+
+// Record & Replay Panel
+const recordFolder = gui.addFolder('Record & Replay');
+
+const SIM_TICK_SECONDS = 1 / 30; // Matches simulation-timer-worker.js
+
+const simulationRecorder = new SimulationRecorder(hallway);
+peopleManager.onEvent = (type, data) => {
+  simulationRecorder.recordEvent(type, data);
+  broadcastPersonEvent(type, data);
+
+  if ((type === 'triggerEnter' || type === 'triggerExit') && triggerZones) {
+    const trigger = triggerZones.triggers[data.triggerId];
+    if (trigger) oscOutput[type](trigger, data.personId);
+  }
+};
+
+let simulationPlayer = null; // Set while replaying a recording
+const replaySoundingNotes = new Map(); // "channel:note" -> { note, channel, source } started by replay
+
+const savedFixedTimestep = getCookie('fixedTimestep');
+const savedSimulationThread = getCookie('simulationThread');
+
+const replaySettings = {
+  seed: getRandomSeed(),
+  fixedTimestep: savedFixedTimestep !== null ? savedFixedTimestep === 'true' : true,
+  simulationThread: savedSimulationThread === 'Worker' ? 'Worker' : 'Main Thread',
+  status: 'Live',
+  position: 0,
+  speed: 1.0,
+  restart: () => restartSimulation(replaySettings.seed),
+  newSeed: () => {
+    replaySettings.seed = makeRandomSeed();
+    restartSimulation(replaySettings.seed);
+  },
+  toggleRecording: () => toggleRecording(),
+  load: () => loadRecordingFile(),
+  playPause: () => {
+    if (!simulationPlayer) return;
+    // Restart from the top if playback had reached the end
+    if (!simulationPlayer.playing && simulationPlayer.time >= simulationPlayer.duration) {
+      seekReplay(0);
+    }
+    simulationPlayer.playing = !simulationPlayer.playing;
+  },
+  exitReplay: () => exitReplay()
+};
+
+// Re-seed the RNG and spawn a fresh crowd - the same seed gives the same run (with fixed timestep)
+function restartSimulation(seed) {
+  setRandomSeed(seed);
+  resetPersonIds();
+
+  // Tracked people aren't simulated - only the RNG is re-seeded
+  if (!isTrackingSource()) {
+    peopleManager.restart(midiManager, seed);
+    if (triggerZones) {
+      triggerZones.clearActivations();
+    }
+  }
+  recordFolder.controllersRecursive().forEach(c => c.updateDisplay());
+  console.log(`[Recorder] Simulation restarted with seed ${seed}`);
+}
+
+function toggleRecording() {
+  if (simulationPlayer) {
+    alert('Exit replay before recording.');
+    return;
+  }
+
+  if (simulationRecorder.recording) {
+    const recording = simulationRecorder.stop();
+    const json = JSON.stringify(recording);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `recording-seed${recording.seed}-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    recordController.name('⏺ Start Recording');
+  } else {
+    // Recordings always start from a seed restart so the file's seed reproduces the run
+    restartSimulation(replaySettings.seed);
+    simulationRecorder.start(replaySettings.seed);
+    recordController.name('⏹ Stop & Save Recording');
+  }
+}
+
+function loadRecordingFile() {
+  if (simulationRecorder.recording) {
+    alert('Stop recording before loading a replay.');
+    return;
+  }
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'application/json';
+  input.onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        startReplay(new SimulationPlayer(JSON.parse(ev.target.result)));
+      } catch (err) {
+        alert(`Failed to load recording: ${err.message}`);
+        console.error(err);
+      }
+    };
+    reader.readAsText(file);
+  };
+  input.click();
+}
+
+function startReplay(player) {
+  const { length_m, width_m } = player.recording.hallway || {};
+  if (length_m !== hallway.length_m || width_m !== hallway.width_m) {
+    console.warn('[Player] Recording was made with different hallway dimensions');
+  }
+
+  // Live people make way for the recorded ones
+  peopleManager.removeAllPeople(midiManager);
+
+  simulationPlayer = player;
+  simulationPlayer.speed = replaySettings.speed;
+  replayPositionController.max(player.duration);
+  seekReplay(0);
+  simulationPlayer.playing = true;
+
+  console.log(`[Player] Replaying recording (seed ${player.recording.seed}, ${player.duration.toFixed(1)}s, ${player.events.length} events)`);
+}
+
+function silenceReplayNotes() {
+  if (midiManager) {
+    replaySoundingNotes.forEach(({ note, channel, source }) => midiManager.sendNoteOff(note, channel, undefined, source));
+  }
+  replaySoundingNotes.clear();
+}
+
+// Jump to a time: silence notes, then rebuild trigger state from where people are standing
+function seekReplay(time) {
+  if (!simulationPlayer) return;
+
+  simulationPlayer.seek(time);
+  silenceReplayNotes();
+
+  const frame = simulationPlayer.getFrame();
+  peopleManager.applyFrame(frame.people, cameraManager.cameras);
+
+  if (triggerZones) {
+    triggerZones.clearActivations();
+    frame.people.forEach(state => {
+      const trigger = triggerZones.getTriggerAtPosition(state.x, state.z);
+      if (trigger) triggerZones.activateTrigger(trigger.id, state.id);
+    });
+  }
+}
+
+function applyReplayEvent(event) {
+  switch (event.type) {
+    case 'triggerExit':
+      if (triggerZones) triggerZones.deactivateTrigger(event.triggerId, event.personId);
+      break;
+    case 'triggerActivate':
+      // Floor visuals fire on activation (quantized to the clock when recorded), not on enter
+      if (triggerZones && triggerZones.triggers[event.triggerId]) {
+        const trigger = triggerZones.triggers[event.triggerId];
+        triggerZones.activateTrigger(event.triggerId, event.personId);
+        trigger.lastVelocity = event.velocity;
+        trigger.lastXPosition = event.xPosition;
+        trigger.lastXDirection = event.xDirection;
+      }
+      break;
+    case 'noteOn':
+      if (midiManager) midiManager.sendNoteOn(event.note, event.velocity, event.channel, undefined, event.source);
+      replaySoundingNotes.set(`${event.channel}:${event.note}`, { note: event.note, channel: event.channel, source: event.source });
+      break;
+    case 'noteOff':
+      if (midiManager) midiManager.sendNoteOff(event.note, event.channel, undefined, event.source);
+      replaySoundingNotes.delete(`${event.channel}:${event.note}`);
+      break;
+  }
+}
+
+function updateReplay(deltaTime) {
+  const events = simulationPlayer.advance(deltaTime);
+  peopleManager.applyFrame(simulationPlayer.getFrame().people, cameraManager.cameras);
+  events.forEach(applyReplayEvent);
+}
+
+function exitReplay() {
+  if (!simulationPlayer) return;
+
+  silenceReplayNotes();
+  peopleManager.removeAllPeople(midiManager);
+  simulationPlayer = null;
+  restartSimulation(replaySettings.seed);
+  console.log('[Player] Replay ended - back to live simulation');
+}
+
+recordFolder.add(replaySettings, 'seed').name('Seed').onFinishChange((value) => {
+  replaySettings.seed = Math.floor(Math.abs(value)) >>> 0;
+});
+recordFolder.add(replaySettings, 'restart').name('↺ Restart With Seed');
+recordFolder.add(replaySettings, 'newSeed').name('🎲 New Seed');
+recordFolder.add(replaySettings, 'fixedTimestep').name('Fixed Timestep').onChange((value) => {
+  setCookie('fixedTimestep', value);
+  console.log(`[Settings] Saved to cookie: fixedTimestep = ${value}`);
+});
+
+// Simulation worker - people and trigger hits run ahead of time off the main thread, so render
+// hitches don't delay notes (simulation-worker.js; always a fixed timestep). Per machine, in a cookie.
+let simulationThread = null;
+
+function setSimulationThread(useWorker) {
+  if (useWorker === (simulationThread !== null)) return;
+
+  if (simulationThread) {
+    simulationThread.terminate();
+    simulationThread = null;
+  }
+  if (useWorker) {
+    simulationThread = new SimulationThread();
+    // Replay and tracking drive the people themselves
+    simulationThread.onFrames = (frames) => {
+      if (simulationPlayer || isTrackingSource()) return;
+      peopleManager.receiveFrames(frames, triggerZones, clockManager, midiManager);
+    };
+  }
+  peopleManager.setThread(simulationThread);
+
+  // Either way the crowd starts over from the seed
+  if (!simulationPlayer) restartSimulation(replaySettings.seed);
+  console.log(`[Worker Sim] People simulated on the ${useWorker ? 'simulation worker' : 'main thread'}`);
+}
+
+recordFolder.add(replaySettings, 'simulationThread', ['Main Thread', 'Worker']).name('Simulate On').onChange((value) => {
+  setSimulationThread(value === 'Worker');
+  setCookie('simulationThread', value);
+  console.log(`[Settings] Saved to cookie: simulationThread = ${value}`);
+});
+
+const recordController = recordFolder.add(replaySettings, 'toggleRecording').name('⏺ Start Recording');
+recordFolder.add(replaySettings, 'load').name('📂 Load Recording...');
+recordFolder.add(replaySettings, 'playPause').name('⏯ Play / Pause');
+
+const replayPositionController = recordFolder.add(replaySettings, 'position', 0, 1, 0.01).name('Position (s)').onChange((value) => {
+  seekReplay(value);
+});
+
+recordFolder.add(replaySettings, 'speed', 0.25, 4, 0.25).name('Speed').onChange((value) => {
+  if (simulationPlayer) simulationPlayer.speed = value;
+});
+recordFolder.add(replaySettings, 'exitReplay').name('⏏ Exit Replay');
+
+const statusController = recordFolder.add(replaySettings, 'status').name('Status').disable();
+
+// Refresh status and playhead
+setInterval(() => {
+  if (simulationPlayer) {
+    const state = simulationPlayer.playing ? 'Playing' : 'Paused';
+    replaySettings.status = `${state} ${simulationPlayer.time.toFixed(1)}s / ${simulationPlayer.duration.toFixed(1)}s`;
+    replaySettings.position = simulationPlayer.time;
+    replayPositionController.updateDisplay();
+  } else if (simulationRecorder.recording) {
+    replaySettings.status = `Recording ${simulationRecorder.time.toFixed(1)}s`;
+  } else {
+    replaySettings.status = 'Live';
+  }
+  statusController.updateDisplay();
+}, 250);
+
+if (replaySettings.simulationThread === 'Worker') {
+  setSimulationThread(true);
+}
+
+recordFolder.close();
+
+// MIDI System Panel
+const midiFolder = gui.addFolder('MIDI Output');
+
+// Initialize MIDI manager with the state from Features panel (if it exists)
+if (midiManager) {
+  midiManager.setEnabled(initialMidiEnabled);
+  console.log(`[Settings] midiEnabled initialized to: ${initialMidiEnabled}`);
+}
+
+const midiSettings = {
+  status: 'Disconnected',
+  output: 'None',
+  testNote: () => {
+    if (midiManager) {
+      midiManager.sendTestNote();
+    }
+  }
+};
+
+// Status display (read-only)
+const midiStatusController = midiFolder.add(midiSettings, 'status').name('Status').disable();
+
+// Output selector dropdown
+let midiOutputController = midiFolder.add(midiSettings, 'output', ['None']).name('MIDI Output');
+
+// Update output dropdown when MIDI is initialized
+function updateMIDIOutputDropdown() {
+  // Skip if MIDI manager doesn't exist
+  if (!midiManager) {
+    console.log('[MIDI] Cannot update dropdown - MIDI manager not initialized');
+    return;
+  }
+
+  const outputs = midiManager.getOutputNames();
+  const choices = { 'None': 'None' };
 
   outputs.forEach(output => {
     choices[output.name] = output.id;
@@ -1734,15 +2925,43 @@ function updateMIDIOutputDropdown() {
       if (outputId !== 'None' && midiManager) {
         midiManager.connectToOutput(outputId);
       }
+      markDocumentDirty();
     });
 
-  // Auto-select first output if available
+  // Routes can pick from the new port list too
+  rebuildRoutingGUI();
+  updateControlInputDropdown();
+
+  // Select the document's output, or the first one available
+  if (pendingMIDIOutputName && selectMIDIOutputByName(pendingMIDIOutputName)) return;
   if (outputs.length > 0) {
     midiSettings.output = outputs[0].id;
     midiOutputController.updateDisplay();
   }
 }
 
+// Documents store the output by name - port ids differ between machines
+let pendingMIDIOutputName = null;
+
+function getMIDIOutputName() {
+  if (!midiManager || midiSettings.output === 'None') return null;
+  const output = midiManager.getOutputNames().find(o => o.id === midiSettings.output);
+  return output ? output.name : null;
+}
+
+function selectMIDIOutputByName(name) {
+  if (!midiManager) return false;
+  const output = midiManager.getOutputNames().find(o => o.name === name);
+  if (!output) {
+    console.warn(`[MIDI] Output "${name}" from the document isn't available`);
+    return false;
+  }
+  midiSettings.output = output.id;
+  midiManager.connectToOutput(output.id);
+  midiOutputController.updateDisplay();
+  return true;
+}
+
 // Update dropdown after a brief delay to let MIDI initialize
 setTimeout(updateMIDIOutputDropdown, 100);
 
@@ -1754,6 +2973,370 @@ midiSettings.panic = () => {
 };
 const midiPanicController = midiFolder.add(midiSettings, 'panic').name('🚨 PANIC (All Notes Off)');
 
+// Built-in Synth - hear the zones in the browser without a DAW or virtual MIDI cable
+const synthFolder = midiFolder.addFolder('Built-in Synth');
+const savedSynthMode = getCookie('synthMode');
+const savedSynthVolume = getCookie('synthVolume');
+const synthSettings = {
+  mode: savedSynthMode !== null ? savedSynthMode : 'auto',
+  volume: savedSynthVolume !== null ? parseFloat(savedSynthVolume) : 0.7
+};
+
+synthFolder.add(synthSettings, 'mode', {
+  'Auto (no MIDI output)': 'auto',
+  'Always': 'always',
+  'Off': 'off'
+}).name('Play').onChange((value) => {
+  if (midiManager && midiManager.synth) {
+    midiManager.synth.mode = value;
+    if (!midiManager.isSynthPlaying()) midiManager.synth.allNotesOff();
+  }
+  setCookie('synthMode', value);
+  console.log(`[Settings] Saved to cookie: synthMode = ${value}`);
+});
+
+synthFolder.add(synthSettings, 'volume', 0, 1, 0.05).name('Volume').onChange((value) => {
+  if (midiManager && midiManager.synth) midiManager.synth.setVolume(value);
+  setCookie('synthVolume', value);
+});
+
+// Browsers keep audio suspended until the page gets a gesture
+window.addEventListener('pointerdown', () => {
+  if (clockManager && clockManager.audioContext.state === 'suspended') {
+    clockManager.audioContext.resume();
+  }
+});
+
+synthFolder.close();
+
+// Record MIDI File - capture what the zones play as a multi-track .mid (see midi-file.js)
+const midiFileFolder = midiFolder.addFolder('Record MIDI File');
+const midiFileSettings = {
+  status: 'Idle',
+  toggle: () => toggleMIDIFileRecording()
+};
+let lastMarkedHarmony = { key: null, chord: null };
+
+midiFileFolder.add(midiFileSettings, 'status').name('Status').disable().listen();
+const midiFileRecordController = midiFileFolder.add(midiFileSettings, 'toggle').name('⏺ Start Recording');
+
+// Key and chord changes become markers in the conductor track
+function markHarmony() {
+  if (!midiFileRecorder.recording || !keyManager || !chordManager) return;
+
+  const key = keyManager.currentKey;
+  if (key !== lastMarkedHarmony.key) {
+    midiFileRecorder.addMarker(`Key ${key} (${keyManager.getCurrentKeyInfo().name})`);
+  }
+  const chord = chordManager.getCurrentChord().name;
+  if (chord !== lastMarkedHarmony.chord) {
+    midiFileRecorder.addMarker(`Chord ${chord}`);
+  }
+  lastMarkedHarmony = { key, chord };
+}
+
+function toggleMIDIFileRecording() {
+  if (midiFileRecorder.recording) {
+    midiFileRecorder.stop();
+    midiFileRecordController.name('⏺ Start Recording');
+
+    if (!midiFileRecorder.hasData()) {
+      alert('Nothing was played while recording.');
+      return;
+    }
+
+    const trackNames = {};
+    triggerLayout.zones.forEach(zone => { trackNames[zoneSource(zone.id)] = zone.name; });
+    const blob = new Blob([midiFileRecorder.toSMF(trackNames, documentName)], { type: 'audio/midi' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `performance-${documentName.replace(/[^\w-]+/g, '_')}-${new Date().toISOString().replace(/[:.]/g, '-')}.mid`;
+    a.click();
+    URL.revokeObjectURL(url);
+  } else {
+    if (!clockManager) {
+      alert('Turn on MIDI under Features to record a MIDI file.');
+      return;
+    }
+    midiFileRecorder.start(clockManager.bpm);
+    lastMarkedHarmony = { key: null, chord: null };
+    markHarmony();
+    midiFileRecordController.name('⏹ Stop & Save .mid');
+  }
+}
+
+setInterval(() => {
+  if (midiFileRecorder.recording) {
+    const seconds = Math.floor((performance.now() - midiFileRecorder.startTime) / 1000);
+    const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    midiFileSettings.status = `⏺ ${clock} - ${midiFileRecorder.getNoteCount()} notes`;
+  } else {
+    midiFileSettings.status = 'Idle';
+  }
+}, 500);
+
+midiFileFolder.close();
+
+// Routing Matrix - send zones, clock and key/chord changes to any outputs and channels
+const routingFolder = midiFolder.addFolder('Routing Matrix');
+let selectedRoute = 0;
+
+const ROUTE_SOURCE_LABELS = {
+  clock: 'Clock (Start/Stop/Ticks)',
+  key: 'Key Change (tonic)',
+  chord: 'Chord Change (triad)'
+};
+
+// Replace the routes (document load, paste)
+function setMIDIRoutes(routes) {
+  midiRoutes = normalizeRoutes(routes);
+  selectedRoute = 0;
+  if (midiManager && midiManager.router) midiManager.router.setRoutes(midiRoutes);
+}
+
+// Apply an edit to midiRoutes (GUI controllers edit the route objects in place)
+function commitMIDIRoutesChange() {
+  if (midiManager && midiManager.router) midiManager.router.setRoutes(midiRoutes);
+  markDocumentDirty();
+}
+
+// Hold the current key's tonic and chord's triad on the 'key' and 'chord' routes
+// (the router ignores repeats, so call this wherever the key or chord may have changed)
+function routeHarmony() {
+  if (!midiManager || !midiManager.router || !keyManager || !chordManager) return;
+
+  const { root, third, fifth } = chordManager.getCurrentChord();
+  midiManager.router.setHeldNotes('key', [keyManager.getNote(0)]);
+  midiManager.router.setHeldNotes('chord', [root, third, fifth].map(degree => keyManager.getNote(degree)));
+}
+
+// Key and chord as OSC (OSCOutput only sends changes)
+function sendHarmonyOSC() {
+  if (!keyManager || !chordManager) return;
+
+  const { name, root } = chordManager.getCurrentChord();
+  oscOutput.harmony(keyManager.currentKey, keyManager.getNote(0), name, keyManager.getNote(root));
+}
+
+// Key or chord may have changed: move the held route notes, mark it in the MIDI file and tell
+// OSC and the WebSocket feed
+function onHarmonyChange() {
+  routeHarmony();
+  markHarmony();
+  sendHarmonyOSC();
+  broadcastMusicState();
+}
+
+// Labels -> source for every zone in the layout plus clock, key and chord
+function getRouteSourceChoices() {
+  const choices = {};
+  triggerLayout.zones.forEach(zone => { choices[zone.name] = zoneSource(zone.id); });
+  FIXED_SOURCES.forEach(source => { choices[ROUTE_SOURCE_LABELS[source]] = source; });
+  return choices;
+}
+
+function rebuildRoutingGUI() {
+  [...routingFolder.children].forEach(child => child.destroy());
+
+  const sourceChoices = getRouteSourceChoices();
+  const sourceLabel = (source) => Object.keys(sourceChoices).find(label => sourceChoices[label] === source) || source;
+
+  routingFolder.add({
+    add: () => {
+      const firstZone = triggerLayout.zones[0];
+      midiRoutes.push(createRoute(firstZone ? zoneSource(firstZone.id) : 'clock'));
+      selectedRoute = midiRoutes.length - 1;
+      commitMIDIRoutesChange();
+      rebuildRoutingGUI();
+    }
+  }, 'add').name('➕ Add Route');
+
+  if (midiRoutes.length > 0) {
+    selectedRoute = Math.min(selectedRoute, midiRoutes.length - 1);
+    const route = midiRoutes[selectedRoute];
+
+    // Route selector (labels -> index)
+    const routeOptions = {};
+    midiRoutes.forEach((r, i) => {
+      const muted = r.enabled ? '' : ' (muted)';
+      routeOptions[`${i + 1}: ${sourceLabel(r.source)} → ${r.output || 'MIDI Output'}${muted}`] = i;
+    });
+    routingFolder.add({ route: selectedRoute }, 'route', routeOptions).name('Route').onChange((value) => {
+      selectedRoute = value;
+      rebuildRoutingGUI();
+    });
+
+    // Keep sources and outputs that aren't available right now selectable
+    if (!Object.values(sourceChoices).includes(route.source)) {
+      sourceChoices[`${route.source} (no such zone)`] = route.source;
+    }
+    const outputChoices = { 'MIDI Output (selected above)': '' };
+    (midiManager ? midiManager.getOutputNames() : []).forEach(output => { outputChoices[output.name] = output.name; });
+    if (route.output && !Object.values(outputChoices).includes(route.output)) {
+      outputChoices[`${route.output} (not connected)`] = route.output;
+    }
+
+    routingFolder.add(route, 'source', sourceChoices).name('Source').onChange(() => {
+      commitMIDIRoutesChange();
+      rebuildRoutingGUI();
+    });
+    routingFolder.add({ output: route.output || '' }, 'output', outputChoices).name('Output').onChange((value) => {
+      route.output = value || null;
+      commitMIDIRoutesChange();
+      rebuildRoutingGUI();
+    });
+    routingFolder.add(route, 'channel', 0, 16, 1).name('Channel (0 = source)').onFinishChange(commitMIDIRoutesChange);
+    routingFolder.add(route, 'transpose', -48, 48, 1).name('Transpose').onFinishChange(commitMIDIRoutesChange);
+    routingFolder.add(route, 'velocityCurve', VELOCITY_CURVES).name('Velocity Curve').onChange(commitMIDIRoutesChange);
+    routingFolder.add(route, 'fixedVelocity', 1, 127, 1).name('Fixed Velocity').onFinishChange(commitMIDIRoutesChange);
+    routingFolder.add(route, 'noteMin', 0, 127, 1).name('Lowest Note').onFinishChange(commitMIDIRoutesChange);
+    routingFolder.add(route, 'noteMax', 0, 127, 1).name('Highest Note').onFinishChange(commitMIDIRoutesChange);
+    routingFolder.add(route, 'enabled').name('Enabled').onChange(() => {
+      commitMIDIRoutesChange();
+      rebuildRoutingGUI();
+    });
+    routingFolder.add({
+      remove: () => {
+        midiRoutes.splice(selectedRoute, 1);
+        commitMIDIRoutesChange();
+        rebuildRoutingGUI();
+      }
+    }, 'remove').name('🗑 Remove Route');
+  }
+
+  routingFolder.add({
+    copy: () => {
+      const json = JSON.stringify(normalizeRoutes(midiRoutes), null, 2);
+      navigator.clipboard.writeText(json).then(() => {
+        console.log('[MIDI] Routes JSON copied to clipboard');
+      }).catch(err => {
+        console.error('Failed to copy to clipboard:', err);
+        console.log(json);
+        alert('Could not copy to clipboard. Check the console for the JSON.');
+      });
+    }
+  }, 'copy').name('📋 Copy Routes JSON');
+
+  routingFolder.add({
+    paste: () => {
+      const json = prompt('Paste MIDI routes JSON:');
+      if (!json) return;
+      let routes;
+      try {
+        routes = JSON.parse(json);
+      } catch (e) {
+        alert(`Invalid MIDI routes: ${e.message}`);
+        return;
+      }
+      const errors = validateRoutes(routes);
+      if (errors.length > 0) {
+        alert(`Invalid MIDI routes:\n${errors.map(({ field, message }) => `routes${field}: ${message}`).join('\n')}`);
+        return;
+      }
+      setMIDIRoutes(routes);
+      rebuildRoutingGUI();
+      markDocumentDirty();
+    }
+  }, 'paste').name('📥 Paste Routes JSON');
+}
+
+rebuildRoutingGUI();
+routingFolder.close();
+
+// MIDI Control - bind hardware knobs and pads to GUI controls (see midi-learn.js)
+const midiControlFolder = midiFolder.addFolder('MIDI Control (Learn)');
+const MIDI_BINDINGS_KEY = 'hallway-study-midi-bindings'; // Per machine, like the hardware
+
+const midiLearn = new MIDILearn(gui);
+const midiControlSettings = {
+  input: 'None',
+  bindings: '0 bindings',
+  learn: () => {
+    if (midiLearn.learning) {
+      midiLearn.stopLearning();
+      return;
+    }
+    if (midiControlSettings.input === 'None') {
+      alert('Pick a Control Input first.');
+      return;
+    }
+    midiLearn.startLearning();
+  },
+  clear: () => {
+    if (midiLearn.bindings.length === 0) return;
+    if (!confirm(`Remove all ${midiLearn.bindings.length} MIDI bindings?`)) return;
+    midiLearn.clearBindings();
+  }
+};
+
+let controlInputController = midiControlFolder.add(midiControlSettings, 'input', ['None']).name('Control Input');
+const learnController = midiControlFolder.add(midiControlSettings, 'learn').name('🎛 Learn');
+const bindingsController = midiControlFolder.add(midiControlSettings, 'bindings').name('Bindings').disable();
+midiControlFolder.add(midiControlSettings, 'clear').name('🗑 Clear All Bindings');
+midiLearn.excluded.add(learnController);
+
+function updateBindingsDisplay() {
+  const count = midiLearn.bindings.length;
+  midiControlSettings.bindings = `${count} binding${count === 1 ? '' : 's'}`;
+  bindingsController.updateDisplay();
+}
+
+// Inputs are picked by name (ids differ between machines)
+function updateControlInputDropdown() {
+  if (!midiManager) return;
+
+  const choices = ['None', ...midiManager.getInputNames().map(input => input.name)];
+  controlInputController.destroy();
+  controlInputController = midiControlFolder.add(midiControlSettings, 'input', choices)
+    .name('Control Input')
+    .onChange((name) => {
+      connectControlInputByName(name);
+      setCookie('midiControlInput', name);
+    });
+
+  const savedName = getCookie('midiControlInput');
+  if (savedName && choices.includes(savedName)) {
+    midiControlSettings.input = savedName;
+    controlInputController.updateDisplay();
+    connectControlInputByName(savedName);
+  }
+}
+
+function connectControlInputByName(name) {
+  if (!midiManager) return;
+  const input = midiManager.getInputNames().find(i => i.name === name);
+  midiManager.connectControlInput(input ? input.id : null);
+}
+
+midiLearn.onLearnStateChange = (learning) => {
+  learnController.name(learning ? '✖ Cancel Learn (Esc)' : '🎛 Learn');
+};
+
+midiLearn.onLearned = (binding, controller) => {
+  showToast('MIDI Learn', `${describeBinding(binding)} → ${controller._name}`, 'midi-learn');
+};
+
+midiLearn.onBindingsChange = (bindings) => {
+  localStorage.setItem(MIDI_BINDINGS_KEY, JSON.stringify(bindings));
+  updateBindingsDisplay();
+};
+
+// Restore saved bindings
+try {
+  const saved = JSON.parse(localStorage.getItem(MIDI_BINDINGS_KEY) || '[]');
+  if (validateBindings(saved)) {
+    midiLearn.setBindings(saved);
+  } else {
+    console.warn('[MIDI Learn] Ignoring invalid saved bindings');
+  }
+} catch (e) {
+  console.warn('[MIDI Learn] Could not read saved bindings:', e);
+}
+updateBindingsDisplay();
+
+midiControlFolder.close();
+
 // Function to show/hide MIDI-related folders (MIDI Output, Clock, Key, Chord)
 // Will be called after those folders are created
 function updateMIDIFoldersVisibility(enabled) {
@@ -1797,7 +3380,8 @@ function updateMIDIFoldersVisibility(enabled) {
 // Update connection status in the GUI
 setInterval(() => {
   if (midiManager) {
-    const newStatus = midiManager.isConnected ? '✓ Connected' : '✗ Disconnected';
+    let newStatus = midiManager.isConnected ? '✓ Connected' : '✗ Disconnected';
+    if (!midiManager.isConnected && midiManager.isSynthPlaying()) newStatus = '🔊 Built-in Synth';
     if (midiSettings.status !== newStatus) {
       midiSettings.status = newStatus;
       midiStatusController.updateDisplay();
@@ -1817,38 +3401,521 @@ const wsFolder = gui.addFolder('WebSocket Output');
 const wsSettings = {
   status: 'Disconnected',
   url: 'ws://localhost:8080',
-  broadcastRate: '~30 Hz'
+  protocol: `v${PROTOCOL_VERSION}`,
+  broadcastRate: '30 Hz',
+  topics: 'people',
+  lastCommand: '(none)'
 };
 
-// Status display (read-only)
-const wsStatusController = wsFolder.add(wsSettings, 'status').name('Status').disable();
+// Status display (read-only)
+const wsStatusController = wsFolder.add(wsSettings, 'status').name('Status').disable();
+
+// URL display (read-only)
+wsFolder.add(wsSettings, 'url').name('Server URL').disable();
+
+// Protocol version (read-only) - see broadcast-protocol.js
+wsFolder.add(wsSettings, 'protocol').name('Protocol').disable();
+
+// Subscription chosen by the server (read-only)
+const wsRateController = wsFolder.add(wsSettings, 'broadcastRate').name('Broadcast Rate').disable();
+const wsTopicsController = wsFolder.add(wsSettings, 'topics').name('Topics').disable();
+
+// Last remote command and whether it worked (read-only)
+const wsLastCommandController = wsFolder.add(wsSettings, 'lastCommand').name('Last Command').disable();
+
+// Update connection status in the GUI
+setInterval(() => {
+  const newStatus = wsState.connected ? '✓ Connected' : '○ Connecting...';
+  if (wsSettings.status !== newStatus) {
+    wsSettings.status = newStatus;
+    wsStatusController.updateDisplay();
+  }
+
+  if (wsState.subscription) {
+    const rate = `${wsState.subscription.rate} Hz`;
+    const topics = wsState.subscription.topics.join(', ') || '(none)';
+    if (wsSettings.broadcastRate !== rate || wsSettings.topics !== topics) {
+      wsSettings.broadcastRate = rate;
+      wsSettings.topics = topics;
+      wsRateController.updateDisplay();
+      wsTopicsController.updateDisplay();
+    }
+  }
+}, 500);
+
+wsFolder.open();
+
+// ===== Remote Control =====
+// Commands from the WebSocket server (an operator's tablet, via the relay) - see broadcast-protocol.js
+// The worker has checked argument types and ranges; each command throws if it can't be done
+const remoteCommands = {
+  get_state: () => ({
+    document: documentName,
+    documents: getAllDocumentNames(),
+    clock: clockManager ? clockManager.getInfo() : null,
+    key: keyManager ? keyManager.getInfo() : null,
+    chord: chordManager ? chordManager.getInfo() : null,
+    keys: keyManager ? keyManager.getAllKeys().map(k => k.value) : [],
+    progressions: chordManager ? chordManager.getProgressionNames() : [],
+    people: {
+      enabled: featureSettings.peopleEnabled,
+      count: peopleSettings.count,
+      present: peopleManager.people.length,
+      source: sourceSettings.source,
+      replaying: simulationPlayer !== null
+    },
+    midi: {
+      enabled: featureSettings.midiEnabled,
+      output: midiManager && midiManager.output ? midiManager.output.name : null
+    }
+  }),
+
+  load_document: ({ name, document: data }) => {
+    if (data === undefined) {
+      data = getPresetDocument(name);
+      if (!data) {
+        const saved = localStorage.getItem(`hallway-study-doc:${name}`);
+        if (!saved) throw new Error(`No document named "${name}"`);
+        data = JSON.parse(saved);
+      }
+    }
+
+    // Unsaved changes are kept under their own name rather than asking on the main machine
+    if (documentDirty && documentName !== 'Untitled') saveDocument();
+
+    if (!deserializeDocument(data)) throw new Error('Invalid document (see the toast on the main machine)');
+    refreshDocumentDropdown();
+    return { document: documentName };
+  },
+
+  set_bpm: ({ bpm }) => {
+    if (!clockManager) throw new Error('MIDI is disabled');
+    if (clockSettings.autoBPMChange) autoBPMController.setValue(false);
+    bpmController.setValue(Math.round(bpm));
+    return { bpm: clockSettings.bpm };
+  },
+
+  set_key: ({ key }) => {
+    if (!keyManager) throw new Error('MIDI is disabled');
+    if (!keyManager.getAllKeys().some(k => k.value === key)) throw new Error(`Unknown key: ${key}`);
+    keyController.setValue(key);
+    return keyManager.getInfo();
+  },
+
+  set_progression: ({ progression }) => {
+    if (!chordManager) throw new Error('MIDI is disabled');
+    if (!chordManager.getProgressionNames().includes(progression)) throw new Error(`Unknown progression: ${progression}`);
+    progressionController.setValue(progression);
+    return chordManager.getInfo();
+  },
+
+  set_simulation: ({ enabled, count }) => {
+    if (count !== undefined) peopleCountController.setValue(Math.round(count));
+    if (featureSettings.peopleEnabled !== enabled) peopleController.setValue(enabled);
+    return { enabled: featureSettings.peopleEnabled, count: peopleSettings.count };
+  },
+
+  spawn_person: ({ x, y, direction, speed }) => {
+    if (!featureSettings.peopleEnabled) throw new Error('People simulation is off');
+    if (isTrackingSource() || simulationPlayer) throw new Error('People come from tracking or a replay, not the simulation');
+
+    // Same coordinates as people_locations (tracking-protocol.js)
+    const floorX = y * hallway.width_m - hallway.width_m / 2;
+    const floorZ = x * hallway.length_m;
+    if (!isInsideFootprint(hallway, floorX, floorZ) || getObstacleAt(hallway, floorX, floorZ)) {
+      throw new Error('Position is not on the hallway floor');
+    }
+
+    const heading = direction !== undefined ? direction : (x < 0.5 ? 1 : -1);
+    const spawned = peopleManager.spawnPersonAt(floorX, floorZ, heading, speed !== undefined ? speed : null);
+    // A promise while the simulation runs in a worker
+    return Promise.resolve(spawned).then(person => ({ person: serializePerson(person, hallway) }));
+  },
+
+  midi_panic: () => {
+    if (!midiManager) throw new Error('MIDI is disabled');
+    midiManager.panic();
+    return {};
+  }
+};
+
+// Commands answer with a result, or a promise of one (spawn_person)
+function handleRemoteCommand({ id, name, args }) {
+  new Promise(resolve => resolve(remoteCommands[name](args))).then((result) => {
+    console.log(`[Remote] ${name}`, args);
+    sendCommandReply({ id, command: name, result });
+  }, (e) => {
+    console.warn(`[Remote] ${name} failed: ${e.message}`);
+    sendCommandReply({ id, command: name, error: e.message });
+  });
+}
+
+function sendCommandReply(reply) {
+  wsSettings.lastCommand = `${reply.error === undefined ? '✓' : '✗'} ${reply.command}`;
+  wsLastCommandController.updateDisplay();
+  wsBroadcastWorker.postMessage({ type: 'reply', data: reply });
+}
+
+// OSC Panel - bridge and on/off are per machine (cookies), the address map belongs to the document
+const oscFolder = gui.addFolder('OSC Output');
+const oscSettings = {
+  enabled: oscOutput.enabled,
+  url: oscOutput.url,
+  status: 'Disabled',
+  namespace: oscOutput.namespace
+};
+const oscAddressSettings = { ...oscOutput.addresses }; // Event -> address, bound to the GUI
+
+oscFolder.add(oscSettings, 'enabled').name('Enabled').onChange((value) => {
+  oscOutput.setEnabled(value);
+  setCookie('oscEnabled', value);
+  console.log(`[Settings] Saved to cookie: oscEnabled = ${value}`);
+});
+
+oscFolder.add(oscSettings, 'url').name('Bridge URL').onFinishChange((value) => {
+  oscOutput.setUrl(value);
+  setCookie('oscBridgeUrl', value);
+  console.log(`[Settings] Saved to cookie: oscBridgeUrl = ${value}`);
+});
+
+const oscStatusController = oscFolder.add(oscSettings, 'status').name('Status').disable();
+
+const oscNamespaceController = oscFolder.add(oscSettings, 'namespace').name('Namespace').onFinishChange((value) => {
+  const errors = validateOSCSettings({ namespace: value });
+  if (errors.length > 0) {
+    alert(`Invalid OSC namespace: ${errors[0].message}`);
+    oscSettings.namespace = oscOutput.namespace;
+    oscNamespaceController.updateDisplay();
+    return;
+  }
+  oscOutput.setAddressMap(value, oscAddressSettings);
+  markDocumentDirty();
+});
+
+// Address map - one address per event (hover for the arguments), empty = don't send
+const oscAddressFolder = oscFolder.addFolder('Address Map');
+OSC_EVENT_NAMES.forEach(event => {
+  const controller = oscAddressFolder.add(oscAddressSettings, event).name(OSC_EVENTS[event].label).onFinishChange((value) => {
+    const errors = validateOSCSettings({ addresses: { [event]: value } });
+    if (errors.length > 0) {
+      alert(`Invalid OSC address for ${OSC_EVENTS[event].label}: ${errors[0].message}`);
+      oscAddressSettings[event] = oscOutput.addresses[event];
+      controller.updateDisplay();
+      return;
+    }
+    oscOutput.setAddressMap(oscSettings.namespace, oscAddressSettings);
+    markDocumentDirty();
+  });
+  controller.domElement.title = `Arguments: ${OSC_EVENTS[event].args}`;
+});
+
+/**
+ * Replace the namespace and address map (document load, paste, reset) and refresh the GUI
+ */
+function setOSCAddressMap(namespace, addresses) {
+  oscOutput.setAddressMap(namespace, addresses);
+  oscSettings.namespace = oscOutput.namespace;
+  Object.assign(oscAddressSettings, oscOutput.addresses);
+  oscNamespaceController.updateDisplay();
+  oscAddressFolder.controllers.forEach(c => c.updateDisplay());
+}
+
+oscAddressFolder.add({
+  reset: () => {
+    setOSCAddressMap(DEFAULT_OSC_NAMESPACE, createDefaultAddressMap());
+    markDocumentDirty();
+  }
+}, 'reset').name('⟲ Reset to Defaults');
+
+oscAddressFolder.add({
+  copy: () => {
+    const json = JSON.stringify(oscOutput.getAddressMap(), null, 2);
+    navigator.clipboard.writeText(json).then(() => {
+      console.log('[OSC] Address map JSON copied to clipboard');
+    }).catch(err => {
+      console.error('Failed to copy to clipboard:', err);
+      console.log(json);
+      alert('Could not copy to clipboard. Check the console for the JSON.');
+    });
+  }
+}, 'copy').name('📋 Copy Address Map JSON');
+
+oscAddressFolder.add({
+  paste: () => {
+    const json = prompt('Paste OSC address map JSON:');
+    if (!json) return;
+    let map;
+    try {
+      map = JSON.parse(json);
+    } catch (e) {
+      alert(`Invalid OSC address map: ${e.message}`);
+      return;
+    }
+    const errors = map && typeof map === 'object' ? validateOSCSettings(map) : [{ field: '', message: 'must be { namespace, addresses }' }];
+    if (errors.length > 0) {
+      alert(`Invalid OSC address map:\n${errors.map(({ field, message }) => `${field}: ${message}`).join('\n')}`);
+      return;
+    }
+    setOSCAddressMap(map.namespace !== undefined ? map.namespace : oscSettings.namespace, normalizeAddressMap(map.addresses));
+    markDocumentDirty();
+  }
+}, 'paste').name('📥 Paste Address Map JSON');
+
+oscAddressFolder.close();
+
+setInterval(() => {
+  let newStatus = 'Disabled';
+  if (oscOutput.enabled) {
+    newStatus = oscOutput.connected ? `✓ Connected (${oscOutput.packetsPerSecond} packets/s)` : '○ Connecting...';
+  }
+  if (oscSettings.status !== newStatus) {
+    oscSettings.status = newStatus;
+    oscStatusController.updateDisplay();
+  }
+}, 500);
+
+oscFolder.close();
+
+// Floor FBO Panel
+const floorFolder = gui.addFolder('Floor Visualization');
+
+// Initialize floor state from Features panel
+floorEnabled = initialFloorEnabled;
+console.log(`[Settings] floorEnabled initialized to: ${initialFloorEnabled}`);
+
+const floorSettings = {
+  showTriggerOutlines
+};
+
+floorFolder.add(floorSettings, 'showTriggerOutlines').name('Show Trigger Outlines').onChange((value) => {
+  showTriggerOutlines = value;
+  setFBOFloorOutlines(shaderFloor, value);
+  setCookie('showTriggerOutlines', value);
+  console.log(`[Settings] Saved to cookie: showTriggerOutlines = ${value}`);
+});
+
+// Trigger Layout - zones, their shapes and musical settings (saved with the document)
+const triggerLayoutFolder = floorFolder.addFolder('Trigger Layout');
+let selectedLayoutZone = 0;
+
+// Apply an edit to triggerLayout
+function commitTriggerLayoutChange() {
+  applyTriggerLayout(triggerLayout);
+  rebuildRoutingGUI(); // Zone names label the routing sources
+  markDocumentDirty();
+}
+
+function rebuildTriggerLayoutGUI() {
+  [...triggerLayoutFolder.children].forEach(child => child.destroy());
+
+  const zones = triggerLayout.zones;
+  selectedLayoutZone = Math.min(selectedLayoutZone, zones.length - 1);
+  const zone = zones[selectedLayoutZone];
+
+  const undrawnWarning = getUndrawnTriggersWarning();
+  if (undrawnWarning) {
+    triggerLayoutFolder.add({ warning: undrawnWarning }, 'warning').name('⚠️ Not Drawn').disable();
+  }
+
+  // Zone selector (labels -> index)
+  const zoneOptions = {};
+  zones.forEach((z, i) => { zoneOptions[`${i + 1}: ${z.name}`] = i; });
+  triggerLayoutFolder.add({ zone: selectedLayoutZone }, 'zone', zoneOptions).name('Zone').onChange((value) => {
+    selectedLayoutZone = value;
+    rebuildTriggerLayoutGUI();
+  });
+
+  // Selected zone settings
+  const zoneFolder = triggerLayoutFolder.addFolder(`${zone.name} (${zone.triggers.length} triggers)`);
+
+  zoneFolder.add(zone, 'name').name('Name').onFinishChange(() => {
+    commitTriggerLayoutChange();
+    rebuildTriggerLayoutGUI();
+  });
+  zoneFolder.add(zone, 'channel', 1, 16, 1).name('MIDI Channel').onFinishChange(commitTriggerLayoutChange);
+  zoneFolder.add(zone, 'octaveOffset', -3, 3, 1).name('Octave Offset').onFinishChange(commitTriggerLayoutChange);
+
+  // Custom scale degree lists can only be set through the layout JSON
+  const patternOptions = Array.isArray(zone.pattern) ? [...CHORD_PATTERNS, 'custom'] : CHORD_PATTERNS;
+  const patternSettings = { pattern: Array.isArray(zone.pattern) ? 'custom' : zone.pattern };
+  zoneFolder.add(patternSettings, 'pattern', patternOptions).name('Note Pattern').onChange((value) => {
+    if (value === 'custom') return;
+    zone.pattern = value;
+    commitTriggerLayoutChange();
+  });
+
+  zoneFolder.add(zone, 'noteLength', NOTE_LENGTHS).name('Note Length').onChange(commitTriggerLayoutChange);
+  zoneFolder.add(zone, 'visual', VISUAL_STYLES).name('Floor Effect').onChange(commitTriggerLayoutChange);
+  zoneFolder.add(zone, 'instrument', INSTRUMENT_NAMES).name('Synth Instrument').onChange(commitTriggerLayoutChange);
+  zoneFolder.addColor(zone, 'color').name('Outline Color').onFinishChange(commitTriggerLayoutChange);
+
+  // Replace the zone's shapes with evenly spaced strips (starts from the current bounds)
+  const { length_m, width_m } = hallway;
+  const bounds = zone.triggers.map(getShapeBounds);
+  const stripSettings = {
+    count: Math.max(1, zone.triggers.length),
+    zStart: bounds.length > 0 ? Math.min(...bounds.map(b => b.zStart)) : 0,
+    zEnd: bounds.length > 0 ? Math.max(...bounds.map(b => b.zEnd)) : length_m,
+    xMin: bounds.length > 0 ? Math.min(...bounds.map(b => b.xMin)) : -width_m / 2,
+    xMax: bounds.length > 0 ? Math.max(...bounds.map(b => b.xMax)) : width_m / 2,
+    regenerate: () => {
+      if (stripSettings.zStart >= stripSettings.zEnd || stripSettings.xMin >= stripSettings.xMax) {
+        alert('Strip area is empty - Z Start must be below Z End and X Min below X Max.');
+        return;
+      }
+      zone.triggers = createStripTriggers(stripSettings);
+      commitTriggerLayoutChange();
+      rebuildTriggerLayoutGUI();
+    }
+  };
+
+  const stripsFolder = zoneFolder.addFolder('Strips');
+  stripsFolder.add(stripSettings, 'count', 1, 32, 1).name('Count');
+  stripsFolder.add(stripSettings, 'zStart', 0, length_m, 0.05).name('Z Start (m)');
+  stripsFolder.add(stripSettings, 'zEnd', 0, length_m, 0.05).name('Z End (m)');
+  stripsFolder.add(stripSettings, 'xMin', -width_m / 2, width_m / 2, 0.05).name('X Min (m)');
+  stripsFolder.add(stripSettings, 'xMax', -width_m / 2, width_m / 2, 0.05).name('X Max (m)');
+  stripsFolder.add(stripSettings, 'regenerate').name('Replace With Strips');
+  stripsFolder.close();
+
+  zoneFolder.add({
+    remove: () => {
+      if (zones.length === 1) {
+        alert('A layout needs at least one zone.');
+        return;
+      }
+      if (!confirm(`Remove "${zone.name}"?`)) return;
+      zones.splice(selectedLayoutZone, 1);
+      commitTriggerLayoutChange();
+      rebuildTriggerLayoutGUI();
+    }
+  }, 'remove').name('🗑️ Remove Zone');
+
+  // Layout-wide actions
+  triggerLayoutFolder.add({
+    addZone: () => {
+      const id = Math.max(...zones.map(z => z.id)) + 1;
+      zones.push({
+        id,
+        name: `Zone ${id}`,
+        channel: Math.min(id, 16),
+        color: '#ffffff',
+        octaveOffset: 0,
+        pattern: 'lead',
+        noteLength: 1,
+        visual: 'hammer',
+        instrument: 'lead',
+        // Where shapes overlap the first zone wins - move these to free floor
+        triggers: createStripTriggers({ count: 8, zStart: 0, zEnd: length_m, xMin: -width_m / 2, xMax: width_m / 2 })
+      });
+      selectedLayoutZone = zones.length - 1;
+      commitTriggerLayoutChange();
+      rebuildTriggerLayoutGUI();
+    }
+  }, 'addZone').name('➕ Add Zone');
+
+  triggerLayoutFolder.add({
+    reset: () => {
+      if (!confirm('Replace the trigger layout with the default 48 strips?')) return;
+      triggerLayout = createDefaultLayout(hallway);
+      selectedLayoutZone = 0;
+      commitTriggerLayoutChange();
+      rebuildTriggerLayoutGUI();
+    }
+  }, 'reset').name('↺ Reset to Default');
+
+  triggerLayoutFolder.add({
+    copy: () => {
+      const json = JSON.stringify(triggerLayout, null, 2);
+      navigator.clipboard.writeText(json).then(() => {
+        console.log('[Triggers] Layout JSON copied to clipboard');
+      }).catch(err => {
+        console.error('Failed to copy to clipboard:', err);
+        console.log(json);
+        alert('Could not copy to clipboard. Check the console for the JSON.');
+      });
+    }
+  }, 'copy').name('📋 Copy Layout JSON');
+
+  triggerLayoutFolder.add({
+    paste: () => {
+      const json = prompt('Paste trigger layout JSON:');
+      if (!json) return;
+      try {
+        triggerLayout = normalizeLayout(JSON.parse(json));
+      } catch (e) {
+        alert(`Invalid trigger layout: ${e.message}`);
+        return;
+      }
+      selectedLayoutZone = 0;
+      commitTriggerLayoutChange();
+      rebuildTriggerLayoutGUI();
+    }
+  }, 'paste').name('📥 Paste Layout JSON');
+}
 
-// URL display (read-only)
-wsFolder.add(wsSettings, 'url').name('Server URL').disable();
+triggerEditor.setLayout(triggerLayout);
+rebuildTriggerLayoutGUI();
+triggerLayoutFolder.close();
 
-// Broadcast rate display (read-only)
-wsFolder.add(wsSettings, 'broadcastRate').name('Broadcast Rate').disable();
+// Floor Editor - select, drag, resize, split and merge triggers in the 3D view
+const floorEditorFolder = floorFolder.addFolder('Floor Editor');
 
-// Update connection status in the GUI
-setInterval(() => {
-  const newStatus = wsManager.isConnected() ? '✓ Connected' : '○ Connecting...';
-  if (wsSettings.status !== newStatus) {
-    wsSettings.status = newStatus;
-    wsStatusController.updateDisplay();
-  }
-}, 500);
+const floorEditorSettings = {
+  editing: false,
+  snap: triggerEditor.snap,
+  widthDivisions: triggerEditor.widthDivisions,
+  lengthDivisions: triggerEditor.lengthDivisions
+};
 
-wsFolder.open();
+// Editor actions report why nothing happened (e.g. nothing selected)
+function runTriggerEditorAction(action) {
+  const problem = action();
+  if (problem) alert(problem);
+}
 
-// Floor FBO Panel
-const floorFolder = gui.addFolder('Floor Visualization');
+floorEditorFolder.add(floorEditorSettings, 'editing').name('Edit Triggers on Floor').onChange((value) => {
+  if (value) deselectAllCameras();
+  triggerEditor.setEnabled(value);
+});
+floorEditorFolder.add(floorEditorSettings, 'snap').name('Snap (Alt = free)').onChange((value) => {
+  triggerEditor.snap = value;
+});
+floorEditorFolder.add(floorEditorSettings, 'widthDivisions', 1, 16, 1).name('Width Divisions').onChange((value) => {
+  triggerEditor.widthDivisions = value;
+});
+floorEditorFolder.add(floorEditorSettings, 'lengthDivisions', 1, 192, 1).name('Length Divisions').onChange((value) => {
+  triggerEditor.lengthDivisions = value;
+});
+floorEditorFolder.add({ split: () => runTriggerEditorAction(() => triggerEditor.splitSelection('length')) }, 'split').name('Split Along Length');
+floorEditorFolder.add({ split: () => runTriggerEditorAction(() => triggerEditor.splitSelection('width')) }, 'split').name('Split Across Width');
+floorEditorFolder.add({ merge: () => runTriggerEditorAction(() => triggerEditor.mergeSelection()) }, 'merge').name('Merge Selected');
+floorEditorFolder.add({ remove: () => runTriggerEditorAction(() => triggerEditor.deleteSelection()) }, 'remove').name('🗑️ Delete Selected');
+floorEditorFolder.close();
+
+// Moved/resized triggers update in place so notes keep playing while dragging
+triggerEditor.addEventListener('change', () => {
+  if (triggerZones) triggerZones.updateTriggerShapes(triggerLayout);
+  markDocumentDirty();
+});
 
-// Initialize floor state from Features panel
-floorEnabled = initialFloorEnabled;
-console.log(`[Settings] floorEnabled initialized to: ${initialFloorEnabled}`);
+// Split/merge/delete renumber triggers
+triggerEditor.addEventListener('layoutChange', () => {
+  commitTriggerLayoutChange();
+  rebuildTriggerLayoutGUI();
+});
+
+// Show the selected trigger's zone settings
+triggerEditor.addEventListener('selectionChange', (event) => {
+  if (event.zoneIndex < 0 || event.zoneIndex === selectedLayoutZone) return;
+  selectedLayoutZone = event.zoneIndex;
+  rebuildTriggerLayoutGUI();
+});
 
-// You can add floor-specific settings here in the future
-// (currently the floor doesn't have any additional settings)
+// Refresh strip bounds in the GUI once a drag ends
+triggerEditor.addEventListener('dragging-changed', (event) => {
+  if (!event.value) rebuildTriggerLayoutGUI();
+});
 
 floorFolder.open();
 
@@ -1860,17 +3927,34 @@ const savedAutoBPM = getCookie('autoBPMChange');
 const savedQuantization = getCookie('quantization');
 const savedBPM = getCookie('bpm');
 const initialBPM = savedBPM !== null ? parseInt(savedBPM, 10) : 120;
+const savedLookahead = getCookie('midiLookahead');
+const savedClockSyncMode = getCookie('clockSyncMode');
+const savedTempoRelayUrl = getCookie('tempoRelayUrl');
 
 const clockSettings = {
   running: true,
   bpm: initialBPM,
   autoBPMChange: savedAutoBPM !== null ? savedAutoBPM === 'true' : true,
   quantization: savedQuantization !== null ? savedQuantization : '16th',
+  lookahead: savedLookahead !== null ? parseInt(savedLookahead, 10) : 100,
   position: '1:1:1',
   metronome: '○',
+  syncMode: savedClockSyncMode === 'network' ? 'network' : 'internal',
+  relayUrl: savedTempoRelayUrl !== null ? savedTempoRelayUrl : 'ws://localhost:8090',
+  networkStatus: '',
   startStop: () => {
     if (!clockManager) return;
 
+    // In a network session, start/stop is shared - the relay tells every page (including this one)
+    if (clockSettings.syncMode === 'network' && networkSync && networkSync.isReady()) {
+      if (networkSync.state.playing) {
+        networkSync.stop();
+      } else {
+        networkSync.start();
+      }
+      return;
+    }
+
     if (clockManager.running) {
       clockManager.stop();
       clockSettings.running = false;
@@ -1897,7 +3981,7 @@ if (clockManager) {
 }
 
 // Auto BPM Change toggle
-clockFolder.add(clockSettings, 'autoBPMChange').name('Auto BPM Change').onChange((value) => {
+const autoBPMController = clockFolder.add(clockSettings, 'autoBPMChange').name('Auto BPM Change').onChange((value) => {
   if (clockManager) {
     clockManager.setAutoBPMEnabled(value);
   }
@@ -1905,6 +3989,7 @@ clockFolder.add(clockSettings, 'autoBPMChange').name('Auto BPM Change').onChange
   bpmController.name(value ? 'BPM (auto-changing)' : 'BPM');
   // Save to cookie
   setCookie('autoBPMChange', value);
+  markDocumentDirty();
 });
 
 // BPM control (allows manual changes when auto-change is disabled)
@@ -1915,8 +4000,11 @@ const bpmController = clockFolder.add(clockSettings, 'bpm', 60, 200, 1)
     // Only allow manual BPM changes when auto-change is disabled
     if (!clockSettings.autoBPMChange && clockManager) {
       clockManager.setBPM(value);
+      if (clockSettings.syncMode === 'network' && networkSync) networkSync.setTempo(value);
+      midiFileRecorder.setTempo(value);
       setCookie('bpm', value);
       console.log(`[Settings] Saved to cookie: bpm = ${value}`);
+      markDocumentDirty();
     }
   });
 
@@ -1929,8 +4017,98 @@ clockFolder.add(clockSettings, 'quantization', ['16th', '8th', 'quarter'])
     }
     // Save to cookie
     setCookie('quantization', value);
+    markDocumentDirty();
+  });
+
+// How far ahead MIDI is scheduled (machine-specific, so a cookie rather than document setting)
+// Longer survives bigger main-thread stalls, shorter reacts faster to people leaving a trigger
+clockFolder.add(clockSettings, 'lookahead', 20, 500, 10)
+  .name('MIDI Lookahead (ms)')
+  .onChange((value) => {
+    if (clockManager) {
+      clockManager.lookahead_ms = value;
+    }
+    setCookie('midiLookahead', value);
+    console.log(`[Settings] Saved to cookie: midiLookahead = ${value}`);
+  });
+
+// Network tempo sync - several pages share tempo, bar phase and start/stop through the
+// tempo relay (node tools/tempo-relay.mjs). Machine setup, so cookies rather than the document.
+clockFolder.add(clockSettings, 'syncMode', { 'Internal': 'internal', 'Network (Tempo Relay)': 'network' })
+  .name('Clock Sync')
+  .onChange((value) => {
+    setCookie('clockSyncMode', value);
+    console.log(`[Settings] Saved to cookie: clockSyncMode = ${value}`);
+    applyClockSyncMode();
+  });
+
+const relayUrlController = clockFolder.add(clockSettings, 'relayUrl')
+  .name('Tempo Relay URL')
+  .onFinishChange((value) => {
+    setCookie('tempoRelayUrl', value);
+    console.log(`[Settings] Saved to cookie: tempoRelayUrl = ${value}`);
+    // Reconnect to the new address
+    if (networkSync) {
+      networkSync.disconnect();
+      networkSync = null;
+      applyClockSyncMode();
+    }
   });
 
+const networkStatusController = clockFolder.add(clockSettings, 'networkStatus').name('Network Session').disable();
+relayUrlController.show(clockSettings.syncMode === 'network');
+networkStatusController.show(clockSettings.syncMode === 'network');
+
+/**
+ * Connect to or leave the tempo relay to match clockSettings.syncMode, and point the clock at it
+ */
+function applyClockSyncMode() {
+  const network = clockSettings.syncMode === 'network';
+
+  if (network && !networkSync) {
+    networkSync = new NetworkTempoSync(clockSettings.relayUrl, 'hallway-study');
+    networkSync.onState = (state) => {
+      if (!clockManager) return;
+      clockManager.followNetworkState(state);
+      clockSettings.running = clockManager.running;
+    };
+    networkSync.connect();
+  } else if (!network && networkSync) {
+    networkSync.disconnect();
+    networkSync = null;
+  }
+
+  if (clockManager) {
+    clockManager.networkSync = networkSync;
+    if (clockManager.syncMode !== clockSettings.syncMode) clockManager.setSyncMode(clockSettings.syncMode);
+  }
+
+  relayUrlController.show(network);
+  networkStatusController.show(network);
+}
+
+/**
+ * Start the clock - joins the network session when there is one; otherwise (or while the
+ * relay is unreachable) runs on its own and falls into phase once the relay answers
+ */
+function startClock() {
+  if (clockSettings.syncMode === 'network' && networkSync && networkSync.isReady()) {
+    clockManager.followNetworkState(networkSync.state);
+  } else {
+    clockManager.start();
+  }
+  clockSettings.running = clockManager.running;
+}
+
+function getNetworkStatus() {
+  if (!networkSync || !networkSync.connected) return '✗ Relay not reachable';
+  if (!networkSync.isReady()) return '… Syncing';
+
+  const { peers, bpm, playing } = networkSync.state;
+  const pages = `${peers} page${peers === 1 ? '' : 's'}`;
+  return `✓ ${pages} · ${bpm} BPM · ${networkSync.getLatency().toFixed(0)}ms${playing ? '' : ' · stopped'}`;
+}
+
 // Position display (read-only)
 const positionController = clockFolder.add(clockSettings, 'position').name('Position (Bar:Beat:16th)').disable();
 
@@ -1958,6 +4136,14 @@ setInterval(() => {
     bpmController.updateDisplay();
   }
 
+  if (clockSettings.syncMode === 'network') {
+    const status = getNetworkStatus();
+    if (status !== clockSettings.networkStatus) {
+      clockSettings.networkStatus = status;
+      networkStatusController.updateDisplay();
+    }
+  }
+
   // Visual metronome - show which 16th note we're on
   const sixteenth = pos.sixteenth;
   const metronomeChars = ['●', '○', '○', '○'];
@@ -1986,6 +4172,7 @@ const keySettings = {
     keyManager.changeToCompatibleKey();
     if (triggerZones) triggerZones.updateMIDINotes();
     updateKeyDisplay();
+    onHarmonyChange();
   }
 };
 
@@ -2009,6 +4196,8 @@ const keyController = keyFolder.add(keySettings, 'currentKey', keyChoices)
     keyManager.setKey(value);
     if (triggerZones) triggerZones.updateMIDINotes();
     updateKeyDisplay();
+    onHarmonyChange();
+    markDocumentDirty();
   });
 
 // Auto change toggle
@@ -2018,6 +4207,7 @@ keyFolder.add(keySettings, 'autoChange').name('Auto Key Change').onChange((value
   }
   // Save to cookie
   setCookie('autoKeyChange', value);
+  markDocumentDirty();
 });
 
 // Change interval slider
@@ -2027,6 +4217,7 @@ keyFolder.add(keySettings, 'changeInterval', 4, 32, 4).name('Change Every (bars)
   }
   setCookie('keyChangeInterval', value);
   console.log(`[Settings] Saved to cookie: keyChangeInterval = ${value}`);
+  markDocumentDirty();
 });
 
 // Manual change button
@@ -2083,10 +4274,14 @@ function setupClockCallbacks() {
       updateKeyDisplay();
       if (midiManager) showToast('Key Change', keyManager.currentKey, 'key-change');
     }
+
+    onHarmonyChange();
   };
 
   // BPM change callback
   clockManager.onBPMChange = (newBPM) => {
+    midiFileRecorder.setTempo(newBPM);
+    broadcastMusicState();
     if (midiManager) showToast('BPM Change', `${newBPM} BPM`, 'bpm-change');
   };
 }
@@ -2111,6 +4306,7 @@ const chordSettings = {
     chordManager.manualNextChord();
     if (triggerZones) triggerZones.updateChordPatterns();
     updateChordDisplay();
+    onHarmonyChange();
   }
 };
 
@@ -2132,6 +4328,8 @@ const progressionController = chordFolder.add(chordSettings, 'progression', prog
     chordManager.setProgression(value);
     if (triggerZones) triggerZones.updateChordPatterns();
     updateChordDisplay();
+    onHarmonyChange();
+    markDocumentDirty();
   });
 
 // Auto-change toggle
@@ -2141,6 +4339,7 @@ chordFolder.add(chordSettings, 'autoChange').name('Auto Change').onChange((value
   }
   // Save to cookie
   setCookie('autoChordChange', value);
+  markDocumentDirty();
 });
 
 // Change interval slider
@@ -2150,6 +4349,7 @@ chordFolder.add(chordSettings, 'changeInterval', 4, 32, 4).name('Change Every (b
   }
   setCookie('chordChangeInterval', value);
   console.log(`[Settings] Saved to cookie: chordChangeInterval = ${value}`);
+  markDocumentDirty();
 });
 
 // Manual next chord button
@@ -2199,45 +4399,122 @@ if (initialWebSocketEnabled) {
 // Cameras Panel
 const camerasFolder = gui.addFolder('Cameras');
 
-// Global Camera Model Selection
-const cameraModelSettings = {
-  model: 'OAK-D Pro PoE'
-};
+// Camera Model Library - built-in and user-defined models (saved with the document)
+// Each camera picks its own model; the default is used for new cameras
+const cameraModelFolder = camerasFolder.addFolder('Camera Models');
+let selectedLibraryModel = getDefaultCameraModel();
 
-camerasFolder.add(cameraModelSettings, 'model', ['OAK-D Pro PoE', 'OAK-D Pro W PoE'])
-  .name('Camera Model')
-  .onChange((value) => {
-    setGlobalCameraModel(value);
-    // Update all existing cameras
-    cameraManager.cameras.forEach(cam => {
-      cam.refreshForModelChange();
-      // Update specs display if camera has GUI
-      if (cam.specsData && cam.specsControllers) {
-        updateCameraSpecsDisplay(cam);
-      }
-    });
+// Cameras using a model pick up its new specs (frustums are shown so the change is visible)
+function refreshCamerasForModel(model = null) {
+  cameraManager.cameras.forEach(cam => {
+    if (model !== null && cam.model !== model) return;
+    cam.refreshForModelChange();
+    rebuildCameraSpecsGUI(cam);
+    if (cam.frustumHelper) cam.frustumHelper.visible = transformSettings.showFrustums;
+    if (cam.frustumMesh) cam.frustumMesh.visible = transformSettings.showFrustums;
+  });
+}
 
-    // Turn on "Show Camera Frustums" when model changes
-    transformSettings.showFrustums = true;
-    showFrustumsController.updateDisplay();
+function rebuildCameraModelGUI() {
+  [...cameraModelFolder.children].forEach(child => child.destroy());
 
-    // Apply frustum visibility to all cameras
-    cameraManager.cameras.forEach(cam => {
-      if (cam.frustumHelper) {
-        cam.frustumHelper.visible = true;
-      }
-      if (cam.frustumMesh) {
-        cam.frustumMesh.visible = true;
-      }
-    });
+  const names = getCameraModelNames();
+  if (!names.includes(selectedLibraryModel)) {
+    selectedLibraryModel = getDefaultCameraModel();
+  }
 
-    // Save to cookie
-    setCookie('showFrustums', true);
-    console.log('[Settings] Camera model changed - enabled Show Camera Frustums');
+  cameraModelFolder.add({ model: getDefaultCameraModel() }, 'model', names).name('Default for New').onChange((value) => {
+    setDefaultCameraModel(value);
+    markDocumentDirty();
+  });
+
+  cameraModelFolder.add({
+    apply: () => {
+      const model = getDefaultCameraModel();
+      cameraManager.cameras.forEach(cam => { cam.model = model; });
+      refreshCamerasForModel();
+      markDocumentDirty();
+      console.log(`[Camera] All cameras set to ${model}`);
+    }
+  }, 'apply').name('Use Default on All Cameras');
 
+  cameraModelFolder.add({ model: selectedLibraryModel }, 'model', names).name('Edit Model').onChange((value) => {
+    selectedLibraryModel = value;
+    rebuildCameraModelGUI();
+  });
+
+  // Selected model's specs - built-in models are read-only (duplicate them to make a variant)
+  const builtIn = isBuiltInCameraModel(selectedLibraryModel);
+  const specs = JSON.parse(JSON.stringify(getCameraSpecs(selectedLibraryModel)));
+  const specsFolder = cameraModelFolder.addFolder(builtIn ? `${selectedLibraryModel} (built-in)` : selectedLibraryModel);
+
+  const commitSpecs = () => {
+    try {
+      defineCameraModel(selectedLibraryModel, specs);
+    } catch (e) {
+      alert(`Invalid camera model: ${e.message}`);
+      rebuildCameraModelGUI();
+      return;
+    }
+    refreshCamerasForModel(selectedLibraryModel);
     markDocumentDirty();
+  };
+
+  const fields = [
+    specsFolder.add(specs, 'hFovDeg', 1, 179, 0.5).name('Horizontal FOV (°)'),
+    specsFolder.add(specs, 'vFovDeg', 1, 179, 0.5).name('Vertical FOV (°)'),
+    specsFolder.add(specs, 'aspectRatio', 0.5, 3, 0.01).name('Aspect Ratio'),
+    specsFolder.add(specs, 'minRange_m', 0, 5, 0.05).name('Min Range (m)'),
+    specsFolder.add(specs, 'maxRange_m', 1, 50, 0.5).name('Max Range (m)'),
+    specsFolder.add(specs, 'baseline_m', 0, 0.5, 0.005).name('Stereo Baseline (m)'),
+    specsFolder.add(specs, 'stereoWidth_px', 320, 4096, 1).name('Stereo Width (px)'),
+    specsFolder.add(specs.distortion, 'k1', -0.5, 0.5, 0.01).name('Distortion k1'),
+    specsFolder.add(specs.distortion, 'k2', -0.5, 0.5, 0.01).name('Distortion k2')
+  ];
+  fields.forEach(field => {
+    if (builtIn) field.disable();
+    else field.onFinishChange(commitSpecs);
   });
 
+  const addModel = (baseSpecs) => {
+    const name = prompt('Name for the new camera model:', `${selectedLibraryModel} Custom`);
+    if (!name) return;
+    if (getCameraSpecs(name)) {
+      alert(`A camera model named "${name}" already exists.`);
+      return;
+    }
+    defineCameraModel(name, baseSpecs);
+    selectedLibraryModel = name;
+    rebuildCameraModelGUI();
+    markDocumentDirty();
+    console.log(`[Camera] Added camera model "${name}"`);
+  };
+
+  cameraModelFolder.add({ duplicate: () => addModel(specs) }, 'duplicate').name('➕ Duplicate as New Model');
+
+  if (!builtIn) {
+    cameraModelFolder.add({
+      remove: () => {
+        const users = cameraManager.cameras.filter(cam => cam.model === selectedLibraryModel);
+        if (users.length > 0 && !confirm(`${users.length} camera(s) use "${selectedLibraryModel}". They will switch to the default model. Delete it?`)) {
+          return;
+        }
+        removeCameraModel(selectedLibraryModel);
+        refreshCamerasForModel(selectedLibraryModel);
+        selectedLibraryModel = getDefaultCameraModel();
+        rebuildCameraModelGUI();
+        markDocumentDirty();
+      }
+    }, 'remove').name('🗑 Delete Model');
+  }
+
+  // Per-camera model dropdowns list the library
+  cameraManager.cameras.forEach(rebuildCameraSpecsGUI);
+}
+
+rebuildCameraModelGUI();
+cameraModelFolder.close();
+
 // Depth Visualization Mode
 // Load from cookies if available
 const savedShowDepth = getCookie('showDepthVisualization');
@@ -2262,6 +4539,47 @@ camerasFolder.add(depthSettings, 'showDepthVisualization')
     console.log(`[Settings] Saved to cookie: showDepthVisualization = ${value}`);
   });
 
+// Stereo Depth Model - depth error, quantization and dropouts for previews and visibility
+let depthModelSettings = { ...DEFAULT_DEPTH_MODEL };
+const savedDepthModel = getCookie('depthModel');
+if (savedDepthModel) {
+  try {
+    depthModelSettings = { ...DEFAULT_DEPTH_MODEL, ...JSON.parse(savedDepthModel) };
+    console.log('[Settings] Loaded depth model from cookie');
+  } catch (e) {
+    console.error('[Settings] Failed to load depth model from cookie:', e);
+  }
+}
+setDepthModel(depthModelSettings);
+
+const depthModelStatus = { confidentTo: '' };
+
+function updateDepthModelStatus() {
+  const specs = getCameraSpecs();
+  depthModelStatus.confidentTo = depthModelSettings.enabled
+    ? `${getMaxConfidentDepth(specs, depthModelSettings).toFixed(1)}m`
+    : `${specs.maxRange_m.toFixed(1)}m`;
+  depthModelStatusController.updateDisplay();
+}
+
+function saveDepthModel() {
+  setDepthModel(depthModelSettings);
+  setCookie('depthModel', JSON.stringify(depthModelSettings));
+  updateDepthModelStatus();
+}
+
+const depthModelFolder = camerasFolder.addFolder('Stereo Depth Model');
+depthModelFolder.add(depthModelSettings, 'enabled').name('Enabled').onChange(saveDepthModel);
+depthModelFolder.add(depthModelSettings, 'subpixelBits', 0, 5, 1).name('Subpixel Bits').onChange(saveDepthModel);
+depthModelFolder.add(depthModelSettings, 'disparityNoise_px', 0, 1, 0.05).name('Disparity Noise (px)').onChange(saveDepthModel);
+depthModelFolder.add(depthModelSettings, 'maxRelativeError', 0.01, 0.2, 0.005).name('Max Error (× dist)').onChange(saveDepthModel);
+const depthModelStatusController = depthModelFolder.add(depthModelStatus, 'confidentTo').name('Confident To').disable();
+depthModelFolder.close();
+
+// Camera model can change from the GUI or a loaded document
+updateDepthModelStatus();
+setInterval(updateDepthModelStatus, 1000);
+
 // Frustum and Raycast Visibility
 // Load from cookies if available
 const savedShowFrustums = getCookie('showFrustums');
@@ -2349,6 +4667,18 @@ window.addEventListener('keydown', (event) => {
     return;
   }
 
+  // Trigger editor shortcuts (not while typing in the GUI)
+  if (triggerEditor.enabled && event.target.tagName !== 'INPUT') {
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+      triggerEditor.deleteSelection();
+      return;
+    }
+    if (event.key === 'Escape') {
+      triggerEditor.clearSelection();
+      return;
+    }
+  }
+
   // Transform modes (like Unity)
   if (event.key === 'w' || event.key === 'W') {
     setTransformMode('translate');
@@ -2461,23 +4791,29 @@ camerasFolder.add({
   }
 }, 'addCamera').name('Add Camera');
 
-// Function to update camera specs display when model changes
-function updateCameraSpecsDisplay(cam) {
-  // Update the spec values
-  if (cam.specsData) {
-    cam.specsData['H-FOV'] = `${cam.hFovDeg}°`;
-    cam.specsData['V-FOV'] = `${cam.vFovDeg}°`;
-    cam.specsData['Min Range'] = `${cam.minRange_m}m`;
-    cam.specsData['Max Range'] = `${cam.maxRange_m}m`;
-  }
+// Model dropdown and read-only specs for one camera (rebuilt when the model or library changes)
+function rebuildCameraSpecsGUI(cam) {
+  if (!cam.specsFolder) return;
+  [...cam.specsFolder.children].forEach(child => child.destroy());
 
-  // Refresh the controllers to show new values
-  if (cam.specsControllers) {
-    cam.specsControllers.hFov.updateDisplay();
-    cam.specsControllers.vFov.updateDisplay();
-    cam.specsControllers.minRange.updateDisplay();
-    cam.specsControllers.maxRange.updateDisplay();
-  }
+  cam.specsFolder.add(cam, 'model', getCameraModelNames()).name('Model').onChange(() => {
+    cam.refreshForModelChange();
+    if (cam.frustumHelper) cam.frustumHelper.visible = transformSettings.showFrustums;
+    if (cam.frustumMesh) cam.frustumMesh.visible = transformSettings.showFrustums;
+    rebuildCameraSpecsGUI(cam);
+    markDocumentDirty();
+  });
+
+  const specs = {
+    fov: `${cam.hFovDeg}° × ${cam.vFovDeg}°`,
+    range: `${cam.minRange_m}m - ${cam.maxRange_m}m`,
+    baseline: `${(cam.baseline_m * 100).toFixed(1)}cm`,
+    distortion: `k1 ${cam.distortion.k1}, k2 ${cam.distortion.k2}`
+  };
+  cam.specsFolder.add(specs, 'fov').name('FOV (H × V)').disable();
+  cam.specsFolder.add(specs, 'range').name('Depth Range').disable();
+  cam.specsFolder.add(specs, 'baseline').name('Baseline').disable();
+  cam.specsFolder.add(specs, 'distortion').name('Distortion').disable();
 }
 
 // Function to add camera controls to GUI
@@ -2487,28 +4823,9 @@ function addCameraToGUI(cam) {
   // Store folder reference on camera
   cam.guiFolder = camFolder;
 
-  // Camera Specs (read-only information)
-  const specsFolder = camFolder.addFolder('Camera Specs');
-  const specs = {
-    'H-FOV': `${cam.hFovDeg}°`,
-    'V-FOV': `${cam.vFovDeg}°`,
-    'Min Range': `${cam.minRange_m}m`,
-    'Max Range': `${cam.maxRange_m}m`
-  };
-
-  const hFovController = specsFolder.add(specs, 'H-FOV').name('Horizontal FOV').disable();
-  const vFovController = specsFolder.add(specs, 'V-FOV').name('Vertical FOV').disable();
-  const minRangeController = specsFolder.add(specs, 'Min Range').name('Min Range').disable();
-  const maxRangeController = specsFolder.add(specs, 'Max Range').name('Max Range').disable();
-
-  // Store controllers for updating
-  cam.specsControllers = {
-    hFov: hFovController,
-    vFov: vFovController,
-    minRange: minRangeController,
-    maxRange: maxRangeController
-  };
-  cam.specsData = specs;
+  // Camera model and its specs
+  cam.specsFolder = camFolder.addFolder('Camera Model');
+  rebuildCameraSpecsGUI(cam);
 
   // Position controls (number inputs with drag-to-change, no min/max constraints)
   camFolder.add(cam.pos, 'x').name('X (m)').step(0.01).decimals(4).onChange(() => {
@@ -2563,6 +4880,395 @@ function addCameraToGUI(cam) {
 
 camerasFolder.open();
 
+// Coverage Analysis Panel
+const coverageFolder = gui.addFolder('Coverage Analysis');
+
+const coverageSettings = {
+  showHeatmap: false,
+  cellSize: coverageAnalyzer.cellSize_m,
+  includePeople: false,
+  coverage: '-',
+  multiCoverage: '-',
+  blindSpots: '-',
+  analyze: () => runCoverageAnalysis(true),
+  rankPresets: () => rankDocumentsByCoverage()
+};
+
+// Signature of everything that affects coverage - used to skip redundant re-analysis
+let lastCoverageSignature = null;
+let lastCoveragePeopleSignature = null;
+let lastCoverageTime = 0;
+const COVERAGE_PEOPLE_INTERVAL_MS = 2000; // Moving people re-analyze at most this often
+const MAX_LISTED_BLIND_SPOTS = 8;
+
+function getCoverageSignature() {
+  return JSON.stringify({
+    models: getCustomCameraModels(),
+    cellSize: coverageAnalyzer.cellSize_m,
+    hallway: serializeGeometry(hallway),
+    cameras: cameraManager.cameras.map(cam => [cam.pos.x, cam.pos.y, cam.pos.z, cam.yaw, cam.pitch, cam.roll, cam.model])
+  });
+}
+
+// People as occluders, to the nearest 5cm - standing still doesn't trigger re-analysis
+function getCoveragePeopleSignature() {
+  if (!coverageSettings.includePeople) return null;
+  return JSON.stringify(peopleManager.people.map(person =>
+    [person.id, Math.round(person.xOffset * 20), Math.round(person.z * 20), person.slices.length]));
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function runCoverageAnalysis(announce = false) {
+  // People are optional occluders (a static layout score should not depend on where people happen to be)
+  const occluders = coverageSettings.includePeople
+    ? peopleManager.people.flatMap(person => person.slices)
+    : [];
+
+  const result = coverageAnalyzer.analyze(cameraManager.cameras, occluders);
+  lastCoverageSignature = getCoverageSignature();
+  lastCoveragePeopleSignature = getCoveragePeopleSignature();
+  lastCoverageTime = performance.now();
+
+  coverageSettings.coverage = formatPercent(result.coverage);
+  coverageSettings.multiCoverage = formatPercent(result.multiCoverage);
+  coverageSettings.blindSpots = `${result.blindSpots.length}`;
+  coverageControllers.forEach(c => c.updateDisplay());
+  showBlindSpots(result.blindSpots);
+
+  if (announce) {
+    console.log(`[Coverage] "${documentName}": ${formatPercent(result.coverage)} covered, ${formatPercent(result.multiCoverage)} multi-camera, ${result.blindSpots.length} blind spots`);
+    showToast('Coverage', `${formatPercent(result.coverage)} covered, ${result.blindSpots.length} blind spots`, 'coverage');
+  }
+
+  return result;
+}
+
+// Score every preset and saved document without loading them into the scene
+function rankDocumentsByCoverage() {
+  const analyzer = new CoverageAnalyzer(scene, hallway);
+  analyzer.cellSize_m = coverageAnalyzer.cellSize_m;
+
+  const ranking = [];
+  getAllDocumentNames().forEach(name => {
+    let data = getPresetDocument(name);
+    if (!data) {
+      try {
+        data = JSON.parse(localStorage.getItem(`hallway-study-doc:${name}`));
+      } catch (e) {
+        console.error(`[Coverage] Could not read document "${name}":`, e);
+        return;
+      }
+    }
+    if (!data || !data.cameras) return;
+
+    // Score each document in its own hallway
+    try {
+      data = migrateDocument(data);
+    } catch (e) {
+      console.error(`[Coverage] Skipping "${name}": ${e.message}`);
+      return;
+    }
+    if (validateGeometry(data.hallway).length > 0) {
+      console.error(`[Coverage] Skipping "${name}": invalid hallway geometry`);
+      return;
+    }
+    analyzer.hallway = normalizeGeometry(data.hallway);
+
+    // Each document may define its own models - look them up without touching the live library
+    const model = (data.settings && data.settings.cameraModel) || getDefaultCameraModel();
+    const specsFor = (name) => (data.cameraModels && data.cameraModels[name]) || getCameraSpecs(name) || getCameraSpecs(model) || getCameraSpecs();
+    const cameras = data.cameras.map(camData => createVirtualCamera(camData, specsFor(camData.model || model)));
+    const result = analyzer.analyze(cameras);
+
+    ranking.push({
+      Document: name,
+      Cameras: cameras.length,
+      Model: model,
+      Coverage: result.coverage,
+      'Multi-Camera': result.multiCoverage,
+      'Blind Spots': result.blindSpots.length
+    });
+  });
+
+  ranking.sort((a, b) => b.Coverage - a.Coverage);
+
+  console.log('[Coverage] Document ranking (best first):');
+  console.table(ranking.map(row => ({
+    ...row,
+    Coverage: formatPercent(row.Coverage),
+    'Multi-Camera': formatPercent(row['Multi-Camera'])
+  })));
+
+  if (ranking.length > 0) {
+    showToast('Best Coverage', `${ranking[0].Document} (${formatPercent(ranking[0].Coverage)})`, 'coverage');
+  }
+
+  return ranking;
+}
+
+coverageFolder.add(coverageSettings, 'showHeatmap').name('Show Heatmap').onChange((value) => {
+  coverageAnalyzer.setHeatmapVisible(value);
+  if (value) runCoverageAnalysis();
+});
+
+coverageFolder.add(coverageSettings, 'cellSize', 0.05, 0.5, 0.05).name('Grid Size (m)').onChange((value) => {
+  coverageAnalyzer.cellSize_m = value;
+});
+
+coverageFolder.add(coverageSettings, 'includePeople').name('People Occlude');
+
+coverageFolder.add(coverageSettings, 'analyze').name('📊 Analyze Layout');
+coverageFolder.add(coverageSettings, 'rankPresets').name('🏆 Rank All Documents');
+
+const coverageControllers = [
+  coverageFolder.add(coverageSettings, 'coverage').name('Coverage').disable(),
+  coverageFolder.add(coverageSettings, 'multiCoverage').name('Multi-Camera').disable(),
+  coverageFolder.add(coverageSettings, 'blindSpots').name('Blind Spots').disable()
+];
+
+// Largest blind spots listed under the results (outlined in white on the heatmap)
+const blindSpotFolder = coverageFolder.addFolder('Blind Spot List');
+let blindSpotListSignature = null;
+
+function showBlindSpots(blindSpots) {
+  const rows = blindSpots.slice(0, MAX_LISTED_BLIND_SPOTS).map((spot, i) => [`#${i + 1}`,
+    `x ${spot.xMin.toFixed(2)}→${spot.xMax.toFixed(2)}, z ${spot.zStart.toFixed(2)}→${spot.zEnd.toFixed(2)} · ` +
+    `${spot.area_m2.toFixed(2)}m² · ${formatPercent(spot.meanCoverage)}`]);
+  if (blindSpots.length > MAX_LISTED_BLIND_SPOTS) {
+    rows.push(['', `${blindSpots.length - MAX_LISTED_BLIND_SPOTS} smaller`]);
+  } else if (rows.length === 0) {
+    rows.push(['', 'None']);
+  }
+
+  // Periodic re-analysis usually finds the same spots - only rebuild when the list changes
+  const signature = JSON.stringify(rows);
+  if (signature === blindSpotListSignature) return;
+  blindSpotListSignature = signature;
+
+  [...blindSpotFolder.children].forEach(child => child.destroy());
+  rows.forEach(([name, value]) => blindSpotFolder.add({ value }, 'value').name(name).disable());
+}
+
+// Keep the heatmap live while it's shown and this panel is open (cameras can move via GUI or transform gizmo);
+// moving people only re-analyze every COVERAGE_PEOPLE_INTERVAL_MS
+setInterval(() => {
+  if (!coverageSettings.showHeatmap || coverageFolder._closed) return;
+  if (getCoverageSignature() !== lastCoverageSignature) {
+    runCoverageAnalysis();
+  } else if (getCoveragePeopleSignature() !== lastCoveragePeopleSignature &&
+    performance.now() - lastCoverageTime >= COVERAGE_PEOPLE_INTERVAL_MS) {
+    runCoverageAnalysis();
+  }
+}, 500);
+
+coverageFolder.close();
+
+// Tracking Metrics Panel - occlusion and tracking quality of the current layout over a simulated run
+const metricsFolder = gui.addFolder('Tracking Metrics');
+
+const trackingMetrics = new TrackingMetrics(hallway);
+peopleManager.setMetrics(trackingMetrics);
+
+const metricsPanel = document.getElementById('metrics-panel');
+const metricsContent = document.getElementById('metrics-content');
+
+const metricsSettings = {
+  runMinutes: trackingMetrics.durationLimit / 60,
+  elapsed: '-',
+  seen: '-',
+  risks: '-',
+  toggleRun: () => toggleMetricsRun(),
+  showReport: () => showMetricsReport(),
+  exportCSV: () => exportMetricsCSV()
+};
+
+function toggleMetricsRun() {
+  if (trackingMetrics.running) {
+    trackingMetrics.stop();
+    metricsRunController.name('▶ Start Run');
+    showMetricsReport();
+    return;
+  }
+
+  if (simulationPlayer || isTrackingSource()) {
+    alert('Tracking metrics measure the people simulation - switch back to live simulation first.');
+    return;
+  }
+
+  // Every run starts from the same seed so layouts are compared against the same crowd
+  trackingMetrics.durationLimit = metricsSettings.runMinutes * 60;
+  restartSimulation(replaySettings.seed);
+  trackingMetrics.start();
+  metricsRunController.name('⏹ Stop Run');
+}
+
+trackingMetrics.onComplete = (report) => {
+  metricsRunController.name('▶ Start Run');
+  showMetricsReport();
+  showToast('Tracking Metrics', `${formatPercent(report.summary.seen)} seen, ${report.summary.riskEvents} ID-switch risks`, 'coverage');
+};
+
+function showMetricsReport() {
+  const report = trackingMetrics.getReport();
+  metricsContent.innerHTML = renderReportHTML(report);
+  metricsPanel.style.display = 'block';
+}
+
+function exportMetricsCSV() {
+  if (trackingMetrics.people.size === 0) {
+    alert('No metrics yet - start a run first.');
+    return;
+  }
+
+  const blob = new Blob([trackingMetrics.toCSV()], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `tracking-metrics-${documentName.replace(/[^\w-]+/g, '_')}-seed${replaySettings.seed}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+document.getElementById('metrics-close').addEventListener('click', () => {
+  metricsPanel.style.display = 'none';
+});
+
+metricsFolder.add(metricsSettings, 'runMinutes', 1, 30, 1).name('Run Length (min)');
+const metricsRunController = metricsFolder.add(metricsSettings, 'toggleRun').name('▶ Start Run');
+metricsFolder.add(metricsSettings, 'showReport').name('📊 Show Report');
+metricsFolder.add(metricsSettings, 'exportCSV').name('💾 Export CSV');
+
+const metricsControllers = [
+  metricsFolder.add(metricsSettings, 'elapsed').name('Elapsed').disable(),
+  metricsFolder.add(metricsSettings, 'seen').name('Seen').disable(),
+  metricsFolder.add(metricsSettings, 'risks').name('ID-Switch Risks').disable()
+];
+
+// Live readouts (and the report, if open) while a run is in progress
+setInterval(() => {
+  if (!trackingMetrics.running) return;
+
+  const report = trackingMetrics.getReport();
+  metricsSettings.elapsed = `${(report.duration / 60).toFixed(1)} / ${metricsSettings.runMinutes} min`;
+  metricsSettings.seen = formatPercent(report.summary.seen);
+  metricsSettings.risks = `${report.summary.riskEvents}`;
+  metricsControllers.forEach(c => c.updateDisplay());
+
+  if (metricsPanel.style.display !== 'none') {
+    metricsContent.innerHTML = renderReportHTML(report);
+  }
+}, 1000);
+
+metricsFolder.close();
+
+// Camera Optimizer Panel
+const optimizerFolder = gui.addFolder('Camera Optimizer');
+
+const optimizerSettings = {
+  cameraCount: 3,
+  mount: 'ceiling',
+  minHeight: 2.0,
+  maxHeight: hallway.height_m,
+  iterations: 1500,
+  crowdFrames: 24,
+  progress: '-',
+  bestScore: '-',
+  start: () => startCameraOptimizer(),
+  stop: () => { if (cameraOptimizer) cameraOptimizer.stop(); },
+  applyBest: () => applyBestOptimizerLayout(),
+  saveResult: () => saveDocumentAs()
+};
+
+let cameraOptimizer = null;
+
+function startCameraOptimizer() {
+  if (cameraOptimizer && cameraOptimizer.running) {
+    // Stopping calls onComplete - the old run mustn't apply its layout or ask about it
+    cameraOptimizer.onProgress = null;
+    cameraOptimizer.onComplete = null;
+    cameraOptimizer.stop();
+  }
+
+  const model = getDefaultCameraModel();
+  cameraOptimizer = new CameraPlacementOptimizer(hallway, {
+    cameraCount: optimizerSettings.cameraCount,
+    model,
+    specs: getCameraSpecs(model),
+    mount: optimizerSettings.mount,
+    minHeight: Math.min(optimizerSettings.minHeight, optimizerSettings.maxHeight),
+    maxHeight: Math.max(optimizerSettings.minHeight, optimizerSettings.maxHeight),
+    iterations: optimizerSettings.iterations
+  });
+  cameraOptimizer.setCrowdFrames(peopleManager.sampleCrowdFrames(optimizerSettings.crowdFrames));
+
+  cameraOptimizer.onProgress = (progress) => {
+    optimizerSettings.progress = `${progress.iteration} / ${progress.iterations}`;
+    optimizerSettings.bestScore = formatPercent(progress.bestScore);
+    optimizerControllers.forEach(c => c.updateDisplay());
+  };
+
+  cameraOptimizer.onComplete = () => {
+    if (documentDirty) {
+      const confirmed = confirm('You have unsaved changes. Replace the current cameras with the optimized layout?');
+      if (!confirmed) {
+        showToast('Optimizer', 'Best layout kept - use Apply Best Layout to load it', 'coverage');
+        return;
+      }
+    }
+    applyOptimizerResult();
+  };
+
+  cameraOptimizer.start();
+}
+
+function applyOptimizerResult() {
+  const name = `Optimized ${cameraOptimizer.cameraCount}× ${cameraOptimizer.mount}`;
+  // Only the cameras change - keep the current trigger layout
+  const optimizedDocument = cameraOptimizer.toDocument(name);
+  optimizedDocument.triggerLayout = cloneLayout(triggerLayout);
+  optimizedDocument.cameraModels = getCustomCameraModels();
+
+  if (deserializeDocument(optimizedDocument)) {
+    // Not saved anywhere yet - user names it via Save Result As...
+    markDocumentDirty();
+    showToast('Optimizer', `${name}: ${formatPercent(cameraOptimizer.bestScore)} of people slices tracked`, 'coverage');
+  }
+}
+
+// Load the last run's best layout, e.g. after declining to replace unsaved cameras when it finished
+function applyBestOptimizerLayout() {
+  if (!cameraOptimizer || !cameraOptimizer.bestLayout) {
+    alert('Run the optimizer first.');
+    return;
+  }
+  if (cameraOptimizer.running) {
+    alert('The optimizer is still running - stop it first.');
+    return;
+  }
+  applyOptimizerResult();
+}
+
+optimizerFolder.add(optimizerSettings, 'cameraCount', 1, 8, 1).name('Cameras');
+optimizerFolder.add(optimizerSettings, 'mount', MOUNT_TYPES).name('Mount');
+optimizerFolder.add(optimizerSettings, 'minHeight', 0.5, hallway.height_m, 0.05).name('Min Height (m)');
+optimizerFolder.add(optimizerSettings, 'maxHeight', 0.5, hallway.height_m, 0.05).name('Max Height (m)');
+optimizerFolder.add(optimizerSettings, 'iterations', 100, 10000, 100).name('Iterations');
+optimizerFolder.add(optimizerSettings, 'crowdFrames', 4, 96, 4).name('Crowd Samples');
+optimizerFolder.add(optimizerSettings, 'start').name('▶ Optimize');
+optimizerFolder.add(optimizerSettings, 'stop').name('⏹ Stop');
+optimizerFolder.add(optimizerSettings, 'applyBest').name('✔ Apply Best Layout');
+optimizerFolder.add(optimizerSettings, 'saveResult').name('💾 Save Result As...');
+
+const optimizerControllers = [
+  optimizerFolder.add(optimizerSettings, 'progress').name('Progress').disable(),
+  optimizerFolder.add(optimizerSettings, 'bestScore').name('Best Score').disable()
+];
+
+optimizerFolder.close();
+
 // Reorder GUI folders: Features first, then camera-related panels
 // Features -> Camera Presets -> Cameras -> People -> etc.
 requestAnimationFrame(() => {
@@ -2650,6 +5356,9 @@ cameraModeBtn.addEventListener('click', toggleCameraMode);
 
 // ===== Click to select camera =====
 renderer.domElement.addEventListener('click', (event) => {
+  // Clicks select triggers while editing the floor, or pick points on the floor plan
+  if (triggerEditor.enabled || floorPlanUnderlay.isPicking) return;
+
   // Calculate mouse position in normalized device coordinates (-1 to +1)
   const rect = renderer.domElement.getBoundingClientRect();
   mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -2747,8 +5456,26 @@ function updateSimulation(deltaTime, now) {
     clockManager.update(now);
   }
 
-  // Update people simulation (pass all systems including MIDI and clock)
-  peopleManager.update(deltaTime, cameraManager.cameras, triggerZones, clockManager, midiManager);
+  if (simulationPlayer) {
+    // Replay drives people, triggers and MIDI from the recording
+    updateReplay(deltaTime);
+  } else {
+    // Fixed timestep keeps seeded runs reproducible regardless of tick jitter (tracking runs in real time)
+    const simDeltaTime = replaySettings.fixedTimestep && !isTrackingSource() ? SIM_TICK_SECONDS : deltaTime;
+    simulationRecorder.beginTick(simDeltaTime);
+
+    if (isTrackingSource()) {
+      // Real visitors from the tracker drive triggers and MIDI
+      trackingSource.update(deltaTime);
+      peopleManager.updateTracked(trackingSource.getPersonStates(), cameraManager.cameras, triggerZones, clockManager, midiManager);
+    } else {
+      // Update people simulation (pass all systems including MIDI and clock)
+      peopleManager.update(simDeltaTime, cameraManager.cameras, triggerZones, clockManager, midiManager);
+    }
+    if (simulationRecorder.recording) {
+      simulationRecorder.captureFrame(peopleManager.captureState());
+    }
+  }
 
   // Update cameras (for pulsing boundary violation lines)
   cameraManager.cameras.forEach(cam => cam.update(deltaTime));
@@ -2762,6 +5489,32 @@ function updateSimulation(deltaTime, now) {
   sendPeopleToWorker(peopleManager.people);
 }
 
+// Depth model settings for one preview (camera model and depth model can change at any time)
+function updateDepthPreviewUniforms(item, previewCam) {
+  const cam = item.camera;
+  const model = getDepthModel();
+  const uniforms = item.depthVisualizationMaterial.uniforms;
+
+  // Render from just in front of the lens so objects closer than the minimum range
+  // still block the view (a real stereo camera returns no depth there rather than seeing through)
+  if (model.enabled) {
+    previewCam.near = 0.05;
+    previewCam.updateProjectionMatrix();
+  }
+
+  uniforms.cameraNear.value = previewCam.near;
+  uniforms.cameraFar.value = previewCam.far;
+  uniforms.minRange.value = cam.minRange_m;
+  uniforms.maxRange.value = cam.maxRange_m;
+  uniforms.modelEnabled.value = model.enabled;
+  uniforms.focalBaseline.value = getFocalBaseline(cam);
+  uniforms.subpixelSteps.value = Math.pow(2, model.subpixelBits);
+  uniforms.disparityNoise.value = model.disparityNoise_px;
+  uniforms.disparityError.value = getDisparityError(model);
+  uniforms.maxRelativeError.value = model.maxRelativeError;
+  uniforms.noiseSeed.value = (performance.now() % 10000) / 1000;
+}
+
 // Render loop - handles visual updates only (simulation runs separately from worker)
 function animate() {
   requestAnimationFrame(animate);
@@ -2781,6 +5534,8 @@ function animate() {
       const previewCam = item.camera.getPreviewCamera();
 
       if (depthVisualizationMode) {
+        updateDepthPreviewUniforms(item, previewCam);
+
         // Render to depth render target first
         item.previewRenderer.setRenderTarget(item.depthRenderTarget);
         item.previewRenderer.render(scene, previewCam);
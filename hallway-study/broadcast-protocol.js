@@ -0,0 +1,165 @@
+/**
+ * Broadcast Protocol - Versioned messages on the WebSocket feed (ws://localhost:8080)
+ *
+ * The page connects to the server and says hello; whoever is on the other end (a relay, or a
+ * consumer running its own server) can then subscribe to topics and pick a frame rate.
+ * Without a subscription the page sends what it always has: people_locations at 30 Hz.
+ *
+ * Every message the page sends: { v: 1, type, seq, timestamp, ...fields }
+ * - seq counts up per connection (gaps mean dropped messages), timestamp is Date.now() ms
+ *
+ * Handshake:
+ *   page -> server   hello       { protocol: 'hallway-study', topics, subscription, rates: { min, max } }
+ *   server -> page   subscribe   { topics: ['people', 'notes'], rate: 15 }
+ *   page -> server   subscribed  { topics, rate }   or   error { message }
+ *
+ * Topics and their messages:
+ *   people     people_locations { people: [{ id, x, y, w, h, xvel, yvel }] }  (tracking-protocol.js)
+ *              people_empty     {}  - nobody in the hallway (so silence means a dead connection)
+ *              Frames at the subscribed rate (1-60 Hz); everything else is sent as it happens.
+ *   presence   person_enter     { person: { id, x, y, ... } }
+ *              person_leave     { id }
+ *   triggers   trigger_enter    { triggerId, zoneId, zoneName, index, personId }
+ *              trigger_exit     { triggerId, zoneId, zoneName, index, personId }
+ *              trigger_activate { triggerId, zoneId, zoneName, index, personId, velocity, xPosition, xDirection }
+ *   notes      note_on          { note, velocity, channel, source, personId }  - when the note sounds
+ *              note_off         { note, channel, source, personId }
+ *   music      music_state      { clock, key, chord } - getInfo() of ClockManager, KeyManager and
+ *                               ChordManager; every bar, on tempo changes and right after subscribing
+ *
+ * Commands (remote control, e.g. from the operator's tablet):
+ *   server -> page   command     { id, command: 'set_bpm', args: { bpm: 120 } }
+ *   page -> server   ack         { id, command, result }              - done
+ *                    error       { id, command, message, request: 'command' }  - nothing changed
+ *   id is anything the sender picks (echoed back, so replies can be matched up).
+ *
+ *   get_state        {}                        -> { document, documents, clock, key, chord, keys, progressions, people, midi }
+ *   load_document    { name } or { document }  a preset, a document saved in the page's browser, or a whole
+ *                                              document (as exported) -> { document }
+ *   set_bpm          { bpm }                   60-200, turns Auto BPM Change off -> { bpm }
+ *   set_key          { key }                   Camelot key ('8B') -> key getInfo()
+ *   set_progression  { progression }           progression name ('I-V-vi-IV') -> chord getInfo()
+ *   set_simulation   { enabled, count? }       people simulation on/off, count 0-12 -> { enabled, count }
+ *   spawn_person     { x, y, direction?, speed? }  position as in people_locations (0-1), direction 1 (towards
+ *                                              the far end) or -1, speed in m/s -> { person }
+ *   midi_panic       {}                        all notes off on every output -> {}
+ *
+ * Other messages from the server are passed on to the app.
+ */
+
+export const PROTOCOL_NAME = 'hallway-study';
+export const PROTOCOL_VERSION = 1;
+
+export const TOPICS = ['people', 'presence', 'triggers', 'notes', 'music'];
+
+export const MESSAGE_TOPICS = {
+  people_locations: 'people',
+  people_empty: 'people',
+  person_enter: 'presence',
+  person_leave: 'presence',
+  trigger_enter: 'triggers',
+  trigger_exit: 'triggers',
+  trigger_activate: 'triggers',
+  note_on: 'notes',
+  note_off: 'notes',
+  music_state: 'music'
+};
+
+export const RATE_LIMITS = { min: 1, max: 60 };
+
+// What a server that never subscribes gets (the feed before versioning)
+export const DEFAULT_SUBSCRIPTION = { topics: ['people'], rate: 30 };
+
+export function createMessage(type, seq, fields = {}) {
+  return { v: PROTOCOL_VERSION, type, seq, timestamp: Date.now(), ...fields };
+}
+
+// Arguments of each command: type, range and whether it's required
+export const COMMANDS = {
+  get_state: {},
+  load_document: { name: { type: 'string' }, document: { type: 'object' } },
+  set_bpm: { bpm: { type: 'number', min: 60, max: 200, required: true } },
+  set_key: { key: { type: 'string', required: true } },
+  set_progression: { progression: { type: 'string', required: true } },
+  set_simulation: { enabled: { type: 'boolean', required: true }, count: { type: 'number', min: 0, max: 12 } },
+  spawn_person: {
+    x: { type: 'number', min: 0, max: 1, required: true },
+    y: { type: 'number', min: 0, max: 1, required: true },
+    direction: { type: 'number', min: -1, max: 1 },
+    speed: { type: 'number', min: 0, max: 3 }
+  },
+  midi_panic: {}
+};
+
+export function createHello(seq, subscription) {
+  return createMessage('hello', seq, {
+    protocol: PROTOCOL_NAME,
+    topics: TOPICS,
+    commands: Object.keys(COMMANDS),
+    subscription,
+    rates: RATE_LIMITS
+  });
+}
+
+/**
+ * Check a subscribe message
+ * @returns {object} - { subscription: { topics, rate } } or { error }
+ */
+export function parseSubscription(message) {
+  const { topics, rate } = message;
+
+  if (!Array.isArray(topics) || topics.some(topic => !TOPICS.includes(topic))) {
+    return { error: `topics must be a list of: ${TOPICS.join(', ')}` };
+  }
+  if (rate !== undefined && !(typeof rate === 'number' && rate >= RATE_LIMITS.min && rate <= RATE_LIMITS.max)) {
+    return { error: `rate must be ${RATE_LIMITS.min}-${RATE_LIMITS.max} frames per second` };
+  }
+
+  return {
+    subscription: {
+      topics: TOPICS.filter(topic => topics.includes(topic)),
+      rate: rate !== undefined ? rate : DEFAULT_SUBSCRIPTION.rate
+    }
+  };
+}
+
+/**
+ * Check a command message (argument types and ranges - the app checks names against its state)
+ * @returns {object} - { command: { id, name, args } } or { error }
+ */
+export function parseCommand(message) {
+  const { id = null, command: name } = message;
+  const args = message.args !== undefined ? message.args : {};
+
+  const spec = COMMANDS[name];
+  if (!spec) {
+    return { error: `command must be one of: ${Object.keys(COMMANDS).join(', ')}` };
+  }
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    return { error: 'args must be an object' };
+  }
+
+  for (const [key, { type, min, max, required }] of Object.entries(spec)) {
+    const value = args[key];
+    if (value === undefined) {
+      if (required) return { error: `${key} is required` };
+      continue;
+    }
+    const typeOk = type === 'object' ? typeof value === 'object' && value !== null : typeof value === type;
+    if (!typeOk || (type === 'number' && !Number.isFinite(value))) {
+      return { error: `${key} must be a ${type}` };
+    }
+    if (min !== undefined && (value < min || value > max)) {
+      return { error: `${key} must be ${min} to ${max}` };
+    }
+  }
+
+  if (name === 'load_document' && args.name === undefined && args.document === undefined) {
+    return { error: 'name or document is required' };
+  }
+  if (name === 'spawn_person' && args.direction !== undefined && Math.abs(args.direction) !== 1) {
+    return { error: 'direction must be 1 or -1' };
+  }
+
+  return { command: { id, name, args } };
+}
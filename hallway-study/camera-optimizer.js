@@ -0,0 +1,312 @@
+/**
+ * Camera Placement Optimizer - Searches camera poses that maximise people coverage
+ *
+ * Scores a layout by the fraction of person slices (from PeopleManager crowd samples)
+ * that at least one camera can see, including occlusion by other people.
+ * Uses simulated annealing: each iteration perturbs one camera of the current layout,
+ * keeps improvements, and occasionally accepts a worse layout early on to escape local optima.
+ *
+ * Mounting constraints:
+ * - 'ceiling': cameras on the ceiling plane, anywhere over the hallway floor
+ * - 'wall': cameras on the footprint outline (the walls), between minHeight and maxHeight
+ * - 'any': anywhere inside the hallway volume between minHeight and maxHeight
+ */
+
+import * as THREE from 'three';
+import { pointInFrustum3D, isSegmentBlockedByCylinders, isSegmentBlockedByRoom } from './visibility.js';
+import { createVirtualCamera } from './coverage.js';
+import { DOCUMENT_VERSION } from './document-schema.js';
+import { isInsideFootprint, getClosestFootprintPoint, serializeGeometry } from './hallway-geometry.js';
+
+export const MOUNT_TYPES = ['ceiling', 'wall', 'any'];
+
+// Time budget per chunk so the page stays responsive while searching
+const CHUNK_BUDGET_MS = 12;
+
+export class CameraPlacementOptimizer {
+  constructor(hallway, opts = {}) {
+    const {
+      cameraCount = 3,
+      model = 'OAK-D Pro PoE',
+      specs,
+      mount = 'ceiling',
+      minHeight = 2.0,
+      maxHeight = hallway.height_m,
+      iterations = 1500
+    } = opts;
+
+    this.hallway = hallway;
+    this.cameraCount = cameraCount;
+    this.model = model;
+    this.specs = specs;
+    this.mount = mount;
+    this.minHeight = minHeight;
+    this.maxHeight = Math.min(maxHeight, hallway.height_m);
+    this.iterations = iterations;
+
+    this.samples = [];
+    this.running = false;
+    this.iteration = 0;
+    this.currentLayout = null;
+    this.currentScore = 0;
+    this.bestLayout = null;
+    this.bestScore = 0;
+    this.timer = null;
+
+    // Callbacks
+    this.onProgress = null; // Called after each chunk with getProgress()
+    this.onComplete = null; // Called once with getProgress() when the search ends
+  }
+
+  /**
+   * Precompute slice sample points and occluder cylinders from crowd frames
+   * @param {Array} frames - Output of PeopleManager.sampleCrowdFrames()
+   */
+  setCrowdFrames(frames) {
+    const { length_m } = this.hallway;
+    this.samples = frames.map(frame => {
+      const cylinders = frame.map(p => ({
+        x: p.x,
+        z: p.z - length_m / 2, // Convert to world Z (hallway centered at origin)
+        radius: p.radius,
+        height: p.sliceCount * p.sliceHeight
+      }));
+
+      const people = frame.map((p, i) => ({
+        radius: p.radius,
+        others: cylinders.filter((_, j) => j !== i),
+        slices: Array.from({ length: p.sliceCount }, (_, s) =>
+          new THREE.Vector3(p.x, (s + 0.5) * p.sliceHeight, p.z - length_m / 2))
+      }));
+
+      return people;
+    });
+  }
+
+  /**
+   * Score a layout (0.0 - 1.0): fraction of all sampled person slices visible to some camera
+   */
+  evaluate(layout) {
+    const cameras = layout.map(cam => createVirtualCamera(cam, this.specs));
+    let visible = 0;
+    let total = 0;
+
+    for (const people of this.samples) {
+      for (const person of people) {
+        for (const slice of person.slices) {
+          total++;
+          for (const cam of cameras) {
+            if (!pointInFrustum3D(slice, cam)) continue;
+            if (isSegmentBlockedByRoom(cam.group.position, slice, this.hallway)) continue;
+            if (!isSegmentBlockedByCylinders(cam.group.position, slice, person.others, person.radius)) {
+              visible++;
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    return total > 0 ? visible / total : 0;
+  }
+
+  /**
+   * Project a camera pose onto the mounting constraint (modifies and returns cam)
+   */
+  constrain(cam) {
+    const { width_m, length_m, height_m } = this.hallway;
+    const hw = width_m / 2;
+    const hl = length_m / 2;
+    const clamp = THREE.MathUtils.clamp;
+
+    cam.pos.x = clamp(cam.pos.x, -hw, hw);
+    cam.pos.z = clamp(cam.pos.z, -hl, hl);
+
+    // Shaped footprints (e.g. L-shaped) - pull back over the floor
+    if (!isInsideFootprint(this.hallway, cam.pos.x, cam.pos.z + hl)) {
+      const point = getClosestFootprintPoint(this.hallway, cam.pos.x, cam.pos.z + hl);
+      cam.pos.x = point.x;
+      cam.pos.z = point.z - hl;
+    }
+
+    if (this.mount === 'ceiling') {
+      cam.pos.y = height_m;
+    } else {
+      cam.pos.y = clamp(cam.pos.y, this.minHeight, this.maxHeight);
+
+      if (this.mount === 'wall') {
+        // Snap to the nearest point on the outline. A camera facing the wall is mirrored off it,
+        // so yaws (random or perturbed) cover the half-plane looking into the room evenly
+        const point = getClosestFootprintPoint(this.hallway, cam.pos.x, cam.pos.z + hl);
+        cam.pos.x = point.x;
+        cam.pos.z = point.z - hl;
+
+        const inwardYaw = this.getInwardYaw(point);
+        const offset = ((cam.yaw - inwardYaw + 540) % 360) - 180;
+        cam.yaw = inwardYaw + (Math.abs(offset) > 90 ? Math.sign(offset) * 180 - offset : offset);
+      }
+    }
+
+    // Yaw wraps, pitch looks level or down, no roll
+    cam.yaw = ((cam.yaw + 540) % 360) - 180;
+    cam.pitch = clamp(cam.pitch, -90, 0);
+    cam.roll = 0;
+
+    return cam;
+  }
+
+  /**
+   * Yaw (degrees) looking straight off the wall into the room at a point from getClosestFootprintPoint()
+   */
+  getInwardYaw(point) {
+    const points = this.hallway.footprint;
+    const [ax, az] = points[point.edge];
+    const [bx, bz] = points[(point.edge + 1) % points.length];
+    const length = Math.hypot(bx - ax, bz - az) || 1;
+    let nx = -(bz - az) / length;
+    let nz = (bx - ax) / length;
+    if (!isInsideFootprint(this.hallway, point.x + nx * 0.01, point.z + nz * 0.01)) {
+      nx = -nx;
+      nz = -nz;
+    }
+
+    // Cameras look down -Z at yaw 0 (YXZ Euler angles, as in Camera.build())
+    return THREE.MathUtils.radToDeg(Math.atan2(-nx, -nz));
+  }
+
+  randomCamera(index) {
+    const { width_m, length_m } = this.hallway;
+    return this.constrain({
+      name: `Opt ${String.fromCharCode(65 + index)}`,
+      pos: {
+        x: (Math.random() - 0.5) * width_m,
+        y: this.minHeight + Math.random() * (this.maxHeight - this.minHeight),
+        z: (Math.random() - 0.5) * length_m
+      },
+      yaw: Math.random() * 360 - 180,
+      pitch: -20 - Math.random() * 70,
+      roll: 0
+    });
+  }
+
+  /**
+   * Perturb one camera; step size shrinks with temperature
+   */
+  perturb(layout, temperature) {
+    const next = layout.map(cam => ({ ...cam, pos: { ...cam.pos } }));
+    const cam = next[Math.floor(Math.random() * next.length)];
+    const gaussian = () => (Math.random() + Math.random() + Math.random() - 1.5) * 2 / 1.5;
+    const scale = 0.2 + temperature;
+
+    cam.pos.x += gaussian() * this.hallway.width_m * 0.25 * scale;
+    cam.pos.y += gaussian() * 0.3 * scale;
+    cam.pos.z += gaussian() * this.hallway.length_m * 0.15 * scale;
+    cam.yaw += gaussian() * 45 * scale;
+    cam.pitch += gaussian() * 20 * scale;
+
+    this.constrain(cam);
+    return next;
+  }
+
+  /**
+   * Start the search (runs in time-sliced chunks)
+   */
+  start() {
+    if (this.samples.length === 0) {
+      console.error('[Optimizer] No crowd samples - call setCrowdFrames() first');
+      return;
+    }
+
+    this.iteration = 0;
+    this.currentLayout = Array.from({ length: this.cameraCount }, (_, i) => this.randomCamera(i));
+    this.currentScore = this.evaluate(this.currentLayout);
+    this.bestLayout = this.currentLayout;
+    this.bestScore = this.currentScore;
+    this.running = true;
+
+    console.log(`[Optimizer] Searching ${this.cameraCount}× ${this.model} (${this.mount} mount) over ${this.iterations} iterations`);
+    this.runChunk();
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    console.log(`[Optimizer] Stopped at iteration ${this.iteration} - best ${(this.bestScore * 100).toFixed(1)}%`);
+    if (this.onComplete) this.onComplete(this.getProgress());
+  }
+
+  runChunk() {
+    if (!this.running) return;
+
+    const chunkStart = performance.now();
+    while (this.iteration < this.iterations && performance.now() - chunkStart < CHUNK_BUDGET_MS) {
+      const temperature = 1 - this.iteration / this.iterations;
+      const candidate = this.perturb(this.currentLayout, temperature);
+      const score = this.evaluate(candidate);
+
+      // Metropolis acceptance (scores are fractions, so scale the temperature down)
+      const accept = score >= this.currentScore ||
+        Math.random() < Math.exp((score - this.currentScore) / (0.02 * temperature + 1e-6));
+
+      if (accept) {
+        this.currentLayout = candidate;
+        this.currentScore = score;
+      }
+      if (score > this.bestScore) {
+        this.bestLayout = candidate;
+        this.bestScore = score;
+      }
+      this.iteration++;
+    }
+
+    if (this.onProgress) this.onProgress(this.getProgress());
+
+    if (this.iteration >= this.iterations) {
+      this.running = false;
+      this.timer = null;
+      console.log(`[Optimizer] ✓ Done - best coverage ${(this.bestScore * 100).toFixed(1)}%`);
+      if (this.onComplete) this.onComplete(this.getProgress());
+      return;
+    }
+
+    this.timer = setTimeout(() => this.runChunk(), 0);
+  }
+
+  getProgress() {
+    return {
+      running: this.running,
+      iteration: this.iteration,
+      iterations: this.iterations,
+      currentScore: this.currentScore,
+      bestScore: this.bestScore
+    };
+  }
+
+  /**
+   * Convert the best layout into a document (same shape as serializeDocument())
+   */
+  toDocument(name) {
+    return {
+      version: DOCUMENT_VERSION,
+      name,
+      timestamp: Date.now(),
+      hallway: serializeGeometry(this.hallway),
+      cameras: (this.bestLayout || []).map((cam, i) => ({
+        id: i + 1,
+        name: cam.name,
+        pos: { ...cam.pos },
+        yaw: cam.yaw,
+        pitch: cam.pitch,
+        roll: cam.roll,
+        model: this.model
+      })),
+      settings: {
+        cameraModel: this.model
+      }
+    };
+  }
+}
@@ -3,8 +3,13 @@ import * as THREE from 'three';
 import { Line2 } from 'three/addons/lines/Line2.js';
 import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
 import { LineGeometry } from 'three/addons/lines/LineGeometry.js';
+import { isInsideFootprint, getClosestFootprintPoint } from './hallway-geometry.js';
 
-// OAK-D Pro PoE Camera Specs
+// Cameras this close to the footprint outline count as on the wall (inside)
+const WALL_MOUNT_TOLERANCE = 0.001;
+
+// Built-in camera models (OAK-D Pro PoE variants)
+// distortion: radial lens distortion (Brown-Conrady k1, k2) - negative k1 is barrel distortion
 const CAMERA_SPECS = {
   'OAK-D Pro PoE': {
     hFovDeg: 80,      // Horizontal field of view
@@ -12,7 +17,9 @@ const CAMERA_SPECS = {
     aspectRatio: 16/10,
     minRange_m: 0.7,  // Ideal depth range starts at 70cm
     maxRange_m: 12,   // Ideal depth range ends at 12m
-    baseline_m: 0.075 // Stereo baseline: 7.5cm
+    baseline_m: 0.075, // Stereo baseline: 7.5cm
+    stereoWidth_px: 1280, // Stereo pair resolution (OV9282, 1280x800)
+    distortion: { k1: 0, k2: 0 }
   },
   'OAK-D Pro W PoE': {
     hFovDeg: 127,     // Horizontal field of view (wide angle)
@@ -20,25 +27,116 @@ const CAMERA_SPECS = {
     aspectRatio: 16/10,
     minRange_m: 0.7,  // Ideal depth range starts at 70cm
     maxRange_m: 12,   // Ideal depth range ends at 12m
-    baseline_m: 0.075 // Stereo baseline: 7.5cm
+    baseline_m: 0.075, // Stereo baseline: 7.5cm
+    stereoWidth_px: 1280, // Stereo pair resolution (OV9282, 1280x800)
+    distortion: { k1: -0.08, k2: 0.01 } // Wide-angle lens - mild barrel distortion
   }
 };
 
+// User-defined models (saved with the document)
+let customCameraModels = {};
+
 let nextCameraId = 1;
 
-// Global camera model (all cameras use the same model)
-let globalCameraModel = 'OAK-D Pro PoE';
+// Default model for new cameras and for documents whose cameras don't name one
+let defaultCameraModel = 'OAK-D Pro PoE';
 
-export function setGlobalCameraModel(model) {
-  if (!CAMERA_SPECS[model]) {
+export function setDefaultCameraModel(model) {
+  if (!getCameraSpecs(model)) {
     console.error(`Unknown camera model: ${model}`);
     return;
   }
-  globalCameraModel = model;
+  defaultCameraModel = model;
+}
+
+export function getDefaultCameraModel() {
+  return defaultCameraModel;
+}
+
+// Look up the specs for a model (used for analysing layouts without creating scene cameras)
+export function getCameraSpecs(model = defaultCameraModel) {
+  return customCameraModels[model] || CAMERA_SPECS[model] || null;
+}
+
+export function getCameraModelNames() {
+  return [...Object.keys(CAMERA_SPECS), ...Object.keys(customCameraModels)];
 }
 
-export function getGlobalCameraModel() {
-  return globalCameraModel;
+export function isBuiltInCameraModel(model) {
+  return model in CAMERA_SPECS;
+}
+
+/**
+ * Validate camera specs and fill in optional fields
+ * @throws {Error} - Describing the first invalid field
+ */
+export function normalizeCameraSpecs(specs) {
+  const check = (value, key, min, max) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${key} must be a number from ${min} to ${max}`);
+    }
+    return value;
+  };
+  const number = (key, min, max, fallback) => check(specs[key] !== undefined ? specs[key] : fallback, key, min, max);
+  const distortion = specs.distortion || {};
+
+  const normalized = {
+    hFovDeg: number('hFovDeg', 1, 179),
+    vFovDeg: number('vFovDeg', 1, 179),
+    aspectRatio: number('aspectRatio', 0.1, 10, 16 / 10),
+    minRange_m: number('minRange_m', 0, 100),
+    maxRange_m: number('maxRange_m', 0.1, 100),
+    baseline_m: number('baseline_m', 0, 1, 0.075),
+    stereoWidth_px: number('stereoWidth_px', 16, 10000, 1280),
+    distortion: {
+      k1: check(distortion.k1 !== undefined ? distortion.k1 : 0, 'distortion.k1', -1, 1),
+      k2: check(distortion.k2 !== undefined ? distortion.k2 : 0, 'distortion.k2', -1, 1)
+    }
+  };
+
+  if (normalized.minRange_m >= normalized.maxRange_m) {
+    throw new Error('minRange_m must be less than maxRange_m');
+  }
+  return normalized;
+}
+
+/**
+ * Add or update a user-defined model (built-in models can't be changed)
+ * @throws {Error} - For built-in names or invalid specs
+ */
+export function defineCameraModel(name, specs) {
+  if (!name || typeof name !== 'string') throw new Error('Camera model needs a name');
+  if (isBuiltInCameraModel(name)) throw new Error(`"${name}" is a built-in model`);
+  customCameraModels[name] = normalizeCameraSpecs(specs);
+}
+
+export function removeCameraModel(name) {
+  delete customCameraModels[name];
+  if (defaultCameraModel === name) {
+    defaultCameraModel = Object.keys(CAMERA_SPECS)[0];
+  }
+}
+
+// User-defined models for saving with the document
+export function getCustomCameraModels() {
+  return JSON.parse(JSON.stringify(customCameraModels));
+}
+
+/**
+ * Replace all user-defined models (loading a document) - invalid entries are skipped with an error
+ */
+export function setCustomCameraModels(models) {
+  customCameraModels = {};
+  for (const [name, specs] of Object.entries(models || {})) {
+    try {
+      defineCameraModel(name, specs);
+    } catch (e) {
+      console.error(`[Camera] Skipping camera model "${name}": ${e.message}`);
+    }
+  }
+  if (!getCameraSpecs(defaultCameraModel)) {
+    defaultCameraModel = Object.keys(CAMERA_SPECS)[0];
+  }
 }
 
 export class Camera {
@@ -48,7 +146,8 @@ export class Camera {
       pos_m = [0, hallway.height_m - 0.5, 0],
       yawDeg = 0,
       pitchDeg = -10,
-      rollDeg = 0
+      rollDeg = 0,
+      model = defaultCameraModel
     } = opts;
 
     this.id = nextCameraId++;
@@ -65,7 +164,8 @@ export class Camera {
     this.pitch = pitchDeg;
     this.roll = rollDeg;
 
-    // Camera specs (based on global model)
+    // Camera specs (from this camera's model in the library)
+    this.model = getCameraSpecs(model) ? model : defaultCameraModel;
     this.updateSpecs();
 
     // Create 3D representation
@@ -87,18 +187,31 @@ export class Camera {
   }
 
   updateSpecs() {
-    const specs = CAMERA_SPECS[globalCameraModel];
+    // A model removed from the library falls back to the default
+    if (!getCameraSpecs(this.model)) {
+      this.model = defaultCameraModel;
+    }
+    const specs = getCameraSpecs(this.model);
     this.hFovDeg = specs.hFovDeg;
     this.vFovDeg = specs.vFovDeg;
     this.minRange_m = specs.minRange_m;
     this.maxRange_m = specs.maxRange_m;
     this.aspectRatio = specs.aspectRatio;
     this.baseline_m = specs.baseline_m;
+    this.stereoWidth_px = specs.stereoWidth_px;
+    this.distortion = { ...specs.distortion };
+  }
+
+  setModel(model) {
+    this.model = model;
+    this.refreshForModelChange();
   }
 
   refreshForModelChange() {
-    // Update specs based on new global model
+    // Update specs from the (possibly edited) model
     this.updateSpecs();
+    this.leftLens.position.x = -this.baseline_m / 2;
+    this.rightLens.position.x = this.baseline_m / 2;
 
     // Recreate frustum with new specs
     if (this.frustumHelper) {
@@ -155,15 +268,15 @@ export class Camera {
       metalness: 0.8
     });
 
-    const leftLens = new THREE.Mesh(lensGeometry, lensMaterial);
-    leftLens.rotation.x = Math.PI / 2;
-    leftLens.position.set(-this.baseline_m / 2, 0, -0.025);
-    this.group.add(leftLens);
+    this.leftLens = new THREE.Mesh(lensGeometry, lensMaterial);
+    this.leftLens.rotation.x = Math.PI / 2;
+    this.leftLens.position.set(-this.baseline_m / 2, 0, -0.025);
+    this.group.add(this.leftLens);
 
-    const rightLens = new THREE.Mesh(lensGeometry, lensMaterial);
-    rightLens.rotation.x = Math.PI / 2;
-    rightLens.position.set(this.baseline_m / 2, 0, -0.025);
-    this.group.add(rightLens);
+    this.rightLens = new THREE.Mesh(lensGeometry, lensMaterial);
+    this.rightLens.rotation.x = Math.PI / 2;
+    this.rightLens.position.set(this.baseline_m / 2, 0, -0.025);
+    this.group.add(this.rightLens);
 
     // Direction indicator (small arrow pointing forward)
     const arrowHelper = new THREE.ArrowHelper(
@@ -177,10 +290,10 @@ export class Camera {
     this.group.add(arrowHelper);
 
     // Boundary violation lines (will be created/updated in updateBoundsStatus)
+    // floor: outside the footprint (to the nearest wall), y: below the floor or above the ceiling
     this.boundaryLines = {
-      x: null,
-      y: null,
-      z: null
+      floor: null,
+      y: null
     };
 
     // Pulse animation state for violation lines
@@ -302,17 +415,18 @@ export class Camera {
   }
 
   updateBoundsStatus() {
-    const { width_m, height_m, length_m } = this.hallway;
+    const { height_m, length_m } = this.hallway;
 
-    // Check each axis
-    const xInBounds = this.pos.x >= -width_m / 2 && this.pos.x <= width_m / 2;
+    // Over the floor plan (wall-mounted cameras sit on the outline)
+    const floorZ = this.pos.z + length_m / 2;
+    const closest = getClosestFootprintPoint(this.hallway, this.pos.x, floorZ);
+    const onFloorPlan = isInsideFootprint(this.hallway, this.pos.x, floorZ) ||
+      Math.hypot(closest.x - this.pos.x, closest.z - floorZ) <= WALL_MOUNT_TOLERANCE;
     const yInBounds = this.pos.y >= 0 && this.pos.y <= height_m;
-    const zInBounds = this.pos.z >= -length_m / 2 && this.pos.z <= length_m / 2;
 
     // Update boundary violation lines (dashed lines)
-    this.updateBoundaryLine('x', !xInBounds, 0xff0000);
+    this.updateBoundaryLine('floor', !onFloorPlan, 0xff0000);
     this.updateBoundaryLine('y', !yInBounds, 0x00ff00);
-    this.updateBoundaryLine('z', !zInBounds, 0x0000ff);
   }
 
   updateBoundaryLine(axis, isViolated, color) {
@@ -326,23 +440,19 @@ export class Camera {
 
     // Create new line if violated
     if (isViolated) {
-      const { width_m, height_m, length_m } = this.hallway;
+      const { height_m, length_m } = this.hallway;
       const cameraPos = this.group.position.clone();
       let boundaryPos = new THREE.Vector3();
 
       // Calculate boundary point based on axis
-      if (axis === 'x') {
-        // Find which X boundary is violated
-        const boundaryX = this.pos.x < -width_m / 2 ? -width_m / 2 : width_m / 2;
-        boundaryPos.set(boundaryX, cameraPos.y, cameraPos.z);
+      if (axis === 'floor') {
+        // Nearest point on the footprint outline, at camera height
+        const closest = getClosestFootprintPoint(this.hallway, this.pos.x, this.pos.z + length_m / 2);
+        boundaryPos.set(closest.x, cameraPos.y, closest.z - length_m / 2);
       } else if (axis === 'y') {
         // Find which Y boundary is violated
         const boundaryY = this.pos.y < 0 ? 0 : height_m;
         boundaryPos.set(cameraPos.x, boundaryY, cameraPos.z);
-      } else if (axis === 'z') {
-        // Find which Z boundary is violated
-        const boundaryZ = this.pos.z < -length_m / 2 ? -length_m / 2 : length_m / 2;
-        boundaryPos.set(cameraPos.x, cameraPos.y, boundaryZ);
       }
 
       // Create thick dashed line using Line2
@@ -416,8 +526,7 @@ export class Camera {
     // Update flash animation for boundary violation lines
     this.pulseTime += deltaTime * 5; // Flash speed (faster)
 
-    ['x', 'y', 'z'].forEach(axis => {
-      const line = this.boundaryLines[axis];
+    Object.values(this.boundaryLines).forEach(line => {
       if (line && line.material) {
         const mat = line.material;
         const baseColor = mat.userData.baseColor;
@@ -448,7 +557,7 @@ export class Camera {
     }
 
     // Remove boundary violation lines
-    ['x', 'y', 'z'].forEach(axis => {
+    Object.keys(this.boundaryLines).forEach(axis => {
       if (this.boundaryLines[axis]) {
         this.scene.remove(this.boundaryLines[axis]);
         this.boundaryLines[axis].geometry.dispose();
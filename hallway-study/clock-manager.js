@@ -3,16 +3,35 @@
  *
  * Provides quantized timing for triggering MIDI events on 16th notes
  * at a global BPM (default 120 BPM).
+ *
+ * MIDI is scheduled ahead: a short timer loop looks lookahead_ms into the future and
+ * sends MIDI Clock ticks and quantized events with the exact timestamp of their grid slot
+ * (Web MIDI output.send(data, timestamp)), so they land on the grid even when the main
+ * thread is busy. Visuals that go with a note use runAt() to appear when it sounds.
+ *
+ * In 'network' sync mode the same scheduler runs, but tempo, bar phase and start/stop follow
+ * a shared session from the tempo relay (see network-sync.js). Tempo changes and phase
+ * corrections are applied on bar lines, so other pages' bars and ours start together.
  */
 
+// How often the lookahead loop runs - lookahead_ms must comfortably exceed this plus main thread stalls
+const SCHEDULER_INTERVAL_MS = 25;
+
+// 16th notes per quantization slot
+const QUANTIZATION_STEPS = { '16th': 1, '8th': 2, 'quarter': 4 };
+
+// Network sync: bar lines closer than this to the session's are left alone
+const NETWORK_PHASE_TOLERANCE_MS = 2;
+
 export class ClockManager {
   constructor(bpm = 120, midiManager = null) {
     this.bpm = bpm;
     this.running = false;
     this.midiManager = midiManager;
 
-    // Sync mode: 'internal' or 'external' (MIDI Clock)
+    // Sync mode: 'internal', 'external' (MIDI Clock) or 'network' (tempo relay)
     this.syncMode = 'internal';
+    this.networkSync = null; // NetworkTempoSync followed in 'network' mode
 
     // Web Audio API for high-precision timing that works in background
     this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -57,6 +76,10 @@ export class ClockManager {
     // Event queue for quantized events
     this.eventQueue = [];
 
+    // Lookahead scheduling
+    this.lookahead_ms = 100; // How far ahead quantized events and clock ticks are sent
+    this.timedCallbacks = []; // [{ time, callback }] from runAt(), in performance.now() time
+
     // Callbacks
     this.onSixteenthNote = null; // Called every 16th note
     this.onEighthNote = null; // Called every 8th note (every 2 sixteenth notes)
@@ -71,13 +94,14 @@ export class ClockManager {
 
   /**
    * Start the clock
+   * @param {number} atAudioTime - Audio context time of the first downbeat (default: now)
    */
-  start() {
+  start(atAudioTime = null) {
     if (this.running) return;
 
     this.running = true;
     // Use audio context time (in seconds) for consistent timing
-    this.startTime = this.audioContext.currentTime;
+    this.startTime = atAudioTime !== null ? atAudioTime : this.audioContext.currentTime;
     this.currentTime = 0;
     this.lastSixteenthTime = 0;
     this.lastClockTickTime = 0;
@@ -86,58 +110,27 @@ export class ClockManager {
     this.barCount = 0;
     this.clockTickCount = 0;
 
-    // Send MIDI Start message and start dedicated clock tick timer
+    // Send MIDI Start message (clock ticks are sent by the lookahead loop)
     if (this.midiManager) {
-      console.log('[Clock] MIDI Manager found, sending Start and starting MIDI Clock timer');
+      console.log('[Clock] MIDI Manager found, sending Start and MIDI Clock');
       this.midiManager.sendStart();
-
-      // Use Web Audio time for accurate background timing
-      // Convert to seconds for audio context
-      const secPerClockTick = this.msPerClockTick / 1000;
-      this.clockTickStartTime = this.audioContext.currentTime;
-      this.nextClockTickTime = 0;
-
-      // Recursive scheduling function that uses Web Audio time
-      const scheduleMIDIClockTicks = () => {
-        if (!this.running || !this.midiManager) return;
-
-        const currentAudioTime = this.audioContext.currentTime;
-        const elapsed = currentAudioTime - this.clockTickStartTime;
-
-        // Calculate how many ticks should have been sent by now
-        const expectedTicks = Math.floor(elapsed / secPerClockTick);
-
-        // Send any missed ticks (usually 0 or 1)
-        while (this.clockTickCount < expectedTicks) {
-          this.midiManager.sendClockTick();
-          this.clockTickCount++;
-
-          // Debug: Log every 24 ticks (1 beat)
-          if (this.clockTickCount % 24 === 0) {
-            const beat = Math.floor(this.clockTickCount / 24);
-            console.log(`[MIDI Clock Debug] Beat ${beat} (${this.clockTickCount} total ticks) at ${this.bpm} BPM`);
-          }
-        }
-
-        // Schedule next check - use setTimeout but reference audio time
-        // Check every 5ms, but timing accuracy comes from audioContext.currentTime
-        this.clockTickInterval = setTimeout(scheduleMIDIClockTicks, 5);
-      };
-
-      // Start the recursive scheduler
-      scheduleMIDIClockTicks();
-
-      console.log(`[Clock] MIDI Clock timer started: ${this.msPerClockTick.toFixed(2)}ms per tick (${this.bpm} BPM)`);
-      console.log(`[Clock] Using Web Audio timing (works in background tabs)`);
-
-      // Debug: Confirm timer is running
-      setTimeout(() => {
-        console.log(`[Clock Debug] Timer check - clockTickCount: ${this.clockTickCount}, running: ${this.running}`);
-      }, 1000);
     } else {
       console.warn('[Clock] ⚠️ No MIDI Manager - cannot send MIDI Clock!');
     }
 
+    this.clockTickStartTime = this.startTime;
+    this.nextClockTickTime = 0;
+
+    // Lookahead loop - setTimeout only decides when to look, timestamps come from audio time
+    const scheduleAhead = () => {
+      if (!this.running) return;
+      this.scheduleAhead();
+      this.clockTickInterval = setTimeout(scheduleAhead, SCHEDULER_INTERVAL_MS);
+    };
+    scheduleAhead();
+
+    console.log(`[Clock] Lookahead scheduler started: ${this.lookahead_ms}ms ahead, ${this.msPerClockTick.toFixed(2)}ms per MIDI Clock tick (${this.bpm} BPM)`);
+
     console.log('[Clock] ▶ Started');
   }
 
@@ -149,11 +142,11 @@ export class ClockManager {
 
     this.running = false;
 
-    // Stop MIDI Clock timer and send MIDI Stop message
+    // Stop the lookahead loop and send MIDI Stop message
     if (this.clockTickInterval) {
       clearTimeout(this.clockTickInterval);
       this.clockTickInterval = null;
-      console.log('[Clock] MIDI Clock timer stopped');
+      console.log('[Clock] Lookahead scheduler stopped');
     }
 
     if (this.midiManager) {
@@ -183,6 +176,7 @@ export class ClockManager {
    */
   setBPM(bpm) {
     const oldMsPerSixteenth = this.msPerSixteenth;
+    const oldMsPerClockTick = this.msPerClockTick;
 
     this.bpm = bpm;
     this.msPerBeat = 60000 / this.bpm;
@@ -200,9 +194,10 @@ export class ClockManager {
       // currentTime at new tempo = sixteenthCount * new msPerSixteenth
       this.startTime = currentAudioTime - ((this.sixteenthCount * this.msPerSixteenth) / 1000);
 
-      // Also adjust MIDI clock tick timing
-      const secPerClockTick = this.msPerClockTick / 1000;
-      this.clockTickStartTime = currentAudioTime - (this.clockTickCount * secPerClockTick);
+      // Also adjust MIDI clock tick timing - ticks already sent ahead keep their times,
+      // the next one follows the last at the new tempo
+      const lastTickTime = this.clockTickStartTime + this.clockTickCount * oldMsPerClockTick / 1000;
+      this.clockTickStartTime = lastTickTime - (this.clockTickCount * this.msPerClockTick / 1000);
 
       console.log(`[Clock] Timing adjusted for new BPM: ${oldMsPerSixteenth.toFixed(2)}ms → ${this.msPerSixteenth.toFixed(2)}ms per 16th`);
     }
@@ -211,12 +206,91 @@ export class ClockManager {
   }
 
   /**
-   * Schedule an event to fire on the next 16th note
-   * @param {Function} callback - Function to call on next 16th note
+   * Schedule an event on the next quantization slot (16th, 8th or quarter note).
+   * The callback runs up to lookahead_ms before the slot - send MIDI with the timestamp
+   * it's given and use runAt() for anything that should happen when the note sounds.
+   * @param {Function} callback - Called with (data, time): time is the slot in performance.now() time
    * @param {*} data - Optional data to pass to callback
+   * @param {number} after - Quantize to the slot after this performance.now() time instead of after now
+   *   (events from the simulation worker are known ahead of time); a time already past means now
+   */
+  scheduleEvent(callback, data = null, after = null) {
+    this.eventQueue.push({ callback, data, after });
+  }
+
+  /**
+   * Run a callback on the main thread once performance.now() reaches time
+   * (checked every update(), so it's as accurate as the frame rate)
+   */
+  runAt(time, callback) {
+    this.timedCallbacks.push({ time, callback });
+  }
+
+  /**
+   * Audio context time (seconds) -> performance.now() time (ms), the clock Web MIDI timestamps use
+   */
+  toPerformanceTime(audioTime) {
+    const stamp = this.audioContext.getOutputTimestamp ? this.audioContext.getOutputTimestamp() : null;
+    if (stamp && stamp.performanceTime > 0) {
+      return stamp.performanceTime + (audioTime - stamp.contextTime) * 1000;
+    }
+    return performance.now() + (audioTime - this.audioContext.currentTime) * 1000;
+  }
+
+  /**
+   * performance.now() time (ms) -> audio context time (seconds), for Web Audio scheduling
    */
-  scheduleEvent(callback, data = null) {
-    this.eventQueue.push({ callback, data });
+  toAudioTime(performanceTime) {
+    const stamp = this.audioContext.getOutputTimestamp ? this.audioContext.getOutputTimestamp() : null;
+    if (stamp && stamp.performanceTime > 0) {
+      return stamp.contextTime + (performanceTime - stamp.performanceTime) / 1000;
+    }
+    return this.audioContext.currentTime + (performanceTime - performance.now()) / 1000;
+  }
+
+  /**
+   * Send everything due within the lookahead window: MIDI Clock ticks, and queued events
+   * once their quantization slot is inside the window
+   */
+  scheduleAhead() {
+    if (!this.running || this.syncMode === 'external') return;
+
+    const horizon = this.audioContext.currentTime + this.lookahead_ms / 1000;
+
+    if (this.midiManager) {
+      const secPerClockTick = this.msPerClockTick / 1000;
+      while (this.clockTickStartTime + (this.clockTickCount + 1) * secPerClockTick <= horizon) {
+        this.clockTickCount++;
+        this.midiManager.sendClockTick(this.toPerformanceTime(this.clockTickStartTime + this.clockTickCount * secPerClockTick));
+
+        // Debug: Log every 24 ticks (1 beat)
+        if (this.clockTickCount % 24 === 0) {
+          const beat = Math.floor(this.clockTickCount / 24);
+          console.log(`[MIDI Clock Debug] Beat ${beat} (${this.clockTickCount} total ticks) at ${this.bpm} BPM`);
+        }
+      }
+    }
+
+    if (this.eventQueue.length === 0) return;
+
+    // Next slot after an audio time (counted in 16ths since start)
+    const secPerSixteenth = this.msPerSixteenth / 1000;
+    const step = QUANTIZATION_STEPS[this.quantization];
+    const slotAfter = (audioTime) => {
+      const elapsedSixteenths = (audioTime - this.startTime) / secPerSixteenth;
+      return this.startTime + (Math.floor(elapsedSixteenths / step) + 1) * step * secPerSixteenth;
+    };
+    const nextSlot = slotAfter(this.audioContext.currentTime);
+    if (nextSlot > horizon) return;
+
+    const due = [];
+    this.eventQueue = this.eventQueue.filter(event => {
+      const slotTime = event.after !== null ? Math.max(nextSlot, slotAfter(this.toAudioTime(event.after))) : nextSlot;
+      if (slotTime > horizon) return true;
+      due.push({ event, time: this.toPerformanceTime(slotTime) });
+      return false;
+    });
+    due.forEach(({ event, time }) => event.callback(event.data, time));
   }
 
   /**
@@ -224,11 +298,25 @@ export class ClockManager {
    * @param {number} currentTime - Current performance.now() time (not used, we use audio time)
    */
   update(currentTime) {
+    // Visuals for notes that have started sounding
+    if (this.timedCallbacks.length > 0) {
+      const now = performance.now();
+      const due = this.timedCallbacks.filter(timed => timed.time <= now);
+      if (due.length > 0) {
+        this.timedCallbacks = this.timedCallbacks.filter(timed => timed.time > now);
+        due.forEach(timed => timed.callback());
+      }
+    }
+
     if (!this.running) return;
 
+    // Frames also look ahead, in case the lookahead timer is throttled
+    this.scheduleAhead();
+
     // Use Web Audio time for consistency with MIDI Clock
     // Convert to milliseconds to match existing code
-    this.currentTime = (this.audioContext.currentTime - this.startTime) * 1000;
+    // (held at 0 until a start scheduled for a later bar line comes around)
+    this.currentTime = Math.max(0, (this.audioContext.currentTime - this.startTime) * 1000);
 
     // Check if we've passed a 16th note boundary
     const currentSixteenth = Math.floor(this.currentTime / this.msPerSixteenth);
@@ -256,23 +344,6 @@ export class ClockManager {
           }
         }
 
-        // Process event queue based on quantization setting
-        let shouldProcessQueue = false;
-        if (this.quantization === '16th') {
-          shouldProcessQueue = true; // Every 16th note
-        } else if (this.quantization === '8th') {
-          shouldProcessQueue = (this.sixteenthCount % 2 === 0); // Every 8th note
-        } else if (this.quantization === 'quarter') {
-          shouldProcessQueue = (this.sixteenthCount % 4 === 0); // Every quarter note
-        }
-
-        if (shouldProcessQueue) {
-          while (this.eventQueue.length > 0) {
-            const event = this.eventQueue.shift();
-            event.callback(event.data);
-          }
-        }
-
         // Check for beat boundary (every 4 sixteenth notes)
         if (this.sixteenthCount % 4 === 0) {
           this.beatCount++;
@@ -285,6 +356,8 @@ export class ClockManager {
           if (this.beatCount % 4 === 0) {
             this.barCount++;
 
+            this.alignToNetwork();
+
             // Check for automatic BPM change
             if (this.autoBPMEnabled && this.barCount >= this.nextBPMChangeBar && this.barCount > 0) {
               this.changeBPMAutomatically();
@@ -358,11 +431,16 @@ export class ClockManager {
 
     console.log(`[Clock] 🔄 Auto BPM change: ${oldBPM} → ${newBPM} BPM (at bar ${this.barCount})`);
 
-    this.setBPM(newBPM);
+    if (this.syncMode === 'network' && this.networkSync && this.networkSync.isReady()) {
+      // Every page in the session takes the new tempo on its next bar (alignToNetwork)
+      this.networkSync.setTempo(newBPM);
+    } else {
+      this.setBPM(newBPM);
 
-    // Call BPM change callback
-    if (this.onBPMChange) {
-      this.onBPMChange(newBPM, oldBPM);
+      // Call BPM change callback
+      if (this.onBPMChange) {
+        this.onBPMChange(newBPM, oldBPM);
+      }
     }
 
     // Set next change interval
@@ -392,10 +470,10 @@ export class ClockManager {
   }
 
   /**
-   * Set sync mode: 'internal' or 'external'
+   * Set sync mode: 'internal', 'external' or 'network' (set networkSync first)
    */
   setSyncMode(mode) {
-    if (mode !== 'internal' && mode !== 'external') {
+    if (mode !== 'internal' && mode !== 'external' && mode !== 'network') {
       console.error(`[Clock] Invalid sync mode: ${mode}`);
       return;
     }
@@ -409,6 +487,60 @@ export class ClockManager {
     }
   }
 
+  /**
+   * Network sync: take the session's tempo and move our bar line onto the session's.
+   * Runs on each bar line, so tempo changes and phase corrections never land mid-bar.
+   */
+  alignToNetwork() {
+    const sync = this.networkSync;
+    if (this.syncMode !== 'network' || !sync || !sync.isReady()) return;
+
+    const { bpm, quantum } = sync.state;
+    if (bpm !== this.bpm) {
+      const oldBPM = this.bpm;
+      this.setBPM(bpm);
+      if (this.onBPMChange) {
+        this.onBPMChange(bpm, oldBPM);
+      }
+    }
+
+    // Session beat at the bar line we just crossed - a whole bar when in phase
+    const barTime = this.startTime + (this.sixteenthCount * this.msPerSixteenth) / 1000;
+    const beat = sync.getBeatAtTime(this.toPerformanceTime(barTime));
+    const error = beat - Math.round(beat / quantum) * quantum; // Beats, positive = we're behind
+    const shift = (error * this.msPerBeat) / 1000;
+    if (Math.abs(shift) * 1000 < NETWORK_PHASE_TOLERANCE_MS) return;
+
+    // An earlier grid catches up (the skipped 16ths fire on the next update), a later one waits
+    this.startTime -= shift;
+    this.clockTickStartTime -= shift;
+    console.log(`[Clock] Network phase ${error > 0 ? 'behind' : 'ahead'} by ${Math.abs(shift * 1000).toFixed(1)}ms - realigned at bar ${this.barCount}`);
+  }
+
+  /**
+   * Network sync: follow the session's start/stop. Starting joins on the session's start
+   * bar (or the next bar line if that's passed); alignToNetwork() keeps us there.
+   * @param {Object} state - Session state from NetworkTempoSync.onState
+   */
+  followNetworkState(state) {
+    if (this.syncMode !== 'network' || !this.networkSync) return;
+
+    if (state.playing && !this.running) {
+      if (state.bpm !== this.bpm) {
+        const oldBPM = this.bpm;
+        this.setBPM(state.bpm);
+        if (this.onBPMChange) {
+          this.onBPMChange(state.bpm, oldBPM);
+        }
+      }
+      const startAt = this.networkSync.getStartTime(performance.now() + this.lookahead_ms);
+      this.start(this.toAudioTime(startAt));
+      console.log(`[Clock] Joining network session in ${(startAt - performance.now()).toFixed(0)}ms`);
+    } else if (!state.playing && this.running) {
+      this.stop();
+    }
+  }
+
   /**
    * Handle incoming MIDI Clock tick (0xF8)
    * Called by MIDIManager when external sync is active
@@ -454,11 +586,13 @@ export class ClockManager {
         this.onSixteenthNote(this.sixteenthCount, this.getPosition());
       }
 
-      // Process event queue
-      while (this.eventQueue.length > 0) {
-        const event = this.eventQueue.shift();
-        event.callback(event.data);
-      }
+      // Process event queue - external ticks can't be predicted, so events go out now
+      // (events for later than this tick wait for a later one)
+      const events = this.eventQueue;
+      this.eventQueue = events.filter(event => event.after !== null && event.after > timeStamp);
+      events.forEach(event => {
+        if (event.after === null || event.after <= timeStamp) event.callback(event.data, timeStamp);
+      });
 
       // Check for beat boundary (every 4 sixteenth notes = 24 clock ticks)
       if (this.midiClockTickCount % 24 === 0) {
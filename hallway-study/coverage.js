@@ -0,0 +1,342 @@
+/**
+ * Coverage Analysis - Objective scoring of camera layouts
+ *
+ * Samples a grid over the hallway floor at every person-slice height and tests
+ * each sample against all camera frustums, walls and obstacles (plus optional occluders). The result
+ * is rendered as a heatmap on the floor and summarised as:
+ * - coverage: fraction of samples seen by at least one camera
+ * - multiCoverage: fraction of samples seen by two or more cameras (hand-off overlap)
+ * - blindSpots: connected floor regions where most slice heights are unseen
+ */
+
+import * as THREE from 'three';
+import { isPointVisibleToCamera } from './visibility.js';
+import { isInsideFootprint, getObstacleAt } from './hallway-geometry.js';
+
+// Slice geometry matches Person (0.25m slices, up to 8 slices = 2.0m tall)
+const SLICE_HEIGHT = 0.25;
+const MAX_SLICES = 8;
+
+// Cell value for grid cells outside the footprint or under an obstacle (not counted)
+const OFF_FLOOR = -1;
+
+/**
+ * Build a lightweight camera-like object from document camera data.
+ * Has the same fields pointInFrustum3D reads from a Camera, without adding
+ * anything to the scene - used to score presets that aren't loaded.
+ */
+export function createVirtualCamera(camData, specs) {
+  const group = new THREE.Object3D();
+  group.position.set(camData.pos.x, camData.pos.y, camData.pos.z);
+
+  // Same rotation order as Camera.build() (YXZ for yaw, pitch, roll)
+  const euler = new THREE.Euler(
+    THREE.MathUtils.degToRad(camData.pitch),
+    THREE.MathUtils.degToRad(camData.yaw),
+    THREE.MathUtils.degToRad(camData.roll),
+    'YXZ'
+  );
+  group.quaternion.setFromEuler(euler);
+
+  return {
+    name: camData.name,
+    group,
+    hFovDeg: specs.hFovDeg,
+    vFovDeg: specs.vFovDeg,
+    minRange_m: specs.minRange_m,
+    maxRange_m: specs.maxRange_m,
+    baseline_m: specs.baseline_m,
+    stereoWidth_px: specs.stereoWidth_px,
+    distortion: specs.distortion
+  };
+}
+
+export class CoverageAnalyzer {
+  constructor(scene, hallway) {
+    this.scene = scene;
+    this.hallway = hallway;
+
+    // Sampling settings
+    this.cellSize_m = 0.1; // Grid spacing on the floor
+    this.blindSpotThreshold = 0.5; // Cells with less than 50% of slice heights seen are blind
+    this.minBlindSpotArea_m2 = 0.05; // Ignore specks smaller than this
+
+    // Last analysis result
+    this.result = null;
+
+    // Heatmap visualization (created lazily)
+    this.heatmapMesh = null;
+    this.heatmapTexture = null;
+  }
+
+  /**
+   * Heights sampled at each floor cell (centers of the person slices)
+   */
+  getSampleHeights() {
+    const heights = [];
+    for (let i = 0; i < MAX_SLICES; i++) {
+      heights.push((i + 0.5) * SLICE_HEIGHT);
+    }
+    return heights;
+  }
+
+  // Floor people can stand on: inside the footprint and clear of obstacles
+  isFloorCell(x, z) {
+    if (!this.hallway.footprint) return true;
+    return isInsideFootprint(this.hallway, x, z) && !getObstacleAt(this.hallway, x, z);
+  }
+
+  /**
+   * Analyze coverage for a set of cameras
+   * @param {Array} cameras - Camera instances or virtual cameras from createVirtualCamera()
+   * @param {Array} occluders - Optional meshes that block line of sight (e.g. people slices)
+   * @returns {object} - { coverage, multiCoverage, cells, cols, rows, blindSpots, perCamera }
+   */
+  analyze(cameras, occluders = []) {
+    const { width_m, length_m } = this.hallway;
+    const cellSize = this.cellSize_m;
+
+    const cols = Math.max(1, Math.round(width_m / cellSize));
+    const rows = Math.max(1, Math.round(length_m / cellSize));
+    const cellWidth = width_m / cols;
+    const cellLength = length_m / rows;
+
+    const heights = this.getSampleHeights();
+    const cells = new Float32Array(cols * rows); // Fraction of heights seen per cell (OFF_FLOOR outside the room)
+
+    let floorCells = 0;
+    let seenSamples = 0;
+    let multiSeenSamples = 0;
+    const perCameraSeen = new Array(cameras.length).fill(0);
+    const samplePos = new THREE.Vector3();
+
+    for (let row = 0; row < rows; row++) {
+      // Z measured from 0 to length_m (same convention as trigger zones)
+      const z = (row + 0.5) * cellLength;
+
+      for (let col = 0; col < cols; col++) {
+        const x = -width_m / 2 + (col + 0.5) * cellWidth;
+        let seenHeights = 0;
+
+        // Outside the footprint or under an obstacle - nobody stands there
+        if (!this.isFloorCell(x, z)) {
+          cells[row * cols + col] = OFF_FLOOR;
+          continue;
+        }
+        floorCells++;
+
+        for (const y of heights) {
+          samplePos.set(x, y, z - length_m / 2);
+
+          let seenBy = 0;
+          for (let c = 0; c < cameras.length; c++) {
+            if (isPointVisibleToCamera(samplePos, cameras[c], occluders, this.hallway)) {
+              seenBy++;
+              perCameraSeen[c]++;
+            }
+          }
+
+          if (seenBy > 0) {
+            seenHeights++;
+            seenSamples++;
+          }
+          if (seenBy > 1) multiSeenSamples++;
+        }
+
+        cells[row * cols + col] = seenHeights / heights.length;
+      }
+    }
+
+    const totalSamples = Math.max(1, floorCells * heights.length);
+
+    this.result = {
+      coverage: seenSamples / totalSamples,
+      multiCoverage: multiSeenSamples / totalSamples,
+      cells,
+      cols,
+      rows,
+      cellWidth,
+      cellLength,
+      blindSpots: this.findBlindSpots(cells, cols, rows, cellWidth, cellLength),
+      perCamera: cameras.map((cam, i) => ({
+        name: cam.name,
+        coverage: perCameraSeen[i] / totalSamples
+      }))
+    };
+
+    if (this.heatmapMesh && this.heatmapMesh.visible) {
+      this.updateHeatmap();
+    }
+
+    return this.result;
+  }
+
+  /**
+   * Group under-covered cells into connected regions (4-neighbour flood fill)
+   * @returns {Array} - Regions sorted by area, in hallway coordinates (x centered, z from 0 to length_m)
+   */
+  findBlindSpots(cells, cols, rows, cellWidth, cellLength) {
+    const { width_m } = this.hallway;
+    const visited = new Uint8Array(cols * rows);
+    const cellArea = cellWidth * cellLength;
+    const blindSpots = [];
+
+    for (let start = 0; start < cells.length; start++) {
+      if (visited[start] || cells[start] === OFF_FLOOR || cells[start] >= this.blindSpotThreshold) continue;
+
+      // Flood fill this region
+      const stack = [start];
+      visited[start] = 1;
+      let count = 0;
+      let coverageSum = 0;
+      let minCol = cols, maxCol = -1, minRow = rows, maxRow = -1;
+
+      while (stack.length > 0) {
+        const index = stack.pop();
+        const row = Math.floor(index / cols);
+        const col = index % cols;
+
+        count++;
+        coverageSum += cells[index];
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+
+        const neighbours = [
+          col > 0 ? index - 1 : -1,
+          col < cols - 1 ? index + 1 : -1,
+          row > 0 ? index - cols : -1,
+          row < rows - 1 ? index + cols : -1
+        ];
+        for (const n of neighbours) {
+          if (n >= 0 && !visited[n] && cells[n] !== OFF_FLOOR && cells[n] < this.blindSpotThreshold) {
+            visited[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+
+      const area_m2 = count * cellArea;
+      if (area_m2 < this.minBlindSpotArea_m2) continue;
+
+      blindSpots.push({
+        xMin: -width_m / 2 + minCol * cellWidth,
+        xMax: -width_m / 2 + (maxCol + 1) * cellWidth,
+        zStart: minRow * cellLength,
+        zEnd: (maxRow + 1) * cellLength,
+        area_m2,
+        meanCoverage: coverageSum / count
+      });
+    }
+
+    return blindSpots.sort((a, b) => b.area_m2 - a.area_m2);
+  }
+
+  /**
+   * Show or hide the floor heatmap (creates it on first use)
+   */
+  setHeatmapVisible(visible) {
+    if (visible && !this.heatmapMesh) {
+      this.createHeatmap();
+    }
+    if (this.heatmapMesh) {
+      this.heatmapMesh.visible = visible;
+      if (visible) this.updateHeatmap();
+    }
+  }
+
+  createHeatmap() {
+    const { width_m, length_m } = this.hallway;
+
+    const geometry = new THREE.PlaneGeometry(width_m, length_m);
+    const material = new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity: 0.65,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+
+    this.heatmapMesh = new THREE.Mesh(geometry, material);
+    this.heatmapMesh.rotation.x = -Math.PI / 2;
+    this.heatmapMesh.position.y = 0.01; // Just above the floor FBO
+    this.heatmapMesh.layers.set(1); // Hide from camera previews
+    this.heatmapMesh.raycast = () => {}; // Don't block click selection
+    this.heatmapMesh.visible = false;
+    this.scene.add(this.heatmapMesh);
+  }
+
+  /**
+   * Write the last result into a DataTexture (red = blind, yellow = partial, green = fully seen),
+   * with each blind spot's bounding box outlined in white
+   */
+  updateHeatmap() {
+    if (!this.heatmapMesh || !this.result) return;
+
+    // The hallway may have changed size since the mesh was made
+    const { width_m, length_m } = this.hallway;
+    const { parameters } = this.heatmapMesh.geometry;
+    if (parameters.width !== width_m || parameters.height !== length_m) {
+      this.heatmapMesh.geometry.dispose();
+      this.heatmapMesh.geometry = new THREE.PlaneGeometry(width_m, length_m);
+    }
+
+    const { cells, cols, rows } = this.result;
+    const data = new Uint8Array(cols * rows * 4);
+
+    for (let row = 0; row < rows; row++) {
+      // Plane is rotated -90° about X, so texture row 0 sits at the far (z = length_m) end
+      const textureRow = rows - 1 - row;
+
+      for (let col = 0; col < cols; col++) {
+        const value = cells[row * cols + col];
+        const i = (textureRow * cols + col) * 4;
+
+        data[i] = Math.round(255 * Math.min(1, 2 * (1 - value)));
+        data[i + 1] = Math.round(255 * Math.min(1, 2 * value));
+        data[i + 2] = 40;
+        data[i + 3] = value === OFF_FLOOR ? 0 : 255;
+      }
+    }
+
+    const { cellWidth, cellLength, blindSpots } = this.result;
+    for (const spot of blindSpots) {
+      const minCol = Math.round(spot.xMin / cellWidth + cols / 2);
+      const maxCol = Math.round(spot.xMax / cellWidth + cols / 2) - 1;
+      const minRow = Math.round(spot.zStart / cellLength);
+      const maxRow = Math.round(spot.zEnd / cellLength) - 1;
+
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          if (row !== minRow && row !== maxRow && col !== minCol && col !== maxCol) continue;
+          const i = ((rows - 1 - row) * cols + col) * 4;
+          data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 255;
+        }
+      }
+    }
+
+    if (this.heatmapTexture) {
+      this.heatmapTexture.dispose();
+    }
+    this.heatmapTexture = new THREE.DataTexture(data, cols, rows, THREE.RGBAFormat);
+    this.heatmapTexture.magFilter = THREE.NearestFilter;
+    this.heatmapTexture.minFilter = THREE.NearestFilter;
+    this.heatmapTexture.needsUpdate = true;
+
+    this.heatmapMesh.material.map = this.heatmapTexture;
+    this.heatmapMesh.material.needsUpdate = true;
+  }
+
+  dispose() {
+    if (this.heatmapMesh) {
+      this.scene.remove(this.heatmapMesh);
+      this.heatmapMesh.geometry.dispose();
+      this.heatmapMesh.material.dispose();
+      this.heatmapMesh = null;
+    }
+    if (this.heatmapTexture) {
+      this.heatmapTexture.dispose();
+      this.heatmapTexture = null;
+    }
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * Crowd Behaviors - How simulated people react to each other and the hallway
+ *
+ * Without any of these, people are independent random walkers (constant speed,
+ * random sideways meander, random stops) that walk straight through each other.
+ * Each behavior can be switched on separately:
+ * - socialForce: people keep personal space - steer around and slow down behind others
+ * - groups: people arrive in small groups that walk and stop together
+ * - pointsOfInterest: spots along the walls where people may stop for a while
+ * - lanes: counter-flow lanes - each walking direction keeps to its own side
+ * - rushHour: periodic bursts with more people arriving faster
+ *
+ * CrowdBehavior.update() runs before people move and sets each person's steering
+ * (steerX in m/s, speedFactor as a multiple of their walking speed).
+ * Everything works in path coordinates (progress along the hallway path, lateral
+ * offset from it - see hallway-geometry.js), so it follows corridors that turn.
+ * All randomness comes from the seeded simulation RNG so recorded runs replay exactly.
+ */
+
+import { random } from './random.js';
+import { getPathLength, getLateralLimits } from './hallway-geometry.js';
+
+export const DEFAULT_CROWD_SETTINGS = {
+  socialForce: {
+    enabled: false,
+    personalSpace: 0.4, // Meters kept clear beyond each person's radius
+    strength: 1.0,      // Repulsion scale (m/s at contact)
+    range: 0.3          // Falloff distance (m) - larger = react from further away
+  },
+  groups: {
+    enabled: false,
+    chance: 0.3,        // Chance a new arrival is a group
+    maxSize: 3,         // People per group (2 to maxSize)
+    spacing: 0.6        // Meters between group members
+  },
+  pointsOfInterest: {
+    enabled: false,
+    count: 3,           // Spread evenly along the hallway, alternating walls
+    stopChance: 0.4,    // Chance a passer-by stops
+    minDwell: 3,        // Seconds
+    maxDwell: 10
+  },
+  lanes: {
+    enabled: false,
+    offset: 0.25,       // Lane center as a fraction of the corridor width from the path
+    strength: 0.8       // How firmly people keep to their lane (1/s)
+  },
+  rushHour: {
+    enabled: false,
+    period: 60,         // Seconds between bursts
+    duration: 15,       // Seconds each burst lasts
+    multiplier: 3       // More people, arriving this much faster, during a burst
+  }
+};
+
+const MAX_STEER = 1.0; // m/s
+const POI_APPROACH_DISTANCE = 1.5; // Meters before a POI where people decide to stop
+const POI_ARRIVE_DISTANCE = 0.15; // Meters
+
+export function cloneCrowdSettings(settings = DEFAULT_CROWD_SETTINGS) {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+/**
+ * Fill in missing fields (e.g. settings saved before a behavior existed)
+ */
+export function mergeCrowdSettings(saved) {
+  const settings = cloneCrowdSettings();
+  if (!saved || typeof saved !== 'object') return settings;
+
+  for (const [behavior, params] of Object.entries(settings)) {
+    if (!saved[behavior]) continue;
+    for (const key of Object.keys(params)) {
+      if (typeof saved[behavior][key] === typeof params[key]) {
+        params[key] = saved[behavior][key];
+      }
+    }
+  }
+  return settings;
+}
+
+/**
+ * Check saved crowd settings (document people.crowd) - every behavior and field is optional,
+ * but the ones present must be known and of the default's type
+ * @returns {Array} - [{ field, message }] with field relative to the settings ('groups.chance')
+ */
+export function validateCrowdSettings(saved) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  for (const [behavior, params] of Object.entries(saved)) {
+    const defaults = DEFAULT_CROWD_SETTINGS[behavior];
+    if (!defaults) {
+      fail(behavior, `is not a crowd behavior (${Object.keys(DEFAULT_CROWD_SETTINGS).join(', ')})`);
+      continue;
+    }
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      fail(behavior, 'must be an object');
+      continue;
+    }
+    for (const [key, value] of Object.entries(params)) {
+      const field = `${behavior}.${key}`;
+      if (!(key in defaults)) {
+        fail(field, `is not a ${behavior} setting`);
+      } else if (typeof defaults[key] === 'boolean' && typeof value !== 'boolean') {
+        fail(field, 'must be true or false');
+      } else if (typeof defaults[key] === 'number' && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+        fail(field, 'must be a number of 0 or more');
+      }
+    }
+  }
+
+  return errors;
+}
+
+export class CrowdBehavior {
+  constructor(hallway, settings = DEFAULT_CROWD_SETTINGS) {
+    this.hallway = hallway;
+    this.settings = cloneCrowdSettings(settings);
+    this.time = 0;
+    this.nextGroupId = 1;
+  }
+
+  /**
+   * Restart the rush-hour clock and group numbering (for reproducible runs)
+   */
+  reset() {
+    this.time = 0;
+    this.nextGroupId = 1;
+  }
+
+  // ===== Spawning =====
+
+  /**
+   * Rush hour scale for population and spawn rate (1 outside a burst)
+   */
+  getSpawnScale() {
+    const { enabled, period, duration, multiplier } = this.settings.rushHour;
+    if (!enabled || period <= 0) return 1;
+    return (this.time % period) < duration ? multiplier : 1;
+  }
+
+  isRushHour() {
+    return this.getSpawnScale() > 1;
+  }
+
+  /**
+   * How many people arrive together (1 unless groups are on)
+   */
+  pickGroupSize() {
+    const { enabled, chance, maxSize } = this.settings.groups;
+    if (!enabled || maxSize < 2 || random() >= chance) return 1;
+    return 2 + Math.floor(random() * (maxSize - 1));
+  }
+
+  /**
+   * Arrange a group that just spawned: same direction and pace, staggered behind the leader
+   * @param {Array} members - People in the group, leader first
+   */
+  formGroup(members) {
+    if (members.length < 2) return;
+
+    const groupId = this.nextGroupId++;
+    const leader = members[0];
+    const { spacing } = this.settings.groups;
+
+    members.forEach((person, i) => {
+      person.groupId = groupId;
+      if (i === 0) return;
+
+      // Pairs walk side by side, the rest fall in behind
+      const row = Math.ceil(i / 2);
+      const side = i % 2 === 1 ? 1 : -1;
+      person.groupLeader = leader;
+      person.groupSlot = { lateral: side * spacing * 0.5, progress: -row * spacing * 0.5 };
+      person.speed = leader.speed;
+      person.direction = leader.direction;
+      person.progress = leader.progress + person.groupSlot.progress * leader.direction;
+      person.lateral = leader.lateral + person.groupSlot.lateral;
+    });
+  }
+
+  // ===== Points of interest =====
+
+  /**
+   * POI positions in path coordinates, alternating walls at Person's soft boundary
+   */
+  getPointsOfInterest() {
+    const { enabled, count } = this.settings.pointsOfInterest;
+    if (!enabled || count < 1) return [];
+
+    const pathLength = getPathLength(this.hallway);
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      const progress = (i + 0.5) * pathLength / count;
+      const limits = getLateralLimits(this.hallway, progress);
+      points.push({
+        id: i,
+        lateral: i % 2 === 0 ? limits.min : limits.max,
+        progress
+      });
+    }
+    return points;
+  }
+
+  // ===== Per-tick steering =====
+
+  /**
+   * Set steerX / speedFactor on everyone (and start group or POI stops)
+   * Call once per tick before people move
+   */
+  update(people, deltaTime) {
+    this.time += deltaTime;
+
+    const points = this.getPointsOfInterest();
+
+    for (const person of people) {
+      person.steerX = 0;
+      person.speedFactor = 1;
+
+      // Leaders that left take their group's cohesion with them
+      if (person.groupLeader && (person.groupLeader.shouldRemove || !people.includes(person.groupLeader))) {
+        person.groupLeader = null;
+      }
+    }
+
+    for (const person of people) {
+      if (this.settings.lanes.enabled) this.applyLanes(person);
+      if (person.groupLeader) this.applyGroup(person);
+      if (points.length > 0) this.applyPointsOfInterest(person, points);
+    }
+
+    // Social force last so it can override the others when people get close
+    if (this.settings.socialForce.enabled) {
+      this.applySocialForce(people);
+    }
+
+    for (const person of people) {
+      person.steerX = Math.max(-MAX_STEER, Math.min(MAX_STEER, person.steerX));
+      person.speedFactor = Math.max(0, Math.min(1.5, person.speedFactor));
+    }
+  }
+
+  // Drift towards the lane for this walking direction
+  applyLanes(person) {
+    const { offset, strength } = this.settings.lanes;
+    const walls = getLateralLimits(this.hallway, person.progress, 1);
+    const laneX = person.direction * offset * (walls.max - walls.min);
+    person.steerX += (laneX - person.lateral) * strength;
+  }
+
+  // Keep formation around the leader and copy their stops
+  applyGroup(person) {
+    const leader = person.groupLeader;
+
+    if (leader.isDwelling && !person.isDwelling) {
+      person.isDwelling = true;
+      person.dwellTime = leader.dwellTime;
+    }
+
+    const targetLateral = leader.lateral + person.groupSlot.lateral;
+    const targetProgress = leader.progress + person.groupSlot.progress * leader.direction;
+
+    person.direction = leader.direction;
+    person.steerX += (targetLateral - person.lateral) * 1.5;
+    // Catch up when behind the slot, ease off when ahead
+    person.speedFactor *= 1 + (targetProgress - person.progress) * person.direction * 0.8;
+  }
+
+  // Decide to visit POIs ahead, walk over, then stop for a while
+  applyPointsOfInterest(person, points) {
+    if (person.isDwelling || person.groupLeader) return;
+
+    const { stopChance, minDwell, maxDwell } = this.settings.pointsOfInterest;
+
+    if (!person.poiTarget) {
+      for (const point of points) {
+        if (person.visitedPOIs.has(point.id)) continue;
+        const ahead = (point.progress - person.progress) * person.direction;
+        if (ahead > 0 && ahead < POI_APPROACH_DISTANCE) {
+          // One decision per POI per person
+          person.visitedPOIs.add(point.id);
+          if (random() < stopChance) {
+            person.poiTarget = point;
+            break;
+          }
+        }
+      }
+    }
+
+    const target = person.poiTarget;
+    if (!target) return;
+
+    const ahead = (target.progress - person.progress) * person.direction;
+    if (ahead <= POI_ARRIVE_DISTANCE && Math.abs(target.lateral - person.lateral) <= POI_ARRIVE_DISTANCE * 2) {
+      person.isDwelling = true;
+      person.dwellTime = minDwell + random() * Math.max(0, maxDwell - minDwell);
+      person.poiTarget = null;
+      return;
+    }
+
+    if (ahead < -POI_ARRIVE_DISTANCE) {
+      // Walked past it - give up
+      person.poiTarget = null;
+      return;
+    }
+
+    person.steerX += (target.lateral - person.lateral) * 2.0;
+    person.speedFactor *= Math.max(0.2, Math.min(1, ahead / POI_APPROACH_DISTANCE));
+  }
+
+  /**
+   * Simplified social force model (Helbing & Molnár): exponential repulsion between
+   * people, weighted towards whoever is in front. Sideways push becomes steering,
+   * push against the walking direction slows the person down.
+   */
+  applySocialForce(people) {
+    const { personalSpace, strength, range } = this.settings.socialForce;
+
+    for (let i = 0; i < people.length; i++) {
+      const person = people[i];
+      let forceX = 0;
+      let forceZ = 0;
+
+      for (let j = 0; j < people.length; j++) {
+        if (i === j) continue;
+        const other = people[j];
+
+        let dx = person.lateral - other.lateral;
+        const dz = person.progress - other.progress;
+        if (Math.abs(dz) > 3) continue; // Too far to matter
+
+        // Exactly in line - sidestep by ID so both don't pick the same side
+        if (Math.abs(dx) < 1e-3) {
+          dx = String(person.id) < String(other.id) ? 1e-3 : -1e-3;
+        }
+
+        const distance = Math.hypot(dx, dz);
+        const contact = person.radius + other.radius + personalSpace;
+        const magnitude = strength * Math.exp((contact - distance) / range);
+
+        // People behind you matter less (anisotropy, lambda = 0.3)
+        const facing = -(dz / distance) * person.direction; // 1 = other is straight ahead
+        const weight = 0.3 + 0.7 * (1 + facing) / 2;
+
+        forceX += magnitude * weight * dx / distance;
+        forceZ += magnitude * weight * dz / distance;
+
+        // Sidestep whoever is ahead - head-on pairs would otherwise just stop and push
+        if (facing > 0) {
+          forceX += Math.sign(dx) * magnitude * facing;
+        }
+      }
+
+      // Walls push back too
+      const walls = getLateralLimits(this.hallway, person.progress, 1);
+      const wallGap = (person.lateral > 0 ? walls.max - person.lateral : person.lateral - walls.min) - person.radius;
+      forceX -= Math.sign(person.lateral) * strength * Math.exp(-wallGap / range) * 0.5;
+
+      person.steerX += forceX;
+      // Only braking - nobody gets pushed forward faster than they walk
+      const alongWalk = forceZ * person.direction;
+      if (alongWalk < 0) {
+        person.speedFactor *= Math.max(0, 1 + alongWalk / Math.max(person.speed, 0.1));
+      }
+    }
+  }
+}
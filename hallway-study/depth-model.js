@@ -0,0 +1,82 @@
+/**
+ * Depth Model - Stereo depth accuracy of the simulated cameras
+ *
+ * A stereo camera measures disparity d (pixels) and converts it to depth:
+ *   Z = f * B / d      (f = focal length in pixels, B = baseline_m)
+ * A disparity error of σd pixels becomes a depth error that grows with the square of distance:
+ *   σZ = Z² / (f * B) * σd
+ * σd combines subpixel quantization (1/2^bits px steps) and stereo matching noise.
+ * Closer than minRange_m the disparity is beyond the matcher's search range and there's no depth at all.
+ *
+ * Used by the depth previews (noise, quantization, dropouts) and the visibility test
+ * (slices only measured with a large error are low-confidence instead of visible).
+ */
+
+export const DEPTH_CONFIDENCE = {
+  GOOD: 'good',
+  LOW: 'low',         // Measured, but the expected error is above maxRelativeError
+  INVALID: 'invalid'  // No depth (closer than minRange_m or beyond maxRange_m)
+};
+
+export const DEFAULT_DEPTH_MODEL = {
+  enabled: true,
+  subpixelBits: 3,         // Disparity resolution of 1/8 px
+  disparityNoise_px: 0.3,  // Stereo matching noise (σ, pixels) - about 2% error at 4m on an OAK-D Pro
+  maxRelativeError: 0.04   // Expected error above this fraction of the distance is low-confidence
+};
+
+let depthModel = { ...DEFAULT_DEPTH_MODEL };
+
+export function setDepthModel(settings) {
+  depthModel = { ...DEFAULT_DEPTH_MODEL, ...settings };
+}
+
+export function getDepthModel() {
+  return depthModel;
+}
+
+/**
+ * Focal length × baseline (pixel-meters) - disparity in pixels is this divided by depth
+ * @param {object} specs - Camera or CAMERA_SPECS entry (hFovDeg, stereoWidth_px, baseline_m)
+ */
+export function getFocalBaseline(specs) {
+  const focalPx = (specs.stereoWidth_px / 2) / Math.tan((specs.hFovDeg * Math.PI / 180) / 2);
+  return focalPx * specs.baseline_m;
+}
+
+/**
+ * Standard deviation of the disparity error in pixels
+ */
+export function getDisparityError(model = depthModel) {
+  const step = 1 / Math.pow(2, model.subpixelBits);
+  const quantization = step / Math.sqrt(12); // Uniform rounding error
+  return Math.hypot(quantization, model.disparityNoise_px);
+}
+
+/**
+ * Expected depth error (σ, meters) at a distance
+ */
+export function getDepthError(depth, specs, model = depthModel) {
+  return depth * depth / getFocalBaseline(specs) * getDisparityError(model);
+}
+
+/**
+ * Furthest distance with good confidence (clamped to maxRange_m)
+ */
+export function getMaxConfidentDepth(specs, model = depthModel) {
+  const depth = model.maxRelativeError * getFocalBaseline(specs) / getDisparityError(model);
+  return Math.min(depth, specs.maxRange_m);
+}
+
+/**
+ * How much to trust a depth measurement
+ * @param {number} depth - Distance along the camera's view axis (meters)
+ * @returns {string} - A DEPTH_CONFIDENCE value
+ */
+export function getDepthConfidence(depth, specs, model = depthModel) {
+  if (depth < specs.minRange_m || depth > specs.maxRange_m) return DEPTH_CONFIDENCE.INVALID;
+  if (!model.enabled) return DEPTH_CONFIDENCE.GOOD;
+  return getDepthError(depth, specs, model) / depth > model.maxRelativeError
+    ? DEPTH_CONFIDENCE.LOW
+    : DEPTH_CONFIDENCE.GOOD;
+}
@@ -0,0 +1,258 @@
+/**
+ * Document Schema - Versioned hallway-study documents
+ *
+ * A document is everything needed to reproduce a study setup:
+ * {
+ *   version: 3,
+ *   name, timestamp,
+ *   hallway: { length_m, width_m, height_m,             // Bounding box and ceiling height
+ *              footprint, openings, obstacles, path },   // Optional shape - see hallway-geometry.js
+ *   cameras: [{ id, name, pos: { x, y, z }, yaw, pitch, roll, model }],
+ *   cameraModels: { 'My Model': { hFovDeg, ... } },   // User-defined camera specs
+ *   triggerLayout: { zones: [...] },                    // See trigger-layout.js
+ *   floorPlan: { type, scale, x, z, rotation, ... },    // Optional underlay - see floor-plan.js
+ *   settings: { cameraModel },                          // Default model for new cameras
+ *   music: {
+ *     clock: { bpm, autoBPMChange, quantization },
+ *     key: { key, autoChange, changeInterval },         // key is a Camelot position ('8A')
+ *     chord: { progression, autoChange, changeInterval }
+ *   },
+ *   midi: { output, routes },                           // Output port name (ids differ per machine),
+ *                                                       // routing matrix - see midi-router.js
+ *   osc: { namespace, addresses },                      // OSC address map - see osc.js
+ *   people: { count, lateralMovement, crowd, schedule }      // crowd - see crowd-behaviors.js
+ * }
+ *
+ * music, midi, osc and people are optional - a document without them leaves the current settings alone.
+ *
+ * Older documents are upgraded one version at a time by MIGRATIONS, so every
+ * saved document and presets.json entry keeps loading after the format changes.
+ * To change the format: bump DOCUMENT_VERSION and add a migration from the previous version.
+ * That includes new optional fields - an older build refuses a newer document instead of
+ * loading it and silently dropping what it doesn't know.
+ */
+
+import { normalizeCameraSpecs } from './camera.js';
+import { normalizeLayout } from './trigger-layout.js';
+import { validateGeometry } from './hallway-geometry.js';
+import { validateFloorPlan } from './floor-plan.js';
+import { validateRoutes } from './midi-router.js';
+import { validateOSCSettings } from './osc.js';
+import { validateCrowdSettings } from './crowd-behaviors.js';
+
+export const DOCUMENT_VERSION = 3;
+
+// Every version 1 document was made for the original hallway
+const V1_HALLWAY = { length_m: 13.1064, width_m: 2.0574, height_m: 3.4538 };
+
+export const QUANTIZATIONS = ['16th', '8th', 'quarter'];
+
+// version -> function upgrading a document of that version to the next one
+const MIGRATIONS = {
+  // 1 -> 2: hallway dimensions, per-camera models (v1 had one model for every camera)
+  1: (doc) => {
+    const model = doc.settings && doc.settings.cameraModel;
+    return {
+      ...doc,
+      version: 2,
+      hallway: { ...V1_HALLWAY },
+      cameras: Array.isArray(doc.cameras)
+        ? doc.cameras.map(cam => (cam && !cam.model && model ? { ...cam, model } : cam))
+        : doc.cameras
+    };
+  },
+
+  // 2 -> 3: optional floorPlan, midi.routes, osc, people.crowd and people.schedule - nothing to convert,
+  // a version 2 document simply doesn't have them
+  2: (doc) => ({ ...doc, version: 3 })
+};
+
+/**
+ * Upgrade a document to DOCUMENT_VERSION (the input isn't modified)
+ * @throws {Error} - Not a document, or a version this build doesn't know
+ */
+export function migrateDocument(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Not a hallway-study document');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error(`Unknown document version: ${data.version}`);
+  }
+  if (data.version > DOCUMENT_VERSION) {
+    throw new Error(`Document version ${data.version} is newer than this app supports (${DOCUMENT_VERSION})`);
+  }
+
+  let doc = data;
+  while (doc.version < DOCUMENT_VERSION) {
+    const from = doc.version;
+    doc = MIGRATIONS[from](doc);
+    console.log(`[Document] Migrated "${doc.name || 'Untitled'}" from version ${from} to ${doc.version}`);
+  }
+  return doc;
+}
+
+/**
+ * Check a current-version document
+ * @param {object} doc - Output of migrateDocument()
+ * @param {object} options - { progressionNames, keyNames } to check music settings against (skipped when empty)
+ * @returns {Array} - [{ field, message }] - empty when the document is valid
+ */
+export function validateDocument(doc, options = {}) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const number = (obj, key, field, min = -Infinity, max = Infinity, required = true) => {
+    const value = obj[key];
+    if (value === undefined && !required) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      const range = Number.isFinite(min) && Number.isFinite(max) ? ` from ${min} to ${max}` : '';
+      fail(field, `must be a number${range}`);
+    }
+  };
+  const boolean = (obj, key, field) => {
+    if (obj[key] !== undefined && typeof obj[key] !== 'boolean') fail(field, 'must be true or false');
+  };
+  const oneOf = (obj, key, field, choices) => {
+    if (obj[key] === undefined || !choices || choices.length === 0) return;
+    if (!choices.includes(obj[key])) fail(field, `must be one of ${choices.join(', ')}`);
+  };
+  const section = (obj, key, field) => {
+    if (obj[key] === undefined) return null;
+    if (!isObject(obj[key])) {
+      fail(field, 'must be an object');
+      return null;
+    }
+    return obj[key];
+  };
+
+  if (!isObject(doc)) {
+    fail('document', 'must be an object');
+    return errors;
+  }
+  if (doc.version !== DOCUMENT_VERSION) fail('version', `must be ${DOCUMENT_VERSION}`);
+  if (doc.name !== undefined && typeof doc.name !== 'string') fail('name', 'must be a string');
+
+  // Hallway
+  if (!isObject(doc.hallway)) {
+    fail('hallway', 'must be an object with length_m, width_m and height_m');
+  } else {
+    validateGeometry(doc.hallway).forEach(({ field, message }) => fail(field ? `hallway.${field}` : 'hallway', message));
+  }
+
+  // Cameras
+  if (!Array.isArray(doc.cameras)) {
+    fail('cameras', 'must be a list');
+  } else {
+    doc.cameras.forEach((cam, i) => {
+      const field = `cameras[${i}]`;
+      if (!isObject(cam)) {
+        fail(field, 'must be an object');
+        return;
+      }
+      if (cam.name !== undefined && typeof cam.name !== 'string') fail(`${field}.name`, 'must be a string');
+      if (cam.model !== undefined && typeof cam.model !== 'string') fail(`${field}.model`, 'must be a string');
+      if (!isObject(cam.pos)) {
+        fail(`${field}.pos`, 'must be an object with x, y and z');
+      } else {
+        ['x', 'y', 'z'].forEach(axis => number(cam.pos, axis, `${field}.pos.${axis}`));
+      }
+      ['yaw', 'pitch', 'roll'].forEach(angle => number(cam, angle, `${field}.${angle}`));
+    });
+  }
+
+  // Camera models
+  const cameraModels = section(doc, 'cameraModels', 'cameraModels');
+  if (cameraModels) {
+    for (const [name, specs] of Object.entries(cameraModels)) {
+      try {
+        normalizeCameraSpecs(specs || {});
+      } catch (e) {
+        fail(`cameraModels["${name}"]`, e.message);
+      }
+    }
+  }
+
+  const settings = section(doc, 'settings', 'settings');
+  if (settings && settings.cameraModel !== undefined && typeof settings.cameraModel !== 'string') {
+    fail('settings.cameraModel', 'must be a string');
+  }
+
+  // Trigger layout
+  if (doc.triggerLayout !== undefined) {
+    try {
+      normalizeLayout(doc.triggerLayout);
+    } catch (e) {
+      fail('triggerLayout', e.message);
+    }
+  }
+
+  // Floor plan
+  if (doc.floorPlan !== undefined && doc.floorPlan !== null) {
+    validateFloorPlan(doc.floorPlan).forEach(({ field, message }) => fail(field ? `floorPlan.${field}` : 'floorPlan', message));
+  }
+
+  // Music
+  const music = section(doc, 'music', 'music');
+  if (music) {
+    const clock = section(music, 'clock', 'music.clock');
+    if (clock) {
+      number(clock, 'bpm', 'music.clock.bpm', 60, 200, false);
+      boolean(clock, 'autoBPMChange', 'music.clock.autoBPMChange');
+      oneOf(clock, 'quantization', 'music.clock.quantization', QUANTIZATIONS);
+    }
+    const key = section(music, 'key', 'music.key');
+    if (key) {
+      if (key.key !== undefined && options.keyNames && options.keyNames.length > 0 && !options.keyNames.includes(key.key)) {
+        fail('music.key.key', 'must be a Camelot key such as 8A');
+      }
+      boolean(key, 'autoChange', 'music.key.autoChange');
+      number(key, 'changeInterval', 'music.key.changeInterval', 1, 64, false);
+    }
+    const chord = section(music, 'chord', 'music.chord');
+    if (chord) {
+      oneOf(chord, 'progression', 'music.chord.progression', options.progressionNames);
+      boolean(chord, 'autoChange', 'music.chord.autoChange');
+      number(chord, 'changeInterval', 'music.chord.changeInterval', 1, 64, false);
+    }
+  }
+
+  // MIDI
+  const midi = section(doc, 'midi', 'midi');
+  if (midi && midi.output !== undefined && midi.output !== null && typeof midi.output !== 'string') {
+    fail('midi.output', 'must be an output name or null');
+  }
+  if (midi && midi.routes !== undefined) {
+    validateRoutes(midi.routes).forEach(({ field, message }) => fail(`midi.routes${field}`, message));
+  }
+
+  // OSC
+  const osc = section(doc, 'osc', 'osc');
+  if (osc) {
+    validateOSCSettings(osc).forEach(({ field, message }) => fail(`osc.${field}`, message));
+  }
+
+  // People
+  const people = section(doc, 'people', 'people');
+  if (people) {
+    if (people.count !== undefined && !(Number.isInteger(people.count) && people.count >= 0 && people.count <= 12)) {
+      fail('people.count', 'must be a whole number from 0 to 12');
+    }
+    boolean(people, 'lateralMovement', 'people.lateralMovement');
+    const crowd = section(people, 'crowd', 'people.crowd');
+    if (crowd) {
+      validateCrowdSettings(crowd).forEach(({ field, message }) => fail(`people.crowd.${field}`, message));
+    }
+    const schedule = section(people, 'schedule', 'people.schedule');
+    if (schedule) {
+      boolean(schedule, 'enabled', 'people.schedule.enabled');
+      boolean(schedule, 'running', 'people.schedule.running');
+      number(schedule, 'dayMinutes', 'people.schedule.dayMinutes', 1, 60, false);
+      number(schedule, 'trafficScale', 'people.schedule.trafficScale', 0, 10, false);
+      number(schedule, 'maxPeople', 'people.schedule.maxPeople', 1, 200, false);
+      number(schedule, 'startHour', 'people.schedule.startHour', 0, 24, false);
+    }
+  }
+
+  return errors;
+}
@@ -1,9 +1,10 @@
 /**
  * FBO-based Floor System
  *
- * Uses 3 full-hallway-sized FBOs (one per zone) instead of 48 individual FBOs.
- * Each zone FBO is the size of the entire hallway and renders its 16 triggers
- * at their natural hallway positions. The 3 FBOs are then composited additively.
+ * Uses 3 full-hallway-sized FBOs (one per visual style) instead of one FBO per trigger.
+ * Each style FBO is the size of the entire hallway and renders the triggers of every
+ * zone using that style (strings = bass shader, glow = pads shader, hammer = lead shader)
+ * at their positions from the trigger layout. The 3 FBOs are then composited additively.
  *
  * This allows for:
  * - Temporal effects (accessing previous frame)
@@ -14,6 +15,7 @@
  */
 
 import * as THREE from 'three';
+import { VISUAL_STYLES, MAX_TRIGGERS_PER_VISUAL } from './trigger-layout.js';
 
 // Vertex shader for rendering to FBO
 const fboVertexShader = `
@@ -25,16 +27,20 @@ const fboVertexShader = `
   }
 `;
 
-// Bass zone shader: Physics-based string simulation for all 16 triggers
+// Bass zone shader ('strings' style): Physics-based string simulation
+// Each trigger is a string across its bounds, at the middle of its length
 const bassFragmentShader = `
+  #define MAX_TRIGGERS ${MAX_TRIGGERS_PER_VISUAL}
+
   uniform sampler2D previousFrame;
   uniform float time;
   uniform float deltaTime;
-  uniform float triggerStates[16]; // 0.0 or 1.0
-  uniform float triggerActivations[16]; // Time since activation
-  uniform float triggerVelocities[16]; // 0.0 to 1.0
-  uniform float triggerXPositions[16]; // 0.0 to 1.0
-  uniform float triggerXDirections[16]; // -1.0 to 1.0 (movement direction)
+  uniform vec4 triggerBounds[MAX_TRIGGERS]; // uMin, vMin, uMax, vMax (hallway UV)
+  uniform float triggerStates[MAX_TRIGGERS]; // 0.0 or 1.0
+  uniform float triggerActivations[MAX_TRIGGERS]; // Time since activation
+  uniform float triggerVelocities[MAX_TRIGGERS]; // 0.0 to 1.0
+  uniform float triggerXPositions[MAX_TRIGGERS]; // 0.0 to 1.0 across the trigger width
+  uniform float triggerXDirections[MAX_TRIGGERS]; // -1.0 to 1.0 (movement direction)
   uniform vec2 resolution;
 
   varying vec2 vUv;
@@ -70,16 +76,16 @@ const bassFragmentShader = `
     float displacement = prev.a + velocityWave * deltaTime * damping;
 
     // Add energy from active triggers
-    for (int i = 0; i < 16; i++) {
+    for (int i = 0; i < MAX_TRIGGERS; i++) {
       if (triggerStates[i] < 0.5) continue;
 
-      // Map trigger index to full hallway position
-      // Bass zone has triggers 0-15, so global position is just i
-      float stringV = (float(i) + 0.5) / 48.0;
+      // String runs across the trigger at the middle of its length
+      vec4 bounds = triggerBounds[i];
+      float stringV = (bounds.y + bounds.w) * 0.5;
 
       float activation = triggerActivations[i];
       float velocity = triggerVelocities[i];
-      float personXPos = triggerXPositions[i];
+      float personXPos = mix(bounds.x, bounds.z, triggerXPositions[i]);
       float xDirection = triggerXDirections[i]; // -1.0 to 1.0
 
       float pluckTime = 0.05; // Shorter pull time
@@ -125,15 +131,18 @@ const bassFragmentShader = `
     // Render visual output
     vec3 totalColor = vec3(0.0);
 
-    for (int i = 0; i < 16; i++) {
+    for (int i = 0; i < MAX_TRIGGERS; i++) {
       if (triggerStates[i] < 0.5) continue;
 
-      // Map trigger index to full hallway position
-      float stringV = (float(i) + 0.5) / 48.0;
+      vec4 bounds = triggerBounds[i];
+      float stringV = (bounds.y + bounds.w) * 0.5;
+
+      // Strings are anchored at the trigger's sides
+      if (uv.x < bounds.x || uv.x > bounds.z) continue;
 
       float activation = triggerActivations[i];
       float velocity = triggerVelocities[i];
-      float personXPos = triggerXPositions[i];
+      float personXPos = mix(bounds.x, bounds.z, triggerXPositions[i]);
       float xDirection = triggerXDirections[i];
 
       float pluckTime = 0.05;
@@ -180,15 +189,19 @@ const bassFragmentShader = `
   }
 `;
 
-// Pads zone shader: Particle/fluid system for all 16 triggers
+// Pads zone shader ('glow' style): Particle/fluid system
+// Glows grow from the entry point, at the middle of the trigger's length
 const padsFragmentShader = `
+  #define MAX_TRIGGERS ${MAX_TRIGGERS_PER_VISUAL}
+
   uniform sampler2D previousFrame;
   uniform float time;
   uniform float deltaTime;
-  uniform float triggerStates[16];
-  uniform float triggerActivations[16];
-  uniform float triggerVelocities[16];
-  uniform float triggerXPositions[16];
+  uniform vec4 triggerBounds[MAX_TRIGGERS];
+  uniform float triggerStates[MAX_TRIGGERS];
+  uniform float triggerActivations[MAX_TRIGGERS];
+  uniform float triggerVelocities[MAX_TRIGGERS];
+  uniform float triggerXPositions[MAX_TRIGGERS];
   uniform vec2 resolution;
   uniform float zoneAspectRatio; // width / height of hallway
 
@@ -211,17 +224,16 @@ const padsFragmentShader = `
     vec3 totalColor = vec3(0.0);
     float breathe = sin(time * 1.5) * 0.05 + 1.0;
 
-    // Accumulate effects from all 16 triggers
-    for (int i = 0; i < 16; i++) {
+    // Accumulate effects from all triggers
+    for (int i = 0; i < MAX_TRIGGERS; i++) {
       if (triggerStates[i] < 0.5) continue;
 
-      // Map trigger index to full hallway position
-      // Pads zone has triggers 16-31, so global position is 16 + i
-      float triggerV = (float(16 + i) + 0.5) / 48.0;
+      vec4 bounds = triggerBounds[i];
+      float triggerV = (bounds.y + bounds.w) * 0.5;
 
       float activation = triggerActivations[i];
       float velocity = triggerVelocities[i];
-      float personXPos = triggerXPositions[i];
+      float personXPos = mix(bounds.x, bounds.z, triggerXPositions[i]);
 
       vec3 color = vec3(0.0);
 
@@ -293,15 +305,19 @@ const padsFragmentShader = `
   }
 `;
 
-// Lead zone shader: Piano hammer hit for all 16 triggers
+// Lead zone shader ('hammer' style): Piano hammer hit
+// A line across the trigger at the middle of its length
 const leadFragmentShader = `
+  #define MAX_TRIGGERS ${MAX_TRIGGERS_PER_VISUAL}
+
   uniform sampler2D previousFrame;
   uniform float time;
   uniform float deltaTime;
-  uniform float triggerStates[16];
-  uniform float triggerActivations[16];
-  uniform float triggerVelocities[16];
-  uniform float triggerXPositions[16];
+  uniform vec4 triggerBounds[MAX_TRIGGERS];
+  uniform float triggerStates[MAX_TRIGGERS];
+  uniform float triggerActivations[MAX_TRIGGERS];
+  uniform float triggerVelocities[MAX_TRIGGERS];
+  uniform float triggerXPositions[MAX_TRIGGERS];
   uniform vec2 resolution;
 
   varying vec2 vUv;
@@ -314,13 +330,15 @@ const leadFragmentShader = `
 
     vec3 totalColor = vec3(0.0);
 
-    // Accumulate effects from all 16 triggers
-    for (int i = 0; i < 16; i++) {
+    // Accumulate effects from all triggers
+    for (int i = 0; i < MAX_TRIGGERS; i++) {
       if (triggerStates[i] < 0.5) continue;
 
-      // Map trigger index to full hallway position
-      // Lead zone has triggers 32-47, so global position is 32 + i
-      float stringV = (float(32 + i) + 0.5) / 48.0;
+      vec4 bounds = triggerBounds[i];
+      float stringV = (bounds.y + bounds.w) * 0.5;
+
+      // Hammer line spans the trigger's width only
+      if (uv.x < bounds.x || uv.x > bounds.z) continue;
 
       float activation = triggerActivations[i];
 
@@ -376,6 +394,8 @@ const compositeFragmentShader = `
   uniform sampler2D bassTexture;
   uniform sampler2D padsTexture;
   uniform sampler2D leadTexture;
+  uniform sampler2D layoutTexture; // Trigger outlines drawn from the layout
+  uniform float layoutOpacity;
   uniform float hallwayLength;
   uniform float hallwayWidth;
 
@@ -400,29 +420,37 @@ const compositeFragmentShader = `
     // Blend zones using max (brightest wins)
     vec3 finalColor = max(bassColor, max(padsColor, leadColor));
 
+    // Optional trigger outlines
+    vec4 outline = texture2D(layoutTexture, sampleUV);
+    finalColor = max(finalColor, outline.rgb * outline.a * layoutOpacity);
+
     gl_FragColor = vec4(finalColor, 1.0);
   }
 `;
 
+// Layout overlay canvas resolution (across width x along length)
+const LAYOUT_CANVAS_WIDTH = 256;
+const LAYOUT_CANVAS_HEIGHT = 1024;
+
 /**
- * Create FBO-based floor system - 3 zone FBOs
+ * Create FBO-based floor system - 3 visual style FBOs
  */
 export function createFBOFloor(hallway, triggerZones, renderer) {
   const { length_m, width_m } = hallway;
 
-  // FBO resolution (in pixels) - full hallway size for all zones
+  // FBO resolution (in pixels) - full hallway size for all styles
   const fboWidth = 512;   // Across hallway width
-  const fboHeight = 1536; // Full hallway length (3x zone height for simpler math)
+  const fboHeight = 1536; // Full hallway length
 
   // Calculate aspect ratio for circular shapes
   const zoneAspectRatio = width_m / length_m;
 
-  // Create 3 zone FBOs (one per zone)
+  // Create 3 style FBOs (one per visual style, in VISUAL_STYLES order)
   const zoneFBOs = [];
   const shaders = [bassFragmentShader, padsFragmentShader, leadFragmentShader];
   const zoneNames = ['Bass', 'Pads', 'Lead'];
 
-  for (let zoneIndex = 0; zoneIndex < 3; zoneIndex++) {
+  for (let zoneIndex = 0; zoneIndex < VISUAL_STYLES.length; zoneIndex++) {
     // Create double-buffered render targets
     const targetA = new THREE.WebGLRenderTarget(fboWidth, fboHeight, {
       minFilter: THREE.LinearFilter,
@@ -438,32 +466,34 @@ export function createFBOFloor(hallway, triggerZones, renderer) {
       type: THREE.FloatType
     });
 
-    // Initialize uniform arrays for 16 triggers
-    const triggerStates = new Float32Array(16).fill(0.0);
-    const triggerActivations = new Float32Array(16).fill(0.0);
-    const triggerVelocities = new Float32Array(16).fill(0.0);
-    const triggerXPositions = new Float32Array(16).fill(0.5);
-    const triggerXDirections = new Float32Array(16).fill(0.0);
+    // Initialize uniform arrays for this style's trigger slots
+    const triggerBounds = Array.from({ length: MAX_TRIGGERS_PER_VISUAL }, () => new THREE.Vector4());
+    const triggerStates = new Float32Array(MAX_TRIGGERS_PER_VISUAL).fill(0.0);
+    const triggerActivations = new Float32Array(MAX_TRIGGERS_PER_VISUAL).fill(0.0);
+    const triggerVelocities = new Float32Array(MAX_TRIGGERS_PER_VISUAL).fill(0.0);
+    const triggerXPositions = new Float32Array(MAX_TRIGGERS_PER_VISUAL).fill(0.5);
+    const triggerXDirections = new Float32Array(MAX_TRIGGERS_PER_VISUAL).fill(0.0);
 
-    // Base uniforms for all zones
+    // Base uniforms for all styles
     const uniforms = {
       previousFrame: { value: targetA.texture },
       time: { value: 0.0 },
       deltaTime: { value: 0.016 },
+      triggerBounds: { value: triggerBounds },
       triggerStates: { value: triggerStates },
       triggerActivations: { value: triggerActivations },
       triggerVelocities: { value: triggerVelocities },
       triggerXPositions: { value: triggerXPositions },
-      triggerXDirections: { value: triggerXDirections }, // Only used by bass zone
+      triggerXDirections: { value: triggerXDirections }, // Only used by strings
       resolution: { value: new THREE.Vector2(fboWidth, fboHeight) }
     };
 
-    // Add aspect ratio for pads zone (zone 1)
-    if (zoneIndex === 1) {
+    // Add aspect ratio for glow style
+    if (VISUAL_STYLES[zoneIndex] === 'glow') {
       uniforms.zoneAspectRatio = { value: zoneAspectRatio };
     }
 
-    // Create material with zone shader
+    // Create material with style shader
     const material = new THREE.ShaderMaterial({
       vertexShader: fboVertexShader,
       fragmentShader: shaders[zoneIndex],
@@ -484,10 +514,18 @@ export function createFBOFloor(hallway, triggerZones, renderer) {
       camera,
       currentTarget: 0, // Ping-pong between A and B
       zoneIndex,
-      zoneName: zoneNames[zoneIndex]
+      zoneName: zoneNames[zoneIndex],
+      style: VISUAL_STYLES[zoneIndex],
+      slots: [] // Trigger index drawn in each uniform slot
     });
   }
 
+  // Trigger outlines, drawn on a canvas whenever the layout changes
+  const layoutCanvas = document.createElement('canvas');
+  layoutCanvas.width = LAYOUT_CANVAS_WIDTH;
+  layoutCanvas.height = LAYOUT_CANVAS_HEIGHT;
+  const layoutTexture = new THREE.CanvasTexture(layoutCanvas);
+
   // Create floor geometry
   const geometry = new THREE.PlaneGeometry(width_m, length_m, 100, 100);
 
@@ -499,6 +537,8 @@ export function createFBOFloor(hallway, triggerZones, renderer) {
       bassTexture: { value: zoneFBOs[0].targetA.texture },
       padsTexture: { value: zoneFBOs[1].targetA.texture },
       leadTexture: { value: zoneFBOs[2].targetA.texture },
+      layoutTexture: { value: layoutTexture },
+      layoutOpacity: { value: 0.0 },
       hallwayLength: { value: length_m },
       hallwayWidth: { value: width_m }
     },
@@ -514,21 +554,112 @@ export function createFBOFloor(hallway, triggerZones, renderer) {
   mesh.userData.zoneFBOs = zoneFBOs;
   mesh.userData.triggerZones = triggerZones;
   mesh.userData.renderer = renderer;
+  mesh.userData.hallway = hallway;
   mesh.userData.activationTimes = new Map();
+  mesh.userData.layoutCanvas = layoutCanvas;
+  mesh.userData.layoutTexture = layoutTexture;
+  mesh.userData.layoutVersion = -1; // Slots are assigned on the first update
 
   const totalMemoryMB = (3 * fboWidth * fboHeight * 16 * 2 / 1024 / 1024).toFixed(2);
   console.log(`[FBO Floor] Created 3 full-hallway FBOs (${fboWidth}x${fboHeight} each)`);
-  console.log(`[FBO Floor] Each zone renders to full hallway, composited additively`);
+  console.log(`[FBO Floor] Each style renders to full hallway, composited additively`);
   console.log(`[FBO Floor] Total GPU memory: ~${totalMemoryMB} MB`);
-  console.log('[FBO Floor] Zone 0 (Bass): Physics-based strings, triggers 0-15');
-  console.log('[FBO Floor] Zone 1 (Pads): Atmospheric glow, triggers 16-31');
-  console.log('[FBO Floor] Zone 2 (Lead): Piano hammers, triggers 32-47');
+  console.log(`[FBO Floor] Up to ${MAX_TRIGGERS_PER_VISUAL} triggers per style (${VISUAL_STYLES.join(', ')})`);
 
   return mesh;
 }
 
 /**
- * Update FBO floor system - 3 zone FBOs
+ * Show or hide the trigger outlines on the floor
+ */
+export function setFBOFloorOutlines(floorMesh, visible) {
+  if (!floorMesh || !floorMesh.material.uniforms.layoutOpacity) return;
+  floorMesh.material.uniforms.layoutOpacity.value = visible ? 1.0 : 0.0;
+}
+
+/**
+ * Assign the layout's triggers to style FBO slots and redraw the outline overlay
+ */
+function applyLayout(floorMesh) {
+  const { zoneFBOs, triggerZones, hallway, layoutCanvas, layoutTexture, activationTimes } = floorMesh.userData;
+  const { length_m, width_m } = hallway;
+
+  for (const zoneFBO of zoneFBOs) {
+    zoneFBO.slots = [];
+  }
+
+  const skipped = {};
+  for (const trigger of triggerZones.triggers) {
+    const zone = triggerZones.getZone(trigger.zoneId);
+    const zoneFBO = zoneFBOs.find(fbo => fbo.style === zone.visual) || zoneFBOs[zoneFBOs.length - 1];
+
+    if (zoneFBO.slots.length >= MAX_TRIGGERS_PER_VISUAL) {
+      skipped[zoneFBO.style] = (skipped[zoneFBO.style] || 0) + 1;
+      continue;
+    }
+    zoneFBO.slots.push(trigger.id);
+  }
+
+  for (const [style, count] of Object.entries(skipped)) {
+    console.warn(`[FBO Floor] ${count} '${style}' triggers not drawn (max ${MAX_TRIGGERS_PER_VISUAL} per style)`);
+  }
+
+  // Bounds in FBO UV space (u = across width, v = along length)
+  for (const zoneFBO of zoneFBOs) {
+    const { triggerBounds, triggerStates } = zoneFBO.material.uniforms;
+    for (let slot = 0; slot < MAX_TRIGGERS_PER_VISUAL; slot++) {
+      const trigger = triggerZones.triggers[zoneFBO.slots[slot]];
+      if (trigger) {
+        triggerBounds.value[slot].set(
+          (trigger.xMin + width_m / 2) / width_m,
+          trigger.zStart / length_m,
+          (trigger.xMax + width_m / 2) / width_m,
+          trigger.zEnd / length_m
+        );
+      } else {
+        triggerBounds.value[slot].set(0, 0, 0, 0);
+        triggerStates.value[slot] = 0.0;
+      }
+    }
+  }
+
+  // Rebuilt triggers start over (moved/resized ones keep animating)
+  if (floorMesh.userData.triggers !== triggerZones.triggers) {
+    activationTimes.clear();
+    floorMesh.userData.triggers = triggerZones.triggers;
+  }
+
+  // Outline overlay (canvas row 0 is the far end - CanvasTexture flips Y)
+  const ctx = layoutCanvas.getContext('2d');
+  const toCanvas = (x, z) => [
+    (x + width_m / 2) / width_m * layoutCanvas.width,
+    (1 - z / length_m) * layoutCanvas.height
+  ];
+
+  ctx.clearRect(0, 0, layoutCanvas.width, layoutCanvas.height);
+  ctx.lineWidth = 2;
+  for (const trigger of triggerZones.triggers) {
+    const points = trigger.shape === 'polygon'
+      ? trigger.points
+      : [[trigger.xMin, trigger.zStart], [trigger.xMax, trigger.zStart], [trigger.xMax, trigger.zEnd], [trigger.xMin, trigger.zEnd]];
+
+    ctx.strokeStyle = trigger.color || '#ffffff';
+    ctx.beginPath();
+    points.forEach(([x, z], i) => {
+      const [cx, cy] = toCanvas(x, z);
+      if (i === 0) ctx.moveTo(cx, cy);
+      else ctx.lineTo(cx, cy);
+    });
+    ctx.closePath();
+    ctx.stroke();
+  }
+  layoutTexture.needsUpdate = true;
+
+  floorMesh.userData.layoutVersion = triggerZones.layoutVersion;
+}
+
+/**
+ * Update FBO floor system - 3 visual style FBOs
  */
 export function updateFBOFloor(floorMesh, deltaTime) {
   if (!floorMesh || !floorMesh.userData.zoneFBOs) return;
@@ -538,16 +669,20 @@ export function updateFBOFloor(floorMesh, deltaTime) {
   const triggerZones = floorMesh.userData.triggerZones;
   const activationTimes = floorMesh.userData.activationTimes;
 
+  if (floorMesh.userData.layoutVersion !== triggerZones.layoutVersion) {
+    applyLayout(floorMesh);
+  }
+
   const currentTime = performance.now() / 1000.0;
 
-  // Update each of the 3 zone FBOs
-  for (let zoneIndex = 0; zoneIndex < 3; zoneIndex++) {
+  // Update each of the 3 style FBOs
+  for (let zoneIndex = 0; zoneIndex < zoneFBOs.length; zoneIndex++) {
     const zoneFBO = zoneFBOs[zoneIndex];
-    const startTrigger = zoneIndex * 16;
+    const usesDirection = zoneFBO.style === 'strings';
 
-    // Update trigger state arrays for this zone's 16 triggers
-    for (let i = 0; i < 16; i++) {
-      const triggerIndex = startTrigger + i;
+    // Update trigger state arrays for the triggers drawn in this style
+    for (let i = 0; i < zoneFBO.slots.length; i++) {
+      const triggerIndex = zoneFBO.slots[i];
       const trigger = triggerZones.triggers[triggerIndex];
       const isActive = trigger.isActive;
 
@@ -564,8 +699,8 @@ export function updateFBOFloor(floorMesh, deltaTime) {
         zoneFBO.material.uniforms.triggerVelocities.value[i] = trigger.lastVelocity || 0.5;
         zoneFBO.material.uniforms.triggerXPositions.value[i] = trigger.lastXPosition || 0.5;
 
-        // Only bass zone (zone 0) uses X direction
-        if (zoneIndex === 0) {
+        // Only strings use X direction
+        if (usesDirection) {
           zoneFBO.material.uniforms.triggerXDirections.value[i] = trigger.lastXDirection || 0.0;
         }
       } else {
@@ -575,8 +710,8 @@ export function updateFBOFloor(floorMesh, deltaTime) {
         zoneFBO.material.uniforms.triggerVelocities.value[i] = 0.0;
         zoneFBO.material.uniforms.triggerXPositions.value[i] = 0.5;
 
-        // Only bass zone (zone 0) uses X direction
-        if (zoneIndex === 0) {
+        // Only strings use X direction
+        if (usesDirection) {
           zoneFBO.material.uniforms.triggerXDirections.value[i] = 0.0;
         }
       }
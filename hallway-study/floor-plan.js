@@ -0,0 +1,556 @@
+/**
+ * Floor Plan - A scaled architectural drawing under the hallway, for placing cameras against the real building
+ *
+ * floorPlan = {
+ *   type: 'image' | 'dxf',
+ *   name,                                 // File it came from
+ *   image, imageWidth, imageHeight,       // 'image': PNG/JPEG/SVG data URL and its size in pixels
+ *   segments: [[x1, y1, x2, y2], ...],    // 'dxf': wall lines in drawing units
+ *   scale,                                // Meters per pixel (image) or per drawing unit (dxf)
+ *   x, z,                                 // Where the drawing's origin sits, in hallway coordinates
+ *   rotation,                             // Degrees, clockwise seen from above
+ *   opacity, visible
+ * }
+ *
+ * Plan coordinates (u, v) are pixels with v running down the image, or DXF units with v = -Y
+ * (DXF drawings have Y up). Either way a plan seen from above isn't mirrored.
+ *
+ * Calibration: pick two points on the plan and enter the real distance between them - that sets
+ * the scale. Fitting the hallway: pick two opposite corners of the hallway on the plan - the hallway
+ * takes that length and width, and the plan moves so those corners line up with the hallway's.
+ */
+
+import * as THREE from 'three';
+
+export const PLAN_TYPES = ['image', 'dxf'];
+
+// Largest stored image side - bigger plans are scaled down so documents fit in localStorage
+export const MAX_IMAGE_SIZE = 2048;
+
+const DEFAULT_IMAGE_SCALE = 0.01; // 1 pixel = 1 cm until calibrated
+const ARC_SEGMENTS_PER_TURN = 32;
+const PLAN_OFFSET = 0.004; // Above the floor and grid, below the trigger editor and heatmap
+const MARKER_RADIUS = 0.06;
+const CLICK_MAX_PIXELS = 4; // Pointer travel below this is a click (more is orbiting)
+
+// $INSUNITS codes -> meters per drawing unit
+const DXF_UNITS = {
+  1: 0.0254, // Inches
+  2: 0.3048, // Feet
+  4: 0.001,  // Millimeters
+  5: 0.01,   // Centimeters
+  6: 1       // Meters
+};
+
+// ===== DXF =====
+
+/**
+ * Read wall geometry from an ASCII DXF: LINE, LWPOLYLINE, POLYLINE, ARC and CIRCLE entities
+ * (arcs and circles become short straight segments)
+ * @returns {object} - { segments: [[x1, y1, x2, y2], ...], unitScale: meters per unit, or null if the file doesn't say }
+ * @throws {Error} - Not a DXF or no usable entities
+ */
+export function parseDXF(text) {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (Number.isNaN(code)) throw new Error(`Not a DXF file (line ${i + 1})`);
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+
+  let unitScale = null;
+  const segments = [];
+  let section = null;
+  let index = 0;
+
+  // Group codes of the entity starting at index, up to the next entity (code 0)
+  const readEntity = () => {
+    const codes = [];
+    index++;
+    while (index < pairs.length && pairs[index][0] !== 0) {
+      codes.push(pairs[index]);
+      index++;
+    }
+    return codes;
+  };
+  const value = (codes, code, fallback = 0) => {
+    const pair = codes.find(([c]) => c === code);
+    return pair ? parseFloat(pair[1]) : fallback;
+  };
+  const addPolyline = (points, closed) => {
+    for (let i = 0; i + 1 < points.length; i++) {
+      segments.push([...points[i], ...points[i + 1]]);
+    }
+    if (closed && points.length > 2) {
+      segments.push([...points[points.length - 1], ...points[0]]);
+    }
+  };
+  const addArc = (cx, cy, radius, startDeg, endDeg) => {
+    let sweep = endDeg - startDeg;
+    if (sweep <= 0) sweep += 360;
+    const steps = Math.max(2, Math.ceil(ARC_SEGMENTS_PER_TURN * sweep / 360));
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const angle = THREE.MathUtils.degToRad(startDeg + sweep * i / steps);
+      points.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+    }
+    addPolyline(points, false);
+  };
+
+  while (index < pairs.length) {
+    const [code, text] = pairs[index];
+    if (code !== 0) {
+      // Header variables: '9 $INSUNITS' then '70 <units>'
+      if (section === 'HEADER' && code === 9 && text === '$INSUNITS' && pairs[index + 1]) {
+        unitScale = DXF_UNITS[parseInt(pairs[index + 1][1], 10)] || null;
+      }
+      index++;
+      continue;
+    }
+
+    if (text === 'SECTION') {
+      const name = pairs[index + 1];
+      section = name && name[0] === 2 ? name[1] : null;
+      index += 2;
+      continue;
+    }
+    if (text === 'ENDSEC') {
+      section = null;
+      index++;
+      continue;
+    }
+    if (section !== 'ENTITIES' && section !== 'BLOCKS') {
+      index++;
+      continue;
+    }
+
+    if (text === 'LINE') {
+      const codes = readEntity();
+      segments.push([value(codes, 10), value(codes, 20), value(codes, 11), value(codes, 21)]);
+    } else if (text === 'LWPOLYLINE') {
+      const codes = readEntity();
+      const points = [];
+      codes.forEach(([c, v]) => {
+        if (c === 10) points.push([parseFloat(v), 0]);
+        if (c === 20 && points.length > 0) points[points.length - 1][1] = parseFloat(v);
+      });
+      addPolyline(points, (value(codes, 70) & 1) === 1);
+    } else if (text === 'POLYLINE') {
+      const closed = (value(readEntity(), 70) & 1) === 1;
+      const points = [];
+      while (index < pairs.length && pairs[index][1] === 'VERTEX') {
+        const codes = readEntity();
+        points.push([value(codes, 10), value(codes, 20)]);
+      }
+      addPolyline(points, closed);
+    } else if (text === 'ARC') {
+      const codes = readEntity();
+      addArc(value(codes, 10), value(codes, 20), value(codes, 40), value(codes, 50), value(codes, 51));
+    } else if (text === 'CIRCLE') {
+      const codes = readEntity();
+      addArc(value(codes, 10), value(codes, 20), value(codes, 40), 0, 360);
+    } else {
+      readEntity();
+    }
+  }
+
+  const usable = segments.filter(segment => segment.every(Number.isFinite));
+  if (usable.length === 0) {
+    throw new Error('No lines, polylines, arcs or circles found in the DXF');
+  }
+  return { segments: usable, unitScale };
+}
+
+// ===== Plans =====
+
+export function createImagePlan(name, image, imageWidth, imageHeight) {
+  return {
+    type: 'image',
+    name,
+    image,
+    imageWidth,
+    imageHeight,
+    scale: DEFAULT_IMAGE_SCALE,
+    x: -imageWidth * DEFAULT_IMAGE_SCALE / 2,
+    z: 0,
+    rotation: 0,
+    opacity: 0.6,
+    visible: true
+  };
+}
+
+/**
+ * @param {string} name
+ * @param {object} dxf - Output of parseDXF()
+ */
+export function createDXFPlan(name, { segments, unitScale }) {
+  const plan = {
+    type: 'dxf',
+    name,
+    segments,
+    scale: unitScale || 1,
+    x: 0,
+    z: 0,
+    rotation: 0,
+    opacity: 0.8,
+    visible: true
+  };
+
+  // Start centered across the hallway with the drawing's top edge at the near end (like images)
+  const { minU, maxU, minV } = getPlanExtent(plan);
+  plan.x = -(minU + maxU) / 2 * plan.scale;
+  plan.z = -minV * plan.scale;
+  return plan;
+}
+
+/**
+ * Check a floor plan (e.g. a document's floorPlan section)
+ * @returns {Array} - [{ field, message }] with fields relative to the plan (e.g. 'segments[3]')
+ */
+export function validateFloorPlan(data) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  if (!data || typeof data !== 'object') {
+    fail('', 'must be an object');
+    return errors;
+  }
+  if (!PLAN_TYPES.includes(data.type)) {
+    fail('type', `must be one of ${PLAN_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  if (data.type === 'image') {
+    if (typeof data.image !== 'string' || !data.image.startsWith('data:image/')) {
+      fail('image', 'must be an image data URL');
+    }
+    if (!Number.isInteger(data.imageWidth) || data.imageWidth < 1) fail('imageWidth', 'must be a whole number of pixels');
+    if (!Number.isInteger(data.imageHeight) || data.imageHeight < 1) fail('imageHeight', 'must be a whole number of pixels');
+  } else if (!Array.isArray(data.segments) || data.segments.length === 0) {
+    fail('segments', 'must be a list of [x1, y1, x2, y2] lines');
+  } else {
+    const bad = data.segments.findIndex(s => !Array.isArray(s) || s.length !== 4 || !s.every(isNumber));
+    if (bad >= 0) fail(`segments[${bad}]`, 'must be [x1, y1, x2, y2] numbers');
+  }
+
+  if (!isNumber(data.scale) || data.scale <= 0) fail('scale', 'must be a number above 0');
+  if (!isNumber(data.x)) fail('x', 'must be a number');
+  if (!isNumber(data.z)) fail('z', 'must be a number');
+  if (data.rotation !== undefined && !isNumber(data.rotation)) fail('rotation', 'must be a number');
+  if (data.opacity !== undefined && (!isNumber(data.opacity) || data.opacity < 0 || data.opacity > 1)) {
+    fail('opacity', 'must be a number from 0 to 1');
+  }
+  if (data.visible !== undefined && typeof data.visible !== 'boolean') fail('visible', 'must be true or false');
+
+  return errors;
+}
+
+/**
+ * Fill in defaults (expects a plan that passed validateFloorPlan())
+ */
+export function normalizeFloorPlan(data) {
+  return {
+    ...data,
+    segments: data.segments ? data.segments.map(segment => [...segment]) : undefined,
+    rotation: data.rotation || 0,
+    opacity: data.opacity !== undefined ? data.opacity : 0.6,
+    visible: data.visible !== false
+  };
+}
+
+// Plan coordinates of the drawing's outline points (image corners or DXF line ends)
+function getPlanPoints(plan) {
+  if (plan.type === 'image') {
+    const { imageWidth: w, imageHeight: h } = plan;
+    return [[0, 0], [w, 0], [w, h], [0, h]];
+  }
+  return plan.segments.flatMap(([x1, y1, x2, y2]) => [[x1, -y1], [x2, -y2]]);
+}
+
+function getPlanExtent(plan) {
+  let minU = Infinity, maxU = -Infinity, minV = Infinity;
+  for (const [u, v] of getPlanPoints(plan)) {
+    minU = Math.min(minU, u);
+    maxU = Math.max(maxU, u);
+    minV = Math.min(minV, v);
+  }
+  return { minU, maxU, minV };
+}
+
+/**
+ * Plan coordinates -> hallway coordinates
+ */
+export function planToHallway(plan, u, v) {
+  const angle = THREE.MathUtils.degToRad(plan.rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const su = u * plan.scale;
+  const sv = v * plan.scale;
+  return { x: plan.x + cos * su - sin * sv, z: plan.z + sin * su + cos * sv };
+}
+
+/**
+ * Hallway coordinates -> plan coordinates
+ */
+export function hallwayToPlan(plan, x, z) {
+  const angle = THREE.MathUtils.degToRad(plan.rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = x - plan.x;
+  const dz = z - plan.z;
+  return { u: (cos * dx + sin * dz) / plan.scale, v: (-sin * dx + cos * dz) / plan.scale };
+}
+
+/**
+ * Bounding box of the placed drawing in hallway coordinates
+ * @returns {object} - { minX, maxX, minZ, maxZ }
+ */
+export function getPlanBounds(plan) {
+  const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+  for (const [u, v] of getPlanPoints(plan)) {
+    const { x, z } = planToHallway(plan, u, v);
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.minZ = Math.min(bounds.minZ, z);
+    bounds.maxZ = Math.max(bounds.maxZ, z);
+  }
+  return bounds;
+}
+
+/**
+ * Set the scale from two picked points and the real distance between them (modifies the plan).
+ * The first point stays where it is.
+ * @param {object} a - { x, z } hallway coordinates of the first point
+ * @param {object} b - { x, z } hallway coordinates of the second point
+ * @param {number} distance_m - Real distance between them
+ * @returns {string|null} - Why it couldn't be calibrated, or null
+ */
+export function calibratePlan(plan, a, b, distance_m) {
+  if (!(distance_m > 0)) return 'The distance must be above 0.';
+  const pa = hallwayToPlan(plan, a.x, a.z);
+  const pb = hallwayToPlan(plan, b.x, b.z);
+  const planDistance = Math.hypot(pb.u - pa.u, pb.v - pa.v);
+  if (planDistance * plan.scale < 0.01) return 'Pick two points further apart.';
+
+  plan.scale = distance_m / planDistance;
+
+  // Keep the first point fixed
+  const moved = planToHallway(plan, pa.u, pa.v);
+  plan.x += a.x - moved.x;
+  plan.z += a.z - moved.z;
+  return null;
+}
+
+/**
+ * Fit the hallway to a rectangle picked on the plan by two opposite corners (modifies the plan).
+ * The plan moves so the rectangle's near-left corner is the hallway's, then the caller resizes the hallway.
+ * Corners are taken along the hallway axes - rotate the plan first so its corridor runs along z.
+ * @returns {object|null} - { length_m, width_m } for the hallway, or null if the corners don't span an area
+ */
+export function fitPlanToCorners(plan, a, b) {
+  const width_m = Math.abs(b.x - a.x);
+  const length_m = Math.abs(b.z - a.z);
+  if (width_m < 0.5 || length_m < 0.5) return null;
+
+  plan.x += -width_m / 2 - Math.min(a.x, b.x);
+  plan.z += -Math.min(a.z, b.z);
+  return { length_m, width_m };
+}
+
+// ===== Underlay =====
+
+/**
+ * Draws the floor plan under the hallway (UI only - layer 1, camera previews don't see it)
+ * and picks points on it for calibration.
+ *
+ * Events:
+ * - 'pick': { point: { x, z }, index } as each point is picked
+ * - 'picked': { points: [{ x, z }, ...] } once all requested points are picked
+ */
+export class FloorPlanUnderlay extends THREE.EventDispatcher {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {object} hallway - Hallway geometry (the underlay follows its length)
+   * @param {HTMLElement} domElement - Renderer canvas
+   * @param {Function} getCamera - Returns the camera currently used for the view
+   */
+  constructor(scene, hallway, domElement, getCamera) {
+    super();
+    this.hallway = hallway;
+    this.domElement = domElement;
+    this.getCamera = getCamera;
+
+    this.plan = null;
+
+    this.group = new THREE.Group();
+    this.group.name = 'floorPlan';
+    scene.add(this.group);
+
+    this.content = null;
+    this.texture = null;
+
+    // Point picking
+    this.picking = null; // { count, points }
+    this.pointerDown = null;
+    this.markers = [];
+    this.markerGeometry = new THREE.SphereGeometry(MARKER_RADIUS, 12, 8);
+    this.markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffcc00, depthTest: false });
+    this.raycaster = new THREE.Raycaster();
+    this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -PLAN_OFFSET);
+    this.pointer = new THREE.Vector2();
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onClick = this.onClick.bind(this);
+  }
+
+  /**
+   * Show this plan (null removes the underlay). The plan is used in place - call update() after editing it.
+   */
+  setPlan(plan) {
+    this.cancelPicking();
+    this.plan = plan;
+    this.rebuild();
+  }
+
+  // Recreate the drawing (after a new plan is loaded)
+  rebuild() {
+    if (this.content) {
+      this.group.remove(this.content);
+      this.content.geometry.dispose();
+      this.content.material.dispose();
+      this.content = null;
+    }
+    if (this.texture) {
+      this.texture.dispose();
+      this.texture = null;
+    }
+
+    const plan = this.plan;
+    if (plan && plan.type === 'image') {
+      this.texture = new THREE.TextureLoader().load(plan.image);
+      this.texture.colorSpace = THREE.SRGBColorSpace;
+
+      const geometry = new THREE.PlaneGeometry(plan.imageWidth, plan.imageHeight);
+      const material = new THREE.MeshBasicMaterial({
+        map: this.texture,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+      });
+      this.content = new THREE.Mesh(geometry, material);
+      // Lie flat with the image's top-left corner (pixel 0, 0) at the plan origin
+      this.content.rotation.x = -Math.PI / 2;
+      this.content.position.set(plan.imageWidth / 2, 0, plan.imageHeight / 2);
+    } else if (plan) {
+      const points = plan.segments.flatMap(([x1, y1, x2, y2]) => [
+        new THREE.Vector3(x1, 0, -y1),
+        new THREE.Vector3(x2, 0, -y2)
+      ]);
+      const geometry = new THREE.BufferGeometry().setFromPoints(points);
+      const material = new THREE.LineBasicMaterial({ color: 0xd8e4f0, transparent: true, depthWrite: false });
+      this.content = new THREE.LineSegments(geometry, material);
+    }
+
+    if (this.content) {
+      this.content.layers.set(1);
+      this.content.raycast = () => {}; // Don't block click selection
+      this.group.add(this.content);
+    }
+    this.update();
+  }
+
+  /**
+   * Apply the plan's placement, scale, opacity and visibility (after editing it or resizing the hallway)
+   */
+  update() {
+    const plan = this.plan;
+    this.group.visible = !!plan && plan.visible;
+    if (!plan || !this.content) return;
+
+    this.group.position.set(plan.x, PLAN_OFFSET, plan.z - this.hallway.length_m / 2);
+    // planToHallway rotates clockwise seen from above; three.js rotates counter-clockwise about +y
+    this.group.rotation.y = -THREE.MathUtils.degToRad(plan.rotation);
+    this.group.scale.setScalar(plan.scale);
+    this.content.material.opacity = plan.opacity;
+  }
+
+  // ===== Picking =====
+
+  /**
+   * Pick points on the floor with the pointer (dispatches 'pick' and 'picked')
+   */
+  startPicking(count) {
+    this.cancelPicking();
+    this.picking = { count, points: [] };
+    this.domElement.addEventListener('pointerdown', this.onPointerDown);
+    this.domElement.addEventListener('click', this.onClick);
+  }
+
+  cancelPicking() {
+    if (!this.picking) return;
+    this.picking = null;
+    this.pointerDown = null;
+    this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    this.domElement.removeEventListener('click', this.onClick);
+    this.markers.forEach(marker => this.group.parent.remove(marker));
+    this.markers = [];
+  }
+
+  get isPicking() {
+    return this.picking !== null;
+  }
+
+  // Floor point under the pointer in hallway coordinates, or null
+  floorPointAt(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.pointer, this.getCamera());
+
+    const hit = new THREE.Vector3();
+    if (!this.raycaster.ray.intersectPlane(this.floorPlane, hit)) return null;
+    return { x: hit.x, z: hit.z + this.hallway.length_m / 2 };
+  }
+
+  onPointerDown(event) {
+    if (event.button !== 0) return;
+    this.pointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  // Pick on click so dragging still orbits the view
+  onClick(event) {
+    if (!this.picking || !this.pointerDown) return;
+    const travel = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+    this.pointerDown = null;
+    if (travel > CLICK_MAX_PIXELS) return;
+
+    const point = this.floorPointAt(event);
+    if (!point) return;
+
+    const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+    marker.position.set(point.x, PLAN_OFFSET, point.z - this.hallway.length_m / 2);
+    marker.layers.set(1);
+    marker.renderOrder = 10;
+    this.group.parent.add(marker);
+    this.markers.push(marker);
+
+    const { points, count } = this.picking;
+    points.push(point);
+    this.dispatchEvent({ type: 'pick', point, index: points.length - 1 });
+
+    if (points.length === count) {
+      this.cancelPicking();
+      this.dispatchEvent({ type: 'picked', points });
+    }
+  }
+
+  dispose() {
+    this.cancelPicking();
+    this.setPlan(null);
+    this.group.parent.remove(this.group);
+    this.markerGeometry.dispose();
+    this.markerMaterial.dispose();
+  }
+}
@@ -0,0 +1,490 @@
+/**
+ * Hallway Geometry - Shape of the room people walk through and cameras look at
+ *
+ * Everything is in hallway coordinates (same as trigger zones): x centered across
+ * the width, z from 0 (near end) to length_m. World z = z - length_m / 2.
+ *
+ * hallway = {
+ *   length_m, width_m,          // Bounding box of the footprint
+ *   height_m,                   // Ceiling height
+ *   footprint: [[x, z], ...],   // Floor outline - walls stand on its edges (edge i runs from point i to point i + 1)
+ *   openings: [0, 2],           // Edges without a wall (entrances, doorways)
+ *   obstacles: [
+ *     { type: 'pillar', x, z, radius, height },
+ *     { type: 'box', x, z, width, depth, height }   // Centered on x, z - width along x, depth along z
+ *   ],
+ *   path: [[x, z], ...]         // Walking route from the near entrance to the far one
+ * }
+ *
+ * The default is the original box: a rectangle open at both ends with a straight path down the middle.
+ *
+ * People walk in path coordinates: progress (meters along the path, 0 = near entrance) and
+ * lateral (meters sideways from it). The default path is the centerline x = 0, so there
+ * progress is z and lateral is x.
+ */
+
+const CORNER_RADIUS = 1.0; // People turn over this distance either side of a path corner (m)
+
+export const OBSTACLE_TYPES = ['pillar', 'box'];
+
+// Derived data (path segments, world-space walls) cached per geometry array
+const pathCache = new WeakMap();
+const wallCache = new WeakMap();
+const obstacleCache = new WeakMap();
+const pathObstacleCache = new WeakMap();
+
+export function createRectangularGeometry(length_m, width_m, height_m) {
+  const hw = width_m / 2;
+  return {
+    length_m,
+    width_m,
+    height_m,
+    footprint: [[-hw, 0], [hw, 0], [hw, length_m], [-hw, length_m]],
+    openings: [0, 2], // Both ends
+    obstacles: [],
+    path: [[0, 0], [0, length_m]]
+  };
+}
+
+/**
+ * Check geometry (e.g. a document's hallway section)
+ * @returns {Array} - [{ field, message }] with fields relative to the geometry (e.g. 'footprint[2]')
+ */
+export function validateGeometry(data) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(isNumber);
+  const positive = (obj, key, field, max) => {
+    if (!isNumber(obj[key]) || obj[key] <= 0 || obj[key] > max) fail(field, `must be a number above 0 and up to ${max}`);
+  };
+
+  if (!data || typeof data !== 'object') {
+    fail('', 'must be an object');
+    return errors;
+  }
+
+  if (!isNumber(data.height_m) || data.height_m < 1 || data.height_m > 20) {
+    fail('height_m', 'must be a number from 1 to 20');
+  }
+
+  let pointCount = 4;
+  if (data.footprint === undefined) {
+    if (!isNumber(data.length_m) || data.length_m < 0.5 || data.length_m > 200) fail('length_m', 'must be a number from 0.5 to 200');
+    if (!isNumber(data.width_m) || data.width_m < 0.5 || data.width_m > 50) fail('width_m', 'must be a number from 0.5 to 50');
+  } else if (!Array.isArray(data.footprint) || data.footprint.length < 3) {
+    fail('footprint', 'must be a list of at least 3 [x, z] points');
+  } else {
+    pointCount = data.footprint.length;
+    data.footprint.forEach((point, i) => {
+      if (!isPoint(point)) fail(`footprint[${i}]`, 'must be an [x, z] pair of numbers');
+    });
+    if (data.footprint.every(isPoint) && Math.abs(polygonArea(data.footprint)) < 0.25) {
+      fail('footprint', 'must enclose at least 0.25 m²');
+    }
+  }
+
+  if (data.openings !== undefined) {
+    if (!Array.isArray(data.openings)) {
+      fail('openings', 'must be a list of footprint edge numbers');
+    } else {
+      data.openings.forEach((edge, i) => {
+        if (!Number.isInteger(edge) || edge < 0 || edge >= pointCount) {
+          fail(`openings[${i}]`, `must be an edge number from 0 to ${pointCount - 1}`);
+        }
+      });
+    }
+  }
+
+  if (data.obstacles !== undefined) {
+    if (!Array.isArray(data.obstacles)) {
+      fail('obstacles', 'must be a list');
+    } else {
+      data.obstacles.forEach((obstacle, i) => {
+        const field = `obstacles[${i}]`;
+        if (!obstacle || !OBSTACLE_TYPES.includes(obstacle.type)) {
+          fail(`${field}.type`, `must be one of ${OBSTACLE_TYPES.join(', ')}`);
+          return;
+        }
+        if (!isNumber(obstacle.x)) fail(`${field}.x`, 'must be a number');
+        if (!isNumber(obstacle.z)) fail(`${field}.z`, 'must be a number');
+        positive(obstacle, 'height', `${field}.height`, 20);
+        if (obstacle.type === 'pillar') {
+          positive(obstacle, 'radius', `${field}.radius`, 10);
+        } else {
+          positive(obstacle, 'width', `${field}.width`, 50);
+          positive(obstacle, 'depth', `${field}.depth`, 50);
+        }
+      });
+    }
+  }
+
+  if (data.path !== undefined) {
+    if (!Array.isArray(data.path) || data.path.length < 2) {
+      fail('path', 'must be a list of at least 2 [x, z] points');
+    } else {
+      data.path.forEach((point, i) => {
+        if (!isPoint(point)) {
+          fail(`path[${i}]`, 'must be an [x, z] pair of numbers');
+        } else if (i > 0 && isPoint(data.path[i - 1]) && Math.hypot(point[0] - data.path[i - 1][0], point[1] - data.path[i - 1][1]) < 0.01) {
+          fail(`path[${i}]`, 'must not repeat the previous point');
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in defaults and move a footprint so its bounding box is centered in x and starts at z = 0
+ * (obstacles and path move with it). Expects geometry that passed validateGeometry().
+ * @returns {object} - New geometry with every field set
+ */
+export function normalizeGeometry(data) {
+  if (!data.footprint) {
+    const rectangle = createRectangularGeometry(data.length_m, data.width_m, data.height_m);
+    return {
+      ...rectangle,
+      openings: data.openings ? [...data.openings] : rectangle.openings,
+      obstacles: (data.obstacles || []).map(obstacle => ({ ...obstacle })),
+      path: data.path ? data.path.map(([x, z]) => [x, z]) : rectangle.path
+    };
+  }
+
+  const xs = data.footprint.map(point => point[0]);
+  const zs = data.footprint.map(point => point[1]);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minZ = Math.min(...zs);
+  const maxZ = Math.max(...zs);
+  const dx = -(minX + maxX) / 2;
+  const dz = -minZ;
+  const move = ([x, z]) => [x + dx, z + dz];
+
+  const length_m = maxZ - minZ;
+  return {
+    length_m,
+    width_m: maxX - minX,
+    height_m: data.height_m,
+    footprint: data.footprint.map(move),
+    openings: data.openings ? [...data.openings] : [],
+    obstacles: (data.obstacles || []).map(obstacle => ({ ...obstacle, x: obstacle.x + dx, z: obstacle.z + dz })),
+    path: data.path ? data.path.map(move) : [[0, 0], [0, length_m]]
+  };
+}
+
+/**
+ * Switch a hallway object to new geometry in place (everything holding it sees the change)
+ */
+export function applyGeometry(hallway, geometry) {
+  Object.assign(hallway, normalizeGeometry(geometry));
+}
+
+/**
+ * Plain-data copy for documents
+ */
+export function serializeGeometry(hallway) {
+  return JSON.parse(JSON.stringify({
+    length_m: hallway.length_m,
+    width_m: hallway.width_m,
+    height_m: hallway.height_m,
+    footprint: hallway.footprint,
+    openings: hallway.openings,
+    obstacles: hallway.obstacles,
+    path: hallway.path
+  }));
+}
+
+export function isRectangularGeometry(hallway) {
+  const rectangle = createRectangularGeometry(hallway.length_m, hallway.width_m, hallway.height_m);
+  return JSON.stringify(serializeGeometry(hallway)) === JSON.stringify(rectangle);
+}
+
+// ===== Floor plan queries =====
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, z1] = points[i];
+    const [x2, z2] = points[(i + 1) % points.length];
+    area += x1 * z2 - x2 * z1;
+  }
+  return area / 2;
+}
+
+// Even-odd rule
+export function isInsideFootprint(hallway, x, z) {
+  const points = hallway.footprint;
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, zi] = points[i];
+    const [xj, zj] = points[j];
+    if ((zi > z) !== (zj > z) && x < (xj - xi) * (z - zi) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Obstacle covering a floor point (with an optional clearance around it)
+ * @returns {object|null}
+ */
+export function getObstacleAt(hallway, x, z, margin = 0) {
+  for (const obstacle of hallway.obstacles) {
+    if (obstacle.type === 'pillar') {
+      if (Math.hypot(x - obstacle.x, z - obstacle.z) <= obstacle.radius + margin) return obstacle;
+    } else if (Math.abs(x - obstacle.x) <= obstacle.width / 2 + margin && Math.abs(z - obstacle.z) <= obstacle.depth / 2 + margin) {
+      return obstacle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Nearest point on the footprint outline
+ * @returns {object} - { x, z, edge } - edge is the index of the footprint edge it lies on
+ */
+export function getClosestFootprintPoint(hallway, x, z) {
+  const points = hallway.footprint;
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i < points.length; i++) {
+    const [ax, az] = points[i];
+    const [bx, bz] = points[(i + 1) % points.length];
+    const ex = bx - ax;
+    const ez = bz - az;
+    const lengthSq = ex * ex + ez * ez;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * ex + (z - az) * ez) / lengthSq)) : 0;
+    const px = ax + ex * t;
+    const pz = az + ez * t;
+    const distance = Math.hypot(x - px, z - pz);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = { x: px, z: pz, edge: i };
+    }
+  }
+  return best;
+}
+
+// ===== Occluders (world space, for visibility.js) =====
+
+/**
+ * Walls as world-space segments ({ ax, az, bx, bz }) - every footprint edge that isn't an opening
+ */
+export function getWallSegments(hallway) {
+  let walls = wallCache.get(hallway.footprint);
+  if (!walls || walls.openings !== hallway.openings) {
+    const points = hallway.footprint;
+    const offset = hallway.length_m / 2;
+    const list = [];
+    for (let i = 0; i < points.length; i++) {
+      if (hallway.openings.includes(i)) continue;
+      const [ax, az] = points[i];
+      const [bx, bz] = points[(i + 1) % points.length];
+      list.push({ ax, az: az - offset, bx, bz: bz - offset });
+    }
+    walls = { openings: hallway.openings, list };
+    wallCache.set(hallway.footprint, walls);
+  }
+  return walls.list;
+}
+
+/**
+ * Obstacles in world space: pillars as cylinders ({ x, z, radius, height }),
+ * boxes as bounds ({ xMin, xMax, zMin, zMax, height })
+ */
+export function getWorldObstacles(hallway) {
+  let obstacles = obstacleCache.get(hallway.obstacles);
+  if (!obstacles) {
+    const offset = hallway.length_m / 2;
+    obstacles = { cylinders: [], boxes: [] };
+    for (const obstacle of hallway.obstacles) {
+      if (obstacle.type === 'pillar') {
+        obstacles.cylinders.push({ x: obstacle.x, z: obstacle.z - offset, radius: obstacle.radius, height: obstacle.height });
+      } else {
+        obstacles.boxes.push({
+          xMin: obstacle.x - obstacle.width / 2,
+          xMax: obstacle.x + obstacle.width / 2,
+          zMin: obstacle.z - obstacle.depth / 2 - offset,
+          zMax: obstacle.z + obstacle.depth / 2 - offset,
+          height: obstacle.height
+        });
+      }
+    }
+    obstacleCache.set(hallway.obstacles, obstacles);
+  }
+  return obstacles;
+}
+
+// ===== Walking path =====
+
+function getPathData(hallway) {
+  let data = pathCache.get(hallway.path);
+  if (!data) {
+    const segments = [];
+    let length = 0;
+    for (let i = 0; i < hallway.path.length - 1; i++) {
+      const [ax, az] = hallway.path[i];
+      const [bx, bz] = hallway.path[i + 1];
+      const segmentLength = Math.hypot(bx - ax, bz - az);
+      const dirX = (bx - ax) / segmentLength;
+      const dirZ = (bz - az) / segmentLength;
+      // Lateral axis: +x for a path heading towards +z
+      segments.push({ ax, az, dirX, dirZ, normalX: dirZ, normalZ: -dirX, start: length, length: segmentLength });
+      length += segmentLength;
+    }
+    data = { segments, length };
+    pathCache.set(hallway.path, data);
+  }
+  return data;
+}
+
+export function getPathLength(hallway) {
+  return getPathData(hallway).length;
+}
+
+/**
+ * Point on the path and its lateral axis at a progress
+ * Beyond either end the path carries on straight. Around corners the lateral axis
+ * turns gradually so people keep their place in the corridor instead of jumping.
+ */
+function getPathFrame(hallway, progress) {
+  const { segments } = getPathData(hallway);
+  let index = segments.findIndex(segment => progress < segment.start + segment.length);
+  if (index === -1) index = segments.length - 1;
+  const segment = segments[index];
+  const along = progress - segment.start;
+
+  let normalX = segment.normalX;
+  let normalZ = segment.normalZ;
+
+  // Blend with the neighbouring segment within CORNER_RADIUS of a corner
+  const next = segments[index + 1];
+  const prev = segments[index - 1];
+  let neighbour = null;
+  let t = 0;
+  if (next && segment.length - along < CORNER_RADIUS) {
+    const radius = Math.min(CORNER_RADIUS, segment.length / 2, next.length / 2);
+    if (segment.length - along < radius) {
+      neighbour = next;
+      t = (along - (segment.length - radius)) / (2 * radius);
+    }
+  } else if (prev && along < CORNER_RADIUS) {
+    const radius = Math.min(CORNER_RADIUS, segment.length / 2, prev.length / 2);
+    if (along < radius) {
+      neighbour = prev;
+      t = (radius - along) / (2 * radius);
+    }
+  }
+  if (neighbour) {
+    const blendX = normalX + (neighbour.normalX - normalX) * t;
+    const blendZ = normalZ + (neighbour.normalZ - normalZ) * t;
+    const length = Math.hypot(blendX, blendZ);
+    if (length > 1e-6) {
+      normalX = blendX / length;
+      normalZ = blendZ / length;
+    }
+  }
+
+  return {
+    x: segment.ax + segment.dirX * along,
+    z: segment.az + segment.dirZ * along,
+    normalX,
+    normalZ
+  };
+}
+
+/**
+ * Path coordinates -> hallway floor coordinates
+ * @returns {object} - { x, z }
+ */
+export function pathToFloor(hallway, progress, lateral) {
+  const frame = getPathFrame(hallway, progress);
+  return {
+    x: frame.x + frame.normalX * lateral,
+    z: frame.z + frame.normalZ * lateral
+  };
+}
+
+/**
+ * Hallway floor coordinates -> path coordinates (closest point on the path)
+ * @returns {object} - { progress, lateral }
+ */
+export function floorToPath(hallway, x, z) {
+  const { segments } = getPathData(hallway);
+  let best = null;
+  let bestDistance = Infinity;
+
+  segments.forEach((segment, i) => {
+    let along = (x - segment.ax) * segment.dirX + (z - segment.az) * segment.dirZ;
+    // The ends carry on straight
+    if (i > 0) along = Math.max(0, along);
+    if (i < segments.length - 1) along = Math.min(segment.length, along);
+
+    const px = segment.ax + segment.dirX * along;
+    const pz = segment.az + segment.dirZ * along;
+    const distance = Math.hypot(x - px, z - pz);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = {
+        progress: segment.start + along,
+        lateral: (x - px) * segment.normalX + (z - pz) * segment.normalZ
+      };
+    }
+  });
+  return best;
+}
+
+/**
+ * How far sideways people can go at a point on the path (distance to the footprint outline)
+ * Beyond the path ends this is the room at the entrance.
+ * @param {number} fraction - Share of the distance to the wall to use (0.8 keeps people off the walls)
+ * @returns {object} - { min, max } lateral offsets
+ */
+export function getLateralLimits(hallway, progress, fraction = 0.8) {
+  const length = getPathLength(hallway);
+  const frame = getPathFrame(hallway, Math.max(0, Math.min(length, progress)));
+
+  const distanceToOutline = (dirX, dirZ) => {
+    const points = hallway.footprint;
+    let nearest = Infinity;
+    for (let i = 0; i < points.length; i++) {
+      const [ax, az] = points[i];
+      const [bx, bz] = points[(i + 1) % points.length];
+      const ex = bx - ax;
+      const ez = bz - az;
+      const denom = dirX * ez - dirZ * ex;
+      if (Math.abs(denom) < 1e-9) continue; // Parallel
+      const wx = ax - frame.x;
+      const wz = az - frame.z;
+      const t = (wx * ez - wz * ex) / denom;
+      const u = (wx * dirZ - wz * dirX) / denom;
+      if (t > 1e-6 && u >= 0 && u <= 1) nearest = Math.min(nearest, t);
+    }
+    return Number.isFinite(nearest) ? nearest : hallway.width_m / 2;
+  };
+
+  return {
+    min: -distanceToOutline(-frame.normalX, -frame.normalZ) * fraction,
+    max: distanceToOutline(frame.normalX, frame.normalZ) * fraction
+  };
+}
+
+/**
+ * Obstacles in path coordinates, each as a circle people walk around ({ progress, lateral, radius })
+ */
+export function getPathObstacles(hallway) {
+  let cached = pathObstacleCache.get(hallway.obstacles);
+  if (!cached || cached.path !== hallway.path) {
+    const list = hallway.obstacles.map(obstacle => ({
+      ...floorToPath(hallway, obstacle.x, obstacle.z),
+      radius: obstacle.type === 'pillar' ? obstacle.radius : Math.hypot(obstacle.width, obstacle.depth) / 2
+    }));
+    cached = { path: hallway.path, list };
+    pathObstacleCache.set(hallway.obstacles, cached);
+  }
+  return cached.list;
+}
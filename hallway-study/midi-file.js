@@ -0,0 +1,216 @@
+/**
+ * MIDI File - Record the performance and export it as a Standard MIDI File
+ *
+ * MIDIFileRecorder captures the Note On/Off stream (MIDIManager forwards it while recording),
+ * tempo changes, and key/chord changes as markers - all timestamped in performance.now() ms,
+ * the same clock as the MIDI messages. toSMF() converts times to ticks through the tempo map
+ * and writes a format 1 file:
+ * - Track 0 (conductor): time signature, tempo changes and markers
+ * - One track per zone (named after the zone), plus one per channel for notes without a zone
+ */
+
+export const PPQ = 480; // Ticks per quarter note
+
+const encoder = new TextEncoder();
+
+// Variable-length quantity (delta times, meta event lengths)
+function writeVarLen(bytes, value) {
+  const groups = [value & 0x7F];
+  while ((value >>= 7) > 0) {
+    groups.unshift((value & 0x7F) | 0x80);
+  }
+  bytes.push(...groups);
+}
+
+function writeUint32(bytes, value) {
+  bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+}
+
+function metaEvent(type, data) {
+  const bytes = [0xFF, type];
+  writeVarLen(bytes, data.length);
+  bytes.push(...data);
+  return bytes;
+}
+
+function textEvent(type, text) {
+  return metaEvent(type, [...encoder.encode(text)]);
+}
+
+/**
+ * Write one MTrk chunk from events sorted by tick ({ tick, data: [bytes] })
+ */
+function writeTrack(bytes, events) {
+  const track = [];
+  let lastTick = 0;
+  for (const { tick, data } of events) {
+    writeVarLen(track, tick - lastTick);
+    track.push(...data);
+    lastTick = tick;
+  }
+  writeVarLen(track, 0);
+  track.push(0xFF, 0x2F, 0x00); // End of track
+
+  bytes.push(...encoder.encode('MTrk'));
+  writeUint32(bytes, track.length);
+  for (const byte of track) bytes.push(byte);
+}
+
+export class MIDIFileRecorder {
+  constructor() {
+    this.recording = false;
+    this.startTime = 0; // performance.now() when recording started
+    this.duration = 0; // ms, set on stop()
+    this.notes = []; // { time, on, note, velocity, channel, track }
+    this.tempos = []; // { time, bpm }
+    this.markers = []; // { time, text }
+    this.sounding = new Map(); // "channel:note" -> queue of tracks with that note on
+  }
+
+  /**
+   * @param {number} bpm - Tempo at the start
+   */
+  start(bpm, now = performance.now()) {
+    this.recording = true;
+    this.startTime = now;
+    this.duration = 0;
+    this.notes = [];
+    this.tempos = [{ time: 0, bpm }];
+    this.markers = [];
+    this.sounding.clear();
+    console.log(`[MIDI File] Recording at ${bpm} BPM`);
+  }
+
+  stop(now = performance.now()) {
+    if (!this.recording) return;
+    this.recording = false;
+    this.duration = Math.max(0, now - this.startTime);
+
+    // Close notes still held (sustained zones) at the end
+    const lastNoteTime = this.notes.reduce((max, n) => Math.max(max, n.time), 0);
+    this.duration = Math.max(this.duration, lastNoteTime);
+    for (const [key, queue] of this.sounding) {
+      const [channel, note] = key.split(':').map(Number);
+      queue.forEach(track => this.notes.push({ time: this.duration, on: false, note, velocity: 0, channel, track }));
+    }
+    this.sounding.clear();
+
+    console.log(`[MIDI File] Stopped - ${this.getNoteCount()} notes in ${(this.duration / 1000).toFixed(1)}s`);
+  }
+
+  // ms since the start (scheduled-ahead notes keep their slot time)
+  getTime(timestamp) {
+    const time = (timestamp === undefined ? performance.now() : timestamp) - this.startTime;
+    return Math.max(0, time);
+  }
+
+  /**
+   * @param {string} source - Zone source ('zone:1') - picks the track; notes without one go on a per-channel track
+   */
+  noteOn(note, velocity, channel, timestamp = undefined, source = null) {
+    if (!this.recording) return;
+
+    const track = source || `channel:${channel}`;
+    this.notes.push({ time: this.getTime(timestamp), on: true, note, velocity, channel, track });
+
+    const key = `${channel}:${note}`;
+    if (!this.sounding.has(key)) this.sounding.set(key, []);
+    this.sounding.get(key).push(track);
+  }
+
+  // Note-Offs for notes this recording didn't start (e.g. panic) are ignored
+  noteOff(note, channel, timestamp = undefined) {
+    if (!this.recording) return;
+
+    const key = `${channel}:${note}`;
+    const queue = this.sounding.get(key);
+    if (!queue) return;
+
+    const track = queue.shift();
+    if (queue.length === 0) this.sounding.delete(key);
+    this.notes.push({ time: this.getTime(timestamp), on: false, note, velocity: 0, channel, track });
+  }
+
+  setTempo(bpm, timestamp = undefined) {
+    if (!this.recording) return;
+    if (this.tempos[this.tempos.length - 1].bpm === bpm) return;
+    this.tempos.push({ time: this.getTime(timestamp), bpm });
+  }
+
+  addMarker(text, timestamp = undefined) {
+    if (!this.recording) return;
+    this.markers.push({ time: this.getTime(timestamp), text });
+  }
+
+  getNoteCount() {
+    return this.notes.filter(n => n.on).length;
+  }
+
+  hasData() {
+    return this.notes.length > 0 || this.markers.length > 0;
+  }
+
+  /**
+   * ms since the start -> ticks, following the tempo changes
+   */
+  toTicks(time) {
+    let ticks = 0;
+    for (let i = 0; i < this.tempos.length; i++) {
+      const { time: from, bpm } = this.tempos[i];
+      if (time <= from) break;
+      const next = this.tempos[i + 1];
+      const to = next && next.time < time ? next.time : time;
+      ticks += (to - from) * bpm / 60000 * PPQ;
+    }
+    return Math.round(ticks);
+  }
+
+  /**
+   * Build the .mid file
+   * @param {object} trackNames - { source: name } for zone tracks
+   * @returns {Uint8Array}
+   */
+  toSMF(trackNames = {}, title = 'hallway-study') {
+    // Conductor track
+    const conductor = [
+      { tick: 0, data: textEvent(0x03, title) },
+      { tick: 0, data: metaEvent(0x58, [4, 2, 24, 8]) } // 4/4
+    ];
+    this.tempos.forEach(({ time, bpm }) => {
+      const usPerQuarter = Math.round(60000000 / bpm);
+      conductor.push({
+        tick: this.toTicks(time),
+        data: metaEvent(0x51, [(usPerQuarter >> 16) & 0xFF, (usPerQuarter >> 8) & 0xFF, usPerQuarter & 0xFF])
+      });
+    });
+    this.markers.forEach(({ time, text }) => {
+      conductor.push({ tick: this.toTicks(time), data: textEvent(0x06, text) });
+    });
+
+    // Note tracks in first-played order
+    const tracks = new Map();
+    for (const n of this.notes) {
+      if (!tracks.has(n.track)) tracks.set(n.track, []);
+      const status = (n.on ? 0x90 : 0x80) + Math.max(0, Math.min(15, n.channel - 1));
+      tracks.get(n.track).push({ tick: this.toTicks(n.time), on: n.on, data: [status, n.note, n.velocity] });
+    }
+
+    const sortEvents = (events) => events.sort((a, b) => a.tick - b.tick);
+    const bytes = [];
+    bytes.push(...encoder.encode('MThd'));
+    writeUint32(bytes, 6);
+    bytes.push(0x00, 0x01); // Format 1
+    bytes.push(((tracks.size + 1) >> 8) & 0xFF, (tracks.size + 1) & 0xFF);
+    bytes.push((PPQ >> 8) & 0xFF, PPQ & 0xFF);
+
+    writeTrack(bytes, sortEvents(conductor));
+    for (const [source, events] of tracks) {
+      const name = trackNames[source] || (source.startsWith('channel:') ? `Channel ${source.slice(8)}` : source);
+      // Note-Offs first where a note ends on the tick the next one starts
+      events.sort((a, b) => a.tick - b.tick || Number(a.on) - Number(b.on));
+      writeTrack(bytes, [{ tick: 0, data: textEvent(0x03, name) }, ...events]);
+    }
+
+    return new Uint8Array(bytes);
+  }
+}
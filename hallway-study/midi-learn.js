@@ -0,0 +1,263 @@
+/**
+ * MIDI Learn - Steer GUI controls from a hardware MIDI controller
+ *
+ * Start learning, click a lil-gui control, then move a knob or press a pad: the next Note,
+ * CC or Program Change from the control input is bound to that control. Learning the same
+ * control (or the same knob) again replaces its binding.
+ *
+ * Binding: { control, type: 'note' | 'cc' | 'program', channel: 1-16, number }
+ * - control: folder titles + property, e.g. 'Clock & Timing / bpm' (survives GUI rebuilds)
+ * - number: note or CC number; unused for program changes (the program number is the value)
+ *
+ * How a message moves a control depends on the control:
+ * - slider: CC value, note velocity or program number (0-127) scaled over its range
+ * - toggle: CC at 64 and up = on; note press flips it; program 0 = off, anything else = on
+ * - dropdown: CC picks across the options; note press steps to the next; program N picks option N
+ * - button: CC crossing 64, note press or any program change presses it
+ */
+
+export const BINDING_TYPES = ['note', 'cc', 'program'];
+
+// CC values at or above this count as "on" / a press
+const CC_THRESHOLD = 64;
+
+/**
+ * Decode a channel voice message
+ * @returns {object|null} - { type, channel, number, value, pressed } or null for other messages
+ */
+export function parseControlMessage(status, data1, data2) {
+  const command = status & 0xF0;
+  const channel = (status & 0x0F) + 1;
+
+  switch (command) {
+    case 0x90: // Note On (velocity 0 = Note Off)
+      return { type: 'note', channel, number: data1, value: data2, pressed: data2 > 0 };
+    case 0x80: // Note Off
+      return { type: 'note', channel, number: data1, value: 0, pressed: false };
+    case 0xB0: // Control Change
+      return { type: 'cc', channel, number: data1, value: data2, pressed: data2 >= CC_THRESHOLD };
+    case 0xC0: // Program Change
+      return { type: 'program', channel, number: null, value: data1, pressed: true };
+    default:
+      return null;
+  }
+}
+
+export function describeBinding({ type, channel, number }) {
+  if (type === 'program') return `Program Change (ch ${channel})`;
+  return `${type === 'cc' ? 'CC' : 'Note'} ${number} (ch ${channel})`;
+}
+
+export function validateBindings(bindings) {
+  if (!Array.isArray(bindings)) return false;
+  return bindings.every(b => b && typeof b.control === 'string' && BINDING_TYPES.includes(b.type) &&
+    Number.isInteger(b.channel) && b.channel >= 1 && b.channel <= 16 &&
+    (b.type === 'program' || (Number.isInteger(b.number) && b.number >= 0 && b.number <= 127)));
+}
+
+export class MIDILearn {
+  constructor(gui) {
+    this.gui = gui;
+    this.bindings = [];
+    this.learning = false;
+    this.target = null; // Controller picked while learning
+    this.excluded = new Set(); // Controllers that can't be learned (e.g. the Learn button itself)
+    this.lastCCPressed = new Map(); // "channel:cc" -> pressed, so buttons fire once per push
+
+    // Callbacks
+    this.onBindingsChange = null; // Called with the bindings after a change
+    this.onLearned = null; // Called with (binding, controller) when a binding is made
+    this.onLearnStateChange = null; // Called with learning (true/false)
+
+    this.handlePointer = this.handlePointer.bind(this);
+    this.handleKey = this.handleKey.bind(this);
+  }
+
+  /**
+   * Stable id for a controller: folder titles + property
+   */
+  getControlId(controller) {
+    const path = [];
+    for (let folder = controller.parent; folder && folder.parent; folder = folder.parent) {
+      path.unshift(folder._title);
+    }
+    path.push(controller.property);
+    return path.join(' / ');
+  }
+
+  findController(control) {
+    return this.gui.controllersRecursive().find(c => this.getControlId(c) === control) || null;
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings.map(b => ({ control: b.control, type: b.type, channel: b.channel, number: b.type === 'program' ? null : b.number }));
+    this.refreshMarks();
+  }
+
+  getBindings() {
+    return this.bindings.map(b => ({ ...b }));
+  }
+
+  clearBindings() {
+    this.bindings = [];
+    this.refreshMarks();
+    if (this.onBindingsChange) this.onBindingsChange(this.getBindings());
+  }
+
+  startLearning() {
+    if (this.learning) return;
+    this.learning = true;
+    this.target = null;
+    this.gui.domElement.classList.add('midi-learning');
+
+    // Capture phase, so the click selects the control instead of changing it
+    ['pointerdown', 'mousedown', 'touchstart', 'click'].forEach(type => {
+      this.gui.domElement.addEventListener(type, this.handlePointer, true);
+    });
+    window.addEventListener('keydown', this.handleKey);
+
+    console.log('[MIDI Learn] Click a control, then move a knob or press a pad (Esc cancels)');
+    if (this.onLearnStateChange) this.onLearnStateChange(true);
+  }
+
+  stopLearning() {
+    if (!this.learning) return;
+    this.learning = false;
+    this.setTarget(null);
+    this.gui.domElement.classList.remove('midi-learning');
+
+    ['pointerdown', 'mousedown', 'touchstart', 'click'].forEach(type => {
+      this.gui.domElement.removeEventListener(type, this.handlePointer, true);
+    });
+    window.removeEventListener('keydown', this.handleKey);
+
+    if (this.onLearnStateChange) this.onLearnStateChange(false);
+  }
+
+  setTarget(controller) {
+    if (this.target) this.target.domElement.classList.remove('midi-learn-target');
+    this.target = controller;
+    if (this.target) this.target.domElement.classList.add('midi-learn-target');
+  }
+
+  handlePointer(event) {
+    const controller = this.gui.controllersRecursive().find(c => c.domElement.contains(event.target));
+
+    // Folder titles and excluded controls keep working (open folders, cancel learning)
+    if (!controller || this.excluded.has(controller)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.type === 'pointerdown' && !controller._disabled) {
+      this.setTarget(controller);
+      console.log(`[MIDI Learn] Waiting for MIDI to bind "${controller._name}"`);
+    }
+  }
+
+  handleKey(event) {
+    if (event.key === 'Escape') this.stopLearning();
+  }
+
+  /**
+   * Handle a message from the control input (MIDIManager.onControlMessage)
+   */
+  handleMessage(status, data1, data2) {
+    const message = parseControlMessage(status, data1, data2);
+    if (!message) return;
+
+    if (this.learning) {
+      // Bind on a press or knob move - not on the release that follows a pad hit
+      if (this.target && (message.type !== 'note' || message.pressed)) this.bind(this.target, message);
+      return;
+    }
+
+    for (const binding of this.bindings) {
+      if (binding.type !== message.type || binding.channel !== message.channel) continue;
+      if (binding.type !== 'program' && binding.number !== message.number) continue;
+
+      const controller = this.findController(binding.control);
+      if (controller && !controller._disabled) this.apply(controller, message);
+    }
+
+    if (message.type === 'cc') this.lastCCPressed.set(`${message.channel}:${message.number}`, message.pressed);
+  }
+
+  bind(controller, message) {
+    const binding = {
+      control: this.getControlId(controller),
+      type: message.type,
+      channel: message.channel,
+      number: message.type === 'program' ? null : message.number
+    };
+
+    // One binding per control and per knob/pad
+    this.bindings = this.bindings.filter(b => b.control !== binding.control &&
+      !(b.type === binding.type && b.channel === binding.channel && b.number === binding.number));
+    this.bindings.push(binding);
+
+    console.log(`[MIDI Learn] ✓ ${describeBinding(binding)} → ${binding.control}`);
+    this.stopLearning();
+    this.refreshMarks();
+
+    if (this.onLearned) this.onLearned(binding, controller);
+    if (this.onBindingsChange) this.onBindingsChange(this.getBindings());
+  }
+
+  /**
+   * Move a control from a message (see the table at the top)
+   */
+  apply(controller, message) {
+    const current = controller.getValue();
+
+    // Buttons
+    if (typeof current === 'function') {
+      const wasPressed = message.type === 'cc' && this.lastCCPressed.get(`${message.channel}:${message.number}`);
+      if (message.pressed && !wasPressed) current.call(controller.object);
+      return;
+    }
+
+    // Toggles
+    if (typeof current === 'boolean') {
+      let next = current;
+      if (message.type === 'cc') next = message.pressed;
+      else if (message.type === 'program') next = message.value > 0;
+      else if (message.pressed) next = !current;
+      if (next !== current) controller.setValue(next);
+      return;
+    }
+
+    // Dropdowns
+    if (controller.$select && Array.isArray(controller._values)) {
+      const values = controller._values;
+      const index = values.indexOf(current);
+      let next = index;
+      if (message.type === 'cc') next = Math.round(message.value / 127 * (values.length - 1));
+      else if (message.type === 'program') next = message.value < values.length ? message.value : index;
+      else if (message.pressed) next = (index + 1) % values.length;
+      if (next !== index && next >= 0) controller.setValue(values[next]);
+      return;
+    }
+
+    // Sliders
+    if (typeof current === 'number' && Number.isFinite(controller._min) && Number.isFinite(controller._max)) {
+      if (message.type === 'note' && !message.pressed) return; // Releases don't move sliders
+
+      const min = controller._min;
+      const max = controller._max;
+      let next = min + (message.value / 127) * (max - min);
+      const step = controller._step;
+      if (step) next = min + Math.round((next - min) / step) * step;
+      next = Math.max(min, Math.min(max, next));
+      if (next !== current) controller.setValue(next);
+    }
+  }
+
+  // Outline controls that have a binding (GUI rebuilds drop the mark until the next refresh)
+  refreshMarks() {
+    const bound = new Set(this.bindings.map(b => b.control));
+    this.gui.controllersRecursive().forEach(c => {
+      c.domElement.classList.toggle('midi-bound', bound.has(this.getControlId(c)));
+    });
+  }
+}
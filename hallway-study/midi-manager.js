@@ -3,6 +3,14 @@
  *
  * Connects to virtual MIDI ports (IAC Driver on Mac, loopMIDI on Windows)
  * and sends MIDI messages to Ableton Live or other DAWs.
+ *
+ * Send methods take an optional timestamp (performance.now() time, see ClockManager.toPerformanceTime()):
+ * the browser delivers the message then instead of right away. Omitted or past timestamps send now.
+ *
+ * With a MIDIRouter attached (see midi-router.js), notes from sources that have routes and the
+ * clock go through the routing matrix instead of straight to the selected output.
+ * With a SynthEngine attached (see synth-engine.js), notes also play on the built-in synth.
+ * With a MIDIFileRecorder attached (see midi-file.js), notes are also captured for a .mid export.
  */
 
 export class MIDIManager {
@@ -13,13 +21,22 @@ export class MIDIManager {
     this.isConnected = false;
     this.selectedOutputId = null;
     this.selectedInputId = null;
+    this.controlInput = null; // Input for control surfaces (MIDI learn) - can be the clock input too
     this.enabled = true; // Master enable/disable flag for all MIDI output
+    this.router = null; // MIDIRouter - set by the app
+    this.synth = null; // SynthEngine - set by the app
+    this.fileRecorder = null; // MIDIFileRecorder - set by the app
+    this.oscOutput = null; // OSCOutput - set by the app
+    this.missingOutputs = new Set(); // Routed output names already warned about
 
     // Callbacks for MIDI Clock sync (set by clock-manager)
     this.onClockTick = null;      // Called on each MIDI Clock message (0xF8)
     this.onStart = null;           // Called on MIDI Start (0xFA)
     this.onStop = null;            // Called on MIDI Stop (0xFC)
     this.onContinue = null;        // Called on MIDI Continue (0xFB)
+
+    // Callback for Note, CC and Program Change messages from the control input (set by midi-learn)
+    this.onControlMessage = null;
   }
 
   /**
@@ -131,6 +148,39 @@ export class MIDIManager {
     }));
   }
 
+  /**
+   * Find an output port by name (documents store names - ids differ between machines)
+   */
+  getOutputByName(name) {
+    if (!this.midiAccess) return null;
+    for (const output of this.midiAccess.outputs.values()) {
+      if (output.name === name) return output;
+    }
+    return null;
+  }
+
+  /**
+   * Send a raw message to an output by name
+   * @param {string|null} outputName - Port name, or null for the selected output
+   * @param {Array} message - MIDI bytes
+   * @param {number} timestamp - When to deliver it (optional)
+   */
+  sendTo(outputName, message, timestamp = undefined) {
+    if (!this.enabled) return;
+
+    const output = outputName === null ? this.output : this.getOutputByName(outputName);
+    if (!output) {
+      const label = outputName === null ? 'the selected output' : `"${outputName}"`;
+      if (!this.missingOutputs.has(label)) {
+        this.missingOutputs.add(label);
+        console.warn(`[MIDI] Routed output ${label} isn't available`);
+      }
+      return;
+    }
+
+    output.send(message, timestamp);
+  }
+
   /**
    * List all available MIDI inputs
    */
@@ -162,8 +212,8 @@ export class MIDIManager {
       return false;
     }
 
-    // Disconnect previous input if any
-    if (this.input) {
+    // Disconnect previous input if any (unless it's still the control input)
+    if (this.input && this.input !== this.controlInput) {
       this.input.onmidimessage = null;
     }
 
@@ -178,11 +228,50 @@ export class MIDIManager {
   }
 
   /**
-   * Handle incoming MIDI messages (for clock sync)
+   * Listen to an input for control messages (MIDI learn), or stop with null
+   */
+  connectControlInput(inputId) {
+    if (!this.midiAccess) {
+      console.error('[MIDI] MIDI not initialized. Call init() first.');
+      return false;
+    }
+
+    if (this.controlInput && this.controlInput !== this.input) {
+      this.controlInput.onmidimessage = null;
+    }
+    this.controlInput = null;
+    if (inputId === null) return true;
+
+    const input = this.midiAccess.inputs.get(inputId);
+    if (!input) {
+      console.error(`[MIDI] Input with ID ${inputId} not found`);
+      return false;
+    }
+
+    this.controlInput = input;
+    this.controlInput.onmidimessage = (event) => this.handleMIDIMessage(event);
+
+    console.log(`[MIDI] ✓ Control input: ${input.name}`);
+    return true;
+  }
+
+  /**
+   * Handle incoming MIDI messages: clock sync from the clock input, channel messages from the control input
    */
   handleMIDIMessage(event) {
     const [status, data1, data2] = event.data;
 
+    // Note, CC, Program Change etc. (status below 0xF0) are for control surfaces
+    if (status < 0xF0) {
+      if (event.target === this.controlInput && this.onControlMessage) {
+        this.onControlMessage(status, data1, data2);
+      }
+      return;
+    }
+
+    // Real-time messages only count from the clock input
+    if (event.target !== this.input) return;
+
     // MIDI Clock messages (System Real-Time)
     switch (status) {
       case 0xF8: // Timing Clock (24 per quarter note)
@@ -240,12 +329,25 @@ export class MIDIManager {
    * @param {number} note - MIDI note number (0-127)
    * @param {number} velocity - Note velocity (0-127)
    * @param {number} channel - MIDI channel (1-16)
+   * @param {number} timestamp - When to deliver it (optional)
+   * @param {string} source - Routing source, e.g. 'zone:1' (optional)
    */
-  sendNoteOn(note, velocity = 100, channel = 1) {
+  sendNoteOn(note, velocity = 100, channel = 1, timestamp = undefined, source = null) {
     if (!this.enabled) return; // Skip if MIDI is disabled
 
+    if (this.fileRecorder) this.fileRecorder.noteOn(note, velocity, channel, timestamp, source);
+    if (this.oscOutput) this.oscOutput.noteOn(note, velocity, channel, timestamp, source);
+
+    const synthPlaying = this.isSynthPlaying();
+    if (synthPlaying) this.synth.noteOn(note, velocity, channel, timestamp, source);
+
+    if (source && this.router && this.router.hasRoutes(source)) {
+      this.router.noteOn(source, note, velocity, channel, timestamp);
+      return;
+    }
+
     if (!this.isConnected || !this.output) {
-      console.warn('[MIDI] Not connected to any output');
+      if (!synthPlaying) console.warn('[MIDI] Not connected to any output');
       return;
     }
 
@@ -254,7 +356,7 @@ export class MIDIManager {
     const noteOnStatus = 0x90 + channelIndex; // Note On = 144 (0x90) + channel
 
     const message = [noteOnStatus, note, velocity];
-    this.output.send(message);
+    this.output.send(message, timestamp);
 
     console.log(`[MIDI] NoteOn: Ch${channel} Note${note} Vel${velocity}`);
   }
@@ -263,12 +365,23 @@ export class MIDIManager {
    * Send a MIDI Note Off message
    * @param {number} note - MIDI note number (0-127)
    * @param {number} channel - MIDI channel (1-16)
+   * @param {number} timestamp - When to deliver it (optional)
+   * @param {string} source - Routing source the matching Note On used (optional)
    */
-  sendNoteOff(note, channel = 1) {
+  sendNoteOff(note, channel = 1, timestamp = undefined, source = null) {
     if (!this.enabled) return; // Skip if MIDI is disabled
 
+    if (this.fileRecorder) this.fileRecorder.noteOff(note, channel, timestamp);
+    if (this.oscOutput) this.oscOutput.noteOff(note, channel, timestamp, source);
+
+    // Always, so switching the synth off doesn't leave notes hanging
+    if (this.synth) this.synth.noteOff(note, channel, timestamp);
+
+    // Routed notes stop where they were sent (notes started before the routes existed fall through)
+    if (source && this.router && this.router.noteOff(source, note, channel, timestamp)) return;
+
     if (!this.isConnected || !this.output) {
-      console.warn('[MIDI] Not connected to any output');
+      if (!this.isSynthPlaying()) console.warn('[MIDI] Not connected to any output');
       return;
     }
 
@@ -276,18 +389,27 @@ export class MIDIManager {
     const noteOffStatus = 0x80 + channelIndex; // Note Off = 128 (0x80) + channel
 
     const message = [noteOffStatus, note, 0];
-    this.output.send(message);
+    this.output.send(message, timestamp);
 
     console.log(`[MIDI] NoteOff: Ch${channel} Note${note}`);
   }
 
+  /**
+   * Is the built-in synth playing notes? ('auto' mode plays while no output is connected)
+   */
+  isSynthPlaying() {
+    if (!this.synth) return false;
+    return this.synth.mode === 'always' || (this.synth.mode === 'auto' && !this.isConnected);
+  }
+
   /**
    * Send a MIDI Control Change (CC) message
    * @param {number} controller - CC number (0-127)
    * @param {number} value - CC value (0-127)
    * @param {number} channel - MIDI channel (1-16)
+   * @param {number} timestamp - When to deliver it (optional)
    */
-  sendCC(controller, value, channel = 1) {
+  sendCC(controller, value, channel = 1, timestamp = undefined) {
     if (!this.enabled) return; // Skip if MIDI is disabled
 
     if (!this.isConnected || !this.output) {
@@ -299,7 +421,7 @@ export class MIDIManager {
     const ccStatus = 0xB0 + channelIndex; // CC = 176 (0xB0) + channel
 
     const message = [ccStatus, controller, value];
-    this.output.send(message);
+    this.output.send(message, timestamp);
 
     // Only log occasionally to avoid spam
     if (Math.random() < 0.05) {
@@ -316,12 +438,9 @@ export class MIDIManager {
     const channel = 1;
 
     console.log('[MIDI] Sending test note (C4, 500ms)...');
-    this.sendNoteOn(middleC, velocity, channel);
-
-    // Auto send note off after 500ms
-    setTimeout(() => {
-      this.sendNoteOff(middleC, channel);
-    }, 500);
+    const now = performance.now();
+    this.sendNoteOn(middleC, velocity, channel, now);
+    this.sendNoteOff(middleC, channel, now + 500);
   }
 
   /**
@@ -334,6 +453,10 @@ export class MIDIManager {
       return;
     }
 
+    // Routed outputs and held key/chord notes
+    if (this.router) this.router.panic();
+    if (this.synth) this.synth.allNotesOff();
+
     if (!this.isConnected || !this.output) {
       console.warn('[MIDI] Not connected to any output');
       return;
@@ -341,6 +464,11 @@ export class MIDIManager {
 
     console.log('[MIDI] 🚨 PANIC - Sending All Notes Off on all channels');
 
+    // Drop notes scheduled ahead that haven't gone out yet (not every browser supports this)
+    if (typeof this.output.clear === 'function') {
+      this.output.clear();
+    }
+
     // Temporarily enable MIDI for panic (to send NoteOffs)
     const wasEnabled = this.enabled;
     this.enabled = true;
@@ -361,11 +489,13 @@ export class MIDIManager {
 
   /**
    * Send MIDI Clock tick (0xF8) - should be sent 24 times per quarter note
+   * @param {number} timestamp - When the tick falls (optional)
    */
-  sendClockTick() {
+  sendClockTick(timestamp = undefined) {
     if (!this.enabled) return; // Skip if MIDI is disabled
+    if (this.routeRealtime(0xF8, timestamp)) return;
     if (!this.isConnected || !this.output) return;
-    this.output.send([0xF8]);
+    this.output.send([0xF8], timestamp);
 
     // Debug: Log occasionally to confirm clock is sending
     if (Math.random() < 0.001) { // ~1 in 1000 ticks
@@ -373,13 +503,24 @@ export class MIDIManager {
     }
   }
 
+  /**
+   * Send a clock message through the router if the clock has routes
+   * @returns {boolean} - True if the router handled it
+   */
+  routeRealtime(status, timestamp = undefined) {
+    if (!this.router || !this.router.hasRoutes('clock')) return false;
+    this.router.realtime(status, timestamp);
+    return true;
+  }
+
   /**
    * Send MIDI Start (0xFA)
    */
   sendStart() {
     if (!this.enabled) return; // Skip if MIDI is disabled
-    if (!this.isConnected || !this.output) return;
     console.log('[MIDI Clock] Sending Start');
+    if (this.routeRealtime(0xFA)) return;
+    if (!this.isConnected || !this.output) return;
     this.output.send([0xFA]);
   }
 
@@ -388,8 +529,9 @@ export class MIDIManager {
    */
   sendStop() {
     if (!this.enabled) return; // Skip if MIDI is disabled
-    if (!this.isConnected || !this.output) return;
     console.log('[MIDI Clock] Sending Stop');
+    if (this.routeRealtime(0xFC)) return;
+    if (!this.isConnected || !this.output) return;
     this.output.send([0xFC]);
   }
 
@@ -398,8 +540,9 @@ export class MIDIManager {
    */
   sendContinue() {
     if (!this.enabled) return; // Skip if MIDI is disabled
-    if (!this.isConnected || !this.output) return;
     console.log('[MIDI Clock] Sending Continue');
+    if (this.routeRealtime(0xFB)) return;
+    if (!this.isConnected || !this.output) return;
     this.output.send([0xFB]);
   }
 
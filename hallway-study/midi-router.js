@@ -0,0 +1,256 @@
+/**
+ * MIDI Router - Routing matrix from musical sources to MIDI outputs and channels
+ *
+ * Sources:
+ * - 'zone:<id>': notes played by a trigger zone (channel = the zone's channel)
+ * - 'clock': MIDI Clock, Start, Stop and Continue
+ * - 'key': the tonic of the current key, held until the key changes
+ * - 'chord': root, third and fifth of the current chord, held until the chord changes
+ *
+ * A route sends one source to one output:
+ * {
+ *   source: 'zone:1',
+ *   output: 'IAC Driver Bus 1',  // Port name (ids differ per machine), null = the selected MIDI Output
+ *   channel: 0,                  // 1-16, or 0 to keep the source's channel
+ *   transpose: 0,                // Semitones
+ *   velocityCurve: 'linear',     // 'linear' | 'soft' | 'hard' | 'fixed'
+ *   fixedVelocity: 100,          // Used by the 'fixed' curve
+ *   noteMin: 0, noteMax: 127,    // Notes outside this range (after transpose) are dropped
+ *   enabled: true
+ * }
+ *
+ * A source can have any number of routes. Zones and the clock without routes go to the
+ * selected MIDI Output as before; once a source has routes (even disabled ones) only the
+ * routes play it. Key and chord sources only play through routes.
+ */
+
+export const FIXED_SOURCES = ['clock', 'key', 'chord'];
+export const VELOCITY_CURVES = ['linear', 'soft', 'hard', 'fixed'];
+
+const ROUTE_DEFAULTS = {
+  output: null,
+  channel: 0,
+  transpose: 0,
+  velocityCurve: 'linear',
+  fixedVelocity: 100,
+  noteMin: 0,
+  noteMax: 127,
+  enabled: true
+};
+
+// Velocity for held key/chord notes
+const HELD_VELOCITY = 90;
+
+export function zoneSource(zoneId) {
+  return `zone:${zoneId}`;
+}
+
+export function createRoute(source) {
+  return { source, ...ROUTE_DEFAULTS };
+}
+
+/**
+ * Map a velocity (1-127) through a route's curve
+ */
+export function applyVelocityCurve(velocity, curve, fixedVelocity = ROUTE_DEFAULTS.fixedVelocity) {
+  const v = Math.max(0, Math.min(1, velocity / 127));
+  let shaped;
+  switch (curve) {
+    case 'soft': shaped = Math.sqrt(v); break; // Quiet notes come up
+    case 'hard': shaped = v * v; break;        // Only fast walkers play loud
+    case 'fixed': return Math.max(1, Math.min(127, Math.round(fixedVelocity)));
+    default: shaped = v;
+  }
+  return Math.max(1, Math.min(127, Math.round(shaped * 127)));
+}
+
+/**
+ * Check a list of routes (e.g. from a document)
+ * @returns {Array} - [{ field, message }], empty when valid
+ */
+export function validateRoutes(routes) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const integer = (route, key, field, min, max) => {
+    if (route[key] === undefined) return;
+    if (!Number.isInteger(route[key]) || route[key] < min || route[key] > max) {
+      fail(field, `must be a whole number from ${min} to ${max}`);
+    }
+  };
+
+  if (!Array.isArray(routes)) {
+    fail('', 'must be an array of routes');
+    return errors;
+  }
+
+  routes.forEach((route, i) => {
+    const at = `[${i}]`;
+    if (route === null || typeof route !== 'object' || Array.isArray(route)) {
+      fail(at, 'must be an object');
+      return;
+    }
+    if (typeof route.source !== 'string' || !(FIXED_SOURCES.includes(route.source) || /^zone:.+/.test(route.source))) {
+      fail(`${at}.source`, `must be zone:<id> or one of ${FIXED_SOURCES.join(', ')}`);
+    }
+    if (route.output !== undefined && route.output !== null && typeof route.output !== 'string') {
+      fail(`${at}.output`, 'must be an output name or null');
+    }
+    integer(route, 'channel', `${at}.channel`, 0, 16);
+    integer(route, 'transpose', `${at}.transpose`, -48, 48);
+    integer(route, 'fixedVelocity', `${at}.fixedVelocity`, 1, 127);
+    integer(route, 'noteMin', `${at}.noteMin`, 0, 127);
+    integer(route, 'noteMax', `${at}.noteMax`, 0, 127);
+    if (route.velocityCurve !== undefined && !VELOCITY_CURVES.includes(route.velocityCurve)) {
+      fail(`${at}.velocityCurve`, `must be one of ${VELOCITY_CURVES.join(', ')}`);
+    }
+    if (route.enabled !== undefined && typeof route.enabled !== 'boolean') {
+      fail(`${at}.enabled`, 'must be true or false');
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Fill in defaults and drop unknown fields (routes must already be valid)
+ */
+export function normalizeRoutes(routes) {
+  return (routes || []).map(route => {
+    const normalized = { source: route.source };
+    for (const key of Object.keys(ROUTE_DEFAULTS)) {
+      normalized[key] = route[key] !== undefined ? route[key] : ROUTE_DEFAULTS[key];
+    }
+    return normalized;
+  });
+}
+
+export class MIDIRouter {
+  constructor(midiManager) {
+    this.midiManager = midiManager;
+    this.routes = [];
+
+    // "source|channel|note" -> queue of what each noteOn actually sent, so the
+    // matching noteOff goes to the same places even if the routes changed in between
+    this.sounding = new Map();
+
+    // Notes held by the key and chord sources
+    this.held = { key: [], chord: [] };
+  }
+
+  /**
+   * Replace all routes. Sounding zone notes still stop where they started;
+   * held key/chord notes move over to the new routes.
+   */
+  setRoutes(routes) {
+    const sources = Object.keys(this.held);
+    sources.forEach(source => this.held[source].forEach(note => this.noteOff(source, note, 1)));
+    this.routes = normalizeRoutes(routes);
+    sources.forEach(source => this.held[source].forEach(note => this.noteOn(source, note, HELD_VELOCITY, 1)));
+  }
+
+  getRoutes() {
+    return normalizeRoutes(this.routes);
+  }
+
+  hasRoutes(source) {
+    return this.routes.some(route => route.source === source);
+  }
+
+  noteOn(source, note, velocity, channel, timestamp = undefined) {
+    const sent = [];
+
+    for (const route of this.routes) {
+      if (route.source !== source || !route.enabled) continue;
+
+      const routedNote = note + route.transpose;
+      if (routedNote < route.noteMin || routedNote > route.noteMax) continue;
+      if (routedNote < 0 || routedNote > 127) continue;
+
+      const routedChannel = route.channel || channel;
+      const routedVelocity = applyVelocityCurve(velocity, route.velocityCurve, route.fixedVelocity);
+
+      this.midiManager.sendTo(route.output, [0x90 + routedChannel - 1, routedNote, routedVelocity], timestamp);
+      sent.push({ output: route.output, channel: routedChannel, note: routedNote });
+    }
+
+    const key = `${source}|${channel}|${note}`;
+    if (!this.sounding.has(key)) this.sounding.set(key, []);
+    this.sounding.get(key).push(sent);
+  }
+
+  /**
+   * @returns {boolean} - False if the router didn't start this note
+   */
+  noteOff(source, note, channel, timestamp = undefined) {
+    const key = `${source}|${channel}|${note}`;
+    const queue = this.sounding.get(key);
+    if (!queue) return false;
+
+    const sent = queue.shift();
+    if (queue.length === 0) this.sounding.delete(key);
+
+    sent.forEach(({ output, channel: routedChannel, note: routedNote }) => {
+      this.midiManager.sendTo(output, [0x80 + routedChannel - 1, routedNote, 0], timestamp);
+    });
+    return true;
+  }
+
+  /**
+   * Send a System Real-Time message (Clock, Start, Stop, Continue) to every output routed from 'clock'
+   */
+  realtime(status, timestamp = undefined) {
+    for (const output of this.getOutputs('clock')) {
+      this.midiManager.sendTo(output, [status], timestamp);
+    }
+  }
+
+  /**
+   * Hold a new set of notes for the 'key' or 'chord' source - releases the previous set.
+   * Calling again with the same notes does nothing, so it's safe to call on every possible change.
+   */
+  setHeldNotes(source, notes, timestamp = undefined) {
+    const previous = this.held[source] || [];
+    if (previous.length === notes.length && previous.every((note, i) => note === notes[i])) return;
+
+    previous.forEach(note => this.noteOff(source, note, 1, timestamp));
+    this.held[source] = [...notes];
+    notes.forEach(note => this.noteOn(source, note, HELD_VELOCITY, 1, timestamp));
+  }
+
+  /**
+   * Outputs (null = selected output) that routes from a source - or any source - send to
+   */
+  getOutputs(source = null) {
+    const outputs = new Set();
+    for (const route of this.routes) {
+      if (route.enabled && (source === null || route.source === source)) outputs.add(route.output);
+    }
+    return [...outputs];
+  }
+
+  /**
+   * Send Note-Offs for everything the routes started and forget held notes
+   */
+  releaseAll() {
+    for (const queue of this.sounding.values()) {
+      for (const sent of queue) {
+        sent.forEach(({ output, channel, note }) => this.midiManager.sendTo(output, [0x80 + channel - 1, note, 0]));
+      }
+    }
+    this.sounding.clear();
+    this.held = { key: [], chord: [] };
+  }
+
+  /**
+   * All Notes Off on every routed output (the selected output is handled by MIDIManager.panic())
+   */
+  panic() {
+    this.releaseAll();
+    for (const output of this.getOutputs()) {
+      if (output === null) continue;
+      for (let channel = 0; channel < 16; channel++) {
+        this.midiManager.sendTo(output, [0xB0 + channel, 123, 0]); // CC 123 = All Notes Off
+      }
+    }
+  }
+}
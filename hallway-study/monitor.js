@@ -0,0 +1,342 @@
+/**
+ * Broadcast Monitor - Draws hallway-study's WebSocket feed on a 2D floor map (monitor.html)
+ *
+ * Connects to the broadcast relay (tools/broadcast-relay.mjs) as a subscriber, so the feed can be
+ * checked and built against without the 3D page in front of you - live, or from a replayed recording.
+ * Open it from the relay (http://localhost:8080) or any static server; ?relay=ws://host:port picks
+ * the relay. Positions are normalized in the feed, so set the hallway size to get the proportions right.
+ */
+
+import { TOPICS, RATE_LIMITS, DEFAULT_SUBSCRIPTION } from './broadcast-protocol.js';
+
+const RECONNECT_INTERVAL = 2000; // 2 seconds
+const TRAIL_LENGTH = 60; // Positions kept per person (2 seconds at 30 Hz)
+const FLASH_DURATION = 400; // ms a person stays highlighted after a trigger or note
+const MAX_LOG_LINES = 200;
+
+// app.js's default hallway
+const DEFAULT_HALLWAY = { length_m: 13.1064, width_m: 2.0574 };
+
+const EVENT_COLORS = {
+  trigger_enter: '#4fc3f7',
+  trigger_activate: '#ffb74d',
+  note_on: '#ba68c8'
+};
+
+const params = new URLSearchParams(location.search);
+const url = params.get('relay') || `ws://${location.hostname || 'localhost'}:8080`;
+
+const elements = {};
+['url', 'status', 'topics', 'rate', 'length', 'width', 'map', 'source', 'people-count', 'frame-rate',
+  'message-rate', 'dropped', 'latency', 'tempo', 'key', 'chord', 'log', 'command-form', 'command']
+  .forEach(id => { elements[id] = document.getElementById(id); });
+
+const hallway = { ...DEFAULT_HALLWAY };
+const topics = new Set(TOPICS);
+const people = new Map(); // id -> { blob, trail: [[x, y]], flashUntil, flashColor }
+
+let ws = null;
+let connected = false;
+let lastSeq = null;
+
+// Counted per second for the Feed panel
+const counters = { frames: 0, messages: 0, dropped: 0, latency: null };
+
+// ===== Connection =====
+
+function connect() {
+  ws = new WebSocket(elements.url.value);
+
+  ws.onopen = () => {
+    connected = true;
+    lastSeq = null;
+    setStatus('✓ Connected', true);
+    subscribe();
+  };
+
+  ws.onclose = () => {
+    connected = false;
+    people.clear();
+    setStatus('○ Connecting...', false);
+    setTimeout(connect, RECONNECT_INTERVAL);
+  };
+
+  ws.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    handleMessage(message);
+  };
+}
+
+function reconnect() {
+  // onclose connects again
+  if (ws) ws.close();
+}
+
+function subscribe() {
+  if (!connected) return;
+  const rate = Math.max(RATE_LIMITS.min, Math.min(RATE_LIMITS.max, parseInt(elements.rate.value, 10) || DEFAULT_SUBSCRIPTION.rate));
+  ws.send(JSON.stringify({ type: 'subscribe', topics: TOPICS.filter(topic => topics.has(topic)), rate }));
+}
+
+function setStatus(text, ok) {
+  elements.status.textContent = text;
+  elements.status.classList.toggle('connected', ok);
+}
+
+function setSource({ source, recording, replay }) {
+  let text = source ? 'page connected' : 'no page';
+  if (replay) text = `replay ${replay}`;
+  if (recording) text += ` (recording ${recording})`;
+  elements.source.textContent = text;
+}
+
+// ===== Messages =====
+
+function handleMessage(message) {
+  counters.messages++;
+
+  // seq counts up per connection - gaps mean dropped messages
+  if (lastSeq !== null && message.seq > lastSeq + 1) counters.dropped += message.seq - lastSeq - 1;
+  lastSeq = message.seq;
+  if (message.timestamp) counters.latency = Date.now() - message.timestamp;
+
+  switch (message.type) {
+    case 'hello':
+      if (message.relay) setSource(message.relay);
+      log(`hello - protocol v${message.v}, commands: ${(message.commands || []).join(', ')}`);
+      break;
+    case 'relay_status':
+      setSource(message);
+      log(`relay: ${message.source ? 'page connected' : 'page disconnected'}, ${message.subscribers} subscribers`);
+      break;
+    case 'subscribed':
+      log(`subscribed: ${message.topics.join(', ') || '(none)'} at ${message.rate} Hz`);
+      break;
+    case 'people_locations':
+      counters.frames++;
+      updatePeople(message.people);
+      break;
+    case 'people_empty':
+      counters.frames++;
+      updatePeople([]);
+      break;
+    case 'person_enter':
+      log(`→ person ${message.person.id} entered`);
+      break;
+    case 'person_leave':
+      log(`← person ${message.id} left`);
+      break;
+    case 'trigger_enter':
+    case 'trigger_activate':
+      flash(message.personId, EVENT_COLORS[message.type]);
+      log(`${message.type} ${message.zoneName} #${message.index} (person ${message.personId})`);
+      break;
+    case 'trigger_exit':
+      log(`trigger_exit ${message.zoneName} #${message.index} (person ${message.personId})`);
+      break;
+    case 'note_on':
+      flash(message.personId, EVENT_COLORS.note_on);
+      log(`note_on ${message.note} vel ${message.velocity} ch ${message.channel} (${message.source})`);
+      break;
+    case 'note_off':
+      break;
+    case 'music_state':
+      updateMusic(message);
+      break;
+    case 'ack':
+      log(`ack ${message.command}: ${JSON.stringify(message.result)}`, 'ack');
+      break;
+    case 'error':
+      log(`error${message.command ? ` ${message.command}` : ''}: ${message.message}`, 'error');
+      break;
+    default:
+      log(`${message.type}: ${JSON.stringify(message)}`);
+      break;
+  }
+}
+
+function updatePeople(blobs) {
+  const ids = new Set();
+  blobs.forEach(blob => {
+    ids.add(blob.id);
+    let person = people.get(blob.id);
+    if (!person) {
+      person = { blob, trail: [], flashUntil: 0, flashColor: null };
+      people.set(blob.id, person);
+    }
+    person.blob = blob;
+    person.trail.push([blob.x, blob.y]);
+    if (person.trail.length > TRAIL_LENGTH) person.trail.shift();
+  });
+
+  people.forEach((person, id) => {
+    if (!ids.has(id)) people.delete(id);
+  });
+}
+
+function flash(personId, color) {
+  const person = people.get(personId);
+  if (!person) return;
+  person.flashUntil = performance.now() + FLASH_DURATION;
+  person.flashColor = color;
+}
+
+function updateMusic({ clock, key, chord }) {
+  if (clock) elements.tempo.textContent = `${Math.round(clock.bpm)} BPM ${clock.running ? '▶' : '■'} ${clock.position}`;
+  if (key) elements.key.textContent = `${key.currentKey} - ${key.keyName}`;
+  if (chord) elements.chord.textContent = `${chord.currentChord} (${chord.progressionDisplay})`;
+}
+
+function log(text, className = null) {
+  const line = document.createElement('div');
+  line.textContent = `${new Date().toLocaleTimeString()} ${text}`;
+  if (className) line.className = className;
+
+  const atBottom = elements.log.scrollTop + elements.log.clientHeight >= elements.log.scrollHeight - 4;
+  elements.log.appendChild(line);
+  while (elements.log.childElementCount > MAX_LOG_LINES) elements.log.firstChild.remove();
+  if (atBottom) elements.log.scrollTop = elements.log.scrollHeight;
+}
+
+// Feed health, once per second
+setInterval(() => {
+  elements['people-count'].textContent = people.size;
+  elements['frame-rate'].textContent = `${counters.frames} /s`;
+  elements['message-rate'].textContent = `${counters.messages} /s`;
+  elements.dropped.textContent = counters.dropped;
+  elements.latency.textContent = counters.latency !== null ? `${counters.latency} ms` : '-';
+  counters.frames = 0;
+  counters.messages = 0;
+}, 1000);
+
+// ===== Floor Map =====
+// x (along the hallway) runs left to right, y (across) top to bottom - as in tracking-protocol.js
+
+const ctx = elements.map.getContext('2d');
+
+function draw() {
+  const canvas = elements.map;
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+  }
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  // Fit the hallway with a margin, meters -> pixels
+  const margin = 40;
+  const scale = Math.min((width - margin * 2) / hallway.length_m, (height - margin * 2) / hallway.width_m);
+  const floorWidth = hallway.length_m * scale;
+  const floorHeight = hallway.width_m * scale;
+  const left = (width - floorWidth) / 2;
+  const top = (height - floorHeight) / 2;
+  const toScreen = (x, y) => [left + x * floorWidth, top + y * floorHeight];
+
+  // Floor with a 1m grid
+  ctx.fillStyle = '#151b23';
+  ctx.fillRect(left, top, floorWidth, floorHeight);
+  ctx.strokeStyle = '#222c37';
+  ctx.lineWidth = 1;
+  for (let m = 1; m < hallway.length_m; m++) {
+    ctx.beginPath();
+    ctx.moveTo(left + m * scale, top);
+    ctx.lineTo(left + m * scale, top + floorHeight);
+    ctx.stroke();
+  }
+  ctx.strokeStyle = '#314150';
+  ctx.strokeRect(left, top, floorWidth, floorHeight);
+
+  ctx.fillStyle = '#7d8b99';
+  ctx.font = '11px monospace';
+  ctx.textAlign = 'left';
+  ctx.fillText('near end (x = 0)', left, top - 8);
+  ctx.textAlign = 'right';
+  ctx.fillText(`far end (${hallway.length_m.toFixed(1)} m)`, left + floorWidth, top - 8);
+
+  const now = performance.now();
+  people.forEach(({ blob, trail, flashUntil, flashColor }) => {
+    // Trail
+    ctx.strokeStyle = 'rgba(255, 68, 102, 0.35)';
+    ctx.beginPath();
+    trail.forEach(([x, y], i) => {
+      const [sx, sy] = toScreen(x, y);
+      if (i === 0) ctx.moveTo(sx, sy);
+      else ctx.lineTo(sx, sy);
+    });
+    ctx.stroke();
+
+    // Body (w is the diameter in meters)
+    const [sx, sy] = toScreen(blob.x, blob.y);
+    const radius = Math.max(3, (blob.w / 2) * scale);
+    ctx.fillStyle = now < flashUntil ? flashColor : '#ff4466';
+    ctx.beginPath();
+    ctx.arc(sx, sy, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Velocity over the next second (yvel is along the hallway, xvel across)
+    ctx.strokeStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.moveTo(sx, sy);
+    ctx.lineTo(sx + blob.yvel * scale, sy + blob.xvel * scale);
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${blob.id}`, sx, sy - radius - 4);
+  });
+
+  requestAnimationFrame(draw);
+}
+
+// ===== Controls =====
+
+elements.url.value = url;
+elements.url.addEventListener('change', reconnect);
+
+elements.length.value = hallway.length_m;
+elements.width.value = hallway.width_m;
+elements.length.addEventListener('change', () => { hallway.length_m = parseFloat(elements.length.value) || DEFAULT_HALLWAY.length_m; });
+elements.width.addEventListener('change', () => { hallway.width_m = parseFloat(elements.width.value) || DEFAULT_HALLWAY.width_m; });
+
+elements.rate.addEventListener('change', subscribe);
+
+TOPICS.forEach(topic => {
+  const label = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = true;
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) topics.add(topic);
+    else topics.delete(topic);
+    subscribe();
+  });
+  label.append(checkbox, ` ${topic} `);
+  elements.topics.appendChild(label);
+});
+
+// Raw command JSON, e.g. {"command": "set_bpm", "args": {"bpm": 100}}
+let nextCommandId = 1;
+elements['command-form'].addEventListener('submit', (event) => {
+  event.preventDefault();
+  if (!connected) return;
+
+  let command;
+  try {
+    command = JSON.parse(elements.command.value);
+  } catch (error) {
+    log(`Not JSON: ${error.message}`, 'error');
+    return;
+  }
+  ws.send(JSON.stringify({ type: 'command', id: nextCommandId++, ...command }));
+});
+
+connect();
+requestAnimationFrame(draw);
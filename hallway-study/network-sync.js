@@ -0,0 +1,222 @@
+/**
+ * Network Sync - Follow a shared tempo session from the tempo relay (tools/tempo-relay.mjs)
+ *
+ * Several pages (the hallway sim, the noise app...) connect to the same relay and share
+ * tempo, beat phase and start/stop, like an Ableton Link session. The relay keeps the
+ * timeline in its own clock; this client estimates the offset between that clock and
+ * performance.now() from ping/pong round trips (the fastest recent round trip wins) and
+ * converts between local time and session beats.
+ *
+ * Self-contained (no imports) so the other apps in the repo can load it as well.
+ */
+
+// Ping often at first so the offset is usable quickly, then settle down
+const PING_INTERVAL_MS = 1000;
+const FAST_PINGS = 5;
+const FAST_PING_INTERVAL_MS = 100;
+
+// Offset samples kept; the one with the shortest round trip is used
+const OFFSET_SAMPLES = 8;
+
+export class NetworkTempoSync {
+  /**
+   * @param {string} url - Relay address
+   * @param {string} app - Name shown in the relay log
+   */
+  constructor(url = 'ws://localhost:8090', app = 'page') {
+    this.url = url;
+    this.app = app;
+    this.ws = null;
+    this.connected = false;
+    this.reconnectInterval = 2000;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.pingCount = 0;
+
+    this.offset = 0; // Relay time - performance.now() (ms)
+    this.offsetSamples = []; // { rtt, offset }
+    this.state = null; // { bpm, origin, quantum, playing, startBeat, peers } from the relay
+
+    // Callbacks
+    this.onState = null; // Called with the session state once it can be followed (and on every change)
+    this.onConnectionChange = null; // Called with connected (true/false)
+  }
+
+  connect() {
+    if (this.ws && (this.ws.readyState === WebSocket.CONNECTING || this.ws.readyState === WebSocket.OPEN)) {
+      return;
+    }
+
+    try {
+      console.log(`[Network Sync] Connecting to ${this.url}...`);
+      this.ws = new WebSocket(this.url);
+
+      this.ws.onopen = () => {
+        console.log('[Network Sync] Connected');
+        this.connected = true;
+        this.offsetSamples = [];
+        this.pingCount = 0;
+        this.send({ type: 'hello', app: this.app });
+        this.ping();
+        if (this.onConnectionChange) this.onConnectionChange(true);
+      };
+
+      this.ws.onclose = () => {
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.stopPinging();
+        if (wasConnected) {
+          console.log('[Network Sync] Disconnected');
+          if (this.onConnectionChange) this.onConnectionChange(false);
+        }
+        this.scheduleReconnect();
+      };
+
+      this.ws.onerror = () => {
+        console.log('[Network Sync] Connection error (will retry)');
+      };
+
+      this.ws.onmessage = (event) => this.handleMessage(event.data);
+    } catch (error) {
+      console.log('[Network Sync] Failed to create connection (will retry)');
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, this.reconnectInterval);
+  }
+
+  disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.stopPinging();
+
+    if (this.ws) {
+      this.ws.onclose = null;
+      this.ws.close();
+      this.ws = null;
+    }
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.state = null;
+    if (wasConnected && this.onConnectionChange) this.onConnectionChange(false);
+  }
+
+  send(message) {
+    if (this.connected && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  ping() {
+    this.send({ type: 'ping', t0: performance.now() });
+    this.pingCount++;
+    const interval = this.pingCount < FAST_PINGS ? FAST_PING_INTERVAL_MS : PING_INTERVAL_MS;
+    this.pingTimer = setTimeout(() => this.ping(), interval);
+  }
+
+  stopPinging() {
+    if (this.pingTimer) {
+      clearTimeout(this.pingTimer);
+      this.pingTimer = null;
+    }
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'pong') {
+      const now = performance.now();
+      const rtt = now - message.t0;
+      const firstSample = this.offsetSamples.length === 0;
+
+      // Assume the relay read its clock halfway through the round trip
+      this.offsetSamples.push({ rtt, offset: message.time - (message.t0 + rtt / 2) });
+      if (this.offsetSamples.length > OFFSET_SAMPLES) this.offsetSamples.shift();
+      const best = this.offsetSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+      this.offset = best.offset;
+
+      // The state that arrived before the first pong can be followed now
+      if (firstSample && this.state) this.notifyState();
+    } else if (message.type === 'state') {
+      const { bpm, origin, quantum, playing, startBeat, peers } = message;
+      this.state = { bpm, origin, quantum, playing, startBeat, peers };
+      if (this.offsetSamples.length > 0) this.notifyState();
+    }
+  }
+
+  notifyState() {
+    if (this.onState) this.onState({ ...this.state });
+  }
+
+  /**
+   * Connected, with a session state and a clock offset
+   */
+  isReady() {
+    return this.connected && this.state !== null && this.offsetSamples.length > 0;
+  }
+
+  // Round trip of the sample the offset comes from (ms)
+  getLatency() {
+    if (this.offsetSamples.length === 0) return null;
+    return Math.min(...this.offsetSamples.map(sample => sample.rtt));
+  }
+
+  /**
+   * Session beat (fractional) at a performance.now() time
+   */
+  getBeatAtTime(time) {
+    return (time + this.offset - this.state.origin) * this.state.bpm / 60000;
+  }
+
+  /**
+   * performance.now() time of a session beat
+   */
+  getTimeAtBeat(beat) {
+    return this.state.origin + beat * 60000 / this.state.bpm - this.offset;
+  }
+
+  /**
+   * performance.now() time of the first bar line at or after time
+   */
+  getNextBarTime(time) {
+    const quantum = this.state.quantum;
+    return this.getTimeAtBeat(Math.ceil(this.getBeatAtTime(time) / quantum) * quantum);
+  }
+
+  /**
+   * When a page that starts now should start: on the session's start bar if that's
+   * still ahead (everyone starts together), otherwise on the next bar line
+   * @param {number} earliest - performance.now() time the page can start by
+   */
+  getStartTime(earliest) {
+    const sessionStart = this.getTimeAtBeat(this.state.startBeat);
+    return sessionStart >= earliest ? sessionStart : this.getNextBarTime(earliest);
+  }
+
+  // Requests - the relay answers with a new state for everyone (including this page)
+  setTempo(bpm) {
+    this.send({ type: 'tempo', bpm });
+  }
+
+  start() {
+    this.send({ type: 'start' });
+  }
+
+  stop() {
+    this.send({ type: 'stop' });
+  }
+}
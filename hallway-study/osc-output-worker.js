@@ -0,0 +1,181 @@
+// Web Worker for OSC output
+// Encodes OSC (osc.js) and sends each packet over a WebSocket to the OSC bridge
+// (tools/osc-bridge.mjs), which forwards it as UDP. Events are sent as they come in (or at
+// the time they sound), person positions as one bundle at 30Hz (not throttled in background tabs).
+// Loaded as a module worker: new Worker('osc-output-worker.js', { type: 'module' })
+
+import { resolveAddress, encodeMessage, encodeBundle, float, createDefaultAddressMap, DEFAULT_OSC_NAMESPACE } from './osc.js';
+
+const BROADCAST_INTERVAL = 1000 / 30; // 30Hz
+const RECONNECT_INTERVAL = 2000; // 2 seconds
+
+let ws = null;
+let connected = false;
+let reconnectTimer = null;
+let latestPeopleData = null;
+let bridgeUrl = 'ws://localhost:8091';
+let enabled = false;
+let namespace = DEFAULT_OSC_NAMESPACE;
+let addresses = createDefaultAddressMap();
+let packetCount = 0;
+
+// Connect to the OSC bridge
+function connect() {
+  if (ws && (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN)) {
+    return;
+  }
+
+  try {
+    console.log(`[Worker OSC] Attempting to connect to ${bridgeUrl}...`);
+    ws = new WebSocket(bridgeUrl);
+    ws.binaryType = 'arraybuffer';
+
+    ws.onopen = () => {
+      console.log('[Worker OSC] Connected');
+      connected = true;
+
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+
+      postMessage({ type: 'connected' });
+    };
+
+    ws.onclose = () => {
+      console.log('[Worker OSC] Disconnected');
+      connected = false;
+      if (enabled) scheduleReconnect();
+
+      postMessage({ type: 'disconnected' });
+    };
+
+    ws.onerror = () => {
+      console.log('[Worker OSC] Connection error (will retry)');
+      connected = false;
+    };
+  } catch (error) {
+    console.log('[Worker OSC] Failed to create connection (will retry)');
+    connected = false;
+    scheduleReconnect();
+  }
+}
+
+function scheduleReconnect() {
+  if (!reconnectTimer) {
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (enabled) connect();
+    }, RECONNECT_INTERVAL);
+  }
+}
+
+function disconnect() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (ws) {
+    ws.onclose = null;
+    ws.close();
+    ws = null;
+  }
+  if (connected) postMessage({ type: 'disconnected' });
+  connected = false;
+}
+
+// Live data - packets are dropped (not queued) while the bridge is away
+function sendPacket(bytes) {
+  if (!enabled || !connected) return;
+
+  try {
+    ws.send(bytes);
+    packetCount++;
+  } catch (error) {
+    console.error('[Worker OSC] Send error:', error);
+  }
+}
+
+function sendEvent({ event, params, args }) {
+  const address = resolveAddress(namespace, addresses, event, params);
+  if (address) sendPacket(encodeMessage(address, args));
+}
+
+// Person positions - runs at 30Hz
+setInterval(() => {
+  if (!enabled || !connected || !latestPeopleData || latestPeopleData.length === 0) {
+    return;
+  }
+
+  const messages = [];
+  for (const person of latestPeopleData) {
+    const address = resolveAddress(namespace, addresses, 'person', { person: person.id });
+    if (!address) return; // Positions turned off in the address map
+
+    messages.push(encodeMessage(address, [
+      person.id,
+      float(person.x), float(person.y), float(person.w), float(person.h),
+      float(person.xvel), float(person.yvel)
+    ]));
+  }
+
+  sendPacket(encodeBundle(messages));
+}, BROADCAST_INTERVAL);
+
+// Packet rate for the GUI
+setInterval(() => {
+  postMessage({ type: 'stats', data: { packetsPerSecond: packetCount } });
+  packetCount = 0;
+}, 1000);
+
+// Listen for messages from main thread
+self.onmessage = (e) => {
+  const { type, data } = e.data;
+
+  switch (type) {
+    case 'init':
+      if (data.url) bridgeUrl = data.url;
+      if (data.namespace !== undefined) namespace = data.namespace;
+      if (data.addresses) addresses = data.addresses;
+      enabled = Boolean(data.enabled);
+      if (enabled) connect();
+      console.log(`[Worker OSC] Initialized - ${enabled ? 'enabled' : 'disabled'}, namespace ${namespace || '(none)'}`);
+      break;
+
+    case 'setEnabled':
+      enabled = data;
+      if (enabled) {
+        connect();
+      } else {
+        disconnect();
+      }
+      console.log('[Worker OSC] Enabled:', enabled);
+      break;
+
+    case 'setUrl':
+      bridgeUrl = data;
+      disconnect();
+      if (enabled) connect();
+      break;
+
+    case 'setAddressMap':
+      namespace = data.namespace;
+      addresses = data.addresses;
+      break;
+
+    case 'event':
+      // Scheduled-ahead notes and beats go out when they sound
+      if (data.delay > 0) {
+        setTimeout(() => sendEvent(data), data.delay);
+      } else {
+        sendEvent(data);
+      }
+      break;
+
+    case 'updatePeople':
+      latestPeopleData = data;
+      break;
+  }
+};
+
+console.log('[Worker OSC] OSC output worker loaded');
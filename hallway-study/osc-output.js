@@ -0,0 +1,122 @@
+/**
+ * OSC Output - Sends hallway events as OSC to lighting/projection (see osc.js for the address map)
+ *
+ * Runs the OSC worker (osc-output-worker.js) and turns app events into OSC events for it.
+ * MIDIManager forwards notes here (midiManager.oscOutput), the app reports trigger enter/exit,
+ * key/chord changes, beats and person positions. Notes scheduled ahead are held back by the
+ * worker until they sound, so lights land with the music.
+ */
+
+import { float, createDefaultAddressMap, normalizeAddressMap, DEFAULT_OSC_NAMESPACE } from './osc.js';
+
+// 'zone:1' -> '1' (notes outside zones send '')
+function zoneIdFromSource(source) {
+  return source && source.startsWith('zone:') ? source.slice(5) : '';
+}
+
+export class OSCOutput {
+  constructor(url = 'ws://localhost:8091') {
+    this.url = url;
+    this.enabled = false;
+    this.connected = false;
+    this.namespace = DEFAULT_OSC_NAMESPACE;
+    this.addresses = createDefaultAddressMap();
+    this.packetsPerSecond = 0;
+    this.lastHarmony = { key: null, chord: null }; // Key/chord only go out when they change
+
+    // Using a Web Worker so background tabs keep sending at full rate
+    this.worker = new Worker('osc-output-worker.js', { type: 'module' });
+    this.worker.onmessage = (e) => {
+      const { type, data } = e.data;
+      if (type === 'connected') {
+        this.connected = true;
+      } else if (type === 'disconnected') {
+        this.connected = false;
+      } else if (type === 'stats') {
+        this.packetsPerSecond = data.packetsPerSecond;
+      }
+    };
+    this.worker.onerror = (error) => {
+      console.error('[OSC] Worker error:', error);
+    };
+  }
+
+  init(enabled) {
+    this.enabled = enabled;
+    this.worker.postMessage({
+      type: 'init',
+      data: { url: this.url, enabled, namespace: this.namespace, addresses: this.addresses }
+    });
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.worker.postMessage({ type: 'setEnabled', data: enabled });
+  }
+
+  setUrl(url) {
+    this.url = url;
+    this.worker.postMessage({ type: 'setUrl', data: url });
+  }
+
+  setAddressMap(namespace, addresses) {
+    this.namespace = namespace;
+    this.addresses = normalizeAddressMap(addresses);
+    this.worker.postMessage({ type: 'setAddressMap', data: { namespace: this.namespace, addresses: this.addresses } });
+  }
+
+  getAddressMap() {
+    return { namespace: this.namespace, addresses: { ...this.addresses } };
+  }
+
+  /**
+   * @param {number} timestamp - performance.now() time the event happens (default: now)
+   */
+  send(event, params, args, timestamp = undefined) {
+    if (!this.enabled) return;
+    const delay = timestamp === undefined ? 0 : timestamp - performance.now();
+    this.worker.postMessage({ type: 'event', data: { event, params, args, delay } });
+  }
+
+  noteOn(note, velocity, channel, timestamp = undefined, source = null) {
+    const zone = zoneIdFromSource(source);
+    this.send('noteOn', { zone }, [note, velocity, channel, zone], timestamp);
+  }
+
+  noteOff(note, channel, timestamp = undefined, source = null) {
+    const zone = zoneIdFromSource(source);
+    this.send('noteOff', { zone }, [note, channel, zone], timestamp);
+  }
+
+  /**
+   * @param {object} trigger - Trigger from TriggerZones (zoneId, zoneName, indexInZone)
+   */
+  triggerEnter(trigger, personId) {
+    this.send('triggerEnter', { zone: trigger.zoneId, person: personId }, [trigger.zoneName, trigger.indexInZone, personId]);
+  }
+
+  triggerExit(trigger, personId) {
+    this.send('triggerExit', { zone: trigger.zoneId, person: personId }, [trigger.zoneName, trigger.indexInZone, personId]);
+  }
+
+  /**
+   * Safe to call on every possible change - only changes are sent
+   */
+  harmony(key, tonic, chord, root) {
+    if (key !== this.lastHarmony.key) this.send('key', {}, [key, tonic]);
+    if (chord !== this.lastHarmony.chord) this.send('chord', {}, [chord, root]);
+    this.lastHarmony = { key, chord };
+  }
+
+  beat(position, bpm) {
+    this.send('beat', {}, [position.bar, position.beat, float(bpm)]);
+  }
+
+  /**
+   * @param {Array} people - Serialized people (tracking-protocol.js blobs), sent at 30Hz by the worker
+   */
+  updatePeople(people) {
+    if (!this.enabled) return;
+    this.worker.postMessage({ type: 'updatePeople', data: people });
+  }
+}
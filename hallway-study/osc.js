@@ -0,0 +1,194 @@
+/**
+ * OSC - Open Sound Control encoding and the hallway's OSC address map
+ *
+ * Lighting and projection rigs listen for OSC over UDP. Browsers can't send UDP, so the
+ * OSC worker (osc-output-worker.js) sends each packet as a binary WebSocket message to the
+ * OSC bridge (tools/osc-bridge.mjs), which forwards it as a datagram.
+ *
+ * Address map: { event: address template }, relative to a namespace ('/hallway'):
+ *   triggerEnter  /zone/{zone}/enter   zone name, trigger (index in zone), person id
+ *   triggerExit   /zone/{zone}/exit    zone name, trigger, person id
+ *   noteOn        /note/on             note, velocity, channel, zone id ('' outside zones)
+ *   noteOff       /note/off            note, channel, zone id
+ *   person        /person/{person}     person id, x, y, w, h, xvel, yvel (see tracking-protocol.js)
+ *   key           /key                 key (Camelot, '8A'), tonic note
+ *   chord         /chord               chord name, root note
+ *   beat          /clock/beat          bar, beat (1-4), BPM
+ * {zone} and {person} are replaced by the zone id and person id; an empty address turns the
+ * event off. Whole numbers are sent as int32 ('i'), other numbers as float32 ('f') - wrap
+ * values that must always be floats (positions, BPM) in float().
+ */
+
+export const OSC_EVENTS = {
+  triggerEnter: { label: 'Trigger Enter', address: '/zone/{zone}/enter', args: 'zone name, trigger, person id' },
+  triggerExit: { label: 'Trigger Exit', address: '/zone/{zone}/exit', args: 'zone name, trigger, person id' },
+  noteOn: { label: 'Note On', address: '/note/on', args: 'note, velocity, channel, zone id' },
+  noteOff: { label: 'Note Off', address: '/note/off', args: 'note, channel, zone id' },
+  person: { label: 'Person Position', address: '/person/{person}', args: 'person id, x, y, w, h, xvel, yvel' },
+  key: { label: 'Key Change', address: '/key', args: 'key, tonic note' },
+  chord: { label: 'Chord Change', address: '/chord', args: 'chord name, root note' },
+  beat: { label: 'Clock Beat', address: '/clock/beat', args: 'bar, beat, BPM' }
+};
+
+export const OSC_EVENT_NAMES = Object.keys(OSC_EVENTS);
+
+export const DEFAULT_OSC_NAMESPACE = '/hallway';
+
+const PLACEHOLDERS = ['zone', 'person'];
+
+// Characters OSC reserves for pattern matching (and spaces, which receivers choke on)
+const RESERVED_CHARACTERS = /[\s#*,?[\]{}]/;
+
+const encoder = new TextEncoder();
+
+/**
+ * Argument always sent as float32, even when it happens to be whole (x = 0, 120 BPM)
+ */
+export function float(value) {
+  return { type: 'f', value };
+}
+
+export function createDefaultAddressMap() {
+  const addresses = {};
+  OSC_EVENT_NAMES.forEach(event => { addresses[event] = OSC_EVENTS[event].address; });
+  return addresses;
+}
+
+/**
+ * Fill in missing events with their defaults and drop unknown ones (map must already be valid)
+ */
+export function normalizeAddressMap(addresses) {
+  const normalized = createDefaultAddressMap();
+  OSC_EVENT_NAMES.forEach(event => {
+    if (addresses && typeof addresses[event] === 'string') normalized[event] = addresses[event];
+  });
+  return normalized;
+}
+
+/**
+ * Check a namespace and address map (e.g. from a document)
+ * @returns {Array} - [{ field, message }], empty when valid
+ */
+export function validateOSCSettings({ namespace, addresses }) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (namespace !== undefined) {
+    if (typeof namespace !== 'string' || (namespace !== '' && (!namespace.startsWith('/') || RESERVED_CHARACTERS.test(namespace)))) {
+      fail('namespace', 'must be empty or an OSC address such as /hallway');
+    }
+  }
+
+  if (addresses !== undefined) {
+    if (addresses === null || typeof addresses !== 'object' || Array.isArray(addresses)) {
+      fail('addresses', `must be an object with ${OSC_EVENT_NAMES.join(', ')}`);
+      return errors;
+    }
+    for (const [event, address] of Object.entries(addresses)) {
+      if (!OSC_EVENT_NAMES.includes(event)) {
+        fail(`addresses.${event}`, `is not an OSC event (${OSC_EVENT_NAMES.join(', ')})`);
+      } else if (typeof address !== 'string' || (address !== '' && !isValidTemplate(address))) {
+        fail(`addresses.${event}`, `must be empty or an address such as ${OSC_EVENTS[event].address}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function isValidTemplate(address) {
+  if (!address.startsWith('/')) return false;
+  const withoutPlaceholders = address.replace(/\{(\w+)\}/g, (match, name) => (PLACEHOLDERS.includes(name) ? 'x' : '{'));
+  return !RESERVED_CHARACTERS.test(withoutPlaceholders);
+}
+
+/**
+ * Full address for an event, or null when the event is turned off
+ * @param {object} params - Placeholder values ({ zone, person })
+ */
+export function resolveAddress(namespace, addresses, event, params = {}) {
+  const template = addresses[event];
+  if (!template) return null;
+
+  const filled = template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name] === undefined || params[name] === null ? '' : String(params[name]);
+    return value.replace(/[\s#*,?[\]{}/]/g, '_');
+  });
+  const prefix = (namespace || '').replace(/\/+$/, '');
+  return prefix + filled;
+}
+
+// Null-terminated and padded to a multiple of 4 bytes
+function encodeString(value) {
+  const bytes = encoder.encode(value);
+  const padded = new Uint8Array((bytes.length + 4) & ~3);
+  padded.set(bytes);
+  return padded;
+}
+
+function concatBytes(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * Encode one OSC message
+ * @param {Array} args - numbers, strings, booleans and float() values
+ * @returns {Uint8Array}
+ */
+export function encodeMessage(address, args = []) {
+  let typeTags = ',';
+  const data = [];
+
+  for (const arg of args) {
+    if (arg !== null && typeof arg === 'object' && arg.type === 'f') {
+      const bytes = new Uint8Array(4);
+      new DataView(bytes.buffer).setFloat32(0, arg.value);
+      typeTags += 'f';
+      data.push(bytes);
+    } else if (typeof arg === 'boolean') {
+      typeTags += arg ? 'T' : 'F';
+    } else if (typeof arg === 'number') {
+      const bytes = new Uint8Array(4);
+      const view = new DataView(bytes.buffer);
+      if (Number.isInteger(arg) && arg >= -2147483648 && arg <= 2147483647) {
+        typeTags += 'i';
+        view.setInt32(0, arg);
+      } else {
+        typeTags += 'f';
+        view.setFloat32(0, arg);
+      }
+      data.push(bytes);
+    } else {
+      typeTags += 's';
+      data.push(encodeString(String(arg)));
+    }
+  }
+
+  return concatBytes([encodeString(address), encodeString(typeTags), ...data]);
+}
+
+/**
+ * Encode messages (from encodeMessage) as one bundle, to be acted on immediately
+ * @returns {Uint8Array}
+ */
+export function encodeBundle(messages) {
+  const header = encodeString('#bundle');
+  const timeTag = new Uint8Array(8);
+  timeTag[7] = 1; // Special value: immediately
+
+  const elements = [];
+  for (const message of messages) {
+    const size = new Uint8Array(4);
+    new DataView(size.buffer).setInt32(0, message.length);
+    elements.push(size, message);
+  }
+
+  return concatBytes([header, timeTag, ...elements]);
+}
@@ -0,0 +1,588 @@
+/**
+ * People Model - The crowd simulation without rendering
+ *
+ * Movement (walking the hallway path, meandering, dwelling, steering around obstacles),
+ * spawning (flat count, crowd behaviors, traffic schedule) and trigger hit-testing, with no
+ * Three.js, DOM or MIDI - so the same simulation runs on the page (people.js builds the meshes
+ * and plays the triggers on top of it), in simulation-worker.js, and in Node (tools/simulate.mjs).
+ *
+ * Headless people report trigger hits as events: triggerEnter { triggerId, velocity,
+ * normalizedVelocity, xPosition, direction, roll } and triggerExit { triggerId }. roll is the draw
+ * against the trigger's rest chance, taken from the seeded RNG at the moment of the hit.
+ */
+
+import { random } from './random.js';
+import { CrowdBehavior, cloneCrowdSettings } from './crowd-behaviors.js';
+import { getPathLength, pathToFloor, floorToPath, getLateralLimits, getPathObstacles } from './hallway-geometry.js';
+
+let nextPersonId = 1;
+
+// Restart person IDs (used with a seed restart so IDs line up between runs)
+export function resetPersonIds() {
+  nextPersonId = 1;
+}
+
+// Each slice is 0.25m tall
+export const SLICE_HEIGHT = 0.25;
+
+// Random number of slices (4-8) determines height
+// Defaults to the seeded simulation RNG; pass Math.random for samples that must not advance it
+export function randomSliceCount(rng = random) {
+  return Math.floor(4 + rng() * 5); // 4, 5, 6, 7, or 8
+}
+
+// Person radius (shoulder width) proportional to height
+// Shorter people are narrower, taller people are wider
+// Average adult: ~1.7m tall with ~0.225m radius (45cm shoulder width)
+// Scale radius based on height: radius = height * 0.132
+export function radiusForHeight(height) {
+  return height * 0.132; // Range: ~0.13m (short) to ~0.26m (tall)
+}
+
+// Fade out when outside the hallway ends
+const FADE_START_DISTANCE = 1.0; // Start fading at 1m outside hallway
+const FADE_END_DISTANCE = 3.0; // Fully faded at 3m outside hallway
+
+// Walking around pillars and other obstacles on the path
+const OBSTACLE_LOOKAHEAD = 2.0; // Start sidestepping this far ahead (m)
+const OBSTACLE_CLEARANCE = 0.1; // Gap kept between a person and an obstacle (m)
+const OBSTACLE_STEER_SPEED = 0.6; // Sideways speed while sidestepping (m/s)
+
+export class PersonModel {
+  constructor(hallway, opts = {}) {
+    const { progress = 0, lateral = 0, speed = 0.5, id = null, sliceCount = null, radius = null } = opts;
+
+    // ID and size can be given explicitly (replay and tracking recreate known people)
+    this.id = id !== null ? id : nextPersonId++;
+    this.hallway = hallway;
+
+    this.sliceCount = sliceCount !== null ? sliceCount : randomSliceCount();
+    this.sliceHeight = SLICE_HEIGHT;
+
+    // Total height depends on number of slices
+    this.height = this.sliceCount * this.sliceHeight; // 1.0m to 2.0m
+
+    this.radius = radius !== null ? radius : radiusForHeight(this.height);
+
+    // Movement state - people walk along the hallway path (see hallway-geometry.js)
+    this.speed = speed;
+    this.progress = progress; // Distance along the path (0 = near entrance)
+    this.lateral = lateral; // Sideways offset from the path
+    const floor = pathToFloor(hallway, progress, lateral);
+    this.xOffset = floor.x; // X position in hallway
+    this.z = floor.z; // Z position along hallway (0 = near end, L = far end)
+    this.direction = 1; // 1 = forward along the path, -1 = backward
+    this.shouldRemove = false;
+
+    // Lateral (sideways) movement
+    this.xVelocity = (random() - 0.5) * 0.3; // Initial sideways velocity (-0.15 to 0.15 m/s)
+    this.nextDirectionChange = 2 + random() * 4; // Change direction every 2-6 seconds
+    this.lateralMovementEnabled = true; // Can be toggled
+
+    // Steering from crowd behaviors (set every tick by CrowdBehavior.update())
+    this.steerX = 0; // Extra sideways velocity (m/s)
+    this.speedFactor = 1; // Multiplier on walking speed
+    this.groupId = null;
+    this.groupLeader = null; // Person this one follows (group members only)
+    this.groupSlot = null; // { lateral, progress } offset from the leader
+    this.poiTarget = null; // Point of interest being walked to
+    this.visitedPOIs = new Set(); // POI IDs already decided on
+
+    // Start with appropriate opacity (0 if beyond fade distance, partial if in fade zone, 1 if inside)
+    this.opacity = 1.0;
+    this.updateOpacity();
+
+    // Dwelling behavior (stopping to look around)
+    this.isDwelling = false;
+    this.dwellTime = 0;
+    this.nextDwellCheck = 3 + random() * 5; // Check for dwelling every 3-8 seconds
+
+    // Trigger collision tracking
+    this.currentTrigger = null; // Current trigger the person is in (or null)
+
+    // Event hook for trigger/MIDI events (set by the crowd, used by the recorder)
+    this.onEvent = null;
+  }
+
+  /**
+   * Walk for one tick: dwell or move along the path, meander, keep clear of walls and obstacles
+   * @returns {boolean} - false once the person has faded out beyond an end (shouldRemove is set)
+   */
+  move(deltaTime) {
+    // Handle dwelling behavior (stopping to look around)
+    if (this.isDwelling) {
+      this.dwellTime -= deltaTime;
+      if (this.dwellTime <= 0) {
+        this.isDwelling = false;
+        this.nextDwellCheck = 3 + random() * 5; // Next dwell check in 3-8 seconds
+      }
+    } else {
+      // Move person forward/backward along the path
+      this.progress += this.speed * this.speedFactor * this.direction * deltaTime;
+
+      // Move person sideways (crowd steering, plus random meander if enabled)
+      let lateralVelocity = this.steerX;
+      if (this.lateralMovementEnabled) {
+        lateralVelocity += this.xVelocity;
+
+        // Randomly change lateral direction for natural meandering
+        this.nextDirectionChange -= deltaTime;
+        if (this.nextDirectionChange <= 0) {
+          // Change sideways velocity to create meandering pattern
+          this.xVelocity = (random() - 0.5) * 0.4; // -0.2 to 0.2 m/s
+          this.nextDirectionChange = 2 + random() * 4; // Next change in 2-6 seconds
+        }
+      }
+      this.lateral += lateralVelocity * deltaTime;
+
+      // Keep within hallway bounds with soft boundaries (80% of the way to each wall)
+      const limits = getLateralLimits(this.hallway, this.progress);
+      this.avoidObstacles(limits, deltaTime);
+      if (this.lateral > limits.max) {
+        this.lateral = limits.max;
+        this.xVelocity = -Math.abs(this.xVelocity); // Reverse direction
+      } else if (this.lateral < limits.min) {
+        this.lateral = limits.min;
+        this.xVelocity = Math.abs(this.xVelocity); // Reverse direction
+      }
+
+      // Check if it's time to start dwelling (group members stop when their leader does)
+      this.nextDwellCheck -= deltaTime;
+      if (!this.groupLeader && this.nextDwellCheck <= 0 && random() < 0.3) { // 30% chance to dwell
+        this.isDwelling = true;
+        this.dwellTime = 1 + random() * 3; // Dwell for 1-4 seconds
+      }
+    }
+
+    // Fade out when exiting hallway - mark for removal only when fully faded and far outside
+    if (this.updateOpacity() >= FADE_END_DISTANCE) {
+      this.shouldRemove = true;
+      return false;
+    }
+
+    this.updateFloorPosition();
+    return true;
+  }
+
+  /**
+   * Trigger collision detection - calls exitTrigger()/enterTrigger() when the trigger underfoot changes
+   * Clock and MIDI are passed through for people that play their triggers (Person)
+   */
+  updateTriggers(triggerZones, clockManager = null, midiManager = null) {
+    if (!triggerZones) return;
+
+    // Check which trigger we're in (use Z position, which is already in 0 to length_m range)
+    const trigger = triggerZones.getTriggerAtPosition(this.xOffset, this.z);
+    if (trigger === this.currentTrigger) return;
+
+    if (this.currentTrigger !== null) {
+      this.exitTrigger(this.currentTrigger, triggerZones, clockManager, midiManager);
+    }
+    if (trigger !== null) {
+      this.enterTrigger(trigger, triggerZones, clockManager, midiManager);
+    }
+    this.currentTrigger = trigger;
+  }
+
+  enterTrigger(trigger) {
+    this.emit('triggerEnter', { triggerId: trigger.id, ...this.getTriggerHit(trigger) });
+  }
+
+  exitTrigger(trigger) {
+    this.emit('triggerExit', { triggerId: trigger.id });
+  }
+
+  /**
+   * How stepping onto a trigger plays: MIDI velocity from walking speed, position across the trigger
+   * and heading for the floor shader, and the draw against the rest chance. The roll is drawn now rather
+   * than on the beat, and even with MIDI off, so the seeded sequence doesn't depend on the clock or MIDI
+   * @returns {object} - { velocity, normalizedVelocity, xPosition, direction, roll }
+   */
+  getTriggerHit(trigger) {
+    // Person speed ranges from ~0.7 to 1.3 m/s (from spawning)
+    // Dwelling people have speed but are stopped, so check isDwelling
+    let velocity;
+    let normalizedVelocity; // 0.0 to 1.0 for shader
+    if (this.isDwelling) {
+      velocity = 40; // Minimum velocity for dwelling/stopped people
+      normalizedVelocity = 0.0; // Dwelling = minimal effect
+    } else {
+      // Map speed (0.5-1.5 m/s) to MIDI velocity (40-127)
+      const minSpeed = 0.5;
+      const maxSpeed = 1.5;
+      const minVel = 40;
+      const maxVel = 127;
+
+      const normalizedSpeed = Math.max(0, Math.min(1, (this.speed - minSpeed) / (maxSpeed - minSpeed)));
+      velocity = Math.round(minVel + (normalizedSpeed * (maxVel - minVel)));
+      normalizedVelocity = normalizedSpeed; // 0.0 to 1.0
+    }
+
+    // Normalized X position (0.0 to 1.0) across the trigger for shader visualization
+    let xPosition = 0.5; // Default to center
+    if (typeof this.xOffset === 'number') {
+      const triggerWidth = trigger.xMax - trigger.xMin;
+      if (triggerWidth > 0) {
+        xPosition = Math.max(0, Math.min(1, (this.xOffset - trigger.xMin) / triggerWidth));
+        if (isNaN(xPosition)) xPosition = 0.5;
+      }
+    }
+
+    return {
+      velocity,
+      normalizedVelocity,
+      xPosition,
+      direction: this.direction, // 1 = forward (entrance to exit), -1 = backward
+      roll: random()
+    };
+  }
+
+  /**
+   * Sidestep obstacles ahead on the path, towards whichever side has more room
+   * @param {object} limits - Lateral limits here (from getLateralLimits)
+   */
+  avoidObstacles(limits, deltaTime) {
+    for (const obstacle of getPathObstacles(this.hallway)) {
+      const clearance = obstacle.radius + this.radius + OBSTACLE_CLEARANCE;
+      const ahead = (obstacle.progress - this.progress) * this.direction;
+      if (ahead < -clearance || ahead > OBSTACLE_LOOKAHEAD) continue;
+
+      const side = this.lateral - obstacle.lateral;
+      if (Math.abs(side) >= clearance) continue;
+
+      // Keep to the side we're already on unless there's no room past the obstacle there
+      const roomAbove = limits.max - (obstacle.lateral + clearance);
+      const roomBelow = (obstacle.lateral - clearance) - limits.min;
+      let sign = Math.abs(side) > 0.05 ? Math.sign(side) : (roomAbove >= roomBelow ? 1 : -1);
+      if ((sign > 0 ? roomAbove : roomBelow) < 0) sign = -sign;
+
+      const target = obstacle.lateral + sign * clearance;
+      if (Math.abs(ahead) < clearance) {
+        this.lateral = target; // Alongside it - step clear
+      } else {
+        const step = Math.min(Math.abs(target - this.lateral), OBSTACLE_STEER_SPEED * deltaTime);
+        this.lateral += Math.sign(target - this.lateral) * step;
+      }
+    }
+  }
+
+  /**
+   * Path position -> hallway floor position (xOffset, z)
+   */
+  updateFloorPosition() {
+    const floor = pathToFloor(this.hallway, this.progress, this.lateral);
+    this.xOffset = floor.x;
+    this.z = floor.z;
+  }
+
+  /**
+   * How far beyond either end of the path this person is (0 when on it)
+   */
+  getDistanceOutside() {
+    const length = getPathLength(this.hallway);
+    if (this.progress > length) return this.progress - length;
+    if (this.progress < 0) return -this.progress;
+    return 0;
+  }
+
+  /**
+   * Update opacity from distance outside the hallway (start fading at 1m outside, fully faded at 3m outside)
+   * @returns {number} - Distance outside the hallway in meters (0 when inside)
+   */
+  updateOpacity() {
+    const distanceOutside = this.getDistanceOutside();
+
+    if (distanceOutside > FADE_START_DISTANCE) {
+      const fadeProgress = (distanceOutside - FADE_START_DISTANCE) / (FADE_END_DISTANCE - FADE_START_DISTANCE);
+      this.opacity = Math.max(0, 1.0 - fadeProgress);
+    } else {
+      this.opacity = 1.0;
+    }
+
+    return distanceOutside;
+  }
+
+  /**
+   * Snapshot of the movement state (what the recorder stores per tick)
+   */
+  getState() {
+    return {
+      id: this.id,
+      x: this.xOffset,
+      z: this.z,
+      direction: this.direction,
+      speed: this.speed,
+      xVelocity: this.xVelocity,
+      isDwelling: this.isDwelling,
+      sliceCount: this.sliceCount
+    };
+  }
+
+  /**
+   * Move to a given state (position, heading, speed) and update opacity
+   */
+  setState(state) {
+    this.xOffset = state.x;
+    this.z = state.z;
+    const { progress, lateral } = floorToPath(this.hallway, state.x, state.z);
+    this.progress = progress;
+    this.lateral = lateral;
+    this.direction = state.direction;
+    this.speed = state.speed;
+    this.xVelocity = state.xVelocity;
+    this.isDwelling = state.isDwelling;
+
+    this.updateOpacity();
+  }
+
+  // Report a trigger/MIDI event to whoever is listening (the recorder)
+  emit(type, data) {
+    if (this.onEvent) {
+      this.onEvent(type, { personId: this.id, ...data });
+    }
+  }
+}
+
+export class CrowdModel {
+  constructor(hallway) {
+    this.hallway = hallway;
+    this.people = [];
+    this.enabled = false;
+    this.count = 3; // Number of people to maintain
+
+    this.nextSpawnTime = 0;
+    this.spawnInterval = 4; // Spawn a new person every 4 seconds on average
+
+    // Social force, groups, points of interest, lanes, rush hour (all off by default)
+    this.crowd = new CrowdBehavior(hallway);
+
+    // Time-of-day arrivals (TrafficSchedule) - replaces count/spawnInterval while enabled
+    this.schedule = null;
+
+    // Called with (type, data) for every trigger/MIDI event a person emits (used by the recorder)
+    this.onEvent = null;
+  }
+
+  /**
+   * A new person (PeopleManager makes rendered ones)
+   */
+  createPerson(opts) {
+    return new PersonModel(this.hallway, opts);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (enabled) {
+      this.createInitialPeople();
+    } else {
+      this.removeAllPeople();
+    }
+  }
+
+  setCount(count) {
+    this.count = count;
+  }
+
+  setSchedule(schedule) {
+    this.schedule = schedule;
+  }
+
+  isScheduled() {
+    return this.schedule !== null && this.schedule.enabled;
+  }
+
+  /**
+   * Crowd behavior settings (see crowd-behaviors.js DEFAULT_CROWD_SETTINGS)
+   */
+  setCrowdSettings(settings) {
+    this.crowd.settings = cloneCrowdSettings(settings);
+  }
+
+  setLateralMovement(enabled) {
+    this.people.forEach(person => {
+      person.lateralMovementEnabled = enabled;
+    });
+  }
+
+  createInitialPeople() {
+    // A schedule starts empty and fills up at its own arrival rate
+    if (this.isScheduled()) return;
+
+    // Spawn initial people - alternating between the hallway ends
+    let spawned = 0;
+    for (let i = 0; spawned < this.count; i++) {
+      const spawnAtNear = (i % 2) === 0;
+      spawned += this.spawnPersonAtEnd(spawnAtNear, this.count - spawned);
+    }
+  }
+
+  /**
+   * Spawn one person, or a group if crowd groups are on
+   * @param {number} maxPeople - Cap on group size (room left in the population)
+   * @param {number} speedScale - Multiplier on the random walking speed (from the schedule)
+   * @returns {number} - How many people were spawned
+   */
+  spawnPersonAtEnd(atNearEnd, maxPeople = Infinity, speedScale = 1) {
+    const pathLength = getPathLength(this.hallway);
+
+    // Spawn well outside the hallway (2-3m beyond the path end, beyond fade distance)
+    const spawnDistance = 2.0 + random() * 1.0;
+    const progress = atNearEnd ? -spawnDistance : pathLength + spawnDistance;
+    const direction = atNearEnd ? 1 : -1;
+
+    // Random sideways position across the entrance (within 80% of its width)
+    const limits = getLateralLimits(this.hallway, atNearEnd ? 0 : pathLength);
+    const lateral = limits.min + random() * (limits.max - limits.min);
+    const speed = (0.4 + random() * 1.2) * speedScale; // Speed variation (0.4-1.6 m/s)
+
+    const person = this.createPerson({ progress, speed, lateral });
+    person.direction = direction;
+
+    // Group members are placed around the leader by the crowd model
+    const groupSize = Math.max(1, Math.min(this.crowd.pickGroupSize(), maxPeople));
+    const members = [person];
+    for (let i = 1; i < groupSize; i++) {
+      members.push(this.createPerson({ progress, speed, lateral }));
+    }
+    this.crowd.formGroup(members);
+
+    members.forEach(member => this.addPerson(member));
+    return members.length;
+  }
+
+  /**
+   * Spawn one person at a floor position (hallway meters, as getState())
+   * @param {number} direction - 1 = towards the far end, -1 = towards the near end
+   * @param {number} speed - Walking speed in m/s (random 0.4-1.6 if null)
+   * @returns {PersonModel}
+   */
+  spawnPersonAt(x, z, direction = 1, speed = null) {
+    const { progress, lateral } = floorToPath(this.hallway, x, z);
+    const person = this.createPerson({
+      progress,
+      lateral,
+      speed: speed !== null ? speed : 0.4 + random() * 1.2
+    });
+    person.direction = direction;
+
+    this.addPerson(person);
+    return person;
+  }
+
+  addPerson(person) {
+    person.onEvent = (type, data) => {
+      if (this.onEvent) this.onEvent(type, data);
+    };
+    this.people.push(person);
+  }
+
+  /**
+   * Take the person at an index out of the crowd
+   */
+  removePerson(index) {
+    this.people.splice(index, 1);
+  }
+
+  // Remove people who have exited
+  removeDeparted(midiManager = null) {
+    for (let i = this.people.length - 1; i >= 0; i--) {
+      if (this.people[i].shouldRemove) {
+        this.removePerson(i, midiManager);
+      }
+    }
+  }
+
+  removeAllPeople(midiManager = null) {
+    while (this.people.length > 0) {
+      this.removePerson(0, midiManager);
+    }
+  }
+
+  /**
+   * Clear everyone and spawn a fresh crowd (call after re-seeding the RNG for a reproducible run)
+   */
+  restart(midiManager = null) {
+    this.removeAllPeople(midiManager);
+    this.nextSpawnTime = 0;
+    this.crowd.reset();
+    if (this.schedule) this.schedule.restart();
+    if (this.enabled) {
+      this.createInitialPeople();
+    }
+  }
+
+  /**
+   * Forget everyone's current trigger (call when the trigger layout changes)
+   * People standing in a trigger of the new layout re-enter it on the next update
+   */
+  releaseTriggers() {
+    this.people.forEach(person => { person.currentTrigger = null; });
+  }
+
+  /**
+   * Movement state of everyone (one recorder frame)
+   */
+  captureState() {
+    return this.people.map(person => person.getState());
+  }
+
+  /**
+   * Advance the crowd one tick: steer, walk, hit-test triggers, retire and spawn people
+   */
+  update(deltaTime, triggerZones = null) {
+    if (!this.enabled) return;
+
+    // Crowd behaviors steer everyone before they move
+    this.crowd.update(this.people, deltaTime);
+
+    this.people.forEach(person => {
+      if (person.move(deltaTime)) person.updateTriggers(triggerZones);
+    });
+    this.removeDeparted();
+
+    this.spawn(deltaTime);
+  }
+
+  /**
+   * Spawn new people to maintain the population (or follow the traffic schedule)
+   */
+  spawn(deltaTime) {
+    if (this.isScheduled()) {
+      this.spawnScheduled(deltaTime);
+      return;
+    }
+
+    // Rush hour raises the target and the rate
+    const spawnScale = this.crowd.getSpawnScale();
+    const targetCount = Math.round(this.count * spawnScale);
+    this.nextSpawnTime -= deltaTime;
+    if (this.nextSpawnTime <= 0 && this.people.length < targetCount) {
+      // Randomly choose to spawn at near end or far end
+      const spawnAtNear = random() < 0.5;
+      this.spawnPersonAtEnd(spawnAtNear, targetCount - this.people.length);
+      this.nextSpawnTime = this.spawnInterval / spawnScale * (0.7 + random() * 0.6); // 2.8-5.2s
+    }
+  }
+
+  /**
+   * Arrivals from the traffic schedule (rush hour bursts still multiply the rate)
+   */
+  spawnScheduled(deltaTime) {
+    this.schedule.advance(deltaTime);
+
+    const { arrivalsPerMinute, nearEndBias, speedScale } = this.schedule.getParams();
+    const rate = arrivalsPerMinute * this.crowd.getSpawnScale();
+    if (rate <= 0) return;
+
+    // Don't bank up arrivals while the hallway is at its cap
+    const meanInterval = 60 / rate;
+    this.nextSpawnTime = Math.min(this.nextSpawnTime, meanInterval * 1.5) - deltaTime;
+
+    const room = this.schedule.maxPeople - this.people.length;
+    if (this.nextSpawnTime <= 0 && room > 0) {
+      const spawnAtNear = random() < nearEndBias;
+      this.spawnPersonAtEnd(spawnAtNear, room, speedScale);
+      this.nextSpawnTime = meanInterval * (0.5 + random()); // 50-150% of the mean gap
+    }
+  }
+}
@@ -1,74 +1,36 @@
 // ===== People Simulation =====
+// Rendered people on top of the headless crowd model (people-model.js): meshes, labels, camera
+// visibility, and trigger notes on the clock
 import * as THREE from 'three';
-import { isSliceVisibleToCamera } from './visibility.js';
-
-let nextPersonId = 1;
+import { isSliceVisibleToCamera, pointInFrustum3D, getPointDepthConfidence } from './visibility.js';
+import { DEPTH_CONFIDENCE } from './depth-model.js';
+import { getPathLength, pathToFloor, floorToPath, getLateralLimits, serializeGeometry } from './hallway-geometry.js';
+import { zoneSource } from './midi-router.js';
+import { PersonModel, CrowdModel, SLICE_HEIGHT, randomSliceCount, radiusForHeight } from './people-model.js';
+
+export { resetPersonIds } from './people-model.js';
+
+// Run now, or once performance.now() reaches time (hits from the simulation worker arrive ahead of time)
+function runAtTime(clockManager, time, callback) {
+  if (clockManager && time > performance.now()) {
+    clockManager.runAt(time, callback);
+  } else {
+    callback();
+  }
+}
 
-export class Person {
+export class Person extends PersonModel {
   constructor(hallway, opts = {}) {
-    const { startZ = 0, speed = 0.5, xOffset = 0 } = opts;
-
-    this.id = nextPersonId++;
-    this.hallway = hallway;
-
-    // Random number of slices (4-8) determines height
-    this.sliceCount = Math.floor(4 + Math.random() * 5); // 4, 5, 6, 7, or 8
-
-    // Each slice is 0.25m tall
-    const sliceHeight = 0.25;
-    this.sliceHeight = sliceHeight;
-
-    // Total height depends on number of slices
-    this.height = this.sliceCount * sliceHeight; // 1.0m to 2.0m
-
-    // Person radius (shoulder width) proportional to height
-    // Shorter people are narrower, taller people are wider
-    // Average adult: ~1.7m tall with ~0.225m radius (45cm shoulder width)
-    // Scale radius based on height: radius = height * 0.132
-    this.radius = this.height * 0.132; // Range: ~0.13m (short) to ~0.26m (tall)
-
-    // Movement state
-    this.speed = speed;
-    this.xOffset = xOffset; // X position in hallway
-    this.z = startZ; // Z position along hallway (0 = near end, L = far end)
-    this.direction = 1; // 1 = forward (+Z), -1 = backward (-Z)
-    this.shouldRemove = false;
-
-    // Lateral (sideways) movement
-    this.xVelocity = (Math.random() - 0.5) * 0.3; // Initial sideways velocity (-0.15 to 0.15 m/s)
-    this.nextDirectionChange = 2 + Math.random() * 4; // Change direction every 2-6 seconds
-    this.lateralMovementEnabled = true; // Can be toggled
-
-    // Calculate initial opacity based on spawn position
-    const fadeStartDistance = 1.0;
-    const fadeEndDistance = 3.0;
-    const length_m = this.hallway.length_m;
-
-    let distanceOutside = 0;
-    if (startZ > length_m) {
-      distanceOutside = startZ - length_m;
-    } else if (startZ < 0) {
-      distanceOutside = -startZ;
-    }
+    super(hallway, opts);
 
-    // Start with appropriate opacity (0 if beyond fade distance, partial if in fade zone, 1 if inside)
-    if (distanceOutside > fadeStartDistance) {
-      const fadeProgress = (distanceOutside - fadeStartDistance) / (fadeEndDistance - fadeStartDistance);
-      this.opacity = Math.max(0, 1.0 - fadeProgress);
-    } else {
-      this.opacity = 1.0;
-    }
-
-    // Dwelling behavior (stopping to look around)
-    this.isDwelling = false;
-    this.dwellTime = 0;
-    this.nextDwellCheck = 3 + Math.random() * 5; // Check for dwelling every 3-8 seconds
+    // Active MIDI notes tracking (to prevent stuck notes)
+    this.activeNotes = []; // Array of {note, channel, time, source} objects currently playing
 
-    // Trigger collision tracking
-    this.currentTrigger = null; // Current trigger the person is in (or null)
+    // Time on the current trigger - { triggerId, exitTime }; a note still waiting for its slot plays only if exitTime hasn't passed
+    this.triggerVisit = null;
 
-    // Active MIDI notes tracking (to prevent stuck notes)
-    this.activeNotes = []; // Array of {note, channel} objects currently playing
+    // TrackingMetrics collecting this person's visibility (set by PeopleManager during a measured run)
+    this.metrics = null;
 
     // Three.js group to hold all slices
     this.group = new THREE.Group();
@@ -79,7 +41,7 @@ export class Person {
       const geometry = new THREE.CylinderGeometry(
         this.radius,
         this.radius,
-        sliceHeight * 0.95, // Slight gap between slices
+        this.sliceHeight * 0.95, // Slight gap between slices
         16
       );
       const material = new THREE.MeshStandardMaterial({
@@ -91,7 +53,7 @@ export class Person {
       });
 
       const slice = new THREE.Mesh(geometry, material);
-      slice.position.y = (i + 0.5) * sliceHeight;
+      slice.position.y = (i + 0.5) * this.sliceHeight;
       slice.castShadow = true;
       this.group.add(slice);
       this.slices.push(slice);
@@ -103,8 +65,8 @@ export class Person {
     this.label.layers.set(1); // Hide from camera previews
     this.group.add(this.label);
 
-    // Set initial position immediately to avoid flash at origin (use length_m declared above)
-    this.group.position.set(this.xOffset, 0.005, this.z - length_m / 2);
+    // Set initial position immediately to avoid flash at origin
+    this.group.position.set(this.xOffset, 0.005, this.z - this.hallway.length_m / 2);
   }
 
   createLabel() {
@@ -162,72 +124,179 @@ export class Person {
   }
 
   update(deltaTime, cameras, allPeople, triggerZones = null, clockManager = null, midiManager = null) {
-    const { width_m, length_m } = this.hallway;
-
-    // Handle dwelling behavior (stopping to look around)
-    if (this.isDwelling) {
-      this.dwellTime -= deltaTime;
-      if (this.dwellTime <= 0) {
-        this.isDwelling = false;
-        this.nextDwellCheck = 3 + Math.random() * 5; // Next dwell check in 3-8 seconds
-      }
+    if (!this.move(deltaTime)) return;
+
+    this.updateTriggers(triggerZones, clockManager, midiManager);
+    this.updateView(cameras, allPeople, deltaTime);
+  }
+
+  /**
+   * Visibility colors (and metrics during a measured run) and label for where the person is now
+   */
+  updateView(cameras, allPeople, deltaTime) {
+    if (this.metrics && this.metrics.running) {
+      const sliceVisibility = [];
+      this.updateVisibility(cameras, allPeople, sliceVisibility);
+      this.metrics.recordPerson(this, cameras, sliceVisibility, deltaTime);
     } else {
-      // Move person forward/backward
-      this.z += this.speed * this.direction * deltaTime;
-
-      // Move person sideways (lateral movement)
-      if (this.lateralMovementEnabled) {
-        this.xOffset += this.xVelocity * deltaTime;
-
-        // Keep within hallway bounds with soft boundaries
-        const maxX = width_m * 0.4; // Stay within 80% of width (±40%)
-        if (this.xOffset > maxX) {
-          this.xOffset = maxX;
-          this.xVelocity = -Math.abs(this.xVelocity); // Reverse direction
-        } else if (this.xOffset < -maxX) {
-          this.xOffset = -maxX;
-          this.xVelocity = Math.abs(this.xVelocity); // Reverse direction
+      this.updateVisibility(cameras, allPeople);
+    }
+
+    this.updateLabel();
+  }
+
+  /**
+   * Entered a trigger - schedules a quantized MIDI note and its visuals, or lights the trigger right away without MIDI
+   * Shared by the simulation, tracked (real) people and frames from the simulation worker
+   * @param {object} hit - getTriggerHit() plus time (performance.now() ms) for hits from the simulation worker;
+   *   null works it out now
+   */
+  enterTrigger(trigger, triggerZones, clockManager = null, midiManager = null, hit = null) {
+    const midiEnabled = Boolean(midiManager && clockManager);
+    if (!hit) {
+      hit = { ...this.getTriggerHit(trigger), time: performance.now() };
+    }
+    const { velocity, normalizedVelocity, xPosition, direction, roll } = hit;
+
+    const triggerId = trigger.id;
+    const personId = this.id;
+    const zoneId = trigger.zoneId;
+    const noteLength = trigger.noteLength;
+
+    runAtTime(clockManager, hit.time, () => this.emit('triggerEnter', { triggerId }));
+
+    const visit = { triggerId, exitTime: Infinity };
+    this.triggerVisit = visit;
+
+    // Handle MIDI-enabled vs MIDI-disabled scenarios
+    if (midiEnabled) {
+      // MIDI ENABLED: Schedule quantized activation with MIDI note
+      const note = trigger.midiNote;
+      const channel = trigger.channel;
+      const source = zoneSource(zoneId); // Routing matrix source
+
+      // Apply musicality: weighted probability and rest chance
+      const triggerWeight = trigger.weight !== undefined ? trigger.weight : 1.0;
+      const triggerRestChance = trigger.restChance !== undefined ? trigger.restChance : 0.0;
+      const isRest = roll < triggerRestChance;
+
+      // Runs up to a lookahead ahead of the slot after the hit - MIDI goes out stamped with the slot's time,
+      // the visuals wait until then
+      clockManager.scheduleEvent((data, time) => {
+        // Safety check: only trigger if person is still in this trigger
+        // (they might have left before the quantized beat arrived)
+        if (visit.exitTime <= performance.now()) return;
+
+        // Apply rest chance - random chance this trigger doesn't fire
+        if (isRest) return;
+
+        // Apply weight to velocity - lower weight = quieter notes
+        const weightedVelocity = Math.round(velocity * triggerWeight);
+
+        // SEND MIDI NOTE with weighted velocity
+        midiManager.sendNoteOn(note, weightedVelocity, channel, time, source);
+
+        // ACTIVATE VISUAL (synced with MIDI)
+        clockManager.runAt(time, () => {
+          triggerZones.activateTrigger(triggerId, personId);
+
+          // Store velocity, X position, and Z direction on trigger for shader visualization
+          trigger.lastVelocity = normalizedVelocity * triggerWeight; // Weight affects visualization too
+          trigger.lastXPosition = xPosition;
+          trigger.lastXDirection = direction; // 1 = forward (entrance to exit), -1 = backward
+          this.emit('triggerActivate', {
+            triggerId,
+            velocity: trigger.lastVelocity,
+            xPosition,
+            xDirection: direction
+          });
+          this.emit('noteOn', { note, velocity: weightedVelocity, channel, source });
+        });
+
+        // Track active note (for sustained zones like Pads) - time, so a cleanup NoteOff can't overtake it
+        if (noteLength === 'sustain') {
+          this.activeNotes.push({ note, channel, time, source });
         }
 
-        // Randomly change lateral direction for natural meandering
-        this.nextDirectionChange -= deltaTime;
-        if (this.nextDirectionChange <= 0) {
-          // Change sideways velocity to create meandering pattern
-          this.xVelocity = (Math.random() - 0.5) * 0.4; // -0.2 to 0.2 m/s
-          this.nextDirectionChange = 2 + Math.random() * 4; // Next change in 2-6 seconds
+        // Auto NoteOff for fixed-length zones (e.g. Bass and Lead)
+        // Use tempo-based durations (musical time) instead of fixed milliseconds
+        if (noteLength !== 'sustain') {
+          // noteLength is in beats - Bass: 1 quarter note, Lead: 1 eighth note by default
+          const noteOffTime = time + clockManager.msPerBeat * noteLength;
+
+          midiManager.sendNoteOff(note, channel, noteOffTime, source);
+          clockManager.runAt(noteOffTime, () => this.emit('noteOff', { note, channel, source }));
         }
-      }
+        // Sustained notes will send NoteOff when person exits (handled in exitTrigger)
+      }, null, hit.time);
+    } else {
+      // MIDI DISABLED: Activate trigger immediately (no quantization, no MIDI notes)
+      // This ensures floor FBO visual effects still work
+      runAtTime(clockManager, hit.time, () => {
+        triggerZones.activateTrigger(triggerId, personId);
+
+        // Store visual parameters for shader visualization (no weight applied when MIDI disabled)
+        trigger.lastVelocity = normalizedVelocity;
+        trigger.lastXPosition = xPosition;
+        trigger.lastXDirection = direction;
+        this.emit('triggerActivate', {
+          triggerId,
+          velocity: normalizedVelocity,
+          xPosition,
+          xDirection: direction
+        });
+      });
+    }
+  }
 
-      // Check if it's time to start dwelling
-      this.nextDwellCheck -= deltaTime;
-      if (this.nextDwellCheck <= 0 && Math.random() < 0.3) { // 30% chance to dwell
-        this.isDwelling = true;
-        this.dwellTime = 1 + Math.random() * 3; // Dwell for 1-4 seconds
-      }
+  /**
+   * Left a trigger - releases it and ends sustained (e.g. Pads zone) notes on the next quantization slot
+   * @param {number} time - When (performance.now() ms) - later than now for hits from the simulation worker
+   */
+  exitTrigger(trigger, triggerZones, clockManager = null, midiManager = null, time = performance.now()) {
+    if (this.triggerVisit && this.triggerVisit.triggerId === trigger.id) {
+      this.triggerVisit.exitTime = time;
     }
 
-    // Fade out when exiting hallway (start fading at 1m outside, fully faded at 3m outside)
-    const fadeStartDistance = 1.0; // Start fading at 1m outside hallway
-    const fadeEndDistance = 3.0; // Fully faded at 3m outside hallway
+    runAtTime(clockManager, time, () => {
+      triggerZones.deactivateTrigger(trigger.id, this.id);
+      this.emit('triggerExit', { triggerId: trigger.id });
+    });
+
+    if (trigger.noteLength === 'sustain' && midiManager && clockManager) {
+      const note = trigger.midiNote;
+      const channel = trigger.channel;
+      const source = zoneSource(trigger.zoneId);
+
+      // Schedule NoteOff on the next quantization slot
+      clockManager.scheduleEvent((data, slotTime) => {
+        midiManager.sendNoteOff(note, channel, slotTime, source);
+        clockManager.runAt(slotTime, () => this.emit('noteOff', { note, channel, source }));
 
-    let distanceOutside = 0;
-    if (this.z > length_m) {
-      distanceOutside = this.z - length_m;
-    } else if (this.z < 0) {
-      distanceOutside = -this.z;
+        // Remove from active notes tracking
+        this.activeNotes = this.activeNotes.filter(n => !(n.note === note && n.channel === channel));
+      }, null, time);
     }
+  }
+
+  /**
+   * Path position -> hallway floor position (xOffset, z) and scene position
+   */
+  updateFloorPosition() {
+    super.updateFloorPosition();
+    this.group.position.set(this.xOffset, 0.005, this.z - this.hallway.length_m / 2);
+  }
 
-    // Calculate opacity based on distance outside hallway
+  /**
+   * Fade the slices and label with distance outside the hallway
+   * @returns {number} - Distance outside the hallway in meters (0 when inside)
+   */
+  updateOpacity() {
     const previousOpacity = this.opacity;
-    if (distanceOutside > fadeStartDistance) {
-      const fadeProgress = (distanceOutside - fadeStartDistance) / (fadeEndDistance - fadeStartDistance);
-      this.opacity = Math.max(0, 1.0 - fadeProgress);
-    } else {
-      this.opacity = 1.0;
-    }
+    const distanceOutside = super.updateOpacity();
 
-    // Only update materials if opacity changed (performance optimization)
-    if (this.opacity !== previousOpacity) {
+    // Only update materials if opacity changed (performance optimization) - not yet built while constructing
+    if (this.slices && this.opacity !== previousOpacity) {
       this.slices.forEach(slice => {
         slice.material.opacity = this.opacity;
       });
@@ -238,158 +307,15 @@ export class Person {
       }
     }
 
-    // Mark for removal only when fully faded and far outside
-    if (distanceOutside >= fadeEndDistance) {
-      this.shouldRemove = true;
-      return;
-    }
-
-    // Update group position (center of hallway is at x=0, z=0)
-    this.group.position.set(this.xOffset, 0.005, this.z - length_m / 2);
-
-    // ===== TRIGGER COLLISION DETECTION =====
-    if (triggerZones) {
-      // Check which trigger we're in (use Z position, which is already in 0 to length_m range)
-      const trigger = triggerZones.getTriggerAtPosition(this.xOffset, this.z);
-
-      // Check if we changed triggers
-      if (trigger !== this.currentTrigger) {
-        // Exited previous trigger
-        if (this.currentTrigger !== null) {
-          triggerZones.deactivateTrigger(this.currentTrigger.id, this.id);
-          // console.log(`[Trigger] Person ${this.id} exited Zone ${this.currentTrigger.zoneId} Trigger ${this.currentTrigger.id} (${this.currentTrigger.zoneName})`);
-
-          // Send NoteOff for Pads zone (Zone 2) when exiting
-          if (this.currentTrigger.zoneId === 2 && midiManager && clockManager) {
-            const note = this.currentTrigger.midiNote;
-            const channel = this.currentTrigger.channel;
-
-            // Schedule NoteOff on next 16th note
-            clockManager.scheduleEvent(() => {
-              midiManager.sendNoteOff(note, channel);
-              // console.log(`[MIDI] Pads NoteOff: Ch${channel} Note${note} (Person ${this.id} exited)`);
-
-              // Remove from active notes tracking
-              this.activeNotes = this.activeNotes.filter(n => !(n.note === note && n.channel === channel));
-            });
-          }
-        }
-
-        // Entered new trigger
-        if (trigger !== null) {
-          // Highlight extensions (7th, 9th, 11th, 13th) in console
-          const isExtension = ['7th', '9th', '11th', '13th'].includes(trigger.chordToneType);
-          const chordToneLabel = isExtension ? `⭐ ${trigger.chordToneType}` : trigger.chordToneType;
-
-          // console.log(`[Trigger] Person ${this.id} entered Zone ${trigger.zoneId} Trigger ${trigger.id} (${trigger.zoneName}) - Note ${trigger.midiNote} [${chordToneLabel}]`);
-
-          // Calculate velocity and position NOW (before scheduling)
-          // Person speed ranges from ~0.7 to 1.3 m/s (from PeopleManager spawn)
-          // Dwelling people have speed but are stopped, so check isDwelling
-          let velocityValue;
-          let normalizedVelocity; // 0.0 to 1.0 for shader
-          if (this.isDwelling) {
-            velocityValue = 40; // Minimum velocity for dwelling/stopped people
-            normalizedVelocity = 0.0; // Dwelling = minimal effect
-          } else {
-            // Map speed (0.5-1.5 m/s) to MIDI velocity (40-127)
-            const minSpeed = 0.5;
-            const maxSpeed = 1.5;
-            const minVel = 40;
-            const maxVel = 127;
-
-            const normalizedSpeed = Math.max(0, Math.min(1, (this.speed - minSpeed) / (maxSpeed - minSpeed)));
-            velocityValue = Math.round(minVel + (normalizedSpeed * (maxVel - minVel)));
-            normalizedVelocity = normalizedSpeed; // 0.0 to 1.0
-          }
-
-          // Calculate normalized X position (0.0 to 1.0) for shader visualization
-          let normalizedXPosition = 0.5; // Default to center
-          if (typeof this.xOffset === 'number') {
-            const hallwayWidth = trigger.xMax - trigger.xMin;
-            if (hallwayWidth > 0) {
-              const normalizedX = (this.xOffset - trigger.xMin) / hallwayWidth;
-              normalizedXPosition = Math.max(0, Math.min(1, normalizedX));
-              if (isNaN(normalizedXPosition)) normalizedXPosition = 0.5;
-            }
-          }
-
-          const triggerId = trigger.id;
-          const personId = this.id;
-          const zoneId = trigger.zoneId;
-
-          // Handle MIDI-enabled vs MIDI-disabled scenarios
-          if (midiManager && clockManager) {
-            // MIDI ENABLED: Schedule quantized activation with MIDI note
-            const note = trigger.midiNote;
-            const channel = trigger.channel;
-
-            // Apply musicality: weighted probability and rest chance
-            const triggerWeight = trigger.weight !== undefined ? trigger.weight : 1.0;
-            const triggerRestChance = trigger.restChance !== undefined ? trigger.restChance : 0.0;
-
-            clockManager.scheduleEvent(() => {
-              // Safety check: only trigger if person is still in this trigger
-              // (they might have left before the quantized beat arrived)
-              if (this.currentTrigger && this.currentTrigger.id === triggerId) {
-                // Apply rest chance - random chance this trigger doesn't fire
-                if (Math.random() < triggerRestChance) {
-                  // console.log(`[MIDI] Rest applied (${(triggerRestChance*100).toFixed(0)}% chance)`);
-                  return; // Skip this note
-                }
-
-                // Apply weight to velocity - lower weight = quieter notes
-                const weightedVelocity = Math.round(velocityValue * triggerWeight);
-
-                // ACTIVATE VISUAL (synced with MIDI)
-                triggerZones.activateTrigger(triggerId, personId);
-
-                // Store velocity, X position, and Z direction on trigger for shader visualization
-                trigger.lastVelocity = normalizedVelocity * triggerWeight; // Weight affects visualization too
-                trigger.lastXPosition = normalizedXPosition;
-                trigger.lastXDirection = this.direction; // 1 = forward (entrance to exit), -1 = backward
-
-                // SEND MIDI NOTE with weighted velocity
-                midiManager.sendNoteOn(note, weightedVelocity, channel);
-                // console.log(`[MIDI] NoteOn: Ch${channel} Note${note} Vel${weightedVelocity} [${chordToneLabel}] (Zone ${zoneId}, Weight: ${triggerWeight.toFixed(2)})`);
-
-                // Track active note (for Pads zone, which sustains)
-                if (zoneId === 2) {
-                  this.activeNotes.push({ note, channel });
-                }
-
-                // Auto NoteOff for Bass (Zone 1) and Lead (Zone 3)
-                // Use tempo-based durations (musical time) instead of fixed milliseconds
-                if (zoneId === 1 || zoneId === 3) {
-                  // Bass: 1 quarter note, Lead: 1 eighth note
-                  const noteDuration = zoneId === 1
-                    ? clockManager.msPerBeat           // Bass: quarter note
-                    : clockManager.msPerBeat / 2;      // Lead: eighth note
-
-                  setTimeout(() => {
-                    midiManager.sendNoteOff(note, channel);
-                    // console.log(`[MIDI] Auto NoteOff: Ch${channel} Note${note} [${chordToneLabel}] (Zone ${zoneId})`);
-                  }, noteDuration);
-                }
-                // Pads (Zone 2) will send NoteOff when person exits (handled above)
-              }
-            });
-          } else {
-            // MIDI DISABLED: Activate trigger immediately (no quantization, no MIDI notes)
-            // This ensures floor FBO visual effects still work
-            triggerZones.activateTrigger(triggerId, personId);
-
-            // Store visual parameters for shader visualization (no weight applied when MIDI disabled)
-            trigger.lastVelocity = normalizedVelocity;
-            trigger.lastXPosition = normalizedXPosition;
-            trigger.lastXDirection = this.direction;
-          }
-        }
-
-        this.currentTrigger = trigger;
-      }
-    }
+    return distanceOutside;
+  }
 
+  /**
+   * Color each slice by whether any camera can see it (amber when only seen with low depth confidence)
+   * @param {Array} sliceVisibility - Optional array to fill with { cameras, inView, confident } per slice for TrackingMetrics
+   *   (checks every camera instead of stopping at the first one that sees the slice)
+   */
+  updateVisibility(cameras, allPeople, sliceVisibility = null) {
     // Check visibility for each slice from all cameras
     if (cameras && cameras.length > 0) {
       for (let i = 0; i < this.slices.length; i++) {
@@ -397,18 +323,40 @@ export class Person {
         const sliceWorldPos = new THREE.Vector3();
         slice.getWorldPosition(sliceWorldPos);
 
-        // Check if this slice is visible from any camera
+        // Check if this slice is visible from any camera, and if any of them measures its depth well
         let sliceVisible = false;
-        for (const cam of cameras) {
-          if (isSliceVisibleToCamera(sliceWorldPos, slice, this, cam, allPeople)) {
-            sliceVisible = true;
-            break;
+        let sliceConfident = false;
+        if (sliceVisibility) {
+          const seenBy = [];
+          let inView = false;
+          cameras.forEach((cam, index) => {
+            if (!pointInFrustum3D(sliceWorldPos, cam)) return;
+            inView = true;
+            if (isSliceVisibleToCamera(sliceWorldPos, slice, this, cam, allPeople)) {
+              seenBy.push(index);
+              if (getPointDepthConfidence(sliceWorldPos, cam) === DEPTH_CONFIDENCE.GOOD) sliceConfident = true;
+            }
+          });
+          sliceVisibility.push({ cameras: seenBy, inView, confident: sliceConfident });
+          sliceVisible = seenBy.length > 0;
+        } else {
+          // A low-confidence view keeps looking for a better camera
+          for (const cam of cameras) {
+            if (isSliceVisibleToCamera(sliceWorldPos, slice, this, cam, allPeople)) {
+              sliceVisible = true;
+              if (getPointDepthConfidence(sliceWorldPos, cam) === DEPTH_CONFIDENCE.GOOD) {
+                sliceConfident = true;
+                break;
+              }
+            }
           }
         }
 
         // Update color based on visibility
-        if (sliceVisible) {
+        if (sliceConfident) {
           slice.material.color.setHex(0x22ff66); // Green if visible
+        } else if (sliceVisible) {
+          slice.material.color.setHex(0xffaa22); // Amber if only seen with low depth confidence
         } else {
           slice.material.color.setHex(0xff4466); // Red if not visible
         }
@@ -417,19 +365,35 @@ export class Person {
       // No cameras - all slices are red (not visible)
       for (let i = 0; i < this.slices.length; i++) {
         this.slices[i].material.color.setHex(0xff4466);
+        if (sliceVisibility) sliceVisibility.push({ cameras: [], inView: false, confident: false });
       }
     }
+  }
 
-    // Update label
+  /**
+   * Move to a recorded state without simulating (replay mode)
+   * Trigger and MIDI events are driven separately from the recording
+   */
+  applyState(state, cameras, allPeople) {
+    this.setState(state);
+    this.updateVisibility(cameras, allPeople);
     this.updateLabel();
   }
 
+  /**
+   * Move to a given state (position, heading, speed) and update opacity and scene position
+   */
+  setState(state) {
+    super.setState(state);
+    this.group.position.set(this.xOffset, 0.005, this.z - this.hallway.length_m / 2);
+  }
+
   remove(midiManager = null) {
     // Send NoteOff for all active notes before removing
     if (midiManager && this.activeNotes.length > 0) {
       console.log(`[MIDI] Person ${this.id} leaving - sending ${this.activeNotes.length} Note-Offs`);
-      this.activeNotes.forEach(({ note, channel }) => {
-        midiManager.sendNoteOff(note, channel);
+      this.activeNotes.forEach(({ note, channel, time, source }) => {
+        midiManager.sendNoteOff(note, channel, time, source);
         console.log(`[MIDI] Cleanup NoteOff: Ch${channel} Note${note} (Person ${this.id} removed)`);
       });
       this.activeNotes = [];
@@ -442,97 +406,365 @@ export class Person {
   }
 }
 
-export class PeopleManager {
+export class PeopleManager extends CrowdModel {
   constructor(scene, hallway) {
+    super(hallway);
     this.scene = scene;
-    this.hallway = hallway;
-    this.people = [];
-    this.enabled = false;
-    this.count = 3; // Number of people to maintain
 
-    this.nextSpawnTime = 0;
-    this.spawnInterval = 4; // Spawn a new person every 4 seconds on average
+    // TrackingMetrics for measured runs (see setMetrics)
+    this.metrics = null;
+
+    // Simulation worker (see setThread) and the frames it sent that haven't been shown yet
+    this.thread = null;
+    this.frames = [];
+    this.sentTriggerZones = null;
+    this.sentLayoutVersion = null;
+    this.sentSchedule = null;
+  }
+
+  createPerson(opts) {
+    return new Person(this.hallway, opts);
+  }
+
+  /**
+   * Collect visibility statistics from everyone's visibility pass (null to stop)
+   */
+  setMetrics(metrics) {
+    this.metrics = metrics;
+    this.people.forEach(person => { person.metrics = metrics; });
+  }
+
+  /**
+   * Simulate in a worker (SimulationThread, see simulation-worker.js) instead of in update() - null to simulate here
+   * The worker runs a little ahead of real time: trigger hits are put on the clock as its frames arrive
+   * (receiveFrames()) and update() shows each frame's positions once its time comes.
+   * Restart afterwards - the worker starts with an empty hallway.
+   */
+  setThread(thread) {
+    this.thread = thread;
+    this.frames = [];
+    this.sentTriggerZones = null;
+    this.sentLayoutVersion = null;
+    this.sentSchedule = null;
+
+    if (thread) {
+      thread.send('settings', { enabled: this.enabled, count: this.count, crowd: this.crowd.settings });
+    }
   }
 
   setEnabled(enabled) {
-    this.enabled = enabled;
-    if (enabled) {
-      this.createInitialPeople();
-    } else {
-      this.removeAllPeople();
+    if (!this.thread) {
+      super.setEnabled(enabled);
+      return;
     }
+
+    this.enabled = enabled;
+    this.thread.send('settings', { enabled });
+    if (!enabled) this.removeAllPeople();
   }
 
   setCount(count) {
-    this.count = count;
+    super.setCount(count);
+    if (this.thread) this.thread.send('settings', { count });
+  }
+
+  setCrowdSettings(settings) {
+    super.setCrowdSettings(settings);
+    if (this.thread) this.thread.send('settings', { crowd: this.crowd.settings });
   }
 
   setLateralMovement(enabled) {
-    this.people.forEach(person => {
-      person.lateralMovementEnabled = enabled;
+    super.setLateralMovement(enabled);
+    if (this.thread) this.thread.send('lateralMovement', { enabled });
+  }
+
+  /**
+   * Spawn one person at a floor position (hallway meters, as Person.getState())
+   * @param {number} direction - 1 = towards the far end, -1 = towards the near end
+   * @param {number} speed - Walking speed in m/s (random 0.4-1.6 if null)
+   * @returns {Person|Promise<Person>} - A promise while simulating in a worker (it picks the ID)
+   */
+  spawnPersonAt(x, z, direction = 1, speed = null) {
+    if (!this.thread) return super.spawnPersonAt(x, z, direction, speed);
+
+    return this.thread.request('spawn', { x, z, direction, speed }).then(({ state }) => {
+      const existing = this.people.find(person => person.id === state.id);
+      return existing || this.addPersonFromState(state);
     });
   }
 
-  createInitialPeople() {
-    // Spawn initial people - spread them out at the hallway ends
-    const peoplePerEnd = Math.ceil(this.count / 2);
+  addPerson(person) {
+    super.addPerson(person);
+    person.metrics = this.metrics;
+    this.scene.add(person.group);
+  }
 
-    for (let i = 0; i < this.count; i++) {
-      // Alternate spawning at near and far ends
-      const spawnAtNear = (i % 2) === 0;
-      this.spawnPersonAtEnd(spawnAtNear);
-    }
+  removePerson(index, midiManager = null) {
+    const person = this.people[index];
+    person.remove(midiManager); // Send Note-Offs
+    this.scene.remove(person.group);
+    super.removePerson(index);
   }
 
-  spawnPersonAtEnd(atNearEnd) {
-    const { width_m, length_m } = this.hallway;
+  /**
+   * Clear everyone and spawn a fresh crowd (call after re-seeding the RNG for a reproducible run)
+   * @param {number} seed - Seed for the simulation worker's own RNG (null carries on its sequence)
+   */
+  restart(midiManager = null, seed = null) {
+    if (!this.thread) {
+      super.restart(midiManager);
+      return;
+    }
+
+    this.removeAllPeople(midiManager);
+    this.frames = [];
+    this.thread.restart({ seed, hallway: serializeGeometry(this.hallway) });
+  }
 
-    // Spawn well outside the hallway (2-3m outside, beyond fade distance)
-    const spawnDistance = 2.0 + Math.random() * 1.0;
-    const startZ = atNearEnd ? -spawnDistance : length_m + spawnDistance;
-    const direction = atNearEnd ? 1 : -1;
+  /**
+   * Forget everyone's current trigger and stop their notes (call when the trigger layout changes)
+   * People standing in a trigger of the new layout re-enter it on the next update
+   */
+  releaseTriggers(midiManager = null) {
+    for (const person of this.people) {
+      if (midiManager) {
+        person.activeNotes.forEach(({ note, channel, time, source }) => midiManager.sendNoteOff(note, channel, time, source));
+      }
+      person.activeNotes = [];
+      if (person.triggerVisit) person.triggerVisit.exitTime = -Infinity;
+    }
+    super.releaseTriggers();
 
-    // Random x position across hallway width
-    const xOffset = (Math.random() - 0.5) * width_m * 0.8; // Stay within 80% of width
-    const speed = 0.4 + Math.random() * 1.2; // Speed variation (0.4-1.6 m/s)
+    if (this.thread) this.thread.send('releaseTriggers');
+  }
 
-    const person = new Person(this.hallway, { startZ, speed, xOffset });
-    person.direction = direction;
+  /**
+   * Replay mode: match the crowd to a recorded frame instead of simulating
+   * People are created/removed by ID so they keep their identity across frames
+   * @param {Array} states - Person states from captureState()
+   */
+  applyFrame(states, cameras = []) {
+    const byId = this.syncPeople(states);
 
-    this.people.push(person);
-    this.scene.add(person.group);
+    for (const state of states) {
+      byId.get(state.id).applyState(state, cameras, this.people);
+    }
   }
 
-  update(deltaTime, cameras = [], triggerZones = null, clockManager = null, midiManager = null) {
+  /**
+   * Tracking mode: people come from an external tracker instead of the simulation
+   * They trigger zones and MIDI exactly like simulated people, but never move on their own
+   * @param {Array} states - Person states (see tracking-protocol.js blobToPersonState())
+   */
+  updateTracked(states, cameras = [], triggerZones = null, clockManager = null, midiManager = null) {
     if (!this.enabled) return;
 
-    // Update existing people (pass all required systems)
-    this.people.forEach(person => person.update(deltaTime, cameras, this.people, triggerZones, clockManager, midiManager));
+    const byId = this.syncPeople(states, triggerZones, midiManager);
+
+    for (const state of states) {
+      const person = byId.get(state.id);
+      person.setState(state);
+      if (triggerZones) {
+        person.updateTriggers(triggerZones, clockManager, midiManager);
+      }
+      person.updateVisibility(cameras, this.people);
+      person.updateLabel();
+    }
+  }
+
+  /**
+   * Frames from the simulation worker, as they arrive (ahead of their time)
+   * Crowd changes and trigger hits are applied now, so notes are scheduled for the slot after each hit
+   * however busy this thread is; positions wait for update()
+   * @param {Array} frames - [{ time, people, events, crowdTime, scheduleHour }] with times in performance.now() ms
+   */
+  receiveFrames(frames, triggerZones = null, clockManager = null, midiManager = null) {
+    if (!this.thread || !this.enabled) return;
+
+    for (const frame of frames) {
+      const byId = this.syncPeople(frame.people, triggerZones, midiManager);
+
+      for (const event of frame.events) {
+        const person = byId.get(event.personId);
+        if (!person || !triggerZones) continue;
+
+        if (event.type === 'triggerExit') {
+          // Unless the trigger was already released (layout change)
+          if (person.currentTrigger && person.currentTrigger.id === event.triggerId) {
+            person.exitTrigger(person.currentTrigger, triggerZones, clockManager, midiManager, event.time);
+            person.currentTrigger = null;
+          }
+        } else if (event.type === 'triggerEnter') {
+          const trigger = triggerZones.triggers[event.triggerId];
+          if (trigger) {
+            person.enterTrigger(trigger, triggerZones, clockManager, midiManager, event);
+            person.currentTrigger = trigger;
+          }
+        }
+      }
+
+      this.frames.push(frame);
+    }
+  }
+
+  /**
+   * Show the latest worker frame that's due, and send the worker what changed here since last time
+   */
+  updateFromThread(deltaTime, cameras, triggerZones) {
+    this.syncThread(triggerZones);
+
+    const now = performance.now();
+    let frame = null;
+    while (this.frames.length > 0 && this.frames[0].time <= now) {
+      frame = this.frames.shift();
+    }
+
+    if (frame) {
+      const byId = new Map(this.people.map(person => [person.id, person]));
+      frame.people.forEach(state => {
+        const person = byId.get(state.id);
+        if (person) person.setState(state);
+      });
+
+      // Mirrors for the rush hour and schedule displays
+      this.crowd.time = frame.crowdTime;
+      if (this.schedule && frame.scheduleHour !== null) this.schedule.hour = frame.scheduleHour;
+    }
+
+    this.people.forEach(person => person.updateView(cameras, this.people, deltaTime));
+
+    if (this.metrics) {
+      this.metrics.tick(deltaTime);
+    }
+  }
+
+  // The trigger layout and traffic schedule change without going through PeopleManager (editors, GUI bindings)
+  syncThread(triggerZones) {
+    const layoutVersion = triggerZones ? triggerZones.layoutVersion : null;
+    if (triggerZones !== this.sentTriggerZones || layoutVersion !== this.sentLayoutVersion) {
+      this.thread.send('layout', { layout: triggerZones ? triggerZones.getLayout() : null });
+      this.sentTriggerZones = triggerZones;
+      this.sentLayoutVersion = layoutVersion;
+    }
+
+    if (this.schedule) {
+      const { enabled, running, dayMinutes, trafficScale, maxPeople, startHour } = this.schedule;
+      const schedule = { enabled, running, dayMinutes, trafficScale, maxPeople, startHour };
+      const key = JSON.stringify(schedule);
+      if (key !== this.sentSchedule) {
+        this.thread.send('settings', { schedule });
+        this.sentSchedule = key;
+      }
+    }
+  }
+
+  /**
+   * Create/remove people so the crowd matches a list of states by ID
+   * People who vanish release their trigger and notes (a tracked visitor can drop out mid-hallway)
+   * @returns {Map} - ID -> Person for every state
+   */
+  syncPeople(states, triggerZones = null, midiManager = null) {
+    const ids = new Set(states.map(state => state.id));
 
-    // Remove people who have exited
     for (let i = this.people.length - 1; i >= 0; i--) {
-      if (this.people[i].shouldRemove) {
-        this.people[i].remove(midiManager); // Pass midiManager to send Note-Offs
-        this.scene.remove(this.people[i].group);
-        this.people.splice(i, 1);
+      const person = this.people[i];
+      if (!ids.has(person.id)) {
+        if (triggerZones && person.currentTrigger) {
+          triggerZones.deactivateTrigger(person.currentTrigger.id, person.id);
+        }
+        this.removePerson(i, midiManager);
       }
     }
 
-    // Spawn new people to maintain population
-    this.nextSpawnTime -= deltaTime;
-    if (this.nextSpawnTime <= 0 && this.people.length < this.count) {
-      // Randomly choose to spawn at near end or far end
-      const spawnAtNear = Math.random() < 0.5;
-      this.spawnPersonAtEnd(spawnAtNear);
-      this.nextSpawnTime = this.spawnInterval * (0.7 + Math.random() * 0.6); // 2.8-5.2s
+    const byId = new Map(this.people.map(person => [person.id, person]));
+    for (const state of states) {
+      if (!byId.has(state.id)) {
+        byId.set(state.id, this.addPersonFromState(state));
+      }
     }
+
+    return byId;
   }
 
-  removeAllPeople(midiManager = null) {
-    this.people.forEach(person => {
-      person.remove(midiManager); // Pass midiManager to send Note-Offs
-      this.scene.remove(person.group);
+  // Someone we only know from a state (replay, tracking, simulation worker)
+  addPersonFromState(state) {
+    const person = new Person(this.hallway, {
+      id: state.id,
+      sliceCount: state.sliceCount,
+      radius: state.radius !== undefined ? state.radius : null,
+      ...floorToPath(this.hallway, state.x, state.z),
+      speed: state.speed
     });
-    this.people.length = 0;
+    person.direction = state.direction;
+    this.addPerson(person);
+    return person;
+  }
+
+  /**
+   * Generate static crowd snapshots using the same distributions as spawned people
+   * (along the path within 80% of the corridor width, 4-8 slices tall). The live crowd, if any, is the first frame.
+   * Used to score camera layouts without running the simulation.
+   * @param {number} frameCount - Number of snapshots to return
+   * @returns {Array} - Frames of { x, z, sliceCount, sliceHeight, radius } (z from 0 to length_m)
+   */
+  sampleCrowdFrames(frameCount = 24) {
+    const pathLength = getPathLength(this.hallway);
+    const frames = [];
+
+    const live = this.people
+      .filter(person => person.progress >= 0 && person.progress <= pathLength)
+      .map(person => ({
+        x: person.xOffset,
+        z: person.z,
+        sliceCount: person.sliceCount,
+        sliceHeight: person.sliceHeight,
+        radius: person.radius
+      }));
+    if (live.length > 0) frames.push(live);
+
+    const count = Math.max(1, this.count);
+    while (frames.length < frameCount) {
+      const frame = [];
+      for (let i = 0; i < count; i++) {
+        const sliceCount = randomSliceCount(Math.random);
+        const progress = Math.random() * pathLength;
+        const limits = getLateralLimits(this.hallway, progress);
+        const floor = pathToFloor(this.hallway, progress, limits.min + Math.random() * (limits.max - limits.min));
+        frame.push({
+          x: floor.x,
+          z: floor.z,
+          sliceCount,
+          sliceHeight: SLICE_HEIGHT,
+          radius: radiusForHeight(sliceCount * SLICE_HEIGHT)
+        });
+      }
+      frames.push(frame);
+    }
+
+    return frames;
+  }
+
+  update(deltaTime, cameras = [], triggerZones = null, clockManager = null, midiManager = null) {
+    if (!this.enabled) return;
+
+    if (this.thread) {
+      this.updateFromThread(deltaTime, cameras, triggerZones);
+      return;
+    }
+
+    // Crowd behaviors steer everyone before they move
+    this.crowd.update(this.people, deltaTime);
+
+    // Update existing people (pass all required systems)
+    this.people.forEach(person => person.update(deltaTime, cameras, this.people, triggerZones, clockManager, midiManager));
+
+    // Remove people who have exited (sends their Note-Offs)
+    this.removeDeparted(midiManager);
+
+    if (this.metrics) {
+      this.metrics.tick(deltaTime);
+    }
+
+    this.spawn(deltaTime);
   }
 }
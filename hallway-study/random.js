@@ -0,0 +1,42 @@
+/**
+ * Seeded Random - Reproducible random numbers for the people simulation
+ *
+ * Drop-in replacement for Math.random() (mulberry32 generator).
+ * Re-seeding restarts the sequence, so a simulation restarted with the same
+ * seed and a fixed timestep spawns and moves people identically.
+ */
+
+let seed = 0;
+let state = 0;
+
+/**
+ * Reset the generator to a seed (32-bit unsigned integer)
+ */
+export function setRandomSeed(value) {
+  seed = value >>> 0;
+  state = seed;
+}
+
+export function getRandomSeed() {
+  return seed;
+}
+
+/**
+ * Pick a fresh seed (for "new run" buttons and startup)
+ */
+export function makeRandomSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+/**
+ * Next number in [0, 1) - same contract as Math.random()
+ */
+export function random() {
+  state = (state + 0x6d2b79f5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+setRandomSeed(makeRandomSeed());
@@ -0,0 +1,191 @@
+/**
+ * Simulation Recorder - Capture and replay people simulation runs
+ *
+ * SimulationRecorder stores every person's movement state per simulation tick
+ * plus the trigger/MIDI events people emit, and serializes them to a JSON file.
+ * SimulationPlayer reads that file back and steps through it at any speed, so a
+ * run can be paused, scrubbed and replayed through the same floor and MIDI outputs.
+ *
+ * Event types (each has t, type, personId):
+ * - triggerEnter / triggerExit: { triggerId }
+ * - triggerActivate: { triggerId, velocity, xPosition, xDirection } (floor visual fired)
+ * - noteOn: { note, velocity, channel, source } (source = routing matrix source, e.g. 'zone:1')
+ * - noteOff: { note, channel, source }
+ */
+
+export const RECORDING_FORMAT = 'hallway-study-recording';
+export const RECORDING_VERSION = 1;
+
+// Keep files small - millimetre precision is plenty
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+}
+
+function roundState(state) {
+  const rounded = {};
+  for (const key in state) {
+    rounded[key] = round(state[key]);
+  }
+  return rounded;
+}
+
+export class SimulationRecorder {
+  constructor(hallway) {
+    this.hallway = hallway;
+    this.recording = false;
+    this.time = 0;
+    this.seed = null;
+    this.frames = [];
+    this.events = [];
+    this.startedAt = null;
+  }
+
+  /**
+   * Start a new recording
+   * @param {number} seed - RNG seed the simulation was restarted with
+   */
+  start(seed) {
+    this.recording = true;
+    this.time = 0;
+    this.seed = seed;
+    this.frames = [];
+    this.events = [];
+    this.startedAt = new Date().toISOString();
+    console.log(`[Recorder] Recording started (seed ${seed})`);
+  }
+
+  /**
+   * Advance recording time - call at the start of each simulation tick
+   * so events emitted during the tick are stamped with its time
+   */
+  beginTick(deltaTime) {
+    if (!this.recording) return;
+    this.time += deltaTime;
+  }
+
+  /**
+   * Store the crowd state at the end of a tick
+   * @param {Array} states - From PeopleManager.captureState()
+   */
+  captureFrame(states) {
+    if (!this.recording) return;
+    this.frames.push({
+      t: round(this.time),
+      people: states.map(roundState)
+    });
+  }
+
+  recordEvent(type, data) {
+    if (!this.recording) return;
+    this.events.push({ t: round(this.time), type, ...roundState(data) });
+  }
+
+  /**
+   * Stop recording
+   * @returns {object} - Recording (see toRecording())
+   */
+  stop() {
+    this.recording = false;
+    console.log(`[Recorder] Recording stopped - ${this.frames.length} frames, ${this.events.length} events, ${this.time.toFixed(1)}s`);
+    return this.toRecording();
+  }
+
+  toRecording() {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      seed: this.seed,
+      recordedAt: this.startedAt,
+      hallway: { ...this.hallway },
+      duration: round(this.time),
+      frames: this.frames,
+      events: this.events
+    };
+  }
+}
+
+export class SimulationPlayer {
+  /**
+   * @param {object} recording - Parsed recording file
+   * @throws {Error} - If the data isn't a recording this version can play
+   */
+  constructor(recording) {
+    if (!recording || recording.format !== RECORDING_FORMAT) {
+      throw new Error('Not a hallway study recording');
+    }
+    if (recording.version !== RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version ${recording.version}`);
+    }
+    if (!Array.isArray(recording.frames) || recording.frames.length === 0) {
+      throw new Error('Recording has no frames');
+    }
+
+    this.recording = recording;
+    this.frames = recording.frames;
+    this.events = recording.events || [];
+    this.duration = recording.duration;
+
+    this.time = 0;
+    this.playing = false;
+    this.speed = 1.0;
+  }
+
+  /**
+   * Advance playback time (no-op while paused)
+   * @returns {Array} - Events that happened during this step, in order
+   */
+  advance(deltaTime) {
+    if (!this.playing) return [];
+
+    const previousTime = this.time;
+    this.time = Math.min(this.duration, this.time + deltaTime * this.speed);
+
+    if (this.time >= this.duration) {
+      this.playing = false;
+      console.log('[Player] Reached end of recording');
+    }
+
+    return this.getEventsBetween(previousTime, this.time);
+  }
+
+  /**
+   * Jump to a time without firing the events in between
+   */
+  seek(time) {
+    this.time = Math.max(0, Math.min(this.duration, time));
+  }
+
+  /**
+   * Latest frame at or before the current time
+   */
+  getFrame() {
+    let lo = 0;
+    let hi = this.frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.frames[mid].t <= this.time) lo = mid;
+      else hi = mid - 1;
+    }
+    return this.frames[lo];
+  }
+
+  /**
+   * Events with from < t <= to
+   */
+  getEventsBetween(from, to) {
+    // First event after `from` (events are stored in time order)
+    let lo = 0;
+    let hi = this.events.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.events[mid].t <= from) lo = mid + 1;
+      else hi = mid;
+    }
+
+    const result = [];
+    for (let i = lo; i < this.events.length && this.events[i].t <= to; i++) {
+      result.push(this.events[i]);
+    }
+    return result;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Simulation Thread - The page's end of the simulation worker (simulation-worker.js)
+ *
+ * PeopleManager.setThread() hands the crowd to it: settings go to the worker, and frames come
+ * back through onFrames with their times (and their events' times) in this page's performance.now().
+ * Frames from before the last restart are dropped, so a restarted crowd never mixes with the old one.
+ */
+
+export class SimulationThread {
+  constructor() {
+    this.worker = new Worker('simulation-worker.js', { type: 'module' });
+    this.run = 0; // Bumped by every restart
+    this.requests = new Map(); // requestId -> { resolve, reject }
+    this.nextRequestId = 1;
+
+    // Called with an array of frames: [{ time, people, events, crowdTime, scheduleHour }]
+    this.onFrames = null;
+
+    this.worker.onmessage = (e) => {
+      const { type, data } = e.data;
+      if (type === 'frames') {
+        this.receiveFrames(data);
+      } else if (type === 'reply') {
+        this.receiveReply(data);
+      }
+    };
+    this.worker.onerror = (error) => {
+      console.error('[Worker Sim] Simulation worker error:', error);
+    };
+  }
+
+  send(type, data = {}) {
+    this.worker.postMessage({ type, data });
+  }
+
+  /**
+   * Fresh crowd in the worker
+   * @param {object} options - { seed, hallway } - seed re-seeds the worker's RNG (null carries on), hallway is serialized geometry
+   */
+  restart({ seed = null, hallway }) {
+    this.run++;
+    this.send('restart', { run: this.run, seed, hallway });
+  }
+
+  /**
+   * Ask the worker to do something that answers (spawn)
+   * @returns {Promise} - Resolves with the worker's result, rejects with its error
+   */
+  request(name, args) {
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.requests.set(requestId, { resolve, reject });
+      this.send('request', { requestId, name, args });
+    });
+  }
+
+  receiveFrames({ run, frames }) {
+    if (run !== this.run || !this.onFrames) return;
+
+    // Worker clock (performance.timeOrigin + now) -> this page's performance.now()
+    const origin = performance.timeOrigin;
+    frames.forEach(frame => {
+      frame.time -= origin;
+      frame.events.forEach(event => { event.time -= origin; });
+    });
+    this.onFrames(frames);
+  }
+
+  receiveReply({ requestId, result, error }) {
+    const request = this.requests.get(requestId);
+    if (!request) return;
+
+    this.requests.delete(requestId);
+    if (error !== undefined) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  terminate() {
+    this.worker.terminate();
+    this.requests.forEach(({ reject }) => reject(new Error('Simulation worker stopped')));
+    this.requests.clear();
+  }
+}
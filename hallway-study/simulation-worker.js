@@ -0,0 +1,164 @@
+// Web Worker for the people simulation
+// Walks the crowd and hit-tests the trigger layout (people-model.js) off the main thread, at a fixed
+// 30Hz step kept LEAD_MS ahead of real time. The page shows each frame when its time comes and puts
+// trigger hits on the MIDI clock as soon as they arrive, so rendering hitches shorter than the lead
+// don't move notes off their slot. Notes are still sent by the page - workers have no Web MIDI or Web Audio.
+// Loaded as a module worker through SimulationThread (simulation-thread.js)
+//
+// Page -> worker ({ type, data }):
+//   settings         { enabled, count, crowd, schedule } - any of them
+//   layout           { layout } - trigger layout (trigger-layout.js), null when the floor is off
+//   restart          { run, seed, hallway } - fresh crowd on this geometry; a seed re-seeds the RNG and person IDs
+//   lateralMovement  { enabled }
+//   releaseTriggers  - forget who stands on which trigger (layout changed)
+//   request          { requestId, name: 'spawn', args: { x, z, direction, speed } } - answered with reply
+// Worker -> page:
+//   frames  { run, frames: [{ time, people, events, crowdTime, scheduleHour }] }
+//           time is performance.timeOrigin + performance.now() (ms) the frame stands for, people are
+//           getState() snapshots, events are triggerEnter/triggerExit (people-model.js) with type and time
+//   reply   { requestId, result } or { requestId, error }
+
+import { CrowdModel, resetPersonIds } from './people-model.js';
+import { TriggerZone } from './trigger-zones.js';
+import { TrafficSchedule } from './traffic-schedule.js';
+import { setRandomSeed } from './random.js';
+import { createRectangularGeometry, applyGeometry } from './hallway-geometry.js';
+
+const STEP_SECONDS = 1 / 30; // Matches simulation-timer-worker.js
+const STEP_MS = STEP_SECONDS * 1000;
+const LEAD_MS = 150; // How far ahead of real time frames are simulated
+const MAX_CATCH_UP_MS = 1000; // After a longer stall (suspended tab) skip ahead instead of fast-forwarding
+
+// Replaced by the page's geometry on restart
+const hallway = createRectangularGeometry(13.1064, 2.0574, 3.4538);
+const crowd = new CrowdModel(hallway);
+const schedule = new TrafficSchedule();
+crowd.setSchedule(schedule);
+
+let triggerZones = null;
+let run = 0;
+let simTime = now();
+let events = [];
+
+crowd.onEvent = (type, data) => {
+  events.push({ type, time: simTime, ...data });
+};
+
+// Same clock as the page's performance.timeOrigin + performance.now()
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+function step() {
+  simTime += STEP_MS;
+  events = [];
+  crowd.update(STEP_SECONDS, triggerZones);
+
+  return {
+    time: simTime,
+    people: crowd.captureState(),
+    events,
+    crowdTime: crowd.crowd.time,
+    scheduleHour: schedule.hour
+  };
+}
+
+setInterval(() => {
+  const target = now() + LEAD_MS;
+  if (target - simTime > MAX_CATCH_UP_MS) {
+    console.warn(`[Worker Sim] Fell ${Math.round(target - simTime)}ms behind - skipping ahead`);
+    simTime = target - STEP_MS;
+  }
+
+  const frames = [];
+  while (simTime + STEP_MS <= target) {
+    frames.push(step());
+  }
+  if (frames.length > 0) {
+    postMessage({ type: 'frames', data: { run, frames } });
+  }
+}, STEP_MS);
+
+function applySettings({ enabled, count, crowd: crowdSettings, schedule: scheduleSettings }) {
+  if (count !== undefined) crowd.setCount(count);
+  if (crowdSettings) crowd.setCrowdSettings(crowdSettings);
+  if (scheduleSettings) {
+    const { startHour, ...fields } = scheduleSettings;
+    Object.assign(schedule, fields);
+    if (startHour !== undefined && startHour !== schedule.startHour) schedule.setTime(startHour);
+  }
+  if (enabled !== undefined && enabled !== crowd.enabled) crowd.setEnabled(enabled);
+}
+
+function applyLayout(layout) {
+  if (!layout) {
+    triggerZones = null;
+    crowd.releaseTriggers();
+  } else if (!triggerZones) {
+    triggerZones = new TriggerZone(hallway, null, null, layout);
+    crowd.releaseTriggers();
+  } else {
+    // Shape edits keep the trigger objects - anything else rebuilds them
+    const triggers = triggerZones.triggers;
+    triggerZones.updateTriggerShapes(layout);
+    if (triggerZones.triggers !== triggers) crowd.releaseTriggers();
+  }
+}
+
+function restart({ run: newRun, seed, hallway: geometry }) {
+  run = newRun;
+  if (seed !== null && seed !== undefined) {
+    setRandomSeed(seed);
+    resetPersonIds();
+  }
+  if (geometry) applyGeometry(hallway, geometry);
+
+  crowd.restart();
+  simTime = now();
+  console.log(`[Worker Sim] Restarted${seed !== null && seed !== undefined ? ` with seed ${seed}` : ''}`);
+}
+
+const requests = {
+  spawn: ({ x, z, direction, speed }) => {
+    if (!crowd.enabled) throw new Error('People simulation is off');
+    const person = crowd.spawnPersonAt(x, z, direction, speed);
+    return { state: person.getState() };
+  }
+};
+
+// Listen for messages from main thread
+self.onmessage = (e) => {
+  const { type, data } = e.data;
+
+  switch (type) {
+    case 'settings':
+      applySettings(data);
+      break;
+
+    case 'layout':
+      applyLayout(data.layout);
+      break;
+
+    case 'restart':
+      restart(data);
+      break;
+
+    case 'lateralMovement':
+      crowd.setLateralMovement(data.enabled);
+      break;
+
+    case 'releaseTriggers':
+      crowd.releaseTriggers();
+      break;
+
+    case 'request':
+      try {
+        postMessage({ type: 'reply', data: { requestId: data.requestId, result: requests[data.name](data.args) } });
+      } catch (error) {
+        postMessage({ type: 'reply', data: { requestId: data.requestId, error: error.message } });
+      }
+      break;
+  }
+};
+
+console.log(`[Worker Sim] Simulation worker started - ${Math.round(1 / STEP_SECONDS)}Hz, ${LEAD_MS}ms ahead`);
@@ -0,0 +1,225 @@
+/**
+ * Synth Engine - Built-in Web Audio instruments for listening without a DAW
+ *
+ * Receives the same Note On/Off stream as MIDIManager (MIDIManager forwards it when
+ * midiManager.synth is set) and plays each trigger zone with its own instrument preset
+ * (zone.instrument in the trigger layout). Notes are scheduled with the same
+ * performance.now() timestamps the MIDI messages use, converted to audio context time.
+ *
+ * Modes:
+ * - 'auto': play only while no MIDI output is connected
+ * - 'always': play alongside MIDI
+ * - 'off': silent
+ */
+
+export const SYNTH_MODES = ['auto', 'always', 'off'];
+
+/**
+ * Instrument presets: oscillators (octave/detune relative to the note) -> filter -> amp envelope
+ * Envelope times in seconds, sustain as a fraction of the peak
+ */
+export const INSTRUMENT_PRESETS = {
+  bass: {
+    oscillators: [
+      { type: 'sawtooth', gain: 0.6 },
+      { type: 'square', octave: -1, gain: 0.4 }
+    ],
+    filter: { type: 'lowpass', frequency: 500, q: 6, envAmount: 1500 },
+    envelope: { attack: 0.005, decay: 0.25, sustain: 0.6, release: 0.1 },
+    gain: 0.5
+  },
+  pads: {
+    oscillators: [
+      { type: 'sawtooth', detune: -8, gain: 0.5 },
+      { type: 'sawtooth', detune: 8, gain: 0.5 },
+      { type: 'triangle', octave: 1, gain: 0.3 }
+    ],
+    filter: { type: 'lowpass', frequency: 1400, q: 1, envAmount: 400 },
+    envelope: { attack: 0.6, decay: 1.0, sustain: 0.7, release: 1.5 },
+    gain: 0.22
+  },
+  lead: {
+    oscillators: [
+      { type: 'square', gain: 0.6 },
+      { type: 'sawtooth', detune: 5, gain: 0.3 }
+    ],
+    filter: { type: 'lowpass', frequency: 2500, q: 3, envAmount: 2000 },
+    envelope: { attack: 0.01, decay: 0.15, sustain: 0.5, release: 0.2 },
+    gain: 0.28
+  },
+  keys: {
+    oscillators: [
+      { type: 'sine', gain: 0.7 },
+      { type: 'triangle', octave: 1, gain: 0.25 }
+    ],
+    filter: { type: 'lowpass', frequency: 4000, q: 0.7, envAmount: 0 },
+    envelope: { attack: 0.003, decay: 0.8, sustain: 0.25, release: 0.4 },
+    gain: 0.4
+  },
+  pluck: {
+    oscillators: [
+      { type: 'sawtooth', gain: 0.5 },
+      { type: 'square', octave: 1, gain: 0.2 }
+    ],
+    filter: { type: 'lowpass', frequency: 800, q: 8, envAmount: 3500 },
+    envelope: { attack: 0.002, decay: 0.3, sustain: 0, release: 0.15 },
+    gain: 0.35
+  }
+};
+
+export const INSTRUMENT_NAMES = Object.keys(INSTRUMENT_PRESETS);
+
+// Notes without a zone (test note, old recordings) use this
+const FALLBACK_INSTRUMENT = 'keys';
+
+// Oldest voices are cut off beyond this
+const MAX_VOICES = 32;
+
+export class SynthEngine {
+  /**
+   * @param {AudioContext} audioContext - Shared with ClockManager
+   * @param {Function} toAudioTime - performance.now() time (ms) -> audio context time (s)
+   */
+  constructor(audioContext, toAudioTime) {
+    this.audioContext = audioContext;
+    this.toAudioTime = toAudioTime;
+    this.mode = 'auto';
+
+    this.instruments = new Map(); // Source ('zone:1') -> preset name
+    this.voices = new Map(); // "channel:note" -> queue of sounding voices (oldest first)
+    this.voiceCount = 0;
+
+    // Master volume -> compressor (keeps stacked pads from clipping) -> speakers
+    this.compressor = audioContext.createDynamicsCompressor();
+    this.compressor.connect(audioContext.destination);
+    this.output = audioContext.createGain();
+    this.output.gain.value = 0.7;
+    this.output.connect(this.compressor);
+  }
+
+  setVolume(volume) {
+    this.output.gain.setTargetAtTime(volume, this.audioContext.currentTime, 0.02);
+  }
+
+  /**
+   * @param {object} instruments - { source: presetName }
+   */
+  setInstruments(instruments) {
+    this.instruments = new Map(Object.entries(instruments));
+  }
+
+  // Audio time for a MIDI timestamp (never in the past)
+  getStartTime(timestamp) {
+    const now = this.audioContext.currentTime;
+    if (timestamp === undefined) return now;
+    return Math.max(now, this.toAudioTime(timestamp));
+  }
+
+  noteOn(note, velocity, channel, timestamp = undefined, source = null) {
+    const presetName = (source && this.instruments.get(source)) || FALLBACK_INSTRUMENT;
+    const preset = INSTRUMENT_PRESETS[presetName] || INSTRUMENT_PRESETS[FALLBACK_INSTRUMENT];
+    const ctx = this.audioContext;
+    const when = this.getStartTime(timestamp);
+    const frequency = 440 * Math.pow(2, (note - 69) / 12);
+    const level = preset.gain * Math.max(0, Math.min(1, velocity / 127));
+    const { attack, decay, sustain } = preset.envelope;
+
+    const amp = ctx.createGain();
+    amp.gain.setValueAtTime(0, when);
+    amp.gain.linearRampToValueAtTime(level, when + attack);
+    amp.gain.setTargetAtTime(level * sustain, when + attack, decay / 3);
+    amp.connect(this.output);
+
+    // Filter opens with velocity, then settles back with the decay
+    const filter = ctx.createBiquadFilter();
+    filter.type = preset.filter.type;
+    filter.Q.value = preset.filter.q;
+    const cutoff = preset.filter.frequency;
+    filter.frequency.setValueAtTime(cutoff + preset.filter.envAmount * (velocity / 127), when);
+    filter.frequency.setTargetAtTime(cutoff, when + attack, decay / 3);
+    filter.connect(amp);
+
+    const oscillators = preset.oscillators.map(({ type, octave = 0, detune = 0, gain = 1 }) => {
+      const osc = ctx.createOscillator();
+      osc.type = type;
+      osc.frequency.value = frequency * Math.pow(2, octave);
+      osc.detune.value = detune;
+      const mix = ctx.createGain();
+      mix.gain.value = gain;
+      osc.connect(mix);
+      mix.connect(filter);
+      osc.start(when);
+      return osc;
+    });
+
+    // Clean up the whole voice once its oscillators stop
+    oscillators[0].onended = () => amp.disconnect();
+
+    const voice = { amp, oscillators, release: preset.envelope.release, started: when };
+    const key = `${channel}:${note}`;
+    if (!this.voices.has(key)) this.voices.set(key, []);
+    this.voices.get(key).push(voice);
+    this.voiceCount++;
+
+    if (this.voiceCount > MAX_VOICES) this.stealVoice();
+  }
+
+  noteOff(note, channel, timestamp = undefined) {
+    const key = `${channel}:${note}`;
+    const queue = this.voices.get(key);
+    if (!queue) return;
+
+    const voice = queue.shift();
+    if (queue.length === 0) this.voices.delete(key);
+    this.voiceCount--;
+
+    this.releaseVoice(voice, this.getStartTime(timestamp));
+  }
+
+  releaseVoice(voice, when) {
+    const gain = voice.amp.gain;
+    const releaseAt = Math.max(when, voice.started);
+
+    // Hold wherever the envelope is at release time, then fade out
+    if (gain.cancelAndHoldAtTime) {
+      gain.cancelAndHoldAtTime(releaseAt);
+    } else {
+      gain.cancelScheduledValues(releaseAt);
+    }
+    gain.setTargetAtTime(0, releaseAt, voice.release / 3);
+
+    const stopAt = releaseAt + voice.release * 2;
+    voice.oscillators.forEach(osc => osc.stop(stopAt));
+  }
+
+  // Release the voice that started first
+  stealVoice() {
+    let oldestKey = null;
+    let oldest = null;
+    for (const [key, queue] of this.voices) {
+      if (!oldest || queue[0].started < oldest.started) {
+        oldest = queue[0];
+        oldestKey = key;
+      }
+    }
+    if (!oldest) return;
+
+    const [channel, note] = oldestKey.split(':').map(Number);
+    this.noteOff(note, channel);
+  }
+
+  allNotesOff() {
+    const now = this.audioContext.currentTime;
+    for (const queue of this.voices.values()) {
+      queue.forEach(voice => this.releaseVoice(voice, now));
+    }
+    this.voices.clear();
+    this.voiceCount = 0;
+  }
+
+  dispose() {
+    this.allNotesOff();
+    this.output.disconnect();
+    this.compressor.disconnect();
+  }
+}
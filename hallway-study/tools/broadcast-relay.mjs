@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Broadcast Relay - The server hallway-study's WebSocket broadcast connects to (ws://localhost:8080)
+ *
+ *   node tools/broadcast-relay.mjs [--port 8080] [--record [dir]] [--replay file.jsonl] [--loop] [--speed 1]
+ *
+ * The hallway page connects and says hello (broadcast-protocol.js); every other connection is a
+ * subscriber. Subscribers use the page's protocol as if they were talking to the page itself:
+ * subscribe { topics, rate } picks their topics and people frame rate, and commands are passed on
+ * to the page with the ack/error routed back to whoever sent them. The relay asks the page for what
+ * its subscribers need together (all topics of anyone, the fastest rate).
+ *
+ * Each subscriber gets its own seq (so gaps still mean dropped messages); timestamps are the page's.
+ * Relay -> subscriber, besides the page's messages:
+ *   hello          { protocol, topics, commands, subscription, rates, relay: { source, recording, replay } }
+ *   relay_status   { source, recording, replay, subscribers }  - whenever the page connects or leaves
+ *
+ * --record saves every page session as JSON lines (default dir: hallway-study/recordings), one
+ *   { t, message } per line with t in ms since the page connected. Recording asks the page for all topics.
+ * --replay plays a recording to subscribers instead of a live page (no commands), starting when the
+ *   relay starts; --loop repeats it, --speed 2 plays it twice as fast.
+ *
+ * http://localhost:8080 serves monitor.html, which draws the feed on a floor map.
+ */
+
+import { createReadStream, createWriteStream, mkdirSync, readFileSync } from 'node:fs';
+import { dirname, join, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createInterface } from 'node:readline';
+import { createWebSocketServer } from './websocket-server.mjs';
+import {
+  PROTOCOL_NAME, TOPICS, MESSAGE_TOPICS, RATE_LIMITS, DEFAULT_SUBSCRIPTION,
+  createMessage, createHello, parseSubscription
+} from '../broadcast-protocol.js';
+
+const APP_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+function getOption(name, fallback = null) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = process.argv[index + 1];
+  return value !== undefined && !value.startsWith('--') ? value : true;
+}
+
+const port = parseInt(getOption('port'), 10) || 8080;
+const recordOption = getOption('record');
+const recordDir = recordOption === true ? join(APP_DIR, 'recordings') : recordOption;
+const replayFile = getOption('replay');
+const replayLoop = getOption('loop') === true;
+const replaySpeed = parseFloat(getOption('speed')) || 1;
+
+// Read a replay before listening, so a missing or bad file stops the relay with a usage error
+const replayEntries = replayFile ? await loadReplay(replayFile) : null;
+
+// Files the monitor page needs (served over plain HTTP)
+const STATIC_FILES = {
+  '/': ['monitor.html', 'text/html'],
+  '/monitor.html': ['monitor.html', 'text/html'],
+  '/monitor.js': ['monitor.js', 'text/javascript'],
+  '/broadcast-protocol.js': ['broadcast-protocol.js', 'text/javascript']
+};
+
+// People frames may come this much early and still count for a subscriber's rate (page timers jitter)
+const FRAME_TOLERANCE = 0.8;
+
+let source = null; // The hallway page
+const subscribers = new Set();
+const pendingCommands = new Map(); // Relay command id -> { client, id, command }
+let nextCommandId = 1;
+let latestMusicState = null; // Sent to new music subscribers right away
+
+let recording = null; // { stream, file, startTime }
+
+// ===== Subscribers =====
+
+function sendTo(client, message) {
+  client.send(JSON.stringify({ ...message, seq: ++client.seq }));
+}
+
+function reply(client, type, fields) {
+  client.send(JSON.stringify(createMessage(type, ++client.seq, fields)));
+}
+
+function getRelayInfo() {
+  return {
+    source: source !== null || replayFile !== null,
+    recording: recording ? basename(recording.file) : null,
+    replay: replayFile ? basename(replayFile) : null
+  };
+}
+
+function sendStatus() {
+  const status = { ...getRelayInfo(), subscribers: subscribers.size };
+  subscribers.forEach(client => reply(client, 'relay_status', status));
+}
+
+// Page message -> every subscriber with that topic (people frames at each one's own rate)
+function distribute(message) {
+  const topic = MESSAGE_TOPICS[message.type];
+  if (!topic) return;
+
+  if (message.type === 'music_state') latestMusicState = message;
+
+  const now = Date.now();
+  subscribers.forEach(client => {
+    if (!client.subscription.topics.includes(topic)) return;
+    if (topic === 'people') {
+      if (now - client.lastFrameTime < FRAME_TOLERANCE * 1000 / client.subscription.rate) return;
+      client.lastFrameTime = now;
+    }
+    sendTo(client, message);
+  });
+}
+
+function handleSubscriberMessage(client, message) {
+  if (message.type === 'subscribe') {
+    const { subscription, error } = parseSubscription(message);
+    if (error) {
+      reply(client, 'error', { message: error, request: 'subscribe' });
+      return;
+    }
+
+    client.subscription = subscription;
+    reply(client, 'subscribed', subscription);
+    if (latestMusicState && subscription.topics.includes('music')) sendTo(client, latestMusicState);
+    updateSourceSubscription();
+  } else if (message.type === 'command') {
+    const id = message.id !== undefined ? message.id : null;
+    if (!source) {
+      const reason = replayFile ? 'Replaying a recording - there is no page to control' : 'No hallway page connected';
+      reply(client, 'error', { id, command: message.command, message: reason, request: 'command' });
+      return;
+    }
+
+    // The page answers with our id - map it back to the sender's
+    const relayId = nextCommandId++;
+    pendingCommands.set(relayId, { client, id, command: message.command });
+    source.send(JSON.stringify({ ...message, id: relayId }));
+  }
+}
+
+// ===== Hallway page =====
+
+// Everything any subscriber wants (everything while recording)
+function updateSourceSubscription() {
+  if (!source) return;
+
+  const topics = new Set();
+  let rate = RATE_LIMITS.min;
+  subscribers.forEach(client => {
+    client.subscription.topics.forEach(topic => topics.add(topic));
+    rate = Math.max(rate, client.subscription.rate);
+  });
+  if (recording) {
+    TOPICS.forEach(topic => topics.add(topic));
+    rate = Math.max(rate, DEFAULT_SUBSCRIPTION.rate);
+  }
+  if (topics.size === 0) rate = DEFAULT_SUBSCRIPTION.rate;
+
+  source.send(JSON.stringify({ type: 'subscribe', topics: TOPICS.filter(topic => topics.has(topic)), rate }));
+}
+
+function handleSourceMessage(message) {
+  if ((message.type === 'ack' || message.request === 'command') && pendingCommands.has(message.id)) {
+    const { client, id } = pendingCommands.get(message.id);
+    pendingCommands.delete(message.id);
+    if (client.open) sendTo(client, { ...message, id });
+    return;
+  }
+  if (message.type === 'error') {
+    console.warn(`[Broadcast Relay] Page: ${message.message}`);
+    return;
+  }
+
+  if (recording && MESSAGE_TOPICS[message.type]) {
+    recording.stream.write(JSON.stringify({ t: Date.now() - recording.startTime, message }) + '\n');
+  }
+  distribute(message);
+}
+
+function attachSource(client) {
+  if (source) {
+    console.warn('[Broadcast Relay] Another hallway page connected - following the new one');
+    detachSource();
+  }
+
+  source = client;
+  subscribers.delete(client);
+  console.log(`[Broadcast Relay] Hallway page connected from ${client.address}`);
+
+  if (recordDir) startRecording();
+  updateSourceSubscription();
+  sendStatus();
+}
+
+function detachSource() {
+  source = null;
+  latestMusicState = null;
+  stopRecording();
+
+  // Commands the page never answered
+  pendingCommands.forEach(({ client, id, command }) => {
+    if (client.open) reply(client, 'error', { id, command, message: 'Hallway page disconnected', request: 'command' });
+  });
+  pendingCommands.clear();
+}
+
+// ===== Recording =====
+
+function startRecording() {
+  mkdirSync(recordDir, { recursive: true });
+  const file = join(recordDir, `hallway-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+  recording = { stream: createWriteStream(file), file, startTime: Date.now() };
+  console.log(`[Broadcast Relay] Recording to ${file}`);
+}
+
+function stopRecording() {
+  if (!recording) return;
+  recording.stream.end();
+  console.log(`[Broadcast Relay] Saved ${recording.file}`);
+  recording = null;
+}
+
+// ===== Replay =====
+
+async function loadRecording(file) {
+  const entries = [];
+  const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (!entry || typeof entry !== 'object') continue;
+      const { t, message } = entry;
+      if (Number.isFinite(t) && message && typeof message === 'object') entries.push({ t, message });
+    } catch (error) {
+      // Skip a torn last line (relay stopped mid-write)
+    }
+  }
+  return entries;
+}
+
+async function loadReplay(file) {
+  const fail = (problem) => {
+    console.error(`[Broadcast Relay] ${problem} - usage: --replay <recording.jsonl> [--loop] [--speed 2]`);
+    process.exit(1);
+  };
+
+  if (file === true) fail('--replay needs a recording file');
+  let entries;
+  try {
+    entries = await loadRecording(file);
+  } catch (error) {
+    fail(`Can't read ${file} (${error.code || error.message})`);
+  }
+  if (entries.length === 0) fail(`${file} has no recorded messages`);
+  return entries;
+}
+
+function playRecording(entries) {
+  const start = Date.now();
+  let index = 0;
+
+  // Timestamps are rewritten to now so latency readings stay meaningful
+  function next() {
+    const elapsed = (Date.now() - start) * replaySpeed;
+    while (index < entries.length && entries[index].t <= elapsed) {
+      distribute({ ...entries[index].message, timestamp: Date.now() });
+      index++;
+    }
+
+    if (index < entries.length) {
+      setTimeout(next, Math.max(0, (entries[index].t - elapsed) / replaySpeed));
+    } else if (replayLoop) {
+      console.log('[Broadcast Relay] Replay finished - looping');
+      setTimeout(() => playRecording(entries), 1000);
+    } else {
+      console.log('[Broadcast Relay] Replay finished');
+    }
+  }
+  next();
+}
+
+// ===== Server =====
+
+createWebSocketServer({
+  port,
+  onConnection: (client) => {
+    client.seq = 0;
+    client.subscription = { ...DEFAULT_SUBSCRIPTION };
+    client.lastFrameTime = 0;
+    subscribers.add(client);
+
+    // Until it says hello as the page, it's a subscriber
+    client.onmessage = (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        return;
+      }
+      if (!message || typeof message !== 'object') return;
+
+      if (client === source) {
+        handleSourceMessage(message);
+      } else if (message.type === 'hello' && message.protocol === PROTOCOL_NAME && !replayFile) {
+        attachSource(client);
+      } else {
+        handleSubscriberMessage(client, message);
+      }
+    };
+
+    client.onclose = () => {
+      if (client === source) {
+        console.log('[Broadcast Relay] Hallway page disconnected');
+        detachSource();
+      } else {
+        subscribers.delete(client);
+        console.log(`[Broadcast Relay] Subscriber left (${subscribers.size} connected)`);
+        updateSourceSubscription();
+      }
+      sendStatus();
+    };
+
+    client.send(JSON.stringify({ ...createHello(++client.seq, client.subscription), relay: getRelayInfo() }));
+    console.log(`[Broadcast Relay] Connection from ${client.address}`);
+  },
+  onRequest: (req, res) => {
+    const entry = STATIC_FILES[req.url.split('?')[0]];
+    if (!entry) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': entry[1] });
+    res.end(readFileSync(join(APP_DIR, entry[0])));
+  }
+});
+
+console.log(`[Broadcast Relay] ws://localhost:${port} - monitor at http://localhost:${port}`);
+
+if (replayEntries) {
+  console.log(`[Broadcast Relay] Replaying ${replayEntries.length} messages from ${replayFile}${replayLoop ? ' (looping)' : ''}`);
+  playRecording(replayEntries);
+}
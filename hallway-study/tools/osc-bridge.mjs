@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * OSC Bridge - Forwards OSC packets from the browser (WebSocket) to UDP
+ *
+ *   node tools/osc-bridge.mjs [wsPort] [udpHost] [udpPort]     (default 8091 127.0.0.1 9000)
+ *
+ * hallway-study's OSC output (osc-output-worker.js) sends every OSC packet as one binary
+ * WebSocket message; each one goes out unchanged as one UDP datagram to udpHost:udpPort,
+ * where the lighting or projection software listens. Several hosts can be given as a
+ * comma-separated list (192.168.1.20,192.168.1.21).
+ */
+
+import { createSocket } from 'node:dgram';
+import { createWebSocketServer } from './websocket-server.mjs';
+
+const wsPort = parseInt(process.argv[2], 10) || 8091;
+const udpHosts = (process.argv[3] || '127.0.0.1').split(',').map(host => host.trim()).filter(Boolean);
+const udpPort = parseInt(process.argv[4], 10) || 9000;
+
+// Largest UDP payload over IPv4
+const MAX_DATAGRAM_BYTES = 65507;
+
+const udp = createSocket('udp4');
+udp.on('error', (error) => console.error('[OSC Bridge] UDP error:', error.message));
+
+let packetCount = 0;
+let clientCount = 0;
+
+createWebSocketServer({
+  port: wsPort,
+  onConnection: (client) => {
+    clientCount++;
+    console.log(`[OSC Bridge] Page connected from ${client.address} (${clientCount} connected)`);
+
+    client.onbinary = (packet) => {
+      if (packet.length > MAX_DATAGRAM_BYTES) {
+        console.warn(`[OSC Bridge] Dropped a ${packet.length}-byte packet (too big for UDP)`);
+        return;
+      }
+      udpHosts.forEach(host => udp.send(packet, udpPort, host));
+      packetCount++;
+    };
+    client.onclose = () => {
+      clientCount--;
+      console.log(`[OSC Bridge] Page disconnected (${clientCount} connected)`);
+    };
+  }
+});
+
+// Packet rate, only while something is being forwarded
+setInterval(() => {
+  if (packetCount > 0) console.log(`[OSC Bridge] ${packetCount} packets in the last 10s`);
+  packetCount = 0;
+}, 10000);
+
+console.log(`[OSC Bridge] ws://localhost:${wsPort} → udp://${udpHosts.join(',')}:${udpPort}`);
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Simulate - Runs the people simulation headlessly, as fast as it goes
+ *
+ *   node tools/simulate.mjs [--document doc.json] [--seed 1234] [--minutes 60] [--record run.json]
+ *
+ * The page's crowd model (people-model.js) and trigger hit-testing at its fixed 30Hz step, without
+ * rendering or MIDI, so an hour-long soak test takes seconds. A document (File → Export JSON) supplies
+ * the hallway geometry, trigger layout and people settings; without one the defaults are used.
+ * The same seed gives the same run as the page's Restart With Seed.
+ *
+ * Prints population, arrivals and trigger hits per zone every simulated 10 minutes and at the end,
+ * with the slowest tick and memory use. Exits with code 1 if a person's position stops being a number.
+ *
+ * --record saves a recording for Record & Replay → Load Recording (simulation-recorder.js). Notes need
+ *   the page's clock and key, so it holds movement and floor activations only, as if MIDI were off.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { CrowdModel } from '../people-model.js';
+import { TriggerZone } from '../trigger-zones.js';
+import { TrafficSchedule } from '../traffic-schedule.js';
+import { mergeCrowdSettings } from '../crowd-behaviors.js';
+import { setRandomSeed, makeRandomSeed } from '../random.js';
+import { createRectangularGeometry, normalizeGeometry } from '../hallway-geometry.js';
+import { normalizeLayout, createDefaultLayout } from '../trigger-layout.js';
+import { SimulationRecorder } from '../simulation-recorder.js';
+
+const STEP_SECONDS = 1 / 30; // Matches the page's fixed timestep
+const REPORT_INTERVAL = 10 * 60; // Simulated seconds between progress lines
+
+function getOption(name, fallback = null) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = process.argv[index + 1];
+  return value !== undefined && !value.startsWith('--') ? value : true;
+}
+
+const documentFile = getOption('document');
+const seedOption = getOption('seed');
+const seed = seedOption !== null ? parseInt(seedOption, 10) >>> 0 : makeRandomSeed();
+const minutes = parseFloat(getOption('minutes')) || 10;
+const recordFile = getOption('record');
+
+if (recordFile === true) {
+  console.error('[Simulate] --record needs a file name');
+  process.exit(1);
+}
+
+// ===== Setup =====
+
+let doc = {};
+if (documentFile) {
+  try {
+    doc = JSON.parse(readFileSync(documentFile, 'utf8'));
+  } catch (error) {
+    console.error(`[Simulate] Can't read ${documentFile}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const hallway = doc.hallway ? normalizeGeometry(doc.hallway) : createRectangularGeometry(13.1064, 2.0574, 3.4538);
+const layout = doc.triggerLayout ? normalizeLayout(doc.triggerLayout) : createDefaultLayout(hallway);
+const triggerZones = new TriggerZone(hallway, null, null, layout);
+
+const people = doc.people || {};
+const schedule = new TrafficSchedule();
+if (people.schedule) {
+  for (const key of ['enabled', 'running', 'dayMinutes', 'trafficScale', 'maxPeople']) {
+    if (people.schedule[key] !== undefined) schedule[key] = people.schedule[key];
+  }
+  if (people.schedule.startHour !== undefined) schedule.setTime(people.schedule.startHour);
+}
+
+setRandomSeed(seed);
+
+const crowd = new CrowdModel(hallway);
+crowd.setCount(people.count !== undefined ? people.count : 3);
+crowd.setCrowdSettings(mergeCrowdSettings(people.crowd || null));
+crowd.setSchedule(schedule);
+crowd.setEnabled(true);
+if (people.lateralMovement === false) crowd.setLateralMovement(false);
+
+const recorder = new SimulationRecorder(hallway);
+if (recordFile) recorder.start(seed);
+
+// ===== Statistics =====
+
+const zoneHits = new Map(triggerZones.zones.map(zone => [zone.id, 0]));
+const seenIds = new Set();
+let triggerHits = 0;
+let peakPeople = 0;
+let peopleSum = 0;
+let slowestTick = 0;
+
+crowd.onEvent = (type, data) => {
+  if (type === 'triggerEnter') {
+    triggerHits++;
+    const trigger = triggerZones.triggers[data.triggerId];
+    zoneHits.set(trigger.zoneId, zoneHits.get(trigger.zoneId) + 1);
+
+    // What the page records with MIDI off - the floor lights on entry
+    recorder.recordEvent('triggerEnter', { personId: data.personId, triggerId: data.triggerId });
+    recorder.recordEvent('triggerActivate', {
+      personId: data.personId,
+      triggerId: data.triggerId,
+      velocity: data.normalizedVelocity,
+      xPosition: data.xPosition,
+      xDirection: data.direction
+    });
+  } else {
+    recorder.recordEvent(type, data);
+  }
+};
+
+function formatTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds / 60) % 60;
+  const s = Math.floor(seconds) % 60;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+function report(time) {
+  const zones = triggerZones.zones.map(zone => `${zone.name} ${zoneHits.get(zone.id)}`).join(', ');
+  console.log(`[Simulate] ${formatTime(time)} - ${crowd.people.length} people now, ${seenIds.size} arrivals, ` +
+    `${triggerHits} trigger hits (${zones})`);
+}
+
+// ===== Run =====
+
+const ticks = Math.round(minutes * 60 / STEP_SECONDS);
+const reportTicks = Math.round(REPORT_INTERVAL / STEP_SECONDS);
+const startTime = performance.now();
+console.log(`[Simulate] Seed ${seed}, ${minutes} simulated minutes (${ticks} ticks)${documentFile ? ` with ${documentFile}` : ''}`);
+
+for (let tick = 1; tick <= ticks; tick++) {
+  const tickStart = performance.now();
+  recorder.beginTick(STEP_SECONDS);
+  crowd.update(STEP_SECONDS, triggerZones);
+  slowestTick = Math.max(slowestTick, performance.now() - tickStart);
+
+  const states = crowd.captureState();
+  for (const state of states) {
+    if (!Number.isFinite(state.x) || !Number.isFinite(state.z)) {
+      console.error(`[Simulate] Person ${state.id} has an invalid position (${state.x}, ${state.z}) at ${formatTime(tick * STEP_SECONDS)}`);
+      process.exit(1);
+    }
+    seenIds.add(state.id);
+  }
+  recorder.captureFrame(states);
+
+  peakPeople = Math.max(peakPeople, states.length);
+  peopleSum += states.length;
+
+  if (tick % reportTicks === 0) report(tick * STEP_SECONDS);
+}
+
+const wallSeconds = (performance.now() - startTime) / 1000;
+if (ticks % reportTicks !== 0) report(ticks * STEP_SECONDS);
+console.log(`[Simulate] Population: peak ${peakPeople}, mean ${(peopleSum / Math.max(1, ticks)).toFixed(1)}`);
+console.log(`[Simulate] ${wallSeconds.toFixed(1)}s wall clock (${(minutes * 60 / Math.max(wallSeconds, 0.001)).toFixed(0)}× real time), ` +
+  `slowest tick ${slowestTick.toFixed(2)}ms, heap ${(process.memoryUsage().heapUsed / 1048576).toFixed(0)}MB`);
+
+if (recordFile) {
+  writeFileSync(recordFile, JSON.stringify(recorder.stop()));
+  console.log(`[Simulate] Saved recording to ${recordFile}`);
+}
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Tempo Relay - Shared tempo, beat phase and start/stop for pages on the same network
+ *
+ *   node tools/tempo-relay.mjs [port]     (default 8090)
+ *
+ * The relay owns one session timeline, kept in the relay's own clock (ms):
+ *   beat(t) = (t - origin) * bpm / 60000
+ * Pages (see network-sync.js) estimate their offset to the relay clock with ping/pong and
+ * follow the timeline. Bars are `quantum` beats long; pages line their bars up with
+ * beat 0, quantum, 2 * quantum...
+ *
+ * Messages (JSON text):
+ *   page -> relay: { type: 'hello', app }         Name shown in the relay log
+ *                  { type: 'ping', t0 }           Answered with { type: 'pong', t0, time }
+ *                  { type: 'tempo', bpm }         Change tempo (beat phase is kept)
+ *                  { type: 'start' } / { type: 'stop' }
+ *   relay -> page: { type: 'state', bpm, origin, quantum, playing, startBeat, peers }
+ *                  Sent on connect and whenever anything changes
+ */
+
+import { createWebSocketServer } from './websocket-server.mjs';
+
+const port = parseInt(process.argv[2], 10) || 8090;
+
+const BPM_MIN = 20;
+const BPM_MAX = 300;
+
+// A start lands on the first bar at least this far away, so every page can schedule it
+const START_LEAD_MS = 200;
+
+const clients = new Set();
+
+const session = {
+  bpm: 120,
+  origin: performance.now(), // Relay time of beat 0
+  quantum: 4, // Beats per bar
+  playing: true,
+  startBeat: 0 // Beat where the current run started
+};
+
+function beatAt(time) {
+  return (time - session.origin) * session.bpm / 60000;
+}
+
+function getState() {
+  return { type: 'state', ...session, peers: clients.size };
+}
+
+function broadcast(message) {
+  const text = JSON.stringify(message);
+  clients.forEach(client => client.send(text));
+}
+
+function setTempo(bpm) {
+  if (!Number.isFinite(bpm)) return false;
+  const clamped = Math.max(BPM_MIN, Math.min(BPM_MAX, bpm));
+  if (clamped === session.bpm) return false;
+
+  // Keep the current beat where it is and continue at the new tempo
+  const now = performance.now();
+  const beat = beatAt(now);
+  session.bpm = clamped;
+  session.origin = now - beat * 60000 / clamped;
+  return true;
+}
+
+function start() {
+  if (session.playing) return false;
+  const beat = beatAt(performance.now() + START_LEAD_MS);
+  session.playing = true;
+  session.startBeat = Math.ceil(beat / session.quantum) * session.quantum;
+  return true;
+}
+
+function stop() {
+  if (!session.playing) return false;
+  session.playing = false;
+  return true;
+}
+
+function handleMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    return;
+  }
+  if (!message || typeof message !== 'object') return;
+
+  switch (message.type) {
+    case 'ping':
+      client.send(JSON.stringify({ type: 'pong', t0: message.t0, time: performance.now() }));
+      return;
+    case 'hello':
+      client.app = String(message.app || 'page');
+      console.log(`[Tempo Relay] ${client.app} joined from ${client.address} (${clients.size} connected)`);
+      return;
+    case 'tempo':
+      if (setTempo(Number(message.bpm))) {
+        console.log(`[Tempo Relay] ${session.bpm} BPM (from ${client.app})`);
+        broadcast(getState());
+      }
+      return;
+    case 'start':
+      if (start()) {
+        console.log(`[Tempo Relay] ▶ Start at beat ${session.startBeat} (from ${client.app})`);
+        broadcast(getState());
+      }
+      return;
+    case 'stop':
+      if (stop()) {
+        console.log(`[Tempo Relay] ■ Stop (from ${client.app})`);
+        broadcast(getState());
+      }
+      return;
+    default:
+      return;
+  }
+}
+
+createWebSocketServer({
+  port,
+  onConnection: (client) => {
+    client.app = 'page';
+    clients.add(client);
+    client.onmessage = (text) => handleMessage(client, text);
+    client.onclose = () => {
+      clients.delete(client);
+      console.log(`[Tempo Relay] ${client.app} left (${clients.size} connected)`);
+      broadcast(getState());
+    };
+    broadcast(getState());
+  }
+});
+
+console.log(`[Tempo Relay] Listening on ws://localhost:${port} - ${session.bpm} BPM, ${session.quantum} beats per bar`);
@@ -0,0 +1,220 @@
+/**
+ * WebSocket Server - Minimal RFC 6455 server on Node's http module (no npm install needed)
+ *
+ * Text messages (JSON) and binary messages (OSC packets). Fragmented messages are
+ * reassembled and pings are answered.
+ *
+ *   const server = createWebSocketServer({
+ *     port: 8090,
+ *     onConnection: (client, request) => {
+ *       client.onmessage = (text) => client.send(text);
+ *       client.onclose = () => {};
+ *     }
+ *   });
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Larger messages close the connection (1009 Message Too Big)
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+export class WebSocketClient {
+  constructor(socket, request) {
+    this.socket = socket;
+    this.address = request.socket.remoteAddress;
+    this.path = request.url;
+    this.open = true;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // { opcode, payloads } of a fragmented message so far
+
+    // Callbacks
+    this.onmessage = null; // Called with each text message
+    this.onbinary = null; // Called with each binary message (Buffer)
+    this.onclose = null; // Called once when the connection ends
+
+    socket.on('data', (data) => this.receive(data));
+    // Peers that go away without a close frame (HTTP sockets stay half open until we end them)
+    socket.on('end', () => {
+      socket.end();
+      this.closed();
+    });
+    socket.on('close', () => this.closed());
+    socket.on('error', () => this.closed());
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.open && this.buffer.length >= 2) {
+      const first = this.buffer[0];
+      const second = this.buffer[1];
+      const fin = (first & 0x80) !== 0;
+      const opcode = first & 0x0F;
+      let length = second & 0x7F;
+      let offset = 2;
+
+      // Every client frame must be masked (RFC 6455 §5.1)
+      if ((second & 0x80) === 0) {
+        this.close(1002, 'Unmasked frame');
+        return;
+      }
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (length > MAX_MESSAGE_BYTES) {
+        this.close(1009, 'Message too big');
+        return;
+      }
+
+      const maskOffset = offset;
+      offset += 4;
+      if (this.buffer.length < offset + length) return; // Wait for the rest of the frame
+
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= this.buffer[maskOffset + (i % 4)];
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.binary:
+        if (fin) {
+          this.deliver(opcode, payload);
+        } else {
+          this.fragments = { opcode, payloads: [payload] };
+        }
+        break;
+      case OPCODES.continuation:
+        if (!this.fragments) break;
+        this.fragments.payloads.push(payload);
+        if (fin) {
+          const { opcode: messageOpcode, payloads } = this.fragments;
+          this.fragments = null;
+          this.deliver(messageOpcode, Buffer.concat(payloads));
+        }
+        break;
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, payload));
+        break;
+      case OPCODES.close:
+        this.close();
+        break;
+      default:
+        break; // Pongs need no answer
+    }
+  }
+
+  deliver(opcode, payload) {
+    if (opcode === OPCODES.binary) {
+      if (this.onbinary) this.onbinary(payload);
+    } else if (this.onmessage) {
+      this.onmessage(payload.toString('utf8'));
+    }
+  }
+
+  send(text) {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+  }
+
+  sendBinary(bytes) {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(OPCODES.binary, Buffer.from(bytes)));
+  }
+
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODES.close, payload));
+    this.closed();
+  }
+
+  closed() {
+    if (!this.open) return;
+    this.open = false;
+    if (this.onclose) this.onclose();
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {number} options.port
+ * @param {Function} options.onConnection - Called with (client, request) for each WebSocket
+ * @param {Function} [options.onRequest] - Plain HTTP requests (req, res); default answers 426
+ * @returns {http.Server}
+ */
+export function createWebSocketServer({ port, onConnection, onRequest = null }) {
+  const server = createServer((req, res) => {
+    if (onRequest) {
+      onRequest(req, res);
+      return;
+    }
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket connections only\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+    if (!key || upgrade !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    onConnection(new WebSocketClient(socket, request), request);
+  });
+
+  server.listen(port);
+  return server;
+}
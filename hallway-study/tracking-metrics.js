@@ -0,0 +1,401 @@
+/**
+ * Tracking Metrics - How well a camera layout tracks people over a simulated run
+ *
+ * Fed by the visibility pass in Person.update() while a run is being measured:
+ * - per person: fraction of time each slice was seen, time seen by each camera,
+ *   time fully occluded (in a camera's view but hidden behind others) or out of view,
+ *   time seen by a camera within its ideal depth range, and time only seen with low
+ *   stereo depth confidence (see depth-model.js)
+ * - per camera: person-time seen, split into too close / in range / too far
+ *   relative to the camera's minRange_m / maxRange_m
+ * - ID-switch risk moments: someone who was being tracked became fully occluded.
+ *   A tracker has to re-identify them when they reappear, possibly next to someone else
+ *
+ * Only time inside the hallway counts - people fading in and out past the ends are expected to be unseen.
+ */
+
+// Occlusions listed in the report panel (the CSV has all of them)
+const MAX_REPORT_EVENTS = 20;
+
+export class TrackingMetrics {
+  constructor(hallway) {
+    this.hallway = hallway;
+    this.durationLimit = 600; // Seconds of simulated time per run (0 = until stopped)
+    this.onComplete = null;   // Called when a run reaches durationLimit
+    this.reset();
+  }
+
+  reset() {
+    this.running = false;
+    this.elapsed = 0;
+    this.people = new Map();  // Person ID -> stats
+    this.cameras = new Map(); // Camera name -> stats
+    this.riskEvents = [];
+  }
+
+  start() {
+    this.reset();
+    this.running = true;
+    console.log(`[Metrics] Run started (${(this.durationLimit / 60).toFixed(1)} min)`);
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    // Anyone still hidden at the end stays lost
+    for (const stats of this.people.values()) {
+      this.endOcclusion(stats, false);
+    }
+    console.log(`[Metrics] Run stopped after ${this.elapsed.toFixed(1)}s`);
+  }
+
+  /**
+   * Advance the run clock - once per simulation tick, after every person was recorded
+   */
+  tick(deltaTime) {
+    if (!this.running) return;
+
+    this.elapsed += deltaTime;
+    if (this.durationLimit > 0 && this.elapsed >= this.durationLimit) {
+      this.stop();
+      if (this.onComplete) this.onComplete(this.getReport());
+    }
+  }
+
+  /**
+   * Record one person's visibility for this tick
+   * @param {Person} person
+   * @param {Array} cameras - Cameras the visibility pass checked (indices match sliceVisibility)
+   * @param {Array} sliceVisibility - Per slice (bottom up): { cameras: [camera indices that see it], inView: in any camera's frustum,
+   *   confident: a camera that sees it measures its depth well }
+   * @param {number} deltaTime - Simulated seconds since the last tick
+   */
+  recordPerson(person, cameras, sliceVisibility, deltaTime) {
+    if (!this.running) return;
+
+    const stats = this.getPersonStats(person);
+
+    // Outside the hallway - end any occlusion (they walked out while hidden) and stop counting
+    if (person.getDistanceOutside() > 0) {
+      this.endOcclusion(stats, false);
+      return;
+    }
+
+    stats.time += deltaTime;
+
+    const seenBy = new Set();
+    let inView = false;
+    let confident = false;
+    sliceVisibility.forEach((slice, i) => {
+      if (slice.cameras.length > 0) stats.sliceTime[i] += deltaTime;
+      slice.cameras.forEach(index => seenBy.add(index));
+      if (slice.inView) inView = true;
+      if (slice.confident) confident = true;
+    });
+
+    // Distance from each camera that sees the person to their center
+    const position = person.group.position;
+    let inRange = false;
+    for (const index of seenBy) {
+      const camera = cameras[index];
+      const cameraPos = camera.group.position;
+      const distance = Math.hypot(
+        cameraPos.x - position.x,
+        cameraPos.y - person.height / 2,
+        cameraPos.z - position.z
+      );
+
+      const cameraStats = this.getCameraStats(camera);
+      cameraStats.personTime += deltaTime;
+      cameraStats.distanceSum += distance * deltaTime;
+      cameraStats.peopleSeen.add(person.id);
+      if (distance < camera.minRange_m) {
+        cameraStats.tooCloseTime += deltaTime;
+      } else if (distance > camera.maxRange_m) {
+        cameraStats.tooFarTime += deltaTime;
+      } else {
+        cameraStats.inRangeTime += deltaTime;
+        inRange = true;
+      }
+
+      stats.cameraTime[camera.name] = (stats.cameraTime[camera.name] || 0) + deltaTime;
+    }
+
+    if (seenBy.size > 0) {
+      stats.seenTime += deltaTime;
+      if (inRange) stats.inRangeTime += deltaTime;
+      if (!confident) stats.lowConfidenceTime += deltaTime;
+      this.endOcclusion(stats, true);
+      stats.tracked = true;
+      return;
+    }
+
+    if (inView) {
+      stats.occludedTime += deltaTime;
+      // Losing someone who was being tracked is where ID switches happen
+      if (stats.tracked && !stats.occlusion) {
+        stats.occlusion = { personId: person.id, time: this.elapsed, z: person.z };
+        stats.occlusions++;
+      }
+    } else {
+      stats.outOfViewTime += deltaTime;
+    }
+  }
+
+  getPersonStats(person) {
+    let stats = this.people.get(person.id);
+    if (!stats) {
+      stats = {
+        id: person.id,
+        sliceCount: person.sliceCount,
+        time: 0,
+        seenTime: 0,
+        inRangeTime: 0,
+        lowConfidenceTime: 0,
+        occludedTime: 0,
+        outOfViewTime: 0,
+        sliceTime: new Array(person.sliceCount).fill(0),
+        cameraTime: {},
+        occlusions: 0,
+        longestOcclusion: 0,
+        occlusion: null, // Open occlusion { personId, time, z }
+        tracked: false
+      };
+      this.people.set(person.id, stats);
+    }
+    return stats;
+  }
+
+  getCameraStats(camera) {
+    let stats = this.cameras.get(camera.name);
+    if (!stats) {
+      stats = {
+        name: camera.name,
+        minRange_m: camera.minRange_m,
+        maxRange_m: camera.maxRange_m,
+        personTime: 0,
+        tooCloseTime: 0,
+        inRangeTime: 0,
+        tooFarTime: 0,
+        distanceSum: 0,
+        peopleSeen: new Set()
+      };
+      this.cameras.set(camera.name, stats);
+    }
+    return stats;
+  }
+
+  // Close an open occlusion as a risk event (reacquired = seen again rather than walked out or run ended)
+  endOcclusion(stats, reacquired) {
+    if (!stats.occlusion) return;
+
+    const duration = this.elapsed - stats.occlusion.time;
+    stats.longestOcclusion = Math.max(stats.longestOcclusion, duration);
+    this.riskEvents.push({ ...stats.occlusion, duration, reacquired });
+    stats.occlusion = null;
+  }
+
+  /**
+   * Summary of the run so far
+   * @returns {object} - { duration, summary, people, cameras, riskEvents }
+   */
+  getReport() {
+    const ratio = (part, whole) => whole > 0 ? part / whole : 0;
+
+    const people = [...this.people.values()]
+      .filter(stats => stats.time > 0)
+      .map(stats => ({
+        id: stats.id,
+        sliceCount: stats.sliceCount,
+        time: stats.time,
+        seen: ratio(stats.seenTime, stats.time),
+        inRange: ratio(stats.inRangeTime, stats.time),
+        lowConfidence: ratio(stats.lowConfidenceTime, stats.time),
+        occluded: ratio(stats.occludedTime, stats.time),
+        outOfView: ratio(stats.outOfViewTime, stats.time),
+        slices: stats.sliceTime.map(time => ratio(time, stats.time)),
+        cameras: Object.fromEntries(
+          Object.entries(stats.cameraTime).map(([name, time]) => [name, ratio(time, stats.time)])
+        ),
+        occlusions: stats.occlusions,
+        longestOcclusion: stats.longestOcclusion
+      }));
+
+    const cameras = [...this.cameras.values()].map(stats => ({
+      name: stats.name,
+      minRange_m: stats.minRange_m,
+      maxRange_m: stats.maxRange_m,
+      personTime: stats.personTime,
+      peopleSeen: stats.peopleSeen.size,
+      meanDistance: ratio(stats.distanceSum, stats.personTime),
+      tooClose: ratio(stats.tooCloseTime, stats.personTime),
+      inRange: ratio(stats.inRangeTime, stats.personTime),
+      tooFar: ratio(stats.tooFarTime, stats.personTime)
+    }));
+
+    // Time-weighted over everyone (a person in the hallway twice as long counts twice as much)
+    let personTime = 0, seenTime = 0, inRangeTime = 0, lowConfidenceTime = 0, occludedTime = 0, sliceTime = 0, sliceSlots = 0;
+    for (const stats of this.people.values()) {
+      personTime += stats.time;
+      seenTime += stats.seenTime;
+      inRangeTime += stats.inRangeTime;
+      lowConfidenceTime += stats.lowConfidenceTime;
+      occludedTime += stats.occludedTime;
+      sliceTime += stats.sliceTime.reduce((sum, time) => sum + time, 0);
+      sliceSlots += stats.time * stats.sliceCount;
+    }
+
+    const riskEvents = this.riskEvents.concat(
+      [...this.people.values()].filter(stats => stats.occlusion).map(stats => ({
+        ...stats.occlusion,
+        duration: this.elapsed - stats.occlusion.time,
+        reacquired: false
+      }))
+    ).sort((a, b) => a.time - b.time);
+
+    return {
+      duration: this.elapsed,
+      summary: {
+        people: people.length,
+        seen: ratio(seenTime, personTime),
+        slicesSeen: ratio(sliceTime, sliceSlots),
+        inRange: ratio(inRangeTime, personTime),
+        lowConfidence: ratio(lowConfidenceTime, personTime),
+        occluded: ratio(occludedTime, personTime),
+        riskEvents: riskEvents.length,
+        riskPerMinute: ratio(riskEvents.length, this.elapsed / 60)
+      },
+      people,
+      cameras,
+      riskEvents
+    };
+  }
+
+  /**
+   * Report as CSV: summary, cameras, people and risk events as separate tables
+   */
+  toCSV(report = this.getReport()) {
+    const maxSlices = Math.max(0, ...report.people.map(person => person.sliceCount));
+    const cameraNames = report.cameras.map(camera => camera.name);
+    const lines = [];
+    const row = (...cells) => lines.push(cells.map(csvCell).join(','));
+
+    row('# Summary');
+    row('duration_s', 'people', 'seen', 'slices_seen', 'in_range', 'low_confidence', 'occluded', 'id_switch_risks', 'risks_per_min');
+    const { summary } = report;
+    row(fixed(report.duration, 1), summary.people, fixed(summary.seen), fixed(summary.slicesSeen),
+      fixed(summary.inRange), fixed(summary.lowConfidence), fixed(summary.occluded), summary.riskEvents,
+      fixed(summary.riskPerMinute, 2));
+    lines.push('');
+
+    row('# Cameras');
+    row('camera', 'min_range_m', 'max_range_m', 'person_time_s', 'people_seen', 'mean_distance_m', 'too_close', 'in_range', 'too_far');
+    for (const camera of report.cameras) {
+      row(camera.name, camera.minRange_m, camera.maxRange_m, fixed(camera.personTime, 1), camera.peopleSeen,
+        fixed(camera.meanDistance, 2), fixed(camera.tooClose), fixed(camera.inRange), fixed(camera.tooFar));
+    }
+    lines.push('');
+
+    row('# People');
+    row('person', 'slices', 'time_s', 'seen', 'in_range', 'low_confidence', 'occluded', 'out_of_view', 'occlusions', 'longest_occlusion_s',
+      ...Array.from({ length: maxSlices }, (_, i) => `slice_${i + 1}`),
+      ...cameraNames.map(name => `seen_by_${name}`));
+    for (const person of report.people) {
+      row(person.id, person.sliceCount, fixed(person.time, 1), fixed(person.seen), fixed(person.inRange),
+        fixed(person.lowConfidence), fixed(person.occluded), fixed(person.outOfView), person.occlusions, fixed(person.longestOcclusion, 2),
+        ...Array.from({ length: maxSlices }, (_, i) => i < person.slices.length ? fixed(person.slices[i]) : ''),
+        ...cameraNames.map(name => fixed(person.cameras[name] || 0)));
+    }
+    lines.push('');
+
+    row('# ID-Switch Risks');
+    row('time_s', 'person', 'z_m', 'duration_s', 'reacquired');
+    for (const event of report.riskEvents) {
+      row(fixed(event.time, 2), event.personId, fixed(event.z, 2), fixed(event.duration, 2), event.reacquired);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+function fixed(value, digits = 3) {
+  return value.toFixed(digits);
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Report as HTML for the metrics panel
+ */
+export function renderReportHTML(report) {
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const { summary } = report;
+  const minutes = Math.floor(report.duration / 60);
+  const seconds = Math.floor(report.duration % 60);
+
+  const cameraRows = report.cameras.map(camera => `
+    <tr>
+      <td>${escapeHTML(camera.name)}</td>
+      <td>${camera.peopleSeen}</td>
+      <td>${camera.meanDistance.toFixed(1)}m</td>
+      <td>${percent(camera.tooClose)}</td>
+      <td>${percent(camera.inRange)}</td>
+      <td>${percent(camera.tooFar)}</td>
+    </tr>`).join('');
+
+  const worstPeople = [...report.people].sort((a, b) => a.seen - b.seen).slice(0, 5);
+  const peopleRows = worstPeople.map(person => `
+    <tr>
+      <td>${escapeHTML(person.id)}</td>
+      <td>${percent(person.seen)}</td>
+      <td>${percent(person.occluded)}</td>
+      <td>${person.occlusions}</td>
+      <td class="metrics-slices">${person.slices.map(fraction =>
+        `<span style="opacity:${(0.2 + fraction * 0.8).toFixed(2)}" title="${percent(fraction)}"></span>`).join('')}</td>
+    </tr>`).join('');
+
+  const longestRisks = [...report.riskEvents].sort((a, b) => b.duration - a.duration).slice(0, MAX_REPORT_EVENTS);
+  const riskRows = longestRisks.map(event => `
+    <tr>
+      <td>${event.time.toFixed(1)}s</td>
+      <td>${escapeHTML(event.personId)}</td>
+      <td>${event.z.toFixed(1)}m</td>
+      <td>${event.duration.toFixed(2)}s</td>
+      <td>${event.reacquired ? 'yes' : 'lost'}</td>
+    </tr>`).join('');
+
+  return `
+    <div class="metrics-summary">
+      <div><span>Run</span>${minutes}:${String(seconds).padStart(2, '0')}</div>
+      <div><span>People</span>${summary.people}</div>
+      <div><span>Seen</span>${percent(summary.seen)}</div>
+      <div><span>Slices Seen</span>${percent(summary.slicesSeen)}</div>
+      <div><span>In Range</span>${percent(summary.inRange)}</div>
+      <div><span>Low Depth Confidence</span>${percent(summary.lowConfidence)}</div>
+      <div><span>Occluded</span>${percent(summary.occluded)}</div>
+      <div><span>ID-Switch Risks</span>${summary.riskEvents} (${summary.riskPerMinute.toFixed(2)}/min)</div>
+    </div>
+    <h4>Cameras</h4>
+    <table>
+      <tr><th>Camera</th><th>People</th><th>Mean Dist</th><th>Too Close</th><th>In Range</th><th>Too Far</th></tr>
+      ${cameraRows || '<tr><td colspan="6">No camera saw anyone</td></tr>'}
+    </table>
+    <h4>Least Visible People</h4>
+    <table>
+      <tr><th>Person</th><th>Seen</th><th>Occluded</th><th>Lost</th><th>Slices</th></tr>
+      ${peopleRows || '<tr><td colspan="5">Nobody yet</td></tr>'}
+    </table>
+    <h4>Longest Occlusions</h4>
+    <table>
+      <tr><th>At</th><th>Person</th><th>Z</th><th>Hidden</th><th>Reacquired</th></tr>
+      ${riskRows || '<tr><td colspan="5">None</td></tr>'}
+    </table>`;
+}
@@ -0,0 +1,77 @@
+/**
+ * Tracking Protocol - The {id, x, y, w, h, xvel, yvel} blob format
+ *
+ * This is what the WebSocket broadcast sends for each person, and what the
+ * installation's camera tracker emits for each visitor:
+ * - x: position along the hallway length, normalized 0-1 (0 = near end)
+ * - y: position across the hallway width, normalized 0-1 (0 = left wall)
+ * - w: blob width in meters (person diameter)
+ * - h: blob height in meters
+ * - xvel: sideways velocity in m/s
+ * - yvel: velocity along the hallway in m/s (positive = towards the far end)
+ */
+
+// Same slice geometry as Person
+const SLICE_HEIGHT = 0.25;
+const MAX_SLICES = 8;
+
+/**
+ * Person -> blob (hallway meters -> normalized floor coordinates)
+ */
+export function serializePerson(person, hallway) {
+  const width = person.radius * 2;
+  const height = person.height;
+  const xvel = person.xVelocity || 0;
+  const yvel = person.isDwelling ? 0 : (person.speed * person.direction);
+
+  // Normalize positions to 0-1 range within floor plane
+  // x = blue axis (Z in Three.js) = hallway length
+  // y = red axis (X in Three.js) = hallway width
+  // Note: person.z ranges [0, length_m], person.xOffset ranges [-width_m/2, +width_m/2]
+  const xNormalized = Math.max(0, Math.min(1, person.z / hallway.length_m));
+  const yNormalized = Math.max(0, Math.min(1, (person.xOffset + hallway.width_m * 0.5) / hallway.width_m));
+
+  return {
+    id: person.id,
+    x: parseFloat(xNormalized.toFixed(4)),
+    y: parseFloat(yNormalized.toFixed(4)),
+    w: parseFloat(width.toFixed(4)),
+    h: parseFloat(height.toFixed(4)),
+    xvel: parseFloat(xvel.toFixed(4)),
+    yvel: parseFloat(yvel.toFixed(4))
+  };
+}
+
+/**
+ * Blob -> person state in hallway meters (inverse of serializePerson)
+ * The result has the same shape as Person.getState() plus radius, so it can drive Person.setState()
+ * @returns {object|null} - null if the blob has no usable id/position
+ */
+export function blobToPersonState(blob, hallway) {
+  if (!blob || blob.id === undefined || blob.id === null) return null;
+
+  const x = Number(blob.x);
+  const y = Number(blob.y);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+
+  const h = Number(blob.h);
+  const w = Number(blob.w);
+  const xvel = Number(blob.xvel) || 0;
+  const yvel = Number(blob.yvel) || 0;
+
+  // Height is quantized to whole slices (trackers report continuous heights)
+  const height = Number.isFinite(h) && h > 0 ? h : 1.7;
+  const sliceCount = Math.max(1, Math.min(MAX_SLICES, Math.round(height / SLICE_HEIGHT)));
+
+  return {
+    id: blob.id,
+    x: y * hallway.width_m - hallway.width_m / 2,
+    z: x * hallway.length_m,
+    direction: yvel < 0 ? -1 : 1,
+    speed: Math.abs(yvel),
+    xVelocity: xvel,
+    isDwelling: yvel === 0,
+    sliceCount,
+    radius: Number.isFinite(w) && w > 0 ? w / 2 : undefined
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * Tracking Source - Real visitors as the people source
+ *
+ * Supplies person states from tracked blobs (see tracking-protocol.js) instead of
+ * the synthetic PeopleManager simulation. Two inputs:
+ * - Live: a WebSocket sending { type: 'people_locations', people: [...] } messages
+ *   (or a bare array of blobs), e.g. from the OAK-D tracker
+ * - Log: a JSON or CSV file of recorded blobs, played back on its own timestamps
+ *
+ * Log formats:
+ * - JSON: array of messages, or one message per line (NDJSON); each message has
+ *   `people` and a time (`timestamp` in ms or `t` in seconds)
+ * - CSV: header row with id,x,y and optional w,h,xvel,yvel plus `timestamp` (ms) or `t` (s);
+ *   rows with the same time form one frame
+ */
+
+import { blobToPersonState } from './tracking-protocol.js';
+
+const RECONNECT_INTERVAL = 2000; // 2 seconds
+const STALE_TIMEOUT_MS = 1000; // Live blobs older than this are dropped (tracker stopped sending)
+
+export class TrackingSource {
+  constructor(hallway) {
+    this.hallway = hallway;
+    this.mode = null; // 'live' | 'log' | null
+
+    // Live input
+    this.url = null;
+    this.ws = null;
+    this.connected = false;
+    this.reconnectTimer = null;
+    this.latestBlobs = [];
+    this.latestReceivedAt = 0;
+    this.messageCount = 0;
+
+    // Log playback
+    this.frames = [];
+    this.time = 0;
+    this.duration = 0;
+    this.loop = true;
+    this.logName = null;
+  }
+
+  // ===== Live WebSocket input =====
+
+  connect(url) {
+    this.close();
+    this.mode = 'live';
+    this.url = url;
+    this.openSocket();
+  }
+
+  openSocket() {
+    if (this.ws && (this.ws.readyState === WebSocket.CONNECTING || this.ws.readyState === WebSocket.OPEN)) {
+      return;
+    }
+
+    try {
+      console.log(`[Tracking] Attempting to connect to ${this.url}...`);
+      this.ws = new WebSocket(this.url);
+
+      this.ws.onopen = () => {
+        console.log('[Tracking] Connected');
+        this.connected = true;
+      };
+
+      this.ws.onclose = () => {
+        console.log('[Tracking] Disconnected');
+        this.connected = false;
+        this.scheduleReconnect();
+      };
+
+      this.ws.onerror = () => {
+        console.log('[Tracking] Connection error (will retry)');
+        this.connected = false;
+      };
+
+      this.ws.onmessage = (event) => this.handleMessage(event.data);
+    } catch (error) {
+      console.log('[Tracking] Failed to create connection (will retry)');
+      this.connected = false;
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.mode !== 'live' || this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, RECONNECT_INTERVAL);
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (e) {
+      console.warn('[Tracking] Ignoring non-JSON message');
+      return;
+    }
+
+    if (!message || typeof message !== 'object') return;
+
+    // people_empty is a frame with nobody in it, so the last blobs don't wait for the stale timeout
+    const people = message.type === 'people_empty' ? [] : Array.isArray(message) ? message : message.people;
+    if (!Array.isArray(people)) return;
+    if (message.type && message.type !== 'people_locations' && message.type !== 'people_empty') return;
+
+    this.latestBlobs = people;
+    this.latestReceivedAt = performance.now();
+    this.messageCount++;
+  }
+
+  // ===== Log file input =====
+
+  /**
+   * Load a recorded log for playback
+   * @param {string} text - File contents
+   * @param {string} filename - Used to pick the parser (.csv or JSON)
+   * @throws {Error} - If the file can't be parsed into frames
+   */
+  loadLog(text, filename = 'log.json') {
+    const frames = filename.toLowerCase().endsWith('.csv')
+      ? parseCSVLog(text)
+      : parseJSONLog(text);
+
+    if (frames.length === 0) {
+      throw new Error('No tracking frames found in log');
+    }
+
+    this.close();
+    this.mode = 'log';
+    this.frames = frames;
+    this.time = 0;
+    this.duration = frames[frames.length - 1].t;
+    this.logName = filename;
+
+    const blobCount = frames.reduce((sum, frame) => sum + frame.people.length, 0);
+    console.log(`[Tracking] Loaded "${filename}" - ${frames.length} frames, ${blobCount} blobs, ${this.duration.toFixed(1)}s`);
+  }
+
+  // ===== Common =====
+
+  /**
+   * Advance log playback (live input needs no stepping)
+   */
+  update(deltaTime) {
+    if (this.mode !== 'log') return;
+
+    this.time += deltaTime;
+    if (this.time > this.duration) {
+      this.time = this.loop ? 0 : this.duration;
+    }
+  }
+
+  /**
+   * Current blobs from whichever input is active
+   */
+  getBlobs() {
+    if (this.mode === 'live') {
+      if (performance.now() - this.latestReceivedAt > STALE_TIMEOUT_MS) return [];
+      return this.latestBlobs;
+    }
+
+    if (this.mode === 'log') {
+      // Latest frame at or before the playhead
+      let lo = 0;
+      let hi = this.frames.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (this.frames[mid].t <= this.time) lo = mid;
+        else hi = mid - 1;
+      }
+      return this.frames[lo].people;
+    }
+
+    return [];
+  }
+
+  /**
+   * Current blobs mapped back to hallway meters (ready for PeopleManager.updateTracked())
+   */
+  getPersonStates() {
+    const states = [];
+    const seen = new Set();
+
+    for (const blob of this.getBlobs()) {
+      const state = blobToPersonState(blob, this.hallway);
+      // Drop malformed blobs and duplicate IDs (first one wins)
+      if (!state || seen.has(state.id)) continue;
+      seen.add(state.id);
+      states.push(state);
+    }
+
+    return states;
+  }
+
+  getStatus() {
+    if (this.mode === 'live') {
+      return this.connected ? `Live (${this.getBlobs().length} tracked)` : 'Connecting...';
+    }
+    if (this.mode === 'log') {
+      return `Log ${this.time.toFixed(1)}s / ${this.duration.toFixed(1)}s`;
+    }
+    return 'Idle';
+  }
+
+  close() {
+    this.mode = null;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.onclose = null; // Don't reconnect
+      this.ws.close();
+      this.ws = null;
+    }
+    this.connected = false;
+    this.latestBlobs = [];
+  }
+}
+
+// ===== Log parsers =====
+
+// Message time in seconds ('t' in seconds, or 'timestamp' in ms)
+function messageTime(message) {
+  if (typeof message.t === 'number') return message.t;
+  if (typeof message.timestamp === 'number') return message.timestamp / 1000;
+  return null;
+}
+
+// Sort frames and shift times so the log starts at 0
+function normalizeFrames(frames) {
+  frames.sort((a, b) => a.t - b.t);
+  const start = frames.length > 0 ? frames[0].t : 0;
+  frames.forEach(frame => { frame.t -= start; });
+  return frames;
+}
+
+function parseJSONLog(text) {
+  let messages;
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('[')) {
+    messages = JSON.parse(trimmed);
+  } else {
+    // NDJSON - one message per line
+    messages = trimmed.split(/\r?\n/).filter(line => line.trim() !== '').map(line => JSON.parse(line));
+  }
+
+  const frames = [];
+  messages.forEach((message, index) => {
+    if (!message || typeof message !== 'object') return;
+    const people = message.type === 'people_empty' ? [] : message.people;
+    if (!Array.isArray(people)) return;
+    const t = messageTime(message);
+    // Untimed logs play back at the broadcast rate (30Hz)
+    frames.push({ t: t !== null ? t : index / 30, people });
+  });
+
+  return normalizeFrames(frames);
+}
+
+function parseCSVLog(text) {
+  const lines = text.trim().split(/\r?\n/);
+  const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+  const column = name => header.indexOf(name);
+
+  const idCol = column('id');
+  const xCol = column('x');
+  const yCol = column('y');
+  if (idCol < 0 || xCol < 0 || yCol < 0) {
+    throw new Error('CSV log needs id, x and y columns');
+  }
+
+  const tCol = column('t');
+  const timestampCol = column('timestamp');
+  const optional = ['w', 'h', 'xvel', 'yvel'].map(name => [name, column(name)]).filter(([, col]) => col >= 0);
+
+  const framesByTime = new Map();
+  for (let i = 1; i < lines.length; i++) {
+    const cells = lines[i].split(',');
+    if (cells.length < header.length) continue;
+
+    let t;
+    if (tCol >= 0) t = parseFloat(cells[tCol]);
+    else if (timestampCol >= 0) t = parseFloat(cells[timestampCol]) / 1000;
+    else t = (i - 1) / 30; // No time column - one row per frame at 30Hz
+
+    // A row without a time would sort anywhere and throw off playback timing
+    if (!Number.isFinite(t)) {
+      throw new Error(`CSV line ${i + 1}: ${tCol >= 0 ? 't' : 'timestamp'} must be a number`);
+    }
+
+    const blob = {
+      id: cells[idCol].trim(),
+      x: parseFloat(cells[xCol]),
+      y: parseFloat(cells[yCol])
+    };
+    if (!Number.isFinite(blob.x) || !Number.isFinite(blob.y)) {
+      throw new Error(`CSV line ${i + 1}: x and y must be numbers`);
+    }
+    optional.forEach(([name, col]) => { blob[name] = parseFloat(cells[col]); });
+
+    // Numeric IDs stay numeric so they match the WebSocket format
+    if (/^\d+$/.test(blob.id)) blob.id = parseInt(blob.id, 10);
+
+    if (!framesByTime.has(t)) framesByTime.set(t, { t, people: [] });
+    framesByTime.get(t).people.push(blob);
+  }
+
+  return normalizeFrames([...framesByTime.values()]);
+}
@@ -0,0 +1,191 @@
+/**
+ * Traffic Schedule - Time-of-day arrivals for the people simulation
+ *
+ * A simulated 24h day, compressed into a few real minutes, drives:
+ * - arrivalsPerMinute: people entering the hallway per real minute of simulation
+ * - nearEndBias: share of arrivals entering at the near end (0 = all from the far end, 1 = all from the near end)
+ * - speedScale: multiplier on walking speed (brisk commuters, slow lunchtime strollers)
+ *
+ * Values are keyframes by hour, interpolated linearly and wrapping at midnight.
+ * While a schedule is enabled it replaces PeopleManager's flat count/spawnInterval.
+ */
+
+// A workday in an office hallway: morning arrivals, lunch both ways, evening departures
+export const DEFAULT_SCHEDULE_KEYFRAMES = [
+  { hour: 0, arrivalsPerMinute: 0.5, nearEndBias: 0.5, speedScale: 0.9 },
+  { hour: 6, arrivalsPerMinute: 1, nearEndBias: 0.6, speedScale: 1.0 },
+  { hour: 7.5, arrivalsPerMinute: 6, nearEndBias: 0.8, speedScale: 1.2 },
+  { hour: 8.5, arrivalsPerMinute: 12, nearEndBias: 0.85, speedScale: 1.25 },
+  { hour: 10, arrivalsPerMinute: 4, nearEndBias: 0.5, speedScale: 1.0 },
+  { hour: 12, arrivalsPerMinute: 14, nearEndBias: 0.5, speedScale: 0.85 },
+  { hour: 13.5, arrivalsPerMinute: 6, nearEndBias: 0.5, speedScale: 0.9 },
+  { hour: 15, arrivalsPerMinute: 4, nearEndBias: 0.5, speedScale: 1.0 },
+  { hour: 17, arrivalsPerMinute: 12, nearEndBias: 0.2, speedScale: 1.2 },
+  { hour: 18.5, arrivalsPerMinute: 5, nearEndBias: 0.3, speedScale: 1.1 },
+  { hour: 20, arrivalsPerMinute: 2, nearEndBias: 0.5, speedScale: 1.0 },
+  { hour: 22, arrivalsPerMinute: 1, nearEndBias: 0.5, speedScale: 0.9 }
+];
+
+export class TrafficSchedule {
+  constructor(keyframes = DEFAULT_SCHEDULE_KEYFRAMES) {
+    this.keyframes = [...keyframes].sort((a, b) => a.hour - b.hour);
+
+    this.enabled = false;
+    this.running = true;       // Clock advances with the simulation
+    this.dayMinutes = 10;      // Real minutes per simulated 24h
+    this.trafficScale = 1.0;   // Multiplier on every arrival rate
+    this.maxPeople = 30;       // Population cap (keeps rush hours renderable)
+
+    this.hour = 7;             // Current simulated time (0-24)
+    this.startHour = 7;        // Where restart() returns to
+  }
+
+  /**
+   * Advance the simulated clock by real seconds
+   */
+  advance(deltaTime) {
+    if (!this.running) return;
+    this.hour = (this.hour + deltaTime * 24 / (this.dayMinutes * 60)) % 24;
+  }
+
+  /**
+   * Jump to a time of day (also where the next seeded restart begins)
+   */
+  setTime(hour) {
+    this.hour = ((hour % 24) + 24) % 24;
+    this.startHour = this.hour;
+  }
+
+  restart() {
+    this.hour = this.startHour;
+  }
+
+  /**
+   * Interpolated traffic at a time of day
+   * @returns {object} - { arrivalsPerMinute, nearEndBias, speedScale }
+   */
+  getParams(hour = this.hour) {
+    const frames = this.keyframes;
+    let next = frames.findIndex(frame => frame.hour > hour);
+    if (next === -1) next = 0; // Past the last keyframe - wrap to the first one tomorrow
+    const prev = (next - 1 + frames.length) % frames.length;
+
+    const a = frames[prev];
+    const b = frames[next];
+    let span = b.hour - a.hour;
+    let offset = hour - a.hour;
+    if (span <= 0) span += 24;
+    if (offset < 0) offset += 24;
+    const t = span > 0 ? offset / span : 0;
+
+    const lerp = (key) => a[key] + (b[key] - a[key]) * t;
+    return {
+      arrivalsPerMinute: lerp('arrivalsPerMinute') * this.trafficScale,
+      nearEndBias: lerp('nearEndBias'),
+      speedScale: lerp('speedScale')
+    };
+  }
+
+  getPeakArrivalRate() {
+    return Math.max(...this.keyframes.map(frame => frame.arrivalsPerMinute)) * this.trafficScale;
+  }
+}
+
+/**
+ * Format hours as HH:MM
+ */
+export function formatScheduleTime(hour) {
+  const totalMinutes = Math.floor(hour * 60) % (24 * 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Timeline strip: arrival rate over the day, direction bias, and a playhead
+ * Click or drag on it to jump to a time (reported through onSeek)
+ */
+export class ScheduleTimeline {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {TrafficSchedule} schedule
+   */
+  constructor(canvas, schedule) {
+    this.canvas = canvas;
+    this.schedule = schedule;
+    this.onSeek = null;
+    this.dragging = false;
+
+    const seekFromEvent = (event) => {
+      const rect = this.canvas.getBoundingClientRect();
+      const fraction = Math.max(0, Math.min(0.9999, (event.clientX - rect.left) / rect.width));
+      if (this.onSeek) this.onSeek(fraction * 24);
+    };
+
+    canvas.addEventListener('pointerdown', (event) => {
+      this.dragging = true;
+      canvas.setPointerCapture(event.pointerId);
+      seekFromEvent(event);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      if (this.dragging) seekFromEvent(event);
+    });
+    canvas.addEventListener('pointerup', () => {
+      this.dragging = false;
+    });
+  }
+
+  draw() {
+    const { canvas, schedule } = this;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const labelHeight = 14;
+    const plotHeight = height - labelHeight;
+    const peak = Math.max(schedule.getPeakArrivalRate(), 0.001);
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Arrival rate (filled curve)
+    ctx.beginPath();
+    ctx.moveTo(0, plotHeight);
+    for (let x = 0; x <= width; x++) {
+      const rate = schedule.getParams((x / width) * 24).arrivalsPerMinute;
+      ctx.lineTo(x, plotHeight - (rate / peak) * (plotHeight - 4));
+    }
+    ctx.lineTo(width, plotHeight);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(68, 255, 102, 0.25)';
+    ctx.fill();
+    ctx.strokeStyle = '#44ff66';
+    ctx.stroke();
+
+    // Direction bias (share entering at the near end)
+    ctx.beginPath();
+    for (let x = 0; x <= width; x++) {
+      const bias = schedule.getParams((x / width) * 24).nearEndBias;
+      const y = plotHeight - bias * (plotHeight - 4);
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.strokeStyle = 'rgba(68, 102, 255, 0.8)';
+    ctx.setLineDash([3, 3]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Hour ticks
+    ctx.fillStyle = '#8899aa';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'center';
+    for (let hour = 0; hour <= 24; hour += 3) {
+      const x = (hour / 24) * width;
+      ctx.fillRect(Math.min(x, width - 1), plotHeight, 1, 3);
+      if (hour > 0 && hour < 24) ctx.fillText(`${hour}h`, x, height - 2);
+    }
+
+    // Playhead
+    const playheadX = (schedule.hour / 24) * width;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(playheadX - 1, 0, 2, plotHeight);
+  }
+}
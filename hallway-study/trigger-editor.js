@@ -0,0 +1,556 @@
+/**
+ * Trigger Editor - Edit the trigger layout directly on the floor in the 3D view
+ *
+ * Click a trigger to select it (Shift+click adds to the selection), drag it to move,
+ * drag the edge handles (rects) or corner handles (polygons) to resize. Positions snap
+ * to divisions of the hallway width and length - by default a default trigger's length
+ * along the hallway (hold Alt to place freely). Selected triggers can be split, merged or deleted.
+ *
+ * The editor edits the layout object it's given in place and reports what changed:
+ * - 'change': shapes moved/resized (same triggers, same order)
+ * - 'layoutChange': triggers were added or removed (split/merge/delete)
+ * - 'selectionChange': { zoneIndex } of the first selected trigger (-1 if none)
+ * - 'dragging-changed': { value } like TransformControls, so orbit controls can be paused
+ */
+
+import * as THREE from 'three';
+import { getShapeBounds, pointInPolygon } from './trigger-layout.js';
+
+const HANDLE_SIZE = 0.12; // Meters
+const HANDLE_PICK_RADIUS = 0.15; // Meters from a handle center that counts as grabbing it
+const MIN_TRIGGER_SIZE = 0.05; // Meters
+const CLICK_MAX_PIXELS = 4; // Pointer travel below this is a click, not a drag
+const FLOOR_OFFSET = 0.01; // Draw just above the floor to avoid z-fighting
+
+export class TriggerEditor extends THREE.EventDispatcher {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {object} hallway - { width_m, length_m }
+   * @param {HTMLElement} domElement - Renderer canvas
+   * @param {Function} getCamera - Returns the camera currently used for the view
+   */
+  constructor(scene, hallway, domElement, getCamera) {
+    super();
+    this.hallway = hallway;
+    this.domElement = domElement;
+    this.getCamera = getCamera;
+
+    this.layout = null;
+    this.enabled = false;
+
+    // Snapping
+    this.snap = true;
+    this.widthDivisions = 4;                     // Snap x to walls, center and quarter lines
+    this.lengthDivisions = 48;                   // Snap z to the default trigger length
+
+    // Selection: [{ zoneIndex, triggerIndex }]
+    this.selection = [];
+
+    // Drag state
+    this.drag = null;
+    this.pointerDown = null;
+
+    this.raycaster = new THREE.Raycaster();
+    this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -FLOOR_OFFSET);
+    this.pointer = new THREE.Vector2();
+
+    // Outlines, selection fills and handles (UI only - layer 1)
+    this.group = new THREE.Group();
+    this.group.name = 'triggerEditor';
+    this.group.visible = false;
+    scene.add(this.group);
+
+    this.outlines = null;
+    this.fills = [];
+    this.handles = [];
+    this.fillMaterial = null;
+
+    this.handleGeometry = new THREE.BoxGeometry(HANDLE_SIZE, HANDLE_SIZE * 0.5, HANDLE_SIZE);
+    this.handleMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+  }
+
+  // ===== Setup =====
+
+  /**
+   * Edit this layout (edited in place - the caller keeps the same object)
+   */
+  setLayout(layout) {
+    this.layout = layout;
+    this.selection = this.selection.filter(({ zoneIndex, triggerIndex }) =>
+      layout.zones[zoneIndex] && layout.zones[zoneIndex].triggers[triggerIndex]
+    );
+    this.rebuild();
+  }
+
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+    this.enabled = enabled;
+    this.group.visible = enabled;
+
+    if (enabled) {
+      this.domElement.addEventListener('pointerdown', this.onPointerDown);
+      this.domElement.addEventListener('pointermove', this.onPointerMove);
+      window.addEventListener('pointerup', this.onPointerUp);
+    } else {
+      this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+      this.domElement.removeEventListener('pointermove', this.onPointerMove);
+      window.removeEventListener('pointerup', this.onPointerUp);
+      this.endDrag();
+      this.clearSelection();
+    }
+  }
+
+  // ===== Hallway <-> world coordinates =====
+
+  // Layout z runs 0 to length_m, world z is centered
+  toWorld(x, z) {
+    return new THREE.Vector3(x, FLOOR_OFFSET, z - this.hallway.length_m / 2);
+  }
+
+  // Floor point under the pointer in layout coordinates, or null
+  floorPointAt(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.pointer, this.getCamera());
+
+    const hit = new THREE.Vector3();
+    if (!this.raycaster.ray.intersectPlane(this.floorPlane, hit)) return null;
+    return { x: hit.x, z: hit.z + this.hallway.length_m / 2 };
+  }
+
+  // ===== Snapping =====
+
+  snapX(x, free = false) {
+    const halfWidth = this.hallway.width_m / 2;
+    if (this.snap && !free) {
+      const step = this.hallway.width_m / this.widthDivisions;
+      x = -halfWidth + Math.round((x + halfWidth) / step) * step;
+    }
+    return Math.max(-halfWidth, Math.min(halfWidth, x));
+  }
+
+  snapZ(z, free = false) {
+    if (this.snap && !free) {
+      const step = this.hallway.length_m / this.lengthDivisions;
+      z = Math.round(z / step) * step;
+    }
+    return Math.max(0, Math.min(this.hallway.length_m, z));
+  }
+
+  // ===== Picking =====
+
+  getShape({ zoneIndex, triggerIndex }) {
+    return this.layout.zones[zoneIndex].triggers[triggerIndex];
+  }
+
+  isSelected(zoneIndex, triggerIndex) {
+    return this.selection.some(s => s.zoneIndex === zoneIndex && s.triggerIndex === triggerIndex);
+  }
+
+  /**
+   * Trigger under a floor point - first in layout order, matching TriggerZone.getTriggerAtPosition()
+   */
+  pickTrigger(x, z) {
+    for (let zoneIndex = 0; zoneIndex < this.layout.zones.length; zoneIndex++) {
+      const triggers = this.layout.zones[zoneIndex].triggers;
+      for (let triggerIndex = 0; triggerIndex < triggers.length; triggerIndex++) {
+        const shape = triggers[triggerIndex];
+        const b = getShapeBounds(shape);
+        if (x < b.xMin || x > b.xMax || z < b.zStart || z > b.zEnd) continue;
+        if (shape.shape !== 'polygon' || pointInPolygon(x, z, shape.points)) {
+          return { zoneIndex, triggerIndex };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Handle positions of a shape: rect edge midpoints or polygon corners
+  getHandles(shape) {
+    if (shape.shape === 'polygon') {
+      return shape.points.map(([x, z], index) => ({ type: 'vertex', index, x, z }));
+    }
+    const xMid = (shape.xMin + shape.xMax) / 2;
+    const zMid = (shape.zStart + shape.zEnd) / 2;
+    return [
+      { type: 'edge', edge: 'xMin', x: shape.xMin, z: zMid },
+      { type: 'edge', edge: 'xMax', x: shape.xMax, z: zMid },
+      { type: 'edge', edge: 'zStart', x: xMid, z: shape.zStart },
+      { type: 'edge', edge: 'zEnd', x: xMid, z: shape.zEnd }
+    ];
+  }
+
+  // Handle of a selected trigger near a floor point
+  pickHandle(x, z) {
+    for (const selected of this.selection) {
+      for (const handle of this.getHandles(this.getShape(selected))) {
+        if (Math.hypot(handle.x - x, handle.z - z) < HANDLE_PICK_RADIUS) {
+          return { ...selected, handle };
+        }
+      }
+    }
+    return null;
+  }
+
+  // ===== Pointer handling =====
+
+  onPointerDown(event) {
+    if (event.button !== 0 || !this.layout) return;
+
+    const point = this.floorPointAt(event);
+    this.pointerDown = { clientX: event.clientX, clientY: event.clientY, shiftKey: event.shiftKey, point };
+    if (!point) return;
+
+    // Resize a selected trigger by its handle
+    const handleHit = this.pickHandle(point.x, point.z);
+    if (handleHit) {
+      this.beginDrag({ type: 'resize', ...handleHit });
+      return;
+    }
+
+    // Move the trigger under the pointer (and anything else selected with it)
+    const hit = this.pickTrigger(point.x, point.z);
+    if (hit) {
+      if (!this.isSelected(hit.zoneIndex, hit.triggerIndex)) {
+        this.select(hit, event.shiftKey);
+      }
+      this.beginDrag({
+        type: 'move',
+        start: point,
+        originals: this.selection.map(s => JSON.parse(JSON.stringify(this.getShape(s)))),
+        anchor: getShapeBounds(this.getShape(hit))
+      });
+    }
+  }
+
+  onPointerMove(event) {
+    if (!this.drag) return;
+
+    const point = this.floorPointAt(event);
+    if (!point) return;
+
+    const free = event.altKey;
+    if (this.drag.type === 'move') {
+      this.moveSelection(point, free);
+    } else {
+      this.resizeShape(point, free);
+    }
+
+    this.drag.changed = true;
+    this.updateVisuals();
+    this.dispatchEvent({ type: 'change' });
+  }
+
+  onPointerUp(event) {
+    const down = this.pointerDown;
+    this.pointerDown = null;
+
+    if (this.drag) {
+      const changed = this.drag.changed;
+      this.endDrag();
+      if (changed) return;
+    }
+
+    // Click on empty floor clears the selection (unless Shift is held)
+    if (!down || event.target !== this.domElement) return;
+    const travel = Math.hypot(event.clientX - down.clientX, event.clientY - down.clientY);
+    if (travel < CLICK_MAX_PIXELS && down.point && !down.shiftKey &&
+        !this.pickTrigger(down.point.x, down.point.z)) {
+      this.clearSelection();
+    }
+  }
+
+  beginDrag(drag) {
+    this.drag = { ...drag, changed: false };
+    this.dispatchEvent({ type: 'dragging-changed', value: true });
+  }
+
+  endDrag() {
+    if (!this.drag) return;
+    this.drag = null;
+    this.dispatchEvent({ type: 'dragging-changed', value: false });
+  }
+
+  // Offset every selected shape from where the drag started; the grabbed trigger's corner snaps
+  moveSelection(point, free) {
+    const { start, originals, anchor } = this.drag;
+    const width = anchor.xMax - anchor.xMin;
+    const length = anchor.zEnd - anchor.zStart;
+
+    // Keep the grabbed trigger inside the hallway
+    const halfWidth = this.hallway.width_m / 2;
+    let xMin = Math.max(-halfWidth, Math.min(halfWidth - width, anchor.xMin + point.x - start.x));
+    let zStart = Math.max(0, Math.min(this.hallway.length_m - length, anchor.zStart + point.z - start.z));
+    xMin = this.snapX(xMin, free);
+    zStart = this.snapZ(zStart, free);
+    if (xMin + width > halfWidth) xMin = halfWidth - width;
+    if (zStart + length > this.hallway.length_m) zStart = this.hallway.length_m - length;
+
+    const dx = xMin - anchor.xMin;
+    const dz = zStart - anchor.zStart;
+
+    this.selection.forEach((selected, i) => {
+      const original = originals[i];
+      const shape = this.getShape(selected);
+      if (shape.shape === 'polygon') {
+        shape.points = original.points.map(([x, z]) => [x + dx, z + dz]);
+      } else {
+        shape.xMin = original.xMin + dx;
+        shape.xMax = original.xMax + dx;
+        shape.zStart = original.zStart + dz;
+        shape.zEnd = original.zEnd + dz;
+      }
+    });
+  }
+
+  // Move one rect edge or polygon corner, never collapsing the shape
+  resizeShape(point, free) {
+    const { handle } = this.drag;
+    const shape = this.getShape(this.drag);
+
+    if (handle.type === 'vertex') {
+      shape.points[handle.index] = [this.snapX(point.x, free), this.snapZ(point.z, free)];
+      return;
+    }
+
+    switch (handle.edge) {
+      case 'xMin':
+        shape.xMin = Math.min(this.snapX(point.x, free), shape.xMax - MIN_TRIGGER_SIZE);
+        break;
+      case 'xMax':
+        shape.xMax = Math.max(this.snapX(point.x, free), shape.xMin + MIN_TRIGGER_SIZE);
+        break;
+      case 'zStart':
+        shape.zStart = Math.min(this.snapZ(point.z, free), shape.zEnd - MIN_TRIGGER_SIZE);
+        break;
+      case 'zEnd':
+        shape.zEnd = Math.max(this.snapZ(point.z, free), shape.zStart + MIN_TRIGGER_SIZE);
+        break;
+    }
+  }
+
+  // ===== Selection =====
+
+  select(target, additive = false) {
+    if (!additive) this.selection = [];
+    if (!this.isSelected(target.zoneIndex, target.triggerIndex)) {
+      this.selection.push({ zoneIndex: target.zoneIndex, triggerIndex: target.triggerIndex });
+    }
+    this.updateVisuals();
+    this.dispatchEvent({ type: 'selectionChange', zoneIndex: target.zoneIndex });
+  }
+
+  clearSelection() {
+    if (this.selection.length === 0) return;
+    this.selection = [];
+    this.updateVisuals();
+    this.dispatchEvent({ type: 'selectionChange', zoneIndex: -1 });
+  }
+
+  // ===== Split / merge / delete =====
+
+  /**
+   * Split each selected rect in half
+   * @param {string} axis - 'length' (two shorter triggers along the hallway) or 'width' (side by side)
+   * @returns {string|null} - Why nothing happened, or null on success
+   */
+  splitSelection(axis) {
+    const rects = this.selection.filter(s => this.getShape(s).shape === 'rect');
+    if (rects.length === 0) return 'Select one or more rectangular triggers to split.';
+
+    // Highest index first so earlier indices stay valid while inserting
+    rects.sort((a, b) => b.triggerIndex - a.triggerIndex);
+    const newSelection = [];
+
+    for (const selected of rects) {
+      const zone = this.layout.zones[selected.zoneIndex];
+      const shape = zone.triggers[selected.triggerIndex];
+      let first;
+      let second;
+
+      if (axis === 'width') {
+        const xMid = (shape.xMin + shape.xMax) / 2;
+        first = { ...shape, xMax: xMid };
+        second = { ...shape, xMin: xMid };
+      } else {
+        const zMid = (shape.zStart + shape.zEnd) / 2;
+        first = { ...shape, zEnd: zMid };
+        second = { ...shape, zStart: zMid };
+      }
+
+      zone.triggers.splice(selected.triggerIndex, 1, first, second);
+      newSelection.forEach(s => {
+        if (s.zoneIndex === selected.zoneIndex) s.triggerIndex++;
+      });
+      newSelection.push(
+        { zoneIndex: selected.zoneIndex, triggerIndex: selected.triggerIndex },
+        { zoneIndex: selected.zoneIndex, triggerIndex: selected.triggerIndex + 1 }
+      );
+    }
+
+    this.selection = newSelection;
+    this.commitStructureChange();
+    return null;
+  }
+
+  /**
+   * Replace the selected triggers (all in one zone) with one rect covering them all
+   * @returns {string|null} - Why nothing happened, or null on success
+   */
+  mergeSelection() {
+    if (this.selection.length < 2) return 'Shift+click to select two or more triggers to merge.';
+
+    const zoneIndex = this.selection[0].zoneIndex;
+    if (this.selection.some(s => s.zoneIndex !== zoneIndex)) {
+      return 'Only triggers in the same zone can be merged.';
+    }
+
+    const zone = this.layout.zones[zoneIndex];
+    const indices = this.selection.map(s => s.triggerIndex).sort((a, b) => a - b);
+    const bounds = indices.map(i => getShapeBounds(zone.triggers[i]));
+
+    const merged = {
+      shape: 'rect',
+      xMin: Math.min(...bounds.map(b => b.xMin)),
+      xMax: Math.max(...bounds.map(b => b.xMax)),
+      zStart: Math.min(...bounds.map(b => b.zStart)),
+      zEnd: Math.max(...bounds.map(b => b.zEnd))
+    };
+
+    // Merged trigger takes the place of the first one
+    for (let i = indices.length - 1; i > 0; i--) {
+      zone.triggers.splice(indices[i], 1);
+    }
+    zone.triggers[indices[0]] = merged;
+
+    this.selection = [{ zoneIndex, triggerIndex: indices[0] }];
+    this.commitStructureChange();
+    return null;
+  }
+
+  /**
+   * @returns {string|null} - Why nothing happened, or null on success
+   */
+  deleteSelection() {
+    if (this.selection.length === 0) return 'Select triggers to delete.';
+
+    const sorted = [...this.selection].sort((a, b) => b.triggerIndex - a.triggerIndex);
+    for (const { zoneIndex, triggerIndex } of sorted) {
+      this.layout.zones[zoneIndex].triggers.splice(triggerIndex, 1);
+    }
+
+    this.selection = [];
+    this.commitStructureChange();
+    return null;
+  }
+
+  commitStructureChange() {
+    this.rebuild();
+    this.dispatchEvent({ type: 'layoutChange' });
+    this.dispatchEvent({ type: 'selectionChange', zoneIndex: this.selection.length > 0 ? this.selection[0].zoneIndex : -1 });
+  }
+
+  // ===== Visuals =====
+
+  rebuild() {
+    this.disposeVisuals();
+    if (!this.layout) return;
+
+    this.outlines = [];
+    this.layout.zones.forEach((zone, zoneIndex) => {
+      zone.triggers.forEach((shape, triggerIndex) => {
+        const outline = new THREE.LineLoop(
+          new THREE.BufferGeometry(),
+          new THREE.LineBasicMaterial({ color: zone.color, transparent: true, opacity: 0.6 })
+        );
+        outline.userData = { zoneIndex, triggerIndex };
+        this.outlines.push(outline);
+        this.group.add(outline);
+      });
+    });
+
+    this.fillMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.15,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    this.fills = [];
+    this.handles = [];
+
+    this.updateVisuals();
+  }
+
+  // Reposition outlines, selection fills and handles to match the layout
+  updateVisuals() {
+    if (!this.outlines) return;
+
+    for (const outline of this.outlines) {
+      const shape = this.getShape(outline.userData);
+      outline.geometry.setFromPoints(this.getOutlinePoints(shape));
+      outline.geometry.computeBoundingSphere();
+      outline.material.opacity = this.isSelected(outline.userData.zoneIndex, outline.userData.triggerIndex) ? 1.0 : 0.6;
+    }
+
+    // Fills and handles are few - recreate them
+    [...this.fills, ...this.handles].forEach(object => {
+      this.group.remove(object);
+      if (object.geometry !== this.handleGeometry) object.geometry.dispose();
+    });
+    this.fills = [];
+    this.handles = [];
+
+    for (const selected of this.selection) {
+      const shape = this.getShape(selected);
+      const outlinePoints = this.getOutlinePoints(shape);
+
+      const fillShape = new THREE.Shape(outlinePoints.map(p => new THREE.Vector2(p.x, -p.z)));
+      const fill = new THREE.Mesh(new THREE.ShapeGeometry(fillShape), this.fillMaterial);
+      fill.rotation.x = -Math.PI / 2;
+      fill.position.y = FLOOR_OFFSET;
+      this.fills.push(fill);
+      this.group.add(fill);
+
+      for (const handle of this.getHandles(shape)) {
+        const mesh = new THREE.Mesh(this.handleGeometry, this.handleMaterial);
+        mesh.position.copy(this.toWorld(handle.x, handle.z));
+        this.handles.push(mesh);
+        this.group.add(mesh);
+      }
+    }
+
+    // Editor visuals never show in camera previews
+    this.group.traverse(child => child.layers.set(1));
+  }
+
+  getOutlinePoints(shape) {
+    const points = shape.shape === 'polygon'
+      ? shape.points
+      : [[shape.xMin, shape.zStart], [shape.xMax, shape.zStart], [shape.xMax, shape.zEnd], [shape.xMin, shape.zEnd]];
+    return points.map(([x, z]) => this.toWorld(x, z));
+  }
+
+  disposeVisuals() {
+    if (this.outlines) {
+      this.outlines.forEach(outline => {
+        outline.geometry.dispose();
+        outline.material.dispose();
+      });
+    }
+    if (this.fills) {
+      this.fills.forEach(fill => fill.geometry.dispose());
+    }
+    if (this.fillMaterial) this.fillMaterial.dispose();
+
+    this.group.clear();
+    this.outlines = null;
+    this.fills = [];
+    this.handles = [];
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Trigger Layout - Trigger zones defined as data
+ *
+ * A layout is a list of zones. Each zone has musical settings and a list of
+ * trigger shapes on the floor (hallway coordinates: x centered, z from 0 to length_m):
+ *
+ * {
+ *   zones: [{
+ *     id: 1,
+ *     name: 'Zone 1 (Bass)',
+ *     channel: 1,               // MIDI channel (1-16)
+ *     color: '#ff4466',         // Outline color for the layout overlay and GUI
+ *     octaveOffset: -1,
+ *     pattern: 'bass',          // ChordManager pattern ('bass' | 'pads' | 'lead') or an array of scale degrees
+ *     noteLength: 1,            // Beats (0.25 = 1/16 ... 4 = 1 bar), or 'sustain' (held until the person leaves)
+ *     visual: 'strings',        // Floor effect: 'strings' | 'glow' | 'hammer'
+ *     instrument: 'bass',       // Built-in synth preset (see synth-engine.js)
+ *     triggers: [
+ *       { shape: 'rect', xMin, xMax, zStart, zEnd },
+ *       { shape: 'polygon', points: [[x, z], ...] }
+ *     ]
+ *   }]
+ * }
+ *
+ * Triggers are numbered in layout order (zone by zone). Where shapes overlap, the first one wins.
+ */
+
+import { INSTRUMENT_NAMES } from './synth-engine.js';
+
+export const VISUAL_STYLES = ['strings', 'glow', 'hammer'];
+
+// Triggers the floor can draw per visual style (floor-fbo.js uniform arrays have a fixed size).
+// Triggers beyond it still play - they just don't light up.
+export const MAX_TRIGGERS_PER_VISUAL = 32;
+export const CHORD_PATTERNS = ['bass', 'pads', 'lead'];
+
+// GUI labels -> noteLength values
+export const NOTE_LENGTHS = {
+  'Sustain': 'sustain',
+  '1/16': 0.25,
+  '1/8': 0.5,
+  '1/4': 1,
+  '1/2': 2,
+  '1 Bar': 4
+};
+
+// Scale degrees used when there's no ChordManager (MIDI disabled)
+export const STATIC_PATTERNS = {
+  bass: [0, 4, 0, 4, 7, 4, 0, 7, 0, 4, 7, 0, 4, 7, 0, 4],  // Roots and fifths
+  pads: [0, 2, 4, 7, 0, 2, 4, 7, 8, 10, 12, 15, 8, 10, 12, 15],  // Full chord tones
+  lead: [2, 4, 7, 9, 11, 12, 14, 2, 4, 7, 9, 11, 12, 14, 4, 7]   // Melodic upper extensions
+};
+
+const MAX_CHANNEL = 16;
+
+/**
+ * Rectangles side by side along the hallway (the original trigger strips)
+ */
+export function createStripTriggers({ count, zStart, zEnd, xMin, xMax }) {
+  const triggers = [];
+  const stripLength = (zEnd - zStart) / count;
+
+  for (let i = 0; i < count; i++) {
+    triggers.push({
+      shape: 'rect',
+      xMin,
+      xMax,
+      zStart: zStart + i * stripLength,
+      zEnd: zStart + (i + 1) * stripLength
+    });
+  }
+
+  return triggers;
+}
+
+/**
+ * The original layout: 48 full-width strips, split into Bass / Pads / Lead thirds
+ */
+export function createDefaultLayout(hallway) {
+  const { length_m, width_m } = hallway;
+  const third = length_m / 3;
+
+  const zone = (id, name, color, octaveOffset, pattern, noteLength, visual) => ({
+    id,
+    name,
+    channel: id,
+    color,
+    octaveOffset,
+    pattern,
+    noteLength,
+    visual,
+    instrument: pattern,
+    triggers: createStripTriggers({
+      count: 16,
+      zStart: (id - 1) * third,
+      zEnd: id * third,
+      xMin: -width_m / 2,
+      xMax: width_m / 2
+    })
+  });
+
+  return {
+    zones: [
+      zone(1, 'Zone 1 (Bass)', '#ff4466', -1, 'bass', 1, 'strings'),    // Quarter notes, lower octave
+      zone(2, 'Zone 2 (Pads)', '#44ff66', 0, 'pads', 'sustain', 'glow'), // Held while inside
+      zone(3, 'Zone 3 (Lead)', '#4466ff', 1, 'lead', 0.5, 'hammer')     // Eighth notes, higher octave
+    ]
+  };
+}
+
+export function cloneLayout(layout) {
+  return JSON.parse(JSON.stringify(layout));
+}
+
+/**
+ * Validate a layout (e.g. from a document) and fill in defaults
+ * @returns {object} - A new, normalized layout
+ * @throws {Error} - Describing the first problem found
+ */
+export function normalizeLayout(data) {
+  if (!data || !Array.isArray(data.zones) || data.zones.length === 0) {
+    throw new Error('Trigger layout needs at least one zone');
+  }
+
+  const usedIds = new Set();
+
+  const zones = data.zones.map((zone, zoneIndex) => {
+    const label = `Zone ${zoneIndex + 1}`;
+    let id = Number.isInteger(zone.id) ? zone.id : zoneIndex + 1;
+    while (usedIds.has(id)) id++;
+    usedIds.add(id);
+
+    const channel = Number.isInteger(zone.channel) ? zone.channel : 1;
+    if (channel < 1 || channel > MAX_CHANNEL) {
+      throw new Error(`${label}: channel must be 1-${MAX_CHANNEL}`);
+    }
+
+    const pattern = zone.pattern !== undefined ? zone.pattern : 'lead';
+    if (!CHORD_PATTERNS.includes(pattern) && !(Array.isArray(pattern) && pattern.length > 0 && pattern.every(Number.isFinite))) {
+      throw new Error(`${label}: pattern must be one of ${CHORD_PATTERNS.join(', ')} or a list of scale degrees`);
+    }
+
+    const noteLength = zone.noteLength !== undefined ? zone.noteLength : 1;
+    if (noteLength !== 'sustain' && !(Number.isFinite(noteLength) && noteLength > 0)) {
+      throw new Error(`${label}: noteLength must be "sustain" or a positive number of beats`);
+    }
+
+    const visual = zone.visual !== undefined ? zone.visual : 'hammer';
+    if (!VISUAL_STYLES.includes(visual)) {
+      throw new Error(`${label}: visual must be one of ${VISUAL_STYLES.join(', ')}`);
+    }
+
+    // Zones from before the built-in synth get the instrument matching their pattern
+    const instrument = zone.instrument !== undefined ? zone.instrument : defaultInstrument(pattern);
+    if (!INSTRUMENT_NAMES.includes(instrument)) {
+      throw new Error(`${label}: instrument must be one of ${INSTRUMENT_NAMES.join(', ')}`);
+    }
+
+    const triggers = (zone.triggers || []).map((trigger, i) => normalizeTrigger(trigger, `${label} trigger ${i + 1}`));
+
+    return {
+      id,
+      name: typeof zone.name === 'string' ? zone.name : `Zone ${id}`,
+      channel,
+      color: typeof zone.color === 'string' ? zone.color : '#ffffff',
+      octaveOffset: Number.isInteger(zone.octaveOffset) ? zone.octaveOffset : 0,
+      pattern: Array.isArray(pattern) ? [...pattern] : pattern,
+      noteLength,
+      visual,
+      instrument,
+      triggers
+    };
+  });
+
+  return { zones };
+}
+
+/**
+ * Visual styles with more triggers than the floor can draw
+ * @returns {Array} - [{ visual, count }] - empty when every trigger is drawn
+ */
+export function getOverfullVisuals(layout) {
+  const counts = {};
+  layout.zones.forEach(zone => {
+    counts[zone.visual] = (counts[zone.visual] || 0) + zone.triggers.length;
+  });
+  return Object.entries(counts)
+    .filter(([, count]) => count > MAX_TRIGGERS_PER_VISUAL)
+    .map(([visual, count]) => ({ visual, count }));
+}
+
+function defaultInstrument(pattern) {
+  return CHORD_PATTERNS.includes(pattern) ? pattern : 'lead';
+}
+
+function normalizeTrigger(trigger, label) {
+  if (trigger.shape === 'polygon') {
+    const points = trigger.points;
+    if (!Array.isArray(points) || points.length < 3 ||
+        !points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))) {
+      throw new Error(`${label}: polygon needs at least 3 [x, z] points`);
+    }
+    return { shape: 'polygon', points: points.map(([x, z]) => [x, z]) };
+  }
+
+  const { xMin, xMax, zStart, zEnd } = trigger;
+  if (![xMin, xMax, zStart, zEnd].every(Number.isFinite) || xMin >= xMax || zStart >= zEnd) {
+    throw new Error(`${label}: rect needs xMin < xMax and zStart < zEnd`);
+  }
+  return { shape: 'rect', xMin, xMax, zStart, zEnd };
+}
+
+/**
+ * Axis-aligned bounds of a trigger shape
+ */
+export function getShapeBounds(shape) {
+  if (shape.shape === 'polygon') {
+    const xs = shape.points.map(p => p[0]);
+    const zs = shape.points.map(p => p[1]);
+    return {
+      xMin: Math.min(...xs),
+      xMax: Math.max(...xs),
+      zStart: Math.min(...zs),
+      zEnd: Math.max(...zs)
+    };
+  }
+  return { xMin: shape.xMin, xMax: shape.xMax, zStart: shape.zStart, zEnd: shape.zEnd };
+}
+
+/**
+ * Even-odd point-in-polygon test
+ * @param {Array} points - [[x, z], ...]
+ */
+export function pointInPolygon(x, z, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, zi] = points[i];
+    const [xj, zj] = points[j];
+    if ((zi > z) !== (zj > z) && x < (xj - xi) * (z - zi) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -1,148 +1,201 @@
 /**
- * Trigger Zones - 48 triggers along hallway length, divided into 3 zones
+ * Trigger Zones - Triggers on the hallway floor, grouped into zones
  *
+ * The layout (zone shapes, channels, patterns, note lengths) is data - see trigger-layout.js.
+ * The default layout is 48 strips along the hallway length, divided into 3 zones:
  * Zone 1 (Bass): Triggers 0-15, Channel 1
  * Zone 2 (Pads): Triggers 16-31, Channel 2
  * Zone 3 (Lead): Triggers 32-47, Channel 3
  */
 
+import { createDefaultLayout, cloneLayout, getShapeBounds, pointInPolygon, STATIC_PATTERNS } from './trigger-layout.js';
+
 export class TriggerZone {
-  constructor(hallway, keyManager = null, chordManager = null) {
+  constructor(hallway, keyManager = null, chordManager = null, layout = null) {
     this.hallway = hallway;
     this.keyManager = keyManager;
     this.chordManager = chordManager;
 
-    // Constants
-    this.TOTAL_TRIGGERS = 48;
-    this.TRIGGERS_PER_ZONE = 16;
-    this.NUM_ZONES = 3;
+    // Track active triggers (which people are currently in which triggers)
+    this.activeTriggers = new Set(); // Set of trigger IDs that are currently active
 
-    // Zone definitions with octave offsets
-    this.zones = [
-      { id: 1, name: 'Zone 1 (Bass)', channel: 1, color: '#ff4466', octaveOffset: -1 },      // Red, lower octave
-      { id: 2, name: 'Zone 2 (Pads)', channel: 2, color: '#44ff66', octaveOffset: 0 },       // Green, middle octave
-      { id: 3, name: 'Zone 3 (Lead)', channel: 3, color: '#4466ff', octaveOffset: 1 }        // Blue, higher octave
-    ];
+    // Bumped on every layout change so the floor can redraw its overlay
+    this.layoutVersion = 0;
+
+    this.setLayout(layout || createDefaultLayout(hallway));
+  }
+
+  /**
+   * Replace the layout and rebuild all triggers (clears activations)
+   * @param {object} layout - Normalized layout (see trigger-layout.js)
+   */
+  setLayout(layout) {
+    this.layout = cloneLayout(layout);
+    this.zones = this.layout.zones;
 
-    // Build trigger array
     this.triggers = this.buildTriggers();
+    this.activeTriggers.clear();
 
-    // Track active triggers (which people are currently in which triggers)
-    this.activeTriggers = new Set(); // Set of trigger IDs that are currently active
+    this.TOTAL_TRIGGERS = this.triggers.length;
+    this.NUM_ZONES = this.zones.length;
+    this.layoutVersion++;
 
     console.log(`[Triggers] Created ${this.TOTAL_TRIGGERS} triggers in ${this.NUM_ZONES} zones`);
     this.logChordToneDistribution();
   }
 
+  /**
+   * Move/resize triggers without rebuilding them (live editing)
+   * Trigger IDs, notes and activations are kept; falls back to setLayout() if triggers were added or removed
+   * @param {object} layout - Same zones and trigger counts as the current layout, with new shapes
+   */
+  updateTriggerShapes(layout) {
+    const shapes = layout.zones.flatMap(zone => zone.triggers);
+    const sameStructure = shapes.length === this.triggers.length &&
+      layout.zones.every((zone, i) => this.zones[i] && this.zones[i].id === zone.id &&
+        this.zones[i].triggers.length === zone.triggers.length);
+
+    if (!sameStructure) {
+      this.setLayout(layout);
+      return;
+    }
+
+    this.layout = cloneLayout(layout);
+    this.zones = this.layout.zones;
+
+    shapes.forEach((shape, i) => {
+      const trigger = this.triggers[i];
+      const { xMin, xMax, zStart, zEnd } = getShapeBounds(shape);
+      trigger.shape = shape.shape;
+      trigger.points = shape.shape === 'polygon' ? shape.points.map(([x, z]) => [x, z]) : null;
+      trigger.xMin = xMin;
+      trigger.xMax = xMax;
+      trigger.zStart = zStart;
+      trigger.zEnd = zEnd;
+      trigger.zCenter = (zStart + zEnd) / 2;
+    });
+
+    this.layoutVersion++;
+  }
+
+  /**
+   * Copy of the current layout (for saving in the document)
+   */
+  getLayout() {
+    return cloneLayout(this.layout);
+  }
+
+  /**
+   * Scale degree pattern for a zone - ChordManager pattern by name, or the zone's own list of degrees
+   * @returns {object} - { notes, weights, restChance }
+   */
+  getZonePattern(zone, chordPatterns = null) {
+    if (Array.isArray(zone.pattern)) {
+      return {
+        notes: zone.pattern,
+        weights: zone.pattern.map(() => 1.0),
+        restChance: 0.0
+      };
+    }
+
+    if (chordPatterns) {
+      return chordPatterns[zone.pattern];
+    }
+
+    // Fallback to static patterns if no chord manager
+    const notes = STATIC_PATTERNS[zone.pattern];
+    return { notes, weights: notes.map(() => 1.0), restChance: 0.0 };
+  }
+
+  /**
+   * Chord tone type for a scale degree (root, 3rd, 5th, 7th, 9th, 11th, 13th)
+   */
+  getChordToneType(scaleDegree, currentChord) {
+    if (!currentChord) return 'unknown';
+
+    const normalizedDegree = scaleDegree % 8; // Normalize to single octave
+    if (normalizedDegree === currentChord.root % 8) return 'root';
+    if (normalizedDegree === currentChord.third % 8) return '3rd';
+    if (normalizedDegree === currentChord.fifth % 8) return '5th';
+    if (normalizedDegree === currentChord.seventh % 8) return '7th';
+    if (normalizedDegree === currentChord.ninth % 8) return '9th';
+    if (normalizedDegree === currentChord.eleventh % 8) return '11th';
+    if (normalizedDegree === currentChord.thirteenth % 8) return '13th';
+    return 'unknown';
+  }
+
   /**
    * Build array of trigger objects with positions and zone info
    */
   buildTriggers() {
     const triggers = [];
-    const { length_m, width_m } = this.hallway;
-
-    const triggerLength = length_m / this.TOTAL_TRIGGERS;
-
-    for (let i = 0; i < this.TOTAL_TRIGGERS; i++) {
-      // Determine which zone this trigger belongs to
-      const zoneIndex = Math.floor(i / this.TRIGGERS_PER_ZONE);
-      const zone = this.zones[zoneIndex];
-      const triggerIndexInZone = i % this.TRIGGERS_PER_ZONE;
-
-      // Calculate position (Z is along hallway length)
-      // Z position is measured from 0 to length_m
-      const zStart = i * triggerLength;
-      const zEnd = (i + 1) * triggerLength;
-      const zCenter = (zStart + zEnd) / 2;
-
-      // Triggers span the full width of the hallway
-      const xMin = -width_m / 2;
-      const xMax = width_m / 2;
-
-      // MIDI note mapping using scale degrees from chord patterns
-      // Get current chord patterns from ChordManager (or use defaults)
-      let chordPatterns;
-      let currentChord = null;
-      let scaleDegree, weight = 1.0, restChance = 0.0;
-
-      if (this.chordManager) {
-        const patterns = this.chordManager.getChordPatterns();
-        currentChord = this.chordManager.getCurrentChord();
-        chordPatterns = {
-          1: patterns.bass,
-          2: patterns.pads,
-          3: patterns.lead
-        };
-
-        // Extract note, weight, and restChance from the pattern
-        const pattern = chordPatterns[zone.id];
-        scaleDegree = pattern.notes[triggerIndexInZone];
-        weight = pattern.weights[triggerIndexInZone];
-        restChance = pattern.restChance;
-      } else {
-        // Fallback to static patterns if no chord manager
-        const staticPatterns = {
-          1: [0, 4, 0, 4, 7, 4, 0, 7, 0, 4, 7, 0, 4, 7, 0, 4],  // Bass: Roots and fifths
-          2: [0, 2, 4, 7, 0, 2, 4, 7, 8, 10, 12, 15, 8, 10, 12, 15],  // Pads: Full chord tones
-          3: [2, 4, 7, 9, 11, 12, 14, 2, 4, 7, 9, 11, 12, 14, 4, 7]   // Lead: Melodic upper extensions
-        };
-        scaleDegree = staticPatterns[zone.id][triggerIndexInZone];
-      }
-
-      const octaveOffset = zone.octaveOffset;
-
-      // Determine chord tone type (root, third, fifth, seventh, ninth, etc.)
-      let chordToneType = 'unknown';
-      if (currentChord) {
-        const normalizedDegree = scaleDegree % 8; // Normalize to single octave
-        if (normalizedDegree === currentChord.root % 8) chordToneType = 'root';
-        else if (normalizedDegree === currentChord.third % 8) chordToneType = '3rd';
-        else if (normalizedDegree === currentChord.fifth % 8) chordToneType = '5th';
-        else if (normalizedDegree === currentChord.seventh % 8) chordToneType = '7th';
-        else if (normalizedDegree === currentChord.ninth % 8) chordToneType = '9th';
-        else if (normalizedDegree === currentChord.eleventh % 8) chordToneType = '11th';
-        else if (normalizedDegree === currentChord.thirteenth % 8) chordToneType = '13th';
-      }
 
-      // Get MIDI note from key manager (or use fallback if no key manager)
-      let midiNote;
-      if (this.keyManager) {
-        midiNote = this.keyManager.getNote(scaleDegree, octaveOffset);
-      } else {
-        // Fallback to chromatic scale if no key manager
-        const baseNote = 36 + (zoneIndex * 16);
-        midiNote = baseNote + triggerIndexInZone;
-      }
+    // Get current chord patterns from ChordManager (or use defaults)
+    let chordPatterns = null;
+    let currentChord = null;
+    if (this.chordManager) {
+      chordPatterns = this.chordManager.getChordPatterns();
+      currentChord = this.chordManager.getCurrentChord();
+    }
 
-      triggers.push({
-        id: i,
-        zoneId: zone.id,
-        zoneName: zone.name,
-        channel: zone.channel,
-        color: zone.color,
-        indexInZone: triggerIndexInZone,
-
-        // Spatial bounds
-        zStart,
-        zEnd,
-        zCenter,
-        xMin,
-        xMax,
-
-        // MIDI info
-        scaleDegree,  // Store scale degree for chord updates
-        midiNote,
-        chordToneType,  // Type of chord tone (root, 3rd, 5th, 7th, 9th, 11th, 13th)
-
-        // Musicality parameters
-        weight,       // Probability multiplier (0.0-1.0)
-        restChance,   // Probability this trigger doesn't fire
-
-        // State
-        isActive: false,
-        peopleInside: new Set() // Set of person IDs currently in this trigger
+    this.zones.forEach((zone, zoneIndex) => {
+      const pattern = this.getZonePattern(zone, chordPatterns);
+
+      zone.triggers.forEach((shape, triggerIndexInZone) => {
+        // Spatial bounds - Z is measured from 0 to length_m, X is centered
+        // Polygons keep their bounding box here for quick rejection and shader placement
+        const { xMin, xMax, zStart, zEnd } = getShapeBounds(shape);
+        const zCenter = (zStart + zEnd) / 2;
+
+        // MIDI note mapping using scale degrees from the zone's pattern (wraps for zones with more triggers)
+        const patternIndex = triggerIndexInZone % pattern.notes.length;
+        const scaleDegree = pattern.notes[patternIndex];
+        const weight = pattern.weights[patternIndex];
+        const restChance = pattern.restChance;
+
+        // Get MIDI note from key manager (or use fallback if no key manager)
+        let midiNote;
+        if (this.keyManager) {
+          midiNote = this.keyManager.getNote(scaleDegree, zone.octaveOffset);
+        } else {
+          // Fallback to chromatic scale if no key manager
+          const baseNote = 36 + (zoneIndex * 16);
+          midiNote = baseNote + triggerIndexInZone;
+        }
+
+        triggers.push({
+          id: triggers.length,
+          zoneId: zone.id,
+          zoneName: zone.name,
+          channel: zone.channel,
+          color: zone.color,
+          indexInZone: triggerIndexInZone,
+
+          // Spatial bounds
+          shape: shape.shape,
+          points: shape.shape === 'polygon' ? shape.points : null,
+          zStart,
+          zEnd,
+          zCenter,
+          xMin,
+          xMax,
+
+          // MIDI info
+          scaleDegree,  // Store scale degree for chord updates
+          midiNote,
+          chordToneType: this.getChordToneType(scaleDegree, currentChord),  // Type of chord tone (root, 3rd, 5th, 7th, 9th, 11th, 13th)
+          noteLength: zone.noteLength,  // Beats, or 'sustain' (held until the person exits)
+
+          // Musicality parameters
+          weight,       // Probability multiplier (0.0-1.0)
+          restChance,   // Probability this trigger doesn't fire
+
+          // State
+          isActive: false,
+          peopleInside: new Set() // Set of person IDs currently in this trigger
+        });
       });
-    }
+    });
 
     return triggers;
   }
@@ -157,7 +210,9 @@ export class TriggerZone {
     for (const trigger of this.triggers) {
       if (x >= trigger.xMin && x <= trigger.xMax &&
           z >= trigger.zStart && z < trigger.zEnd) {
-        return trigger;
+        if (trigger.shape !== 'polygon' || pointInPolygon(x, z, trigger.points)) {
+          return trigger;
+        }
       }
     }
     return null;
@@ -165,7 +220,7 @@ export class TriggerZone {
 
   /**
    * Get all triggers in a specific zone
-   * @param {number} zoneId - Zone ID (1, 2, or 3)
+   * @param {number} zoneId - Zone ID
    */
   getTriggersInZone(zoneId) {
     return this.triggers.filter(t => t.zoneId === zoneId);
@@ -206,6 +261,17 @@ export class TriggerZone {
     }
   }
 
+  /**
+   * Mark every trigger inactive (used when replay jumps to a different time)
+   */
+  clearActivations() {
+    for (const trigger of this.triggers) {
+      trigger.peopleInside.clear();
+      trigger.isActive = false;
+    }
+    this.activeTriggers.clear();
+  }
+
   /**
    * Update MIDI notes for all triggers based on current key
    * Call this when the key changes (keeps same scale degrees, changes pitches)
@@ -214,8 +280,7 @@ export class TriggerZone {
     if (!this.keyManager) return;
 
     for (const trigger of this.triggers) {
-      const zoneIndex = trigger.zoneId - 1;
-      const zone = this.zones[zoneIndex];
+      const zone = this.getZone(trigger.zoneId);
       const scaleDegree = trigger.scaleDegree; // Use stored scale degree
       const octaveOffset = zone.octaveOffset;
 
@@ -233,41 +298,27 @@ export class TriggerZone {
     if (!this.chordManager) return;
 
     // Get new chord patterns and current chord
-    const patterns = this.chordManager.getChordPatterns();
+    const chordPatterns = this.chordManager.getChordPatterns();
     const currentChord = this.chordManager.getCurrentChord();
-    const chordPatterns = {
-      1: patterns.bass,
-      2: patterns.pads,
-      3: patterns.lead
-    };
 
     // Update each trigger's scale degree, MIDI note, chord tone type, weight, and restChance
     for (const trigger of this.triggers) {
-      const zoneIndex = trigger.zoneId - 1;
-      const zone = this.zones[zoneIndex];
-      const triggerIndexInZone = trigger.indexInZone;
+      const zone = this.getZone(trigger.zoneId);
 
       // Get pattern for this zone
-      const pattern = chordPatterns[zone.id];
+      const pattern = this.getZonePattern(zone, chordPatterns);
+      const patternIndex = trigger.indexInZone % pattern.notes.length;
 
       // Update scale degree from new chord pattern
-      const scaleDegree = pattern.notes[triggerIndexInZone];
+      const scaleDegree = pattern.notes[patternIndex];
       trigger.scaleDegree = scaleDegree;
 
       // Update weight and restChance
-      trigger.weight = pattern.weights[triggerIndexInZone];
+      trigger.weight = pattern.weights[patternIndex];
       trigger.restChance = pattern.restChance;
 
       // Determine chord tone type
-      const normalizedDegree = scaleDegree % 8;
-      if (normalizedDegree === currentChord.root % 8) trigger.chordToneType = 'root';
-      else if (normalizedDegree === currentChord.third % 8) trigger.chordToneType = '3rd';
-      else if (normalizedDegree === currentChord.fifth % 8) trigger.chordToneType = '5th';
-      else if (normalizedDegree === currentChord.seventh % 8) trigger.chordToneType = '7th';
-      else if (normalizedDegree === currentChord.ninth % 8) trigger.chordToneType = '9th';
-      else if (normalizedDegree === currentChord.eleventh % 8) trigger.chordToneType = '11th';
-      else if (normalizedDegree === currentChord.thirteenth % 8) trigger.chordToneType = '13th';
-      else trigger.chordToneType = 'unknown';
+      trigger.chordToneType = this.getChordToneType(scaleDegree, currentChord);
 
       // Recalculate MIDI note with new scale degree
       const octaveOffset = zone.octaveOffset;
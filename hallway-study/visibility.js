@@ -1,7 +1,11 @@
 // ===== Visibility Detection System =====
 import * as THREE from 'three';
+import { getDepthConfidence } from './depth-model.js';
+import { getWallSegments, getWorldObstacles } from './hallway-geometry.js';
 
 const raycaster = new THREE.Raycaster();
+const NO_DISTORTION = { k1: 0, k2: 0 };
+const WALL_TOLERANCE = 0.02; // Meters - rays starting or ending this close to a wall aren't blocked by it (wall-mounted cameras)
 
 // Raycast visualization
 export const successfulRaycasts = []; // Store successful raycasts for visualization
@@ -57,30 +61,181 @@ export function updateRaycastVisualization(raycastLinesGroup) {
   failedRaycasts.length = 0;
 }
 
-// Check if a 3D point is within a camera's frustum
-export function pointInFrustum3D(worldPos, camera) {
-  // Transform point into camera local space
+// Transform a world point into camera local space
+function toCameraSpace(worldPos, camera) {
   const m = new THREE.Matrix4();
   m.compose(camera.group.position, camera.group.quaternion, new THREE.Vector3(1, 1, 1));
   const inv = new THREE.Matrix4().copy(m).invert();
-  const localPos = worldPos.clone().applyMatrix4(inv);
+  return worldPos.clone().applyMatrix4(inv);
+}
+
+// Check if a 3D point is within a camera's frustum
+export function pointInFrustum3D(worldPos, camera) {
+  // Transform point into camera local space
+  const localPos = toCameraSpace(worldPos, camera);
 
   // In Three.js camera space, the camera looks down the -Z axis
   // So points in front have negative Z values
   const depth = -localPos.z;
 
   // Check depth (must be beyond minimum depth and within maximum range)
-  if (depth < camera.minRange_m || depth > camera.maxRange_m) return false;
+  if (depth <= 0 || depth < camera.minRange_m || depth > camera.maxRange_m) return false;
+
+  // Normalized image coordinates (pinhole), moved by radial lens distortion
+  const { k1, k2 } = camera.distortion || NO_DISTORTION;
+  const u = localPos.x / depth;
+  const v = localPos.y / depth;
+  const r2 = u * u + v * v;
+  const scale = 1 + k1 * r2 + k2 * r2 * r2;
+  if (scale <= 0) return false; // Beyond where the distortion model folds back
+
+  // Sensor edges sit at the model's field of view along each axis (through the same distortion),
+  // so barrel distortion widens the view towards the corners
+  const tanH = Math.tan(camera.hFovDeg * 0.5 * THREE.MathUtils.DEG2RAD);
+  const tanV = Math.tan(camera.vFovDeg * 0.5 * THREE.MathUtils.DEG2RAD);
+  const edgeU = tanH * (1 + k1 * tanH * tanH + k2 * Math.pow(tanH, 4));
+  const edgeV = tanV * (1 + k1 * tanV * tanV + k2 * Math.pow(tanV, 4));
+
+  return Math.abs(u * scale) <= edgeU && Math.abs(v * scale) <= edgeV;
+}
+
+// Stereo depth confidence of a point (see depth-model.js) - depth is measured along the view axis
+export function getPointDepthConfidence(worldPos, camera) {
+  const depth = -toCameraSpace(worldPos, camera).z;
+  return getDepthConfidence(depth, camera);
+}
+
+// Check if anything in `occluders` blocks the line of sight from the camera to a point
+// `margin` shortens the ray so the target itself (e.g. a slice's own radius) isn't counted
+export function isLineOfSightBlocked(cameraPos, worldPos, occluders, margin = 0) {
+  if (!occluders || occluders.length === 0) return false;
+
+  const direction = new THREE.Vector3().subVectors(worldPos, cameraPos).normalize();
+  const distance = cameraPos.distanceTo(worldPos);
+
+  raycaster.set(cameraPos, direction);
+  raycaster.far = Math.max(0, distance - margin);
+
+  return raycaster.intersectObjects(occluders, false).length > 0;
+}
+
+// Analytic occlusion test against upright cylinders ({ x, z, radius, height } in world space)
+// Much cheaper than raycasting meshes - used where thousands of candidate layouts are scored
+export function isSegmentBlockedByCylinders(start, end, cylinders, margin = 0) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const dz = end.z - start.z;
+  const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (length === 0) return false;
+
+  // Stop short of the target by `margin` (same idea as raycaster.far in isSliceVisibleToCamera)
+  const tMax = Math.max(0, 1 - margin / length);
+  const a = dx * dx + dz * dz;
+
+  for (const cyl of cylinders) {
+    const fx = start.x - cyl.x;
+    const fz = start.z - cyl.z;
+    let t0, t1;
+
+    if (a < 1e-12) {
+      // Vertical segment - either entirely inside the circle or entirely outside
+      if (fx * fx + fz * fz > cyl.radius * cyl.radius) continue;
+      t0 = 0;
+      t1 = tMax;
+    } else {
+      // Solve |start + t * d - center|² = r² in the XZ plane
+      const b = 2 * (fx * dx + fz * dz);
+      const c = fx * fx + fz * fz - cyl.radius * cyl.radius;
+      const disc = b * b - 4 * a * c;
+      if (disc < 0) continue;
+
+      const sq = Math.sqrt(disc);
+      t0 = Math.max(0, (-b - sq) / (2 * a));
+      t1 = Math.min(tMax, (-b + sq) / (2 * a));
+      if (t0 > t1) continue;
+    }
+
+    // Blocked if the part of the segment inside the circle overlaps the cylinder's height
+    const y0 = start.y + dy * t0;
+    const y1 = start.y + dy * t1;
+    if (Math.min(y0, y1) <= cyl.height && Math.max(y0, y1) >= 0) return true;
+  }
 
-  // Check horizontal angle (use depth for atan2)
-  const angH = Math.abs(Math.atan2(localPos.x, -localPos.z)) * THREE.MathUtils.RAD2DEG;
-  if (angH > camera.hFovDeg * 0.5) return false;
+  return false;
+}
+
+// Analytic occlusion test against walls ({ ax, az, bx, bz } segments in world XZ, floor to `height`)
+export function isSegmentBlockedByWalls(start, end, walls, height) {
+  const dx = end.x - start.x;
+  const dz = end.z - start.z;
+  const length = Math.hypot(dx, dz);
+  if (length === 0) return false;
+  const tolerance = WALL_TOLERANCE / length;
+
+  for (const wall of walls) {
+    const ex = wall.bx - wall.ax;
+    const ez = wall.bz - wall.az;
+    const denom = dx * ez - dz * ex;
+    if (Math.abs(denom) < 1e-12) continue; // Parallel
+
+    const wx = wall.ax - start.x;
+    const wz = wall.az - start.z;
+    const t = (wx * ez - wz * ex) / denom; // Along the segment
+    const u = (wx * dz - wz * dx) / denom; // Along the wall
+    if (u < 0 || u > 1 || t <= tolerance || t >= 1 - tolerance) continue;
 
-  // Check vertical angle (use depth for atan2)
-  const angV = Math.abs(Math.atan2(localPos.y, -localPos.z)) * THREE.MathUtils.RAD2DEG;
-  if (angV > camera.vFovDeg * 0.5) return false;
+    const y = start.y + (end.y - start.y) * t;
+    if (y >= 0 && y <= height) return true;
+  }
 
-  return true;
+  return false;
+}
+
+// Analytic occlusion test against upright boxes ({ xMin, xMax, zMin, zMax, height } in world space)
+export function isSegmentBlockedByBoxes(start, end, boxes) {
+  const delta = [end.x - start.x, end.y - start.y, end.z - start.z];
+  const origin = [start.x, start.y, start.z];
+
+  for (const box of boxes) {
+    const min = [box.xMin, 0, box.zMin];
+    const max = [box.xMax, box.height, box.zMax];
+    let t0 = 0;
+    let t1 = 1;
+
+    // Slab test on each axis
+    for (let axis = 0; axis < 3 && t0 <= t1; axis++) {
+      if (Math.abs(delta[axis]) < 1e-12) {
+        if (origin[axis] < min[axis] || origin[axis] > max[axis]) t0 = Infinity;
+        continue;
+      }
+      let near = (min[axis] - origin[axis]) / delta[axis];
+      let far = (max[axis] - origin[axis]) / delta[axis];
+      if (near > far) [near, far] = [far, near];
+      t0 = Math.max(t0, near);
+      t1 = Math.min(t1, far);
+    }
+
+    if (t0 <= t1) return true;
+  }
+
+  return false;
+}
+
+// Walls and obstacles of the hallway (see hallway-geometry.js) between two world points
+export function isSegmentBlockedByRoom(start, end, hallway) {
+  if (!hallway || !hallway.footprint) return false;
+  const { cylinders, boxes } = getWorldObstacles(hallway);
+  return isSegmentBlockedByWalls(start, end, getWallSegments(hallway), hallway.height_m) ||
+    isSegmentBlockedByCylinders(start, end, cylinders) ||
+    isSegmentBlockedByBoxes(start, end, boxes);
+}
+
+// Check if a bare 3D point is visible to a camera (frustum + walls/obstacles + optional occluder meshes)
+// Used by coverage analysis, which samples empty floor positions rather than person slices
+export function isPointVisibleToCamera(worldPos, camera, occluders = [], hallway = null) {
+  if (!pointInFrustum3D(worldPos, camera)) return false;
+  if (isSegmentBlockedByRoom(camera.group.position, worldPos, hallway)) return false;
+  return !isLineOfSightBlocked(camera.group.position, worldPos, occluders);
 }
 
 // Check if a person slice is visible to a camera (with occlusion detection)
@@ -101,13 +256,16 @@ export function isSliceVisibleToCamera(sliceWorldPos, sliceMesh, person, camera,
     return false;
   }
 
-  // Check for occlusion by other slices
-  // Cast ray from camera to slice center
-  const direction = new THREE.Vector3().subVectors(sliceWorldPos, cameraPos).normalize();
-  const distance = cameraPos.distanceTo(sliceWorldPos);
-
-  raycaster.set(cameraPos, direction);
-  raycaster.far = distance - person.radius; // Don't include the target slice itself
+  // Walls and obstacles (analytic - cheaper than raycasting the other people)
+  if (isSegmentBlockedByRoom(cameraPos, sliceWorldPos, person.hallway)) {
+    if (showRays) {
+      failedRaycasts.push({
+        start: cameraPos.clone(),
+        end: sliceWorldPos.clone()
+      });
+    }
+    return false;
+  }
 
   // Get all slices from OTHER people only (exclude all slices from this person)
   const otherSlices = [];
@@ -119,11 +277,9 @@ export function isSliceVisibleToCamera(sliceWorldPos, sliceMesh, person, camera,
     }
   }
 
-  // Check for intersections
-  const intersects = raycaster.intersectObjects(otherSlices, false);
-
-  // If there's an intersection closer than the slice, it's occluded
-  const isVisible = intersects.length === 0;
+  // Cast ray from camera to slice center - stop short by the radius so the
+  // target slice itself isn't counted. An intersection closer than the slice means it's occluded
+  const isVisible = !isLineOfSightBlocked(cameraPos, sliceWorldPos, otherSlices, person.radius);
 
   // Record raycast for visualization
   if (showRays) {
@@ -1,16 +1,27 @@
 // Web Worker for WebSocket broadcasting
-// Handles WebSocket connection and sends data at 30Hz (not throttled in background tabs)
+// Handles the WebSocket connection and speaks the broadcast protocol (broadcast-protocol.js):
+// hello on connect, topic subscriptions, people frames at the subscribed rate (not throttled
+// in background tabs), events as they happen, and remote commands (run by app.js, answered here).
+// Loaded as a module worker: new Worker('websocket-broadcast-worker.js', { type: 'module' })
+
+import { createMessage, createHello, parseSubscription, parseCommand, MESSAGE_TOPICS, DEFAULT_SUBSCRIPTION, PROTOCOL_VERSION } from './broadcast-protocol.js';
 
-const BROADCAST_INTERVAL = 1000 / 30; // 30Hz
 const RECONNECT_INTERVAL = 2000; // 2 seconds
 
 let ws = null;
 let connected = false;
 let reconnectTimer = null;
 let latestPeopleData = null;
+let latestMusicState = null;
+let knownPeopleIds = new Set(); // For person_enter / person_leave
 let wsUrl = 'ws://localhost:8080';
 let enabled = true;
 
+// Per connection - a new connection starts from the default subscription
+let subscription = { ...DEFAULT_SUBSCRIPTION };
+let seq = 0;
+let frameTimer = null;
+
 // Connect to WebSocket server
 function connect() {
   if (ws && (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN)) {
@@ -30,6 +41,10 @@ function connect() {
         reconnectTimer = null;
       }
 
+      seq = 0;
+      setSubscription({ ...DEFAULT_SUBSCRIPTION });
+      ws.send(JSON.stringify(createHello(++seq, subscription)));
+
       // Notify main thread
       postMessage({ type: 'connected' });
     };
@@ -48,11 +63,7 @@ function connect() {
       connected = false;
     };
 
-    ws.onmessage = (event) => {
-      console.log('[Worker WS] Received:', event.data);
-      // Forward to main thread if needed
-      postMessage({ type: 'message', data: event.data });
-    };
+    ws.onmessage = (event) => handleServerMessage(event.data);
 
   } catch (error) {
     console.log('[Worker WS] Failed to create connection (will retry)');
@@ -70,36 +81,117 @@ function scheduleReconnect() {
   }
 }
 
-// Broadcast loop - runs at 30Hz
-let broadcastCount = 0;
+// Broadcast messages (frames and events) - nothing while broadcasting is off
+function send(type, fields) {
+  if (!enabled) return;
+  reply(type, fields);
+}
+
+// Answers to the server (handshake and commands) go out even while broadcasting is off
+function reply(type, fields) {
+  if (!connected) return;
+
+  try {
+    ws.send(JSON.stringify(createMessage(type, ++seq, fields)));
+  } catch (error) {
+    console.error('[Worker WS] Send error:', error);
+  }
+}
+
+// Events go out only on subscribed topics
+function sendEvent(type, fields) {
+  if (subscription.topics.includes(MESSAGE_TOPICS[type])) send(type, fields);
+}
+
+// Handshake messages are handled here, anything else goes to the app
+function handleServerMessage(data) {
+  let message = null;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    // Not JSON - forward as is
+  }
+
+  if (message && message.type === 'subscribe') {
+    const { subscription: requested, error } = parseSubscription(message);
+    if (error) {
+      reply('error', { message: error, request: 'subscribe' });
+      return;
+    }
+
+    setSubscription(requested);
+    reply('subscribed', subscription);
+    console.log(`[Worker WS] Subscribed: ${subscription.topics.join(', ')} at ${subscription.rate} Hz`);
+
+    // Subscribers get the current music state right away instead of waiting for the next bar
+    if (latestMusicState) sendEvent('music_state', latestMusicState);
+    return;
+  }
+
+  if (message && message.type === 'command') {
+    const { command, error } = parseCommand(message);
+    if (error) {
+      reply('error', { id: message.id !== undefined ? message.id : null, command: message.command, message: error, request: 'command' });
+      return;
+    }
+
+    // Run by app.js, which answers with a 'reply'
+    postMessage({ type: 'command', data: command });
+    return;
+  }
+
+  // Forward to main thread
+  postMessage({ type: 'message', data });
+}
+
+function setSubscription(next) {
+  subscription = next;
+  postMessage({ type: 'subscription', data: subscription });
+
+  // People frames at the subscribed rate
+  if (frameTimer) clearInterval(frameTimer);
+  frameTimer = setInterval(sendPeopleFrame, 1000 / subscription.rate);
+}
+
+// Broadcast rate logging
+let frameCount = 0;
 let lastBroadcastLog = Date.now();
 
-setInterval(() => {
-  broadcastCount++;
+function sendPeopleFrame() {
+  frameCount++;
 
-  // Log every 30 broadcasts (once per second)
+  // Log once per second
   if (Date.now() - lastBroadcastLog > 1000) {
-    console.log(`[Worker WS] Broadcast rate: ${broadcastCount} msgs/sec, enabled: ${enabled}, connected: ${connected}, hasData: ${latestPeopleData ? latestPeopleData.length : 0}`);
-    broadcastCount = 0;
+    console.log(`[Worker WS] Broadcast rate: ${frameCount} frames/sec, enabled: ${enabled}, connected: ${connected}, hasData: ${latestPeopleData ? latestPeopleData.length : 0}`);
+    frameCount = 0;
     lastBroadcastLog = Date.now();
   }
 
-  if (!enabled || !connected || !latestPeopleData || latestPeopleData.length === 0) {
+  if (!enabled || !connected || !latestPeopleData || !subscription.topics.includes('people')) {
     return;
   }
 
-  const payload = {
-    type: 'people_locations',
-    timestamp: Date.now(),
-    people: latestPeopleData
-  };
-
-  try {
-    ws.send(JSON.stringify(payload));
-  } catch (error) {
-    console.error('[Worker WS] Send error:', error);
+  if (latestPeopleData.length === 0) {
+    send('people_empty', {});
+  } else {
+    send('people_locations', { people: latestPeopleData });
   }
-}, BROADCAST_INTERVAL);
+}
+
+// Compare with the last update to find people who arrived or left
+function updatePeople(people) {
+  const ids = new Set(people.map(person => person.id));
+
+  people.forEach(person => {
+    if (!knownPeopleIds.has(person.id)) sendEvent('person_enter', { person });
+  });
+  knownPeopleIds.forEach(id => {
+    if (!ids.has(id)) sendEvent('person_leave', { id });
+  });
+
+  knownPeopleIds = ids;
+  latestPeopleData = people;
+}
 
 // Listen for messages from main thread
 self.onmessage = (e) => {
@@ -110,13 +202,33 @@ self.onmessage = (e) => {
       // Initialize with URL and enabled state
       if (data.url) wsUrl = data.url;
       if (data.enabled !== undefined) enabled = data.enabled;
+      setSubscription({ ...DEFAULT_SUBSCRIPTION });
       connect();
-      console.log('[Worker WS] Initialized - broadcast at 30Hz');
+      console.log(`[Worker WS] Initialized - broadcast protocol v${PROTOCOL_VERSION}`);
       break;
 
     case 'updatePeople':
       // Receive latest people data from main thread
-      latestPeopleData = data;
+      updatePeople(data);
+      break;
+
+    case 'event':
+      // Trigger and note events: { type, fields }
+      sendEvent(data.type, data.fields);
+      break;
+
+    case 'reply':
+      // Outcome of a command: { id, command, result } or { id, command, error }
+      if (data.error !== undefined) {
+        reply('error', { id: data.id, command: data.command, message: data.error, request: 'command' });
+      } else {
+        reply('ack', { id: data.id, command: data.command, result: data.result });
+      }
+      break;
+
+    case 'music':
+      latestMusicState = data;
+      sendEvent('music_state', data);
       break;
 
     case 'setEnabled':